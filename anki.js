@@ -0,0 +1,103 @@
+// Anki flashcards — shared by background.js (AnkiConnect push, via
+// importScripts) and popup.html (file export, via <script>). Depends on
+// parseTLDRBlocks / parseTLDRInline (renderer.js), the review.js section
+// patterns and extractHandle (filenames.js).
+//
+// One note per bookmark: the TLDR line on the front, the key points and a
+// source link on the back. Fields are HTML. Exported entries are marked with
+// entry.ankiExport = { at, via: 'ankiconnect' | 'file', noteId } so later
+// exports skip them.
+
+var ANKI_DEFAULT_URL = 'http://localhost:8765';
+var ANKI_DEFAULT_DECK = 'Bookmark is Learned';
+var ANKI_DEFAULT_NOTE_TYPE = 'Basic';
+var ANKI_TAG = 'bookmark-is-learned';
+
+function escapeAnkiHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline Markdown (bold, italic, code, links) → escaped HTML
+function inlineToAnkiHtml(text) {
+  return parseTLDRInline(text).map(function (run) {
+    var value = escapeAnkiHtml(run.text);
+    if (run.type === 'strong') return '<b>' + value + '</b>';
+    if (run.type === 'em') return '<i>' + value + '</i>';
+    if (run.type === 'code') return '<code>' + value + '</code>';
+    if (run.type === 'link') return '<a href="' + escapeAnkiHtml(run.href) + '">' + value + '</a>';
+    return value;
+  }).join('');
+}
+
+// { front, back, tags } for an entry, or null when it has no summary
+function buildAnkiNote(entry) {
+  if (!entry.tldr) return null;
+
+  var front = '';
+  var firstParagraph = '';
+  var back = [];
+  var heading = '';
+  var skip = false;
+
+  parseTLDRBlocks(entry.tldr).forEach(function (block) {
+    if (block.type === 'heading') {
+      heading = block.text.replace(/[:：]$/, '');
+      skip = REVIEW_SKIP_HEADING_RE.test(heading);
+      return;
+    }
+    if (block.type === 'p') {
+      var tldr = block.text.match(REVIEW_TLDR_LINE_RE);
+      if (tldr && !front) front = inlineToAnkiHtml(tldr[1]);
+      else if (!firstParagraph && !skip) firstParagraph = inlineToAnkiHtml(block.text);
+      return;
+    }
+    if (skip || (block.type !== 'ul' && block.type !== 'ol')) return;
+
+    var items = block.items.map(function (item) {
+      return '<li>' + inlineToAnkiHtml(item) + '</li>';
+    }).join('');
+    if (heading) back.push('<div><b>' + escapeAnkiHtml(heading) + '</b></div>');
+    back.push('<' + block.type + '>' + items + '</' + block.type + '>');
+  });
+
+  front = front || firstParagraph || escapeAnkiHtml(entry.tweetPreview || '');
+  if (!front) return null;
+
+  if (entry.tweetUrl) {
+    back.push('<div>来源：<a href="' + escapeAnkiHtml(entry.tweetUrl) + '">'
+      + escapeAnkiHtml(entry.author || entry.tweetUrl) + '</a></div>');
+  }
+
+  var tags = [ANKI_TAG];
+  var handle = entry.tweetUrl ? extractHandle(entry.tweetUrl) : 'unknown';
+  if (handle !== 'unknown') tags.push(handle.replace(/\s+/g, '_'));
+
+  return { front: front, back: back.join(''), tags: tags };
+}
+
+// Anki import file with header lines (Anki 2.1.54+), one note per row.
+// format: 'tsv' | 'csv'
+function buildAnkiImportFile(notes, format, options) {
+  var csv = format === 'csv';
+  var lines = [
+    '#separator:' + (csv ? 'comma' : 'tab'),
+    '#html:true',
+    '#notetype:' + options.noteType,
+    '#deck:' + options.deck,
+    '#tags column:3',
+  ];
+
+  notes.forEach(function (note) {
+    var fields = [note.front, note.back, note.tags.join(' ')].map(function (value) {
+      // Fields are HTML, so line breaks carry no meaning
+      var flat = value.replace(/[\r\n\t]+/g, ' ');
+      return csv ? '"' + flat.replace(/"/g, '""') + '"' : flat;
+    });
+    lines.push(fields.join(csv ? ',' : '\t'));
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,101 @@
+// "Ask my bookmarks" — retrieval for the popup's 问答 tab, loaded by
+// background.js (via importScripts), which ranks the library, asks the LLM
+// and keeps the conversation. Depends on stripFactCheck from prompts.js.
+//
+// Retrieval is local BM25 over each entry's TLDR and captured original text.
+// Latin text is split into lowercase words; CJK / kana / Hangul runs, which
+// have no spaces, are split into overlapping character bigrams. The top
+// matches go to the LLM numbered [1]…[n] so the answer can cite them.
+
+var ASK_TOP_K = 8;
+var ASK_MAX_SOURCE_CHARS = 2500;
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+
+var ASK_STOPWORDS = {};
+('a an and are as at be but by do does for from has have how i in is it its of on or '
+  + 'that the this to was were what when where which who why will with you your about '
+  + 'did people say said').split(' ').forEach(function (word) { ASK_STOPWORDS[word] = true; });
+
+var ASK_TOKEN_RE = /[a-z0-9][a-z0-9+#]*|[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+
+// Lowercase search terms for a piece of text (duplicates kept for BM25)
+function tokenizeForSearch(text) {
+  var tokens = [];
+  var runs = String(text || '').toLowerCase().match(ASK_TOKEN_RE) || [];
+  runs.forEach(function (run) {
+    if (/^[a-z0-9]/.test(run)) {
+      if (!ASK_STOPWORDS[run]) tokens.push(run);
+      return;
+    }
+    if (run.length === 1) {
+      tokens.push(run);
+      return;
+    }
+    for (var i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  });
+  return tokens;
+}
+
+// Everything searchable about an entry. The TLDR is listed twice: it is the
+// distilled version and should outweigh incidental words in a long article.
+function askDocumentText(entry) {
+  var c = entry.content || {};
+  return [
+    entry.author,
+    entry.tldr, entry.tldr,
+    c.text || entry.tweetPreview,
+    c.cardText, c.quotedText, c.articleTitle, c.articleBody, c.quotedFullBody,
+  ].filter(Boolean).join('\n');
+}
+
+// Entries ranked by BM25 against query: [{ entry, score }], best first,
+// only entries sharing at least one term with the query
+function rankBM25(entries, query, limit) {
+  var terms = tokenizeForSearch(query).filter(function (term, i, all) {
+    return all.indexOf(term) === i;
+  });
+  if (terms.length === 0 || entries.length === 0) return [];
+
+  var docs = entries.map(function (entry) {
+    var counts = {};
+    var tokens = tokenizeForSearch(askDocumentText(entry));
+    tokens.forEach(function (token) { counts[token] = (counts[token] || 0) + 1; });
+    return { entry: entry, counts: counts, length: tokens.length };
+  });
+  var avgLength = docs.reduce(function (sum, doc) { return sum + doc.length; }, 0) / docs.length || 1;
+
+  var idf = {};
+  terms.forEach(function (term) {
+    var df = docs.filter(function (doc) { return doc.counts[term]; }).length;
+    idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  });
+
+  return docs.map(function (doc) {
+    var score = 0;
+    terms.forEach(function (term) {
+      var tf = doc.counts[term] || 0;
+      if (!tf) return;
+      score += idf[term] * (tf * (BM25_K1 + 1))
+        / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    });
+    return { entry: doc.entry, score: score };
+  }).filter(function (result) {
+    return result.score > 0;
+  }).sort(function (a, b) {
+    return b.score - a.score;
+  }).slice(0, limit || ASK_TOP_K);
+}
+
+// Context for one source: its TLDR (minus the fact check) and the start of
+// the original, cut to maxChars in total
+function askSourceExcerpt(entry, maxChars) {
+  var c = entry.content || {};
+  var original = [c.articleTitle, c.text || entry.tweetPreview, c.quotedText, c.articleBody, c.quotedFullBody]
+    .filter(Boolean).join('\n');
+  var parts = [];
+  if (entry.tldr) parts.push('Summary:\n' + stripFactCheck(entry.tldr));
+  if (original) parts.push('Original:\n' + original);
+  var text = parts.join('\n\n');
+  return text.length > maxChars ? text.slice(0, maxChars) + '…' : text;
+}
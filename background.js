@@ -7,35 +7,39 @@
 //   1. Primary: Native messaging host (writes to any user-chosen folder)
 //   2. Fallback: chrome.downloads.download() to the Downloads folder
 
-const MAX_HISTORY = 200;
+// Provider registry (PROVIDERS, PROVIDER_FORMATS), prompt templates
+// (buildPrompt), file naming (buildFileName), the IndexedDB bookmark
+// library, the review scheduler, Anki note building and digest formatting
+// shared with the popup, bookmark retrieval for the 问答 tab, related-note
+// matching and the X selector registry the page readers use
+importScripts('providers.js', 'prompts.js', 'filenames.js', 'library.js', 'renderer.js', 'review.js', 'anki.js',
+  'digest.js', 'ask.js', 'related.js', 'selectors.js');
+
 const NATIVE_HOST_NAME = 'com.btl.file_writer';
 
 // Allowed hostnames for background tab fetching (security whitelist)
 const ALLOWED_FETCH_HOSTS = ['x.com', 'twitter.com', 'mobile.twitter.com'];
-const PROVIDER_DEFAULT_ENDPOINTS = {
-  openai: 'https://api.openai.com/v1/chat/completions',
-  claude: 'https://api.anthropic.com/v1/messages',
-  kimi: 'https://api.moonshot.cn/v1/chat/completions',
-  zhipu: 'https://open.bigmodel.cn/api/paas/v4/chat/completions',
-};
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Non-streaming path (backfill importer); live bookmarks use the port below
   if (message.type === 'GENERATE_TLDR') {
-    handleTLDRRequest(message.tweetData, message.articleUrl, message.quotedTweetUrl)
-      .then(async (result) => {
-        // Save to history (non-blocking)
-        saveToHistory(message.tweetData, result.tldr, result.isArticle);
-
-        // Download markdown only if user has enabled it
-        var prefs = await chrome.storage.sync.get({ autoDownloadMd: true });
-        if (prefs.autoDownloadMd) {
-          var senderTabId = sender && sender.tab ? sender.tab.id : null;
-          saveMarkdownFile(message.tweetData, result.tldr, result.articleContent, result.quotedFullContent, result.isArticle, result.mode, senderTabId);
-        }
+    var senderTabId = sender && sender.tab ? sender.tab.id : null;
+    runGenerateRequest(message, senderTabId, null).then(sendResponse);
+    return true;
+  }
 
-        sendResponse({ success: true, tldr: result.tldr, mode: result.mode });
-      })
-      .catch((error) => sendResponse({ success: false, error: error.message }));
+  // Retry queue management from the popup
+  if (message.type === 'RETRY_JOB') {
+    retryJobNow(message.id)
+      .then(function (result) { sendResponse(result); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  if (message.type === 'DISCARD_JOB') {
+    removeRetryJob(message.id)
+      .then(function () { sendResponse({ success: true }); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
     return true;
   }
 
@@ -60,6 +64,64 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Backfill importer asks whether a tweet was already summarized
+  if (message.type === 'CHECK_HISTORY') {
+    findHistoryEntry(message.tweetUrl)
+      .then(function (entry) { sendResponse({ found: !!entry }); })
+      .catch(function () { sendResponse({ found: false }); });
+    return true;
+  }
+
+  // Per-entry actions from the popup's history list
+  if (message.type === 'REGENERATE_ENTRY' || message.type === 'RESAVE_ENTRY' || message.type === 'GET_ENTRY_MARKDOWN') {
+    var action = message.type === 'REGENERATE_ENTRY' ? regenerateEntry
+      : message.type === 'RESAVE_ENTRY' ? resaveEntry : getEntryMarkdown;
+    action(message.id)
+      .then(function (result) { sendResponse(Object.assign({ success: true }, result)); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  // Anki export from the history tab / connection test from settings
+  if (message.type === 'EXPORT_ANKI' || message.type === 'TEST_ANKI') {
+    var ankiTask = message.type === 'EXPORT_ANKI'
+      ? exportToAnki(message.ids, message.includeExported)
+      : testAnkiConnect(message.url);
+    ankiTask
+      .then(function (result) { sendResponse(Object.assign({ success: true }, result)); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  // "立即生成" in the digest settings
+  if (message.type === 'RUN_DIGEST') {
+    runDigest(message.frequency)
+      .then(function (digest) { sendResponse({ success: true, digest: digest }); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  // Question from the popup's 问答 tab
+  if (message.type === 'ASK_LIBRARY') {
+    askLibrary(message.question)
+      .then(function (turn) { sendResponse({ success: true, turn: turn }); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  // The popup changed review state or deleted entries
+  if (message.type === 'DELETE_ENTRY') {
+    deleteEntry(message.id)
+      .then(function () { sendResponse({ success: true }); })
+      .catch(function (err) { sendResponse({ success: false, error: err.message }); });
+    return true;
+  }
+
+  if (message.type === 'REFRESH_REVIEW_BADGE') {
+    updateReviewBadge().then(function () { sendResponse({ success: true }); });
+    return true;
+  }
+
   // Ping native host to check if it's installed
   if (message.type === 'PING_NATIVE_HOST') {
     chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, { action: 'ping' })
@@ -69,75 +131,823 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// ── History persistence ──────────────────────────────────────────────────────
+// Streaming path: the content script opens a long-lived port per card and
+// receives { type: 'chunk', text } with the accumulated TLDR as it arrives,
+// { type: 'status', text } progress captions for the steps before it,
+// then a single { type: 'done', response } with the same payload the
+// non-streaming GENERATE_TLDR message returns.
+chrome.runtime.onConnect.addListener(function (port) {
+  if (port.name !== 'tldr-stream') return;
+  var disconnected = false;
+  port.onDisconnect.addListener(function () { disconnected = true; });
+
+  function post(msg) {
+    if (disconnected) return;
+    try { port.postMessage(msg); } catch (_) { disconnected = true; }
+  }
 
-async function saveToHistory(tweetData, tldr, isArticle) {
+  port.onMessage.addListener(function (message) {
+    if (message.type !== 'GENERATE_TLDR') return;
+    var senderTabId = port.sender && port.sender.tab ? port.sender.tab.id : null;
+    runGenerateRequest(message, senderTabId, function (text) {
+      post({ type: 'chunk', text: text });
+    }, function (text) {
+      post({ type: 'status', text: text });
+    }).then(function (response) {
+      post({ type: 'done', response: response });
+    });
+  });
+});
+
+// Run a GENERATE_TLDR request and always resolve with a response object.
+// Failures are pushed onto the retry queue so the bookmark isn't lost.
+async function runGenerateRequest(message, senderTabId, onChunk, onStatus) {
   try {
-    var result = await chrome.storage.local.get({ history: [] });
-    var history = result.history;
-
-    // Build a short preview from the original tweet text (first 120 chars)
-    var previewSource = tweetData.text || tweetData.cardText
-      || tweetData.quotedText || tweetData.fallbackText || '';
-    var tweetPreview = previewSource.slice(0, 120);
-    if (previewSource.length > 120) tweetPreview += '...';
-
-    var entry = {
-      id: Date.now() + '-' + Math.random().toString(36).slice(2, 8),
-      timestamp: Date.now(),
-      author: tweetData.author || '',
-      tweetUrl: tweetData.tweetUrl || tweetData.url || '',
-      tweetPreview: tweetPreview,
-      tldr: tldr,
-      isArticle: isArticle,
+    return await handleGenerateMessage(message, senderTabId, onChunk, onStatus);
+  } catch (error) {
+    var queued = await enqueueRetryJob(message, error.message);
+    return { success: false, error: error.message, queued: queued };
+  }
+}
+
+// Handle a GENERATE_TLDR request from the content script, applying the
+// user's duplicate policy when the same status ID is already in history:
+//   skip   — don't call the LLM, return the existing TLDR
+//   update — regenerate and refresh the existing history entry + file in place
+//   new    — regenerate and keep a separate entry + file
+// The response's `duplicate` field tells the card which one happened.
+// Retry-queue jobs carry the same fields and go through here as well, since
+// the post may have been bookmarked again while the job waited.
+async function handleGenerateMessage(message, senderTabId, onChunk, onStatus) {
+  var tweetData = message.tweetData;
+  var prefs = await chrome.storage.sync.get({ duplicateAction: 'update' });
+  var existing = await findHistoryEntry(tweetData.tweetUrl || tweetData.url);
+  var duplicate = duplicateOutcome(existing, prefs.duplicateAction);
+
+  if (duplicate === 'skipped') {
+    return {
+      success: true,
+      tldr: existing.tldr,
+      mode: existing.tldr ? 'tldr' : 'raw',
+      duplicate: duplicate,
     };
+  }
 
-    history.unshift(entry);
-    if (history.length > MAX_HISTORY) {
-      history = history.slice(0, MAX_HISTORY);
-    }
+  var result = await handleTLDRRequest(tweetData, message.articleUrl, message.quotedTweetUrl, onChunk, onStatus);
+  await persistTLDRResult(tweetData, result, senderTabId, duplicate === 'updated' ? existing : null);
+
+  var response = { success: true, tldr: result.tldr, mode: result.mode };
+  if (duplicate) response.duplicate = duplicate;
+  return response;
+}
+
+// The `duplicate` outcome for a bookmark whose post may already be in the
+// library (existing: its entry or null): null for a new post, else
+// 'skipped', 'updated' or 'kept' per the duplicateAction setting
+function duplicateOutcome(existing, duplicateAction) {
+  if (!existing) return null;
+  if (duplicateAction === 'skip') return 'skipped';
+  return duplicateAction === 'update' ? 'updated' : 'kept';
+}
+
+// Save a successful TLDR to history and (if enabled) write the Markdown file.
+// Shared by live bookmarks and retry-queue jobs. When `replace` is an existing
+// history entry, that entry and its Markdown file are overwritten in place.
+async function persistTLDRResult(tweetData, result, senderTabId, replace) {
+  var prefs = await chrome.storage.sync.get({ autoDownloadMd: true, fileNameTemplate: '', fileNameDateSource: 'saved' });
+  var fileName = (replace && replace.fileName)
+    || buildFileName(tweetData, result.articleContent, result.isArticle, {
+      template: prefs.fileNameTemplate,
+      quotedFullContent: result.quotedFullContent,
+      dateSource: prefs.fileNameDateSource,
+    });
+
+  var entry = buildHistoryEntry(tweetData, result, fileName, replace ? replace.id : null);
+  entry.related = await findRelatedNotes(entry);
+
+  // Save to history (non-blocking)
+  var historySaved = saveToHistory(entry);
+
+  // Download markdown only if user has enabled it
+  if (prefs.autoDownloadMd) {
+    saveNoteWithImages(entry, tweetData, result, senderTabId, !!(replace && replace.fileName), historySaved);
+  }
+}
+
+// Download the post's images, then write the note embedding them, then
+// record which images were saved on the history entry (once it is stored)
+async function saveNoteWithImages(entry, tweetData, result, senderTabId, overwrite, historySaved) {
+  var images = await saveImageAttachments(tweetData.images, entry.fileName, entry.statusId);
+  var noteData = Object.assign({}, tweetData, { images: images });
+  await saveMarkdownFile(noteData, result.tldr, result.articleContent, result.quotedFullContent, result.isArticle, result.mode, senderTabId, {
+    fileName: entry.fileName,
+    overwrite: overwrite,
+    related: entry.related,
+    savedAt: entry.timestamp,
+  });
+
+  if (!images.some(function (image) { return image.file; })) return;
+  await historySaved;
+  try {
+    var stored = await libraryGet(entry.id);
+    if (!stored) return;
+    stored.content.images = images;
+    await libraryPut(stored);
+  } catch (err) {
+    console.log('[background] saving image paths failed:', err.message);
+  }
+}
+
+// ── Retry queue (failed / offline TLDR jobs) ─────────────────────────────────
+//
+// Failed GENERATE_TLDR requests are stored in chrome.storage.local with their
+// captured tweetData and retried with exponential backoff. A single
+// chrome.alarms alarm is kept pointed at the earliest due job. After
+// RETRY_MAX_ATTEMPTS the job stays in the queue but is only retried by hand
+// from the popup.
+
+var RETRY_ALARM_NAME = 'btl-retry-queue';
+var RETRY_BASE_DELAY_MS = 60 * 1000;
+var RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+var RETRY_MAX_ATTEMPTS = 8;
+var MAX_RETRY_JOBS = 100;
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name === RETRY_ALARM_NAME) processRetryQueue();
+  if (alarm.name === REVIEW_BADGE_ALARM_NAME) updateReviewBadge();
+  if (alarm.name === DIGEST_ALARM_NAME) runScheduledDigest();
+});
+
+// Alarms survive service-worker restarts but not always browser restarts
+chrome.runtime.onStartup.addListener(function () {
+  scheduleRetryAlarm();
+  scheduleReviewBadgeAlarm();
+  scheduleDigestAlarm(false);
+});
+
+// Delay before the next attempt: 1 min, 2 min, 4 min … capped at 6 h
+function computeRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+}
+
+async function getRetryQueue() {
+  var result = await chrome.storage.local.get({ retryQueue: [] });
+  return result.retryQueue;
+}
+
+async function saveRetryQueue(queue) {
+  await chrome.storage.local.set({ retryQueue: queue });
+  await scheduleRetryAlarm(queue);
+}
+
+// Returns true if the job was queued
+async function enqueueRetryJob(message, errorMessage) {
+  try {
+    var queue = await getRetryQueue();
+    var now = Date.now();
+    queue.push({
+      id: now + '-' + Math.random().toString(36).slice(2, 8),
+      createdAt: now,
+      tweetData: message.tweetData,
+      articleUrl: message.articleUrl || null,
+      quotedTweetUrl: message.quotedTweetUrl || null,
+      attempts: 1,
+      lastError: errorMessage,
+      nextRetryAt: now + computeRetryDelay(1),
+    });
+    // Drop the oldest jobs if the queue grows unbounded (e.g. key never set)
+    if (queue.length > MAX_RETRY_JOBS) queue = queue.slice(queue.length - MAX_RETRY_JOBS);
+    await saveRetryQueue(queue);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function removeRetryJob(id) {
+  var queue = await getRetryQueue();
+  await saveRetryQueue(queue.filter(function (job) { return job.id !== id; }));
+}
+
+// Point the alarm at the earliest auto-retryable job, or clear it if none
+async function scheduleRetryAlarm(queue) {
+  if (!queue) queue = await getRetryQueue();
+  var next = null;
+  for (var i = 0; i < queue.length; i++) {
+    var at = queue[i].nextRetryAt;
+    if (at && (next === null || at < next)) next = at;
+  }
+  await chrome.alarms.clear(RETRY_ALARM_NAME);
+  if (next !== null) {
+    // chrome.alarms enforces a 30 s minimum delay in packed extensions
+    chrome.alarms.create(RETRY_ALARM_NAME, { when: Math.max(next, Date.now() + 30 * 1000) });
+  }
+}
+
+// Run one job through the live bookmark path (so a post saved again in the
+// meantime is skipped or updated per duplicateAction); on success drop it
+// from the queue, on failure record the error and push back nextRetryAt.
+async function runRetryJob(job) {
+  try {
+    await handleGenerateMessage(job, null);
+    var queue = await getRetryQueue();
+    await saveRetryQueue(queue.filter(function (j) { return j.id !== job.id; }));
+    return { success: true };
+  } catch (err) {
+    var current = await getRetryQueue();
+    var attempts = job.attempts + 1;
+    current = current.map(function (j) {
+      if (j.id !== job.id) return j;
+      return Object.assign({}, j, {
+        attempts: attempts,
+        lastError: err.message,
+        nextRetryAt: attempts >= RETRY_MAX_ATTEMPTS ? null : Date.now() + computeRetryDelay(attempts),
+      });
+    });
+    await saveRetryQueue(current);
+    return { success: false, error: err.message };
+  }
+}
+
+async function processRetryQueue() {
+  var queue = await getRetryQueue();
+  var now = Date.now();
+  var due = queue.filter(function (job) { return job.nextRetryAt && job.nextRetryAt <= now; });
+  // Sequential: each job may open background tabs and call the LLM
+  for (var i = 0; i < due.length; i++) {
+    await runRetryJob(due[i]);
+  }
+  await scheduleRetryAlarm();
+}
+
+async function retryJobNow(id) {
+  var queue = await getRetryQueue();
+  var job = queue.find(function (j) { return j.id === id; });
+  if (!job) return { success: false, error: 'job not found' };
+  return runRetryJob(job);
+}
+
+// ── History persistence (IndexedDB library, see library.js) ──────────────────
+
+// Opening the library migrates the legacy storage.local `history` array;
+// do it right after an update instead of on the first bookmark
+chrome.runtime.onInstalled.addListener(function () {
+  openLibrary().catch(function (err) {
+    console.log('[background] library migration failed:', err.message);
+  });
+  scheduleReviewBadgeAlarm();
+  scheduleDigestAlarm(false);
+});
+
+// The library entry for a summarized bookmark; replaceId keeps the id of
+// the entry it refreshes
+function buildHistoryEntry(tweetData, result, fileName, replaceId) {
+  // Build a short preview from the original tweet text (first 120 chars)
+  var previewSource = tweetData.text || tweetData.cardText
+    || tweetData.quotedText || tweetData.fallbackText || '';
+  var tweetPreview = previewSource.slice(0, 120);
+  if (previewSource.length > 120) tweetPreview += '...';
+
+  var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
+  var articleContent = result.articleContent;
+  var quotedFullContent = result.quotedFullContent;
+  return {
+    id: replaceId || Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+    timestamp: Date.now(),
+    author: tweetData.author || '',
+    tweetUrl: tweetUrl,
+    statusId: extractStatusId(tweetUrl),
+    tweetPreview: tweetPreview,
+    tldr: result.tldr,
+    isArticle: result.isArticle,
+    fileName: fileName || '',
+    content: {
+      text: tweetData.text || '',
+      cardText: tweetData.cardText || '',
+      fallbackText: tweetData.fallbackText || '',
+      quotedText: tweetData.quotedText || '',
+      quotedAuthor: tweetData.quotedAuthor || '',
+      articleTitle: articleContent ? articleContent.title || '' : '',
+      articleBody: articleContent ? articleContent.body || '' : '',
+      articleHeroImage: articleContent ? articleContent.heroImage || null : null,
+      articlePostedAt: articleContent ? articleContent.postedAt || '' : '',
+      quotedPostedAt: tweetData.quotedPostedAt || (quotedFullContent && quotedFullContent.postedAt) || '',
+      quotedFullBody: quotedFullContent ? quotedFullContent.body || '' : '',
+      referencedUrls: tweetData.referencedUrls || [],
+      metrics: tweetData.metrics || null,
+      postedAt: tweetData.postedAt || '',
+      images: tweetData.images || [],
+      thread: tweetData.thread || [],
+      communityNote: tweetData.communityNote || '',
+      replies: tweetData.replies || [],
+      poll: tweetData.poll || null,
+      hashtags: tweetData.hashtags || extractHashtags(tweetData.text || ''),
+      mentions: tweetData.mentions || [],
+      cashtags: tweetData.cashtags || [],
+    },
+    selectors: buildSelectorRecord(tweetData, articleContent),
+  };
+}
+
+// Which selector strategy matched each field (see selectors.js): the post's
+// fields from content.js plus the article page's from extractPageContent.
+// undefined for captures that didn't record any (re-runs from the library).
+function buildSelectorRecord(tweetData, articleContent) {
+  if (!tweetData.selectorHits) return undefined;
+  return {
+    version: tweetData.selectorVersion || SELECTOR_REGISTRY.version,
+    hits: Object.assign({}, tweetData.selectorHits, articleContent && articleContent.selectorHits),
+  };
+}
+
+async function saveToHistory(entry) {
+  try {
+    // Keep review progress and Anki export state when refreshing an entry;
+    // cards whose text is unchanged keep their schedule (see review.js).
+    // A re-run from the library keeps the original capture's selector record.
+    var previous = await libraryGet(entry.id);
+    if (previous && previous.review) entry.review = previous.review;
+    if (previous && previous.ankiExport) entry.ankiExport = previous.ankiExport;
+    if (previous && previous.selectors && !entry.selectors) entry.selectors = previous.selectors;
+    await libraryPut(entry);
+    updateReviewBadge();
+  } catch (err) {
+    // History save failure is non-critical — log and continue
+    console.log('[background] saveToHistory error:', err.message);
+  }
+}
+
+// The most similar saved bookmarks (see related.js), in the shape stored on
+// entry.related. Failure is non-critical and yields no related notes.
+async function findRelatedNotes(entry) {
+  try {
+    var candidates = await libraryPage({ newestFirst: true, limit: RELATED_MAX_CANDIDATES });
+    return findRelatedEntries(entry, candidates.entries, RELATED_MAX).map(function (result) {
+      return {
+        id: result.entry.id,
+        author: result.entry.author,
+        title: digestItemTitle(result.entry),
+        fileName: result.entry.fileName || '',
+        tweetUrl: result.entry.tweetUrl,
+        score: Math.round(result.score * 100) / 100,
+      };
+    });
+  } catch (err) {
+    console.log('[background] findRelatedNotes error:', err.message);
+    return [];
+  }
+}
+
+// Find the history entry for a tweet, matching by status ID so that
+// x.com / twitter.com and query-string variants of the same URL collide.
+async function findHistoryEntry(tweetUrl) {
+  return libraryFindByStatusId(extractStatusId(tweetUrl));
+}
 
-    await chrome.storage.local.set({ history: history });
+// ── Review badge (see review.js) ─────────────────────────────────────────────
+//
+// The toolbar badge shows how many review cards are due today, new cards
+// included. It is recomputed after each save, when the popup changes review
+// state, and hourly so that cards becoming due (and the next day's new
+// cards) show up without opening the popup.
+
+var REVIEW_BADGE_ALARM_NAME = 'btl-review-badge';
+
+function scheduleReviewBadgeAlarm() {
+  chrome.alarms.create(REVIEW_BADGE_ALARM_NAME, { delayInMinutes: 1, periodInMinutes: 60 });
+}
+
+async function updateReviewBadge() {
+  try {
+    var queue = collectDueCards(await libraryGetAll(), Date.now());
+    var count = queue.cards.length;
+    await chrome.action.setBadgeBackgroundColor({ color: '#1d9bf0' });
+    await chrome.action.setBadgeText({ text: count > 0 ? (count > 999 ? '999+' : String(count)) : '' });
+  } catch (err) {
+    console.log('[background] updateReviewBadge error:', err.message);
+  }
+}
+
+// ── Anki export (AnkiConnect, see anki.js) ───────────────────────────────────
+
+async function ankiConnectRequest(url, action, params) {
+  var res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({ action: action, version: 6, params: params || {} }),
+    });
   } catch (_) {
-    // History save failure is non-critical — silently ignore
+    throw new Error('无法连接 AnkiConnect，请确认 Anki 已打开并安装了 AnkiConnect 插件');
+  }
+  if (!res.ok) throw new Error('AnkiConnect 返回 HTTP ' + res.status);
+  var data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data.result;
+}
+
+// AnkiConnect only answers trusted origins; the first call shows a prompt
+// in Anki asking the user to allow the extension
+async function ensureAnkiPermission(url) {
+  var result = await ankiConnectRequest(url, 'requestPermission');
+  if (!result || result.permission !== 'granted') {
+    throw new Error('AnkiConnect 拒绝了访问，请在 Anki 弹出的窗口中允许本扩展');
+  }
+}
+
+async function testAnkiConnect(url) {
+  var prefs = await chrome.storage.sync.get({ ankiConnectUrl: ANKI_DEFAULT_URL });
+  var target = url || prefs.ankiConnectUrl;
+  await ensureAnkiPermission(target);
+  return { version: await ankiConnectRequest(target, 'version') };
+}
+
+// Push the given entries as notes. Entries without a summary are skipped, as
+// are entries exported before unless includeExported is set. Notes Anki
+// rejects as duplicates are marked exported too, since they already exist.
+async function exportToAnki(ids, includeExported) {
+  var prefs = await chrome.storage.sync.get({
+    ankiConnectUrl: ANKI_DEFAULT_URL,
+    ankiDeck: ANKI_DEFAULT_DECK,
+    ankiNoteType: ANKI_DEFAULT_NOTE_TYPE,
+  });
+  var url = prefs.ankiConnectUrl;
+  await ensureAnkiPermission(url);
+
+  var fieldNames = await ankiConnectRequest(url, 'modelFieldNames', { modelName: prefs.ankiNoteType });
+  if (!fieldNames || fieldNames.length < 2) {
+    throw new Error('笔记类型「' + prefs.ankiNoteType + '」至少需要两个字段');
+  }
+  await ankiConnectRequest(url, 'createDeck', { deck: prefs.ankiDeck });
+
+  var summary = { added: 0, duplicates: 0, skipped: 0, failed: 0, lastError: '' };
+  for (var i = 0; i < ids.length; i++) {
+    var entry = await libraryGet(ids[i]);
+    var note = entry && (includeExported || !entry.ankiExport) ? buildAnkiNote(entry) : null;
+    if (!note) { summary.skipped++; continue; }
+
+    var fields = {};
+    fields[fieldNames[0]] = note.front;
+    fields[fieldNames[1]] = note.back;
+    var noteId = null;
+    try {
+      noteId = await ankiConnectRequest(url, 'addNote', {
+        note: {
+          deckName: prefs.ankiDeck,
+          modelName: prefs.ankiNoteType,
+          fields: fields,
+          tags: note.tags,
+          options: { allowDuplicate: false, duplicateScope: 'deck' },
+        },
+      });
+      summary.added++;
+    } catch (err) {
+      if (!/duplicate/i.test(err.message)) {
+        summary.failed++;
+        summary.lastError = err.message;
+        continue;
+      }
+      summary.duplicates++;
+    }
+
+    // Re-read so a concurrent review answer isn't overwritten
+    var fresh = await libraryGet(entry.id);
+    if (fresh) {
+      var previousNoteId = fresh.ankiExport ? fresh.ankiExport.noteId : null;
+      fresh.ankiExport = { at: Date.now(), via: 'ankiconnect', noteId: noteId || previousNoteId || null };
+      await libraryPut(fresh);
+    }
   }
+  return summary;
+}
+
+// ── Scheduled digest (see digest.js) ─────────────────────────────────────────
+//
+// One alarm points at the next daily / weekly run (sync digestFrequency,
+// digestHour, digestWeekday). The latest digest is kept in storage.local
+// `lastDigest` for the popup; a failed scheduled run is kept in
+// `digestError` and the previous digest stays.
+
+var DIGEST_ALARM_NAME = 'btl-digest';
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+  if (area === 'sync' && (changes.digestFrequency || changes.digestHour || changes.digestWeekday)) {
+    scheduleDigestAlarm(true);
+  }
+});
+
+// force: replace an existing alarm (settings changed). Otherwise an alarm
+// that is still pending — possibly overdue after the browser was closed —
+// is kept so Chrome fires it.
+async function scheduleDigestAlarm(force) {
+  if (!force && await chrome.alarms.get(DIGEST_ALARM_NAME)) return;
+  var prefs = await chrome.storage.sync.get({ digestFrequency: 'off', digestHour: 21, digestWeekday: 0 });
+  await chrome.alarms.clear(DIGEST_ALARM_NAME);
+  var next = computeNextDigestTime(Date.now(), prefs.digestFrequency, prefs.digestHour, prefs.digestWeekday);
+  if (next) chrome.alarms.create(DIGEST_ALARM_NAME, { when: next });
+}
+
+async function runScheduledDigest() {
+  var prefs = await chrome.storage.sync.get({ digestFrequency: 'off' });
+  try {
+    if (DIGEST_PERIODS[prefs.digestFrequency]) await runDigest(prefs.digestFrequency);
+  } catch (err) {
+    console.log('[background] digest error:', err.message);
+    await chrome.storage.local.set({ digestError: { at: Date.now(), message: err.message } });
+  }
+  await scheduleDigestAlarm(true);
+}
+
+// Build, save and remember a digest of the bookmarks from the last period.
+// Resolves with the stored lastDigest record.
+async function runDigest(frequency) {
+  var period = DIGEST_PERIODS[frequency] || DIGEST_PERIODS.daily;
+  frequency = DIGEST_PERIODS[frequency] ? frequency : 'daily';
+  var prefs = await chrome.storage.sync.get({ language: 'zh-CN', aiEnabled: true, autoDownloadMd: true });
+  var end = Date.now();
+  var start = end - period.days * 24 * 60 * 60 * 1000;
+
+  var entries = (await libraryGetAll())
+    .filter(function (entry) { return entry.timestamp >= start && entry.timestamp <= end; })
+    .sort(function (a, b) { return a.timestamp - b.timestamp; });
+  if (entries.length === 0) throw new Error('这段时间没有新的收藏');
+
+  var summary = '';
+  if (prefs.aiEnabled && entries.some(function (entry) { return entry.tldr; })) {
+    var llm = await getLLMConfig();
+    summary = await callLLM(llm, buildDigestPrompt(entries, prefs.language, period.days), 2000);
+  }
+
+  var date = new Date(end);
+  var markdown = buildDigestMarkdown(entries, summary, {
+    date: date,
+    frequency: frequency,
+    start: start,
+    end: end,
+    linkToNotes: prefs.autoDownloadMd,
+  });
+  var fileName = 'digest-' + formatDigestDate(date) + '.md';
+  var saved = await saveDigestFile(markdown, fileName);
+
+  var digest = {
+    createdAt: end,
+    frequency: frequency,
+    periodStart: start,
+    periodEnd: end,
+    fileName: fileName,
+    saved: saved,
+    summary: summary,
+    items: entries.map(function (entry) {
+      return { author: entry.author, title: digestItemTitle(entry), tweetUrl: entry.tweetUrl };
+    }),
+  };
+  await chrome.storage.local.set({ lastDigest: digest });
+  await chrome.storage.local.remove('digestError');
+  return digest;
+}
+
+// Same chain as bookmark notes minus the content-script step (no tab here);
+// a second digest on the same day replaces the first
+async function saveDigestFile(markdown, fileName) {
+  try {
+    if (await writeViaNativeHost(markdown, fileName, true)) return true;
+    return await writeViaDownloads(markdown, fileName, true);
+  } catch (err) {
+    console.log('[background] saveDigestFile error:', err.message);
+    return false;
+  }
+}
+
+// ── Ask my bookmarks (see ask.js) ────────────────────────────────────────────
+//
+// The popup's 问答 tab sends ASK_LIBRARY { question }. The conversation is
+// kept in storage.local `askThread` so it survives the popup closing (e.g.
+// when a citation is opened); the last few turns go to the LLM so follow-up
+// questions work.
+
+var ASK_MAX_TURNS = 20;
+var ASK_HISTORY_TURNS = 3;
+
+// Answer a question from the library and append the turn to askThread.
+// Resolves with the turn { question, answer, sources, at }.
+async function askLibrary(question) {
+  question = (question || '').trim();
+  if (!question) throw new Error('请输入问题');
+
+  var ranked = rankBM25(await libraryGetAll(), question, ASK_TOP_K);
+  if (ranked.length === 0) throw new Error('书库中没有找到与问题相关的收藏，换个关键词试试');
+
+  var prefs = await chrome.storage.sync.get({ language: 'zh-CN' });
+  var stored = await chrome.storage.local.get({ askThread: [] });
+  var history = stored.askThread.slice(-ASK_HISTORY_TURNS);
+  var prompt = buildAskPrompt(question, ranked.map(function (result) {
+    return {
+      author: result.entry.author,
+      tweetUrl: result.entry.tweetUrl,
+      excerpt: askSourceExcerpt(result.entry, ASK_MAX_SOURCE_CHARS),
+    };
+  }), prefs.language, history);
+
+  var llm = await getLLMConfig();
+  var answer = await callLLM(llm, prompt, 1500);
+
+  var turn = {
+    question: question,
+    answer: (answer || '').trim(),
+    sources: ranked.map(function (result) {
+      return {
+        id: result.entry.id,
+        author: result.entry.author,
+        title: digestItemTitle(result.entry),
+        tweetUrl: result.entry.tweetUrl,
+      };
+    }),
+    at: Date.now(),
+  };
+  // Re-read: the popup may have cleared the thread while the LLM was busy
+  var latest = await chrome.storage.local.get({ askThread: [] });
+  await chrome.storage.local.set({ askThread: latest.askThread.concat([turn]).slice(-ASK_MAX_TURNS) });
+  return turn;
+}
+
+// ── History entry actions (popup) ────────────────────────────────────────────
+
+async function getEntryOrThrow(id) {
+  var entry = await libraryGet(id);
+  if (!entry) throw new Error('记录不存在，可能已被删除');
+  return entry;
+}
+
+// Captured content for writing Markdown. Entries migrated from the old
+// history array only kept the preview, which is still enough to export
+// the TLDR with its source link.
+function entryMarkdownSource(entry) {
+  return restoreEntryCapture(entry) || {
+    tweetData: { author: entry.author, tweetUrl: entry.tweetUrl, text: entry.tweetPreview },
+    articleContent: null,
+    quotedFullContent: null,
+    isArticle: false,
+  };
+}
+
+async function entryMarkdownMode(entry) {
+  if (!entry.tldr) return 'raw';
+  var prefs = await chrome.storage.sync.get({ mdMode: 'tldr' });
+  return prefs.mdMode;
+}
+
+// Re-run the summary on the stored content with the current provider,
+// language and templates. The entry keeps its id, time and filename; the
+// Markdown file is rewritten in place when auto-save is on.
+async function regenerateEntry(id) {
+  var entry = await getEntryOrThrow(id);
+  var capture = restoreEntryCapture(entry);
+  if (!capture) throw new Error('该记录来自旧版本，未保存原文，无法重新生成');
+
+  var result = await summarizeCapturedContent(capture.tweetData, capture.articleContent, capture.quotedFullContent);
+  if (result.mode === 'raw') throw new Error('AI 摘要已关闭，请先在设置中开启');
+
+  entry.tldr = result.tldr;
+  entry.related = await findRelatedNotes(entry);
+  await libraryPut(entry);
+  updateReviewBadge();
+
+  var prefs = await chrome.storage.sync.get({ autoDownloadMd: true });
+  if (prefs.autoDownloadMd && entry.fileName) {
+    await saveMarkdownFile(capture.tweetData, result.tldr, capture.articleContent, capture.quotedFullContent,
+      capture.isArticle, result.mode, null,
+      { fileName: entry.fileName, overwrite: true, related: entry.related, savedAt: entry.timestamp });
+  }
+  return { entry: entry };
+}
+
+// Write the entry's Markdown file again (e.g. after it was deleted or the
+// frontmatter settings changed), overwriting it under the same filename.
+// An entry saved while auto-save was off gets a name now, stored on the
+// entry so later re-saves overwrite that file instead of adding another.
+// Related notes are matched again against the current library and the
+// images are downloaded again.
+async function resaveEntry(id) {
+  var entry = await getEntryOrThrow(id);
+  var source = entryMarkdownSource(entry);
+  var overwrite = !!entry.fileName;
+  if (!entry.fileName) {
+    var prefs = await chrome.storage.sync.get({ fileNameTemplate: '', fileNameDateSource: 'saved' });
+    entry.fileName = buildFileName(source.tweetData, source.articleContent, source.isArticle, {
+      template: prefs.fileNameTemplate,
+      quotedFullContent: source.quotedFullContent,
+      dateSource: prefs.fileNameDateSource,
+      savedAt: entry.timestamp,
+    });
+  }
+  entry.related = await findRelatedNotes(entry);
+  if (entry.content) {
+    source.tweetData.images = await saveImageAttachments(source.tweetData.images, entry.fileName, entry.statusId);
+    entry.content.images = source.tweetData.images;
+  }
+  await libraryPut(entry);
+  var written = await saveMarkdownFile(source.tweetData, entry.tldr, source.articleContent, source.quotedFullContent,
+    source.isArticle, await entryMarkdownMode(entry), null,
+    { fileName: entry.fileName, overwrite: overwrite, related: entry.related, savedAt: entry.timestamp });
+  if (!written) throw new Error('保存失败，请在调试信息中查看详情');
+  return { entry: entry };
+}
+
+// Delete an entry and drop it from other entries' related lists (see
+// related.js). Their notes are rewritten in the background when auto-save
+// is on, so their Related sections stop linking to it.
+async function deleteEntry(id) {
+  await libraryDelete(id);
+  var changed = dropRelatedEntry(await libraryGetAll(), id);
+  for (var i = 0; i < changed.length; i++) await libraryPut(changed[i]);
+  updateReviewBadge();
+
+  var prefs = await chrome.storage.sync.get({ autoDownloadMd: true });
+  if (prefs.autoDownloadMd) rewriteRelatedNotes(changed);
+}
+
+// Rewrite the notes of entries whose related list changed, in place
+async function rewriteRelatedNotes(entries) {
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    if (!entry.fileName) continue;
+    var source = entryMarkdownSource(entry);
+    await saveMarkdownFile(source.tweetData, entry.tldr, source.articleContent, source.quotedFullContent,
+      source.isArticle, await entryMarkdownMode(entry), null,
+      { fileName: entry.fileName, overwrite: true, related: entry.related, savedAt: entry.timestamp });
+  }
+}
+
+async function getEntryMarkdown(id) {
+  var entry = await getEntryOrThrow(id);
+  var source = entryMarkdownSource(entry);
+  var markdown = await renderMarkdownFile(source.tweetData, entry.tldr, source.articleContent, source.quotedFullContent,
+    source.isArticle, await entryMarkdownMode(entry), entry.related, entry.timestamp);
+  return { markdown: markdown };
 }
 
 // ── Markdown file saving (native host + chrome.downloads fallback) ───────────
 
-async function saveMarkdownFile(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode, senderTabId) {
+// options.fileName: reuse a known filename instead of building a new one
+// options.overwrite: replace the existing file (duplicate bookmark refresh)
+// options.related: entry.related, written as a "Related" section
+// options.savedAt: the entry's save time (entry.timestamp); defaults to now
+// Resolves true if the file was written.
+async function saveMarkdownFile(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode, senderTabId, options) {
+  options = options || {};
   try {
-    var markdown = buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode);
-    var fileName = buildFileName(tweetData, articleContent, isArticle);
+    var prefs = await chrome.storage.sync.get({ fileNameTemplate: '', fileNameDateSource: 'saved' });
+    var markdown = await renderMarkdownFile(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode,
+      options.related, options.savedAt || Date.now());
+    var fileName = options.fileName
+      || buildFileName(tweetData, articleContent, isArticle, {
+        template: prefs.fileNameTemplate,
+        quotedFullContent: quotedFullContent,
+        dateSource: prefs.fileNameDateSource,
+      });
 
     // 1. Primary: native messaging host (writes to any user-chosen folder)
-    var written = await writeViaNativeHost(markdown, fileName);
-    if (written) return;
+    var written = await writeViaNativeHost(markdown, fileName, options.overwrite);
+    if (written) return true;
 
     // 2. Fallback: content-script download via <a download> tag.
     //    More reliable than chrome.downloads for filename handling on Windows,
     //    where chrome.downloads ignores the filename parameter for data/blob URLs.
-    if (senderTabId) {
+    //    Skipped when overwriting — the browser always uniquifies <a download> —
+    //    for subfolder paths, which <a download> flattens, and for notes with
+    //    saved images, which chrome.downloads put under bookmark-is-learned/.
+    var hasAttachments = (tweetData.images || []).some(function (image) { return image.file; });
+    if (senderTabId && !options.overwrite && !hasAttachments && fileName.indexOf('/') === -1) {
       var csWritten = await writeViaContentScript(senderTabId, markdown, fileName);
-      if (csWritten) return;
+      if (csWritten) return true;
     }
 
     // 3. Last resort: chrome.downloads API (filename may be incorrect on Windows)
-    await writeViaDownloads(markdown, fileName);
+    return await writeViaDownloads(markdown, fileName, options.overwrite);
   } catch (err) {
     console.log('[background] saveMarkdownFile error:', err.message);
     // Log save failure for debug info display in popup
     chrome.storage.local.set({
       lastSave: { timestamp: Date.now(), success: false, error: err.message },
     });
+    return false;
   }
 }
 
+// Markdown file content, with YAML frontmatter when the user enabled it
+async function renderMarkdownFile(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode, related,
+  savedAt) {
+  var prefs = await chrome.storage.sync.get({ frontmatterEnabled: false, frontmatterTags: '' });
+  var frontmatter = prefs.frontmatterEnabled ? { tags: parseTagList(prefs.frontmatterTags) } : null;
+  return buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode, frontmatter, related,
+    savedAt);
+}
+
 // Write markdown via the native messaging host.
 // Reads the user's chosen folder path from sync storage and sends the
 // file content to the Python host for writing.
 // Returns true on success, false if the host is not installed or write fails.
-async function writeViaNativeHost(markdown, fileName) {
+async function writeViaNativeHost(markdown, fileName, overwrite) {
   try {
     var syncData = await chrome.storage.sync.get({ mdFolderPath: '' });
     if (!syncData.mdFolderPath) return false;
@@ -147,6 +957,7 @@ async function writeViaNativeHost(markdown, fileName) {
       action: 'write_file',
       path: fullPath,
       content: markdown,
+      overwrite: !!overwrite,
     });
     if (response && response.success) {
       chrome.storage.local.set({
@@ -189,7 +1000,7 @@ async function writeViaContentScript(tabId, markdown, fileName) {
 // Uses Blob URL instead of data URL because Windows Chrome ignores the
 // `filename` parameter for data: URL downloads, producing generic names
 // like "下载.txt" instead of the specified filename with .md extension.
-async function writeViaDownloads(markdown, fileName) {
+async function writeViaDownloads(markdown, fileName, overwrite) {
   var fullPath = 'bookmark-is-learned/' + fileName;
 
   // Prefer Blob URL — works in service workers since Chrome 116+ and
@@ -209,39 +1020,151 @@ async function writeViaDownloads(markdown, fileName) {
     url: downloadUrl,
     filename: fullPath,
     saveAs: false,
-    conflictAction: 'uniquify',
+    conflictAction: overwrite ? 'overwrite' : 'uniquify',
   });
 
   // Wait for actual download completion before logging result
+  var state = await waitForDownload(downloadId, blobUrl);
+  if (state === 'interrupted') {
+    chrome.storage.local.set({
+      lastSave: { timestamp: Date.now(), success: false, error: 'download interrupted', method: 'downloads' },
+    });
+    return false;
+  }
+  if (state === 'complete') {
+    chrome.storage.local.set({
+      lastSave: { timestamp: Date.now(), success: true, path: 'Downloads/' + fullPath, method: 'downloads' },
+    });
+  }
+  // A timed-out download was started, so report it as written
+  return true;
+}
+
+// Resolve with 'complete', 'interrupted' or 'timeout' (no state change
+// within 30s), then revoke blobUrl if one was used
+function waitForDownload(downloadId, blobUrl) {
   return new Promise(function (resolve) {
-    function cleanupBlob() {
+    var timer = null;
+    function finish(state) {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      clearTimeout(timer);
       if (blobUrl) {
         // Small delay so Chrome finishes reading the blob before we revoke it
         setTimeout(function () { URL.revokeObjectURL(blobUrl); }, 5000);
       }
+      resolve(state);
     }
     function onChanged(delta) {
-      if (delta.id !== downloadId) return;
-      if (delta.state && delta.state.current === 'complete') {
-        chrome.downloads.onChanged.removeListener(onChanged);
-        cleanupBlob();
-        chrome.storage.local.set({
-          lastSave: { timestamp: Date.now(), success: true, path: 'Downloads/' + fullPath, method: 'downloads' },
-        });
-        resolve();
-      } else if (delta.state && delta.state.current === 'interrupted') {
-        chrome.downloads.onChanged.removeListener(onChanged);
-        cleanupBlob();
-        chrome.storage.local.set({
-          lastSave: { timestamp: Date.now(), success: false, error: 'download interrupted', method: 'downloads' },
-        });
-        resolve();
-      }
+      if (delta.id !== downloadId || !delta.state) return;
+      if (delta.state.current === 'complete' || delta.state.current === 'interrupted') finish(delta.state.current);
     }
     chrome.downloads.onChanged.addListener(onChanged);
-    // Safety timeout: resolve after 30s even if no state change fires
-    setTimeout(function () { chrome.downloads.onChanged.removeListener(onChanged); cleanupBlob(); resolve(); }, 30000);
+    timer = setTimeout(function () { finish('timeout'); }, 30000);
+  });
+}
+
+// ── Image attachments (see filenames.js) ─────────────────────────────────────
+//
+// Images are fetched from pbs.twimg.com and written next to the note through
+// the same chain as the note itself: native host (base64 over native
+// messaging) when a save folder is set, else chrome.downloads. Attachment names follow the note's
+// name and the post's status ID, so re-saving a post overwrites its own
+// images only. A note with attachments is never written through the
+// content script: <a download> lands in the Downloads root, away from the
+// attachments/ folder. Sync settings: saveImages, imageMaxMB (per-image cap).
+
+// Resolves with a copy of images where each saved one has `file` (its path
+// relative to the note). Skipped, oversized and failed images have no
+// `file` and are linked remotely in the Markdown.
+async function saveImageAttachments(images, noteFileName, statusId) {
+  images = (images || []).map(function (image) {
+    return { url: image.url, alt: image.alt || '', quoted: !!image.quoted };
+  });
+  var prefs = await chrome.storage.sync.get({ saveImages: true, imageMaxMB: 5 });
+  if (!prefs.saveImages || !noteFileName) return images;
+
+  var maxBytes = prefs.imageMaxMB * 1024 * 1024;
+  for (var i = 0; i < images.length; i++) {
+    var relativePath = attachmentPath(noteFileName, i, images[i].url, statusId);
+    try {
+      var blob = await fetchImageBlob(images[i].url, maxBytes);
+      if (await writeAttachment(blob, attachmentFullPath(noteFileName, relativePath))) {
+        images[i].file = relativePath;
+      }
+    } catch (err) {
+      console.log('[background] image attachment skipped:', images[i].url, err.message);
+    }
+  }
+  return images;
+}
+
+async function fetchImageBlob(url, maxBytes) {
+  var response = await fetch(url);
+  if (!response.ok) throw new Error('HTTP ' + response.status);
+  var length = Number(response.headers.get('content-length'));
+  if (length > maxBytes) throw new Error('larger than the size cap');
+  var blob = await response.blob();
+  if (blob.size > maxBytes) throw new Error('larger than the size cap');
+  return blob;
+}
+
+// With a save folder set, images are written only by the native host: a
+// chrome.downloads copy would land in Downloads while the note is written to
+// the folder, breaking its embeds. The image then stays a remote link and
+// the failure is shown in the popup's debug info.
+async function writeAttachment(blob, fileName) {
+  var syncData = await chrome.storage.sync.get({ mdFolderPath: '' });
+  if (syncData.mdFolderPath) {
+    var error;
+    try {
+      var response = await chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, {
+        action: 'write_binary',
+        path: syncData.mdFolderPath + '/' + fileName,
+        content: await blobToBase64(blob),
+        overwrite: true,
+      });
+      if (response && response.success) {
+        chrome.storage.local.remove('lastImageSave');
+        return true;
+      }
+      // Hosts installed before write_binary existed answer "unknown action"
+      error = (response && response.error) || 'no response';
+    } catch (err) {
+      error = err.message;
+    }
+    console.log('[background] Native host image write failed:', error);
+    chrome.storage.local.set({
+      lastImageSave: { timestamp: Date.now(), error: error },
+    });
+    return false;
+  }
+
+  // Blob URL as in writeViaDownloads, data URL where the worker lacks one
+  var downloadUrl;
+  var blobUrl = null;
+  try {
+    blobUrl = URL.createObjectURL(blob);
+    downloadUrl = blobUrl;
+  } catch (_) {
+    downloadUrl = 'data:' + (blob.type || 'application/octet-stream') + ';base64,' + await blobToBase64(blob);
+  }
+  var downloadId = await chrome.downloads.download({
+    url: downloadUrl,
+    filename: 'bookmark-is-learned/' + fileName,
+    saveAs: false,
+    conflictAction: 'overwrite',
   });
+  return (await waitForDownload(downloadId, blobUrl)) !== 'interrupted';
+}
+
+async function blobToBase64(blob) {
+  var bytes = new Uint8Array(await blob.arrayBuffer());
+  var binary = '';
+  // Chunked so String.fromCharCode doesn't exceed the argument limit
+  for (var i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
 // Strip metadata prefix from article body that duplicates the markdown header.
@@ -292,19 +1215,64 @@ function escapeMarkdownLinkText(text) {
   return text.replace(/[[\]]/g, '\\$&');
 }
 
-// Build the markdown content string from tweet data and TLDR result
-function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode) {
+// "## Images" lines. Saved attachments (image.file) are embedded by their
+// path relative to the note, the rest from X's servers; alt text is repeated
+// below each image so it stays searchable.
+function buildImageSection(images) {
+  var lines = ['## Images', ''];
+  function addImage(image) {
+    var alt = (image.alt || '').replace(/\s+/g, ' ').trim();
+    var target = image.file ? encodeURI(image.file) : image.url;
+    lines.push('![' + escapeMarkdownLinkText(alt) + '](' + escapeMarkdownLinkUrl(target) + ')');
+    if (alt) lines.push('> ' + alt);
+    lines.push('');
+  }
+
+  images.filter(function (image) { return !image.quoted; }).forEach(addImage);
+  var quoted = images.filter(function (image) { return image.quoted; });
+  if (quoted.length > 0) {
+    lines.push('### Quoted Post Images');
+    lines.push('');
+    quoted.forEach(addImage);
+  }
+  return lines;
+}
+
+// Build the markdown content string from tweet data and TLDR result.
+// frontmatter (optional): { tags } — prepend a YAML frontmatter block
+// related (optional): entry.related — append a "Related" section (related.js)
+// savedAt: when the bookmark was saved (entry.timestamp), shown as **Saved**
+function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent, isArticle, mode, frontmatter, related,
+  savedAt) {
   var author = tweetData.author || 'unknown';
   var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
-  var now = new Date();
-  var dateStr = now.getFullYear() + '-'
-    + String(now.getMonth() + 1).padStart(2, '0') + '-'
-    + String(now.getDate()).padStart(2, '0') + ' '
-    + String(now.getHours()).padStart(2, '0') + ':'
-    + String(now.getMinutes()).padStart(2, '0');
+  var saved = new Date(savedAt);
+  var posted = postedDate(tweetData, articleContent);
 
   var lines = [];
 
+  if (frontmatter) {
+    var contentType = getContentType(tweetData, quotedFullContent, isArticle);
+    lines = lines.concat(buildFrontmatter({
+      author: author.split('\n')[0],
+      handle: extractHandle(tweetUrl),
+      status_id: extractStatusId(tweetUrl),
+      source: tweetUrl,
+      title: isArticle && articleContent ? articleContent.title : '',
+      posted: posted ? posted.toISOString() : '',
+      saved: saved.toISOString(),
+      type: contentType,
+      replies: metricCount(tweetData.metrics, 'replies'),
+      retweets: metricCount(tweetData.metrics, 'retweets'),
+      likes: metricCount(tweetData.metrics, 'likes'),
+      views: metricCount(tweetData.metrics, 'views'),
+      credibility: parseCredibilityScore(tldr),
+      links: tweetData.referencedUrls || [],
+      tags: mergeTags(frontmatter.tags, entityTags(tweetData)),
+    }));
+    lines.push('');
+  }
+
   // Title
   var title = isArticle && articleContent && articleContent.title
     ? articleContent.title
@@ -315,7 +1283,20 @@ function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent
   // Metadata block
   lines.push('> **Author**: ' + author);
   lines.push('> **Source**: ' + tweetUrl);
-  lines.push('> **Date**: ' + dateStr);
+  if (posted) lines.push('> **Posted**: ' + formatNoteDate(posted));
+  lines.push('> **Saved**: ' + formatNoteDate(saved));
+
+  // Linked #hashtags / @mentions / $cashtags (if captured)
+  var entityLines = [
+    ['Hashtags', '#', tweetData.hashtags],
+    ['Mentions', '@', tweetData.mentions],
+    ['Cashtags', '$', tweetData.cashtags],
+  ];
+  entityLines.forEach(function (row) {
+    if (row[2] && row[2].length > 0) {
+      lines.push('> **' + row[0] + '**: ' + row[2].map(function (name) { return row[1] + name; }).join(' '));
+    }
+  });
 
   // Engagement metrics (if available)
   var metrics = tweetData.metrics;
@@ -352,6 +1333,8 @@ function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent
         lines.push('');
       }
       lines.push(cleanBody);
+    } else if (tweetData.thread && tweetData.thread.length > 1) {
+      lines = lines.concat(buildThreadSection(tweetData.thread));
     } else if (tweetData.text) {
       lines.push(tweetData.text);
     } else if (tweetData.cardText) {
@@ -370,6 +1353,11 @@ function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent
       var quotedBy = tweetData.quotedAuthor || 'unknown';
       lines.push('### Quoted Content (by ' + quotedBy + ')');
       lines.push('');
+      var quotedPosted = postedDate({ postedAt: tweetData.quotedPostedAt }, quotedFullContent);
+      if (quotedPosted) {
+        lines.push('> **Posted**: ' + formatNoteDate(quotedPosted));
+        lines.push('');
+      }
       lines.push(quotedBody);
       lines.push('');
     }
@@ -393,60 +1381,150 @@ function buildMarkdownContent(tweetData, tldr, articleContent, quotedFullContent
     }
   }
 
+  if (tweetData.poll) {
+    lines = lines.concat(buildPollSection(tweetData.poll));
+  }
+
+  lines = lines.concat(buildReaderContextSection(tweetData.communityNote, tweetData.replies));
+
+  if (tweetData.images && tweetData.images.length > 0) {
+    lines = lines.concat(buildImageSection(tweetData.images));
+  }
+
+  lines = lines.concat(buildRelatedSection(related));
+
   return lines.join('\n');
 }
 
-// Build a sanitized filename like "handle-title-20260211-143022.md"
-// Format: x-account handle, title (article title or tweet excerpt), timestamp
-function buildFileName(tweetData, articleContent, isArticle) {
-  // Extract X handle from tweet URL (e.g., "https://x.com/elonmusk/status/123")
-  var handle = 'unknown';
-  var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
-  try {
-    var pathname = new URL(tweetUrl).pathname;
-    var firstSegment = pathname.split('/')[1];
-    if (firstSegment) handle = firstSegment;
-  } catch (_) { /* use default */ }
-
-  // Derive a short title from article title or tweet text
-  var title = '';
-  if (isArticle && articleContent && articleContent.title) {
-    title = articleContent.title;
-  } else {
-    title = tweetData.text || tweetData.cardText || tweetData.fallbackText || '';
-  }
-
-  // Sanitize handle and title for use in filenames:
-  // - Remove control characters (U+0000–U+001F, U+007F) and null bytes
-  // - Replace filesystem-unsafe characters
-  // - Strip leading dots to prevent hidden files
-  var safeHandle = handle
-    .replace(/[\x00-\x1f\x7f]/g, '')
-    .replace(/[\\/:*?"<>|]/g, '_')
-    .replace(/^\.+/, '')
-    .trim().slice(0, 30);
-  var safeTitle = title
-    .replace(/[\n\r]+/g, ' ')
-    .replace(/[\x00-\x1f\x7f]/g, '')
-    .replace(/[\\/:*?"<>|]/g, '_')
-    .replace(/^\.+/, '')
-    .trim()
-    .slice(0, 50);
-  // Remove trailing incomplete words if title was truncated
-  if (title.length > 50) {
-    var lastSpace = safeTitle.lastIndexOf(' ');
-    if (lastSpace > 20) safeTitle = safeTitle.slice(0, lastSpace);
-  }
-  if (!safeTitle) safeTitle = 'untitled';
-
-  var now = new Date();
-  var timeStamp = now.getFullYear()
-    + String(now.getMonth() + 1).padStart(2, '0')
-    + String(now.getDate()).padStart(2, '0')
-    + '-' + String(now.getHours()).padStart(2, '0')
-    + String(now.getMinutes()).padStart(2, '0')
-    + String(now.getSeconds()).padStart(2, '0');
-  return safeHandle + '-' + safeTitle + '-' + timeStamp + '.md';
+// Local "YYYY-MM-DD HH:MM" for the note header
+function formatNoteDate(date) {
+  return date.getFullYear() + '-'
+    + String(date.getMonth() + 1).padStart(2, '0') + '-'
+    + String(date.getDate()).padStart(2, '0') + ' '
+    + String(date.getHours()).padStart(2, '0') + ':'
+    + String(date.getMinutes()).padStart(2, '0');
+}
+
+// One numbered section per post of an unrolled thread, each with its own
+// permalink. The caller adds the blank line after the last post.
+function buildThreadSection(thread) {
+  var lines = [];
+  thread.forEach(function (post, i) {
+    lines.push('### ' + (i + 1) + '/' + thread.length);
+    lines.push('');
+    if (post.url) {
+      lines.push('[Permalink](' + escapeMarkdownLinkUrl(post.url) + ')');
+      lines.push('');
+    }
+    lines.push(post.text || '*(no text)*');
+    if (i < thread.length - 1) lines.push('');
+  });
+  return lines;
+}
+
+// "## Poll" section: a table of options and results, then the vote count
+function buildPollSection(poll) {
+  var hasResults = poll.options.some(function (option) { return option.percent; });
+  var lines = ['## Poll', ''];
+  lines.push(hasResults ? '| Option | Result |' : '| Option |');
+  lines.push(hasResults ? '| --- | ---: |' : '| --- |');
+  poll.options.forEach(function (option) {
+    var label = option.label.replace(/\|/g, '\\|');
+    lines.push(hasResults ? '| ' + label + ' | ' + (option.percent || '') + ' |' : '| ' + label + ' |');
+  });
+  lines.push('');
+  if (poll.votes) {
+    lines.push('*' + poll.votes + ' votes' + (poll.status ? ' · ' + poll.status : '') + '*');
+    lines.push('');
+  }
+  return lines;
+}
+
+// "## Community Note" and "## Top Replies" sections ([] when there are neither)
+function buildReaderContextSection(communityNote, replies) {
+  var lines = [];
+  if (communityNote) {
+    lines.push('## Community Note');
+    lines.push('');
+    communityNote.split('\n').forEach(function (line) { lines.push('> ' + line); });
+    lines.push('');
+  }
+  if (replies && replies.length > 0) {
+    lines.push('## Top Replies');
+    lines.push('');
+    replies.forEach(function (reply, i) {
+      var line = (i + 1) + '. **' + escapeMarkdownLinkText(reply.author || 'unknown') + '**: '
+        + reply.text.replace(/\s+/g, ' ');
+      if (reply.url) line += ' · [Link](' + escapeMarkdownLinkUrl(reply.url) + ')';
+      lines.push(line);
+    });
+    lines.push('');
+  }
+  return lines;
+}
+
+// ── YAML frontmatter ─────────────────────────────────────────────────────────
+
+// Serialize fields as a YAML frontmatter block (array of lines).
+// Empty values are omitted; strings are always double-quoted so IDs keep
+// their digits, numbers are written bare.
+function buildFrontmatter(fields) {
+  var lines = ['---'];
+  Object.keys(fields).forEach(function (key) {
+    var value = fields[key];
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      lines.push(key + ':');
+      value.forEach(function (item) { lines.push('  - ' + yamlScalar(item)); });
+    } else {
+      lines.push(key + ': ' + yamlScalar(value));
+    }
+  });
+  lines.push('---');
+  return lines;
+}
+
+// JSON strings are valid YAML double-quoted scalars
+function yamlScalar(value) {
+  if (typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+// Engagement count as a number so Dataview can sort and compare it.
+// Counts X only shows abbreviated (e.g. "1.2K") are kept as strings.
+function metricCount(metrics, key) {
+  if (!metrics || !metrics[key]) return '';
+  return /^\d+$/.test(metrics[key]) ? Number(metrics[key]) : metrics[key];
+}
+
+// Tags for a post: its hashtags (from the captured links, else parsed from
+// the text), then $cashtags and @mentions as nested cashtag/… and mention/…
+// tags
+function entityTags(tweetData) {
+  var hashtags = tweetData.hashtags
+    ? tweetData.hashtags.map(function (tag) { return tag.toLowerCase(); })
+    : extractHashtags(tweetData.text || '');
+  return hashtags
+    .concat((tweetData.cashtags || []).map(function (tag) { return 'cashtag/' + tag; }))
+    .concat((tweetData.mentions || []).map(function (name) { return 'mention/' + name; }));
+}
+
+// Comma / whitespace separated tag setting → clean tag list
+function parseTagList(value) {
+  return (value || '').split(/[,，\s]+/).map(function (t) {
+    return t.replace(/^#/, '').trim();
+  }).filter(Boolean);
+}
+
+function mergeTags(a, b) {
+  var seen = {};
+  return a.concat(b).filter(function (tag) {
+    var key = tag.toLowerCase();
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
 }
 
 // ── API Key encryption (AES-GCM via Web Crypto API) ─────────────────────────
@@ -488,15 +1566,11 @@ function isAllowedFetchUrl(url) {
 
 // ── Main handler ────────────────────────────────────────────────────────────────
 
-async function handleTLDRRequest(tweetData, articleUrl, quotedTweetUrl) {
-  const settings = await chrome.storage.sync.get({
-    provider: 'openai',
-    language: 'zh-CN',
-    model: '',
-    baseUrl: '',
-    mdMode: 'tldr',
-    aiEnabled: true,
-  });
+// onChunk (optional) receives the accumulated TLDR text while the provider
+// streams its response; the resolved result always carries the final text.
+// onStatus (optional) receives progress captions for the steps before it.
+async function handleTLDRRequest(tweetData, articleUrl, quotedTweetUrl, onChunk, onStatus) {
+  const { threadUnroll, replyContextCount } = await chrome.storage.sync.get({ threadUnroll: true, replyContextCount: 0 });
 
   // Fetch full article content if an article URL was detected
   let articleContent = null;
@@ -504,6 +1578,20 @@ async function handleTLDRRequest(tweetData, articleUrl, quotedTweetUrl) {
     articleContent = await fetchPageContent(articleUrl);
   }
 
+  // One visit to the post's page unrolls its self-thread (when content.js
+  // flagged one) and reads the top replies (when enabled)
+  const wantThread = threadUnroll && tweetData.maybeThread && !articleUrl && !tweetData.thread;
+  const maxReplies = tweetData.replies ? 0 : Math.max(0, Number(replyContextCount) || 0);
+  if (wantThread || maxReplies > 0) {
+    if (onStatus) onStatus(wantThread ? '正在展开推文串…' : '正在读取热门回复…');
+    const conversation = await fetchConversation(tweetData.tweetUrl, maxReplies);
+    if (conversation) {
+      if (wantThread && conversation.posts.length > 1) tweetData.thread = conversation.posts;
+      if (conversation.replies.length > 0) tweetData.replies = conversation.replies;
+      if (!tweetData.communityNote) tweetData.communityNote = conversation.communityNote;
+    }
+  }
+
   // Fetch full quoted tweet / thread content if:
   //   - a quoted-tweet URL was detected, AND
   //   - the inline preview text is short (< 500 chars) — meaning likely truncated
@@ -511,10 +1599,26 @@ async function handleTLDRRequest(tweetData, articleUrl, quotedTweetUrl) {
   if (quotedTweetUrl) {
     const inlineLen = (tweetData.quotedText || '').length;
     if (inlineLen < 500) {
-      quotedFullContent = await fetchPageContent(quotedTweetUrl);
+      quotedFullContent = await fetchPageContent(quotedTweetUrl, { thread: threadUnroll });
     }
   }
 
+  return summarizeCapturedContent(tweetData, articleContent, quotedFullContent, onChunk, onStatus);
+}
+
+// Run the LLM over already-captured content with the current settings.
+// Shared by live bookmarks and history regeneration (which reuses the
+// content stored in the library instead of refetching the pages).
+async function summarizeCapturedContent(tweetData, articleContent, quotedFullContent, onChunk, onStatus) {
+  const settings = await chrome.storage.sync.get({
+    language: 'zh-CN',
+    mdMode: 'tldr',
+    aiEnabled: true,
+    factCheckEnabled: true,
+    longContentBudget: DEFAULT_LONG_CONTENT_BUDGET,
+    visionMode: 'auto',
+  });
+
   const isArticle = !!(articleContent && articleContent.body);
 
   // If AI is disabled, skip LLM call — return raw content for markdown-only saving
@@ -524,54 +1628,100 @@ async function handleTLDRRequest(tweetData, articleUrl, quotedTweetUrl) {
 
   // Generate TLDR via LLM — both modes show it in the popup card,
   // and original mode also includes it in the saved markdown.
-  // Read encrypted API key from local storage (skipped for local-claude provider)
-  var apiKey;
-  if (settings.provider !== 'local-claude') {
-    var localData = await chrome.storage.local.get('encryptedApiKey');
-    if (!localData.encryptedApiKey) {
-      throw new Error('请先在插件设置中填写 API Key');
+  const llm = await getLLMConfig();
+  const hasQuotedFull = !!(quotedFullContent && quotedFullContent.body);
+
+  // Content over the budget is summarized part by part first (map), and the
+  // final prompt sees the ordered part summaries instead (reduce). The
+  // original objects are returned untouched for the Markdown file.
+  const budget = Math.max(MIN_LONG_CONTENT_BUDGET, Number(settings.longContentBudget) || DEFAULT_LONG_CONTENT_BUDGET);
+  let promptArticle = articleContent;
+  let promptQuoted = quotedFullContent;
+  if (isArticle && articleContent.body.length > budget) {
+    promptArticle = await summarizeInChunks(llm, articleContent, budget, settings.language, onStatus);
+  }
+  if (hasQuotedFull && quotedFullContent.body.length > budget) {
+    promptQuoted = await summarizeInChunks(llm, quotedFullContent, budget, settings.language, onStatus);
+  }
+  // Long unrolled threads go through the same map step
+  const hasThread = !!(tweetData.thread && tweetData.thread.length > 1);
+  let promptTweet = tweetData;
+  if (hasThread) {
+    const threadText = formatThreadForPrompt(tweetData.thread);
+    if (threadText.length > budget) {
+      const threadDigest = await summarizeInChunks(llm, { title: '', body: threadText }, budget, settings.language, onStatus);
+      promptTweet = Object.assign({}, tweetData, { threadDigest: threadDigest });
+    }
+  }
+  const isChunked = promptArticle !== articleContent || promptQuoted !== quotedFullContent
+    || promptTweet !== tweetData;
+
+  // Prompt templates (prompts.js); user overrides are stored per content type
+  const { promptTemplates } = await chrome.storage.local.get({ promptTemplates: {} });
+  const prompt = buildPrompt(promptTweet, promptArticle, promptQuoted, settings.language, isArticle, hasQuotedFull, {
+    templates: promptTemplates,
+    factCheck: settings.factCheckEnabled,
+  });
+  const maxTokens = isChunked ? 3000 : ((isArticle || hasQuotedFull || hasThread) ? 2000 : 1000);
+  const images = collectPromptImages(tweetData, articleContent);
+  const tldr = await callLLMWithImages(llm, prompt, images, settings.visionMode, maxTokens, onChunk);
+
+  return { tldr, articleContent, quotedFullContent, isArticle, mode: settings.mdMode };
+}
+
+// Resolve the selected provider, its API key, endpoint and model.
+// Per-provider settings live in sync `providerConfigs` ({ model, baseUrl })
+// and local `encryptedApiKeys`; the legacy single `model` / `baseUrl` /
+// `encryptedApiKey` fields are read until the popup migrates them.
+async function getLLMConfig() {
+  var syncData = await chrome.storage.sync.get({
+    provider: 'openai',
+    providerConfigs: {},
+    model: '',
+    baseUrl: '',
+  });
+  var providerId = syncData.provider;
+  var provider = PROVIDERS[providerId];
+  if (!provider) throw new Error('不支持的模型: ' + providerId);
+
+  var config = syncData.providerConfigs[providerId]
+    || { model: syncData.model, baseUrl: syncData.baseUrl };
+
+  // Read encrypted API key from local storage (skipped for key-less providers)
+  var apiKey = '';
+  if (providerNeedsApiKey(provider)) {
+    var localData = await chrome.storage.local.get({ encryptedApiKeys: {}, encryptedApiKey: null });
+    var encrypted = localData.encryptedApiKeys[providerId] || localData.encryptedApiKey;
+    if (!encrypted) {
+      throw new Error('请先在插件设置中填写 ' + provider.name + ' 的 API Key');
     }
     try {
-      apiKey = await decryptApiKey(localData.encryptedApiKey);
+      apiKey = await decryptApiKey(encrypted);
     } catch (_) {
       throw new Error('API Key 解密失败，请重新保存 API Key');
     }
     if (!apiKey) {
-      throw new Error('请先在插件设置中填写 API Key');
+      throw new Error('请先在插件设置中填写 ' + provider.name + ' 的 API Key');
     }
   }
 
-  const hasQuotedFull = !!(quotedFullContent && quotedFullContent.body);
-  const prompt = buildPrompt(tweetData, articleContent, quotedFullContent, settings.language, isArticle, hasQuotedFull);
-  const maxTokens = (isArticle || hasQuotedFull) ? 2000 : 1000;
-  const endpoint = await resolveApiEndpoint(settings.provider, settings.baseUrl);
-
-  let tldr;
-  switch (settings.provider) {
-    case 'openai':
-      tldr = await callOpenAICompatible(apiKey, endpoint, settings.model || 'gpt-4o-mini', prompt, maxTokens, 'OpenAI');
-      break;
-    case 'claude':
-      tldr = await callClaude(apiKey, endpoint, settings.model || 'claude-sonnet-4-20250514', prompt, maxTokens);
-      break;
-    case 'kimi':
-      tldr = await callOpenAICompatible(apiKey, endpoint, settings.model || 'moonshot-v1-8k', prompt, maxTokens, 'Kimi');
-      break;
-    case 'zhipu':
-      tldr = await callOpenAICompatible(apiKey, endpoint, settings.model || 'glm-4-flash', prompt, maxTokens, '智谱');
-      break;
-    case 'local-claude':
-      tldr = await callLocalClaude(prompt);
-      break;
-    default:
-      throw new Error('不支持的模型: ' + settings.provider);
-  }
+  return {
+    providerId: providerId,
+    provider: provider,
+    apiKey: apiKey,
+    model: config.model || provider.defaultModel,
+    endpoint: provider.format === 'native-host' ? '' : await resolveApiEndpoint(provider, config.baseUrl),
+  };
+}
 
-  return { tldr, articleContent, quotedFullContent, isArticle, mode: settings.mdMode };
+// Call the configured LLM with a { system, user } prompt and return its text
+async function callLLM(llm, prompt, maxTokens, onChunk) {
+  if (llm.provider.format === 'native-host') return callLocalClaude(prompt);
+  return callProvider(llm.provider, llm.apiKey, llm.endpoint, llm.model, prompt, maxTokens, onChunk);
 }
 
 async function resolveApiEndpoint(provider, baseUrl) {
-  if (!baseUrl) return PROVIDER_DEFAULT_ENDPOINTS[provider];
+  if (!baseUrl) return provider.endpoint;
 
   var parsed;
   try {
@@ -582,21 +1732,20 @@ async function resolveApiEndpoint(provider, baseUrl) {
 
   await ensureBaseUrlPermission(parsed.origin);
 
-  var path = parsed.pathname.replace(/\/+$/, '');
-  // If the path already ends with the full API route, use it as-is
-  if (/\/v\d+\/(chat\/completions|messages)$/i.test(path)) {
-    return parsed.origin + path;
-  }
+  return parsed.origin + completeEndpointPath(parsed.pathname, PROVIDER_FORMATS[provider.format]);
+}
 
-  var suffix = provider === 'claude' ? '/messages' : '/chat/completions';
-  // If the path ends with a version segment (e.g. /v1, /v4), append the suffix
-  if (/\/v\d+$/i.test(path)) {
-    return parsed.origin + path + suffix;
-  }
-  if (!path || path === '/') {
-    return parsed.origin + '/v1' + suffix;
-  }
-  return parsed.origin + path + suffix;
+// Expand the path of a user-supplied Base URL into the full API route:
+//   ''                     → versionPath + apiSuffix  (e.g. /v1/chat/completions)
+//   '/v1', '/api/v4'       → path + apiSuffix
+//   '/v1/chat/completions' → unchanged (already the full route)
+function completeEndpointPath(pathname, format) {
+  var path = pathname.replace(/\/+$/, '');
+  var suffix = format.apiSuffix;
+  // If the path already ends with the full API route, use it as-is
+  if (suffix && path.toLowerCase().endsWith(suffix)) return path;
+  if (!path) return format.versionPath + suffix;
+  return path + suffix;
 }
 
 function ensureBaseUrlPermission(origin) {
@@ -623,10 +1772,81 @@ function ensureBaseUrlPermission(origin) {
   });
 }
 
+// ── Image understanding ─────────────────────────────────────────────────────────
+
+// Larger images are described by their alt text only; providers reject
+// inline images of a few MB and they cost a lot of tokens anyway
+var PROMPT_IMAGE_MAX_BYTES = 4 * 1024 * 1024;
+var PROMPT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// X serves a downscaled rendition with name=medium, plenty for a summary
+function visionImageUrl(url) {
+  try {
+    var parsed = new URL(url);
+    if (parsed.hostname !== 'pbs.twimg.com') return url;
+    parsed.searchParams.set('name', 'medium');
+    return parsed.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+// Download images for the prompt: [{ image, mediaType, data }]. Images that
+// fail, are too large or are in an unsupported format are left out.
+async function loadPromptImages(images) {
+  var loaded = [];
+  for (var i = 0; i < images.length; i++) {
+    try {
+      var blob = await fetchImageBlob(visionImageUrl(images[i].url), PROMPT_IMAGE_MAX_BYTES);
+      var mediaType = (blob.type || '').split(';')[0];
+      if (PROMPT_IMAGE_TYPES.indexOf(mediaType) === -1) throw new Error('unsupported type ' + mediaType);
+      loaded.push({ image: images[i], mediaType: mediaType, data: await blobToBase64(blob) });
+    } catch (err) {
+      console.log('[background] prompt image skipped:', images[i].url, err.message);
+    }
+  }
+  return loaded;
+}
+
+// callLLM with the post's images attached when the model accepts them
+// (visionMode: 'auto' | 'always' | 'off'). If the provider rejects the
+// request with images (HTTP 400) before any text streamed, it is retried
+// once as text only, with the images' alt text; other failures (auth, rate
+// limits, broken streams) are thrown for the retry queue.
+async function callLLMWithImages(llm, prompt, images, visionMode, maxTokens, onChunk) {
+  if (!images || images.length === 0) return callLLM(llm, prompt, maxTokens, onChunk);
+  var textOnly = appendImageContext(prompt, images, false);
+  if (!providerAcceptsImages(llm.provider, llm.model, visionMode)) {
+    return callLLM(llm, textOnly, maxTokens, onChunk);
+  }
+
+  var loaded = await loadPromptImages(images);
+  if (loaded.length === 0) return callLLM(llm, textOnly, maxTokens, onChunk);
+
+  var withImages = appendImageContext(prompt, loaded.map(function (item) { return item.image; }), true);
+  withImages.images = loaded.map(function (item) {
+    return { mediaType: item.mediaType, data: item.data };
+  });
+  var streamed = false;
+  try {
+    return await callLLM(llm, withImages, maxTokens, onChunk && function (text) {
+      streamed = true;
+      onChunk(text);
+    });
+  } catch (err) {
+    if (err.status !== 400 || streamed) throw err;
+    console.log('[background] images rejected, retrying as text:', err.message);
+    return callLLM(llm, textOnly, maxTokens, onChunk);
+  }
+}
+
 // ── Page content fetching (articles & quoted tweets) ────────────────────────────
 
-async function fetchPageContent(pageUrl) {
+// options.thread: on a post page, unroll the author's whole thread with
+// extractConversation (falling back to extractPageContent if that finds nothing)
+async function fetchPageContent(pageUrl, options) {
   if (!isAllowedFetchUrl(pageUrl)) return null;
+  options = options || {};
 
   // Extract the numeric ID from the URL (article ID or status ID) for
   // verification inside the background tab.  X is a SPA with aggressive
@@ -644,6 +1864,27 @@ async function fetchPageContent(pageUrl) {
 
     await waitForTabLoad(tabId, 15000);
     await sleep(4000);
+    await injectSelectorRegistry(tabId);
+
+    if (options.thread && !isArticleUrl) {
+      const threadResults = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: extractConversation,
+        args: [expectedId, 0],
+      });
+      const conversation = threadResults && threadResults[0] && threadResults[0].result;
+      const posts = conversation && conversation.posts;
+      if (posts && posts.length > 0) {
+        await chrome.tabs.remove(tabId);
+        tabId = null;
+        return {
+          title: '',
+          body: posts.map(function (post) { return post.text; }).filter(Boolean).join('\n\n'),
+          postedAt: posts[0].postedAt,
+          posts: posts,
+        };
+      }
+    }
 
     const results = await chrome.scripting.executeScript({
       target: { tabId },
@@ -661,6 +1902,45 @@ async function fetchPageContent(pageUrl) {
   }
 }
 
+// The post's page as read by extractConversation: { posts, replies,
+// communityNote }, or null if the page couldn't be read
+async function fetchConversation(tweetUrl, maxReplies) {
+  if (!isAllowedFetchUrl(tweetUrl)) return null;
+  var expectedId = extractStatusId(tweetUrl);
+  if (!expectedId) return null;
+
+  var tabId = null;
+  try {
+    var tab = await chrome.tabs.create({ url: tweetUrl, active: false });
+    tabId = tab.id;
+
+    await waitForTabLoad(tabId, 15000);
+    await sleep(3000);
+    await injectSelectorRegistry(tabId);
+
+    var results = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: extractConversation,
+      args: [expectedId, maxReplies],
+    });
+
+    await chrome.tabs.remove(tabId);
+    tabId = null;
+
+    return (results && results[0] && results[0].result) || null;
+  } catch (err) {
+    console.log('[background] reading the post page failed:', err.message);
+    if (tabId) { try { await chrome.tabs.remove(tabId); } catch (_) { /* ignore */ } }
+    return null;
+  }
+}
+
+// The page readers (extractPageContent, extractConversation) look elements
+// up through selectors.js; load it into the tab's extension world first
+function injectSelectorRegistry(tabId) {
+  return chrome.scripting.executeScript({ target: { tabId: tabId }, files: ['selectors.js'] });
+}
+
 function waitForTabLoad(tabId, timeoutMs) {
   return new Promise((resolve) => {
     function cleanup() {
@@ -688,7 +1968,37 @@ function waitForTabLoad(tabId, timeoutMs) {
 
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
+// The result's selectorHits records the strategies that matched the fields
+// the successful branch read (articleBody, focusModeBody, pagePostTime,
+// heroImage) — see selectors.js, which injectSelectorRegistry loads into the
+// tab first.
 function extractPageContent(expectedId, isArticleUrl) {
+  // Bodies are kept whole so the Markdown file has the full original; long
+  // content is summarized in chunks (see summarizeInChunks). This cap only
+  // guards against runaway pages. Declared here because this function runs
+  // inside the page via chrome.scripting and can't see background constants.
+  var MAX_BODY = 300000;
+  var hits = {};
+
+  // Publication time: the first <time datetime> in the main column
+  function findPostedAt() {
+    var main = document.querySelector('main');
+    var time = main ? queryField(main, 'pagePostTime') : { el: null, strategy: null };
+    hits.pagePostTime = time.strategy;
+    return time.el ? time.el.getAttribute('datetime') || '' : '';
+  }
+
+  // The article's cover image: the first post media image on the page
+  function findHeroImage() {
+    var main = document.querySelector('main');
+    var match = main ? queryField(main, 'heroImage') : { el: null, strategy: null };
+    hits.heroImage = match.strategy;
+    var img = match.el;
+    if (!img) return null;
+    var alt = (img.getAttribute('alt') || '').trim();
+    return { url: img.src, alt: alt === 'Image' ? '' : alt };
+  }
+
   return new Promise((resolve) => {
     var attempts = 0;
     var maxAttempts = 16;
@@ -710,42 +2020,40 @@ function extractPageContent(expectedId, isArticleUrl) {
       }
 
       // 1. Article-specific selectors (highest confidence — exact testid match)
-      var articleSelectors = [
-        '[data-testid="noteBody"]',
-        '[data-testid="richTextContainer"]',
-        '[data-testid="articleBody"]',
-        '[data-testid="article-content"]',
-      ];
-      for (var i = 0; i < articleSelectors.length; i++) {
-        var el = document.querySelector(articleSelectors[i]);
-        if (el && el.innerText.trim().length > 100) {
-          clearInterval(timer);
-          var h1 = document.querySelector('h1');
-          resolve({
-            title: h1 ? h1.innerText : document.title,
-            body: el.innerText.trim().slice(0, 15000),
-          });
-          return;
-        }
+      var articleBody = queryField(document, 'articleBody', function (el) {
+        return el.innerText.trim().length <= 100;
+      });
+      hits.articleBody = articleBody.strategy;
+      if (articleBody.el) {
+        clearInterval(timer);
+        var h1 = document.querySelector('h1');
+        resolve({
+          title: h1 ? h1.innerText : document.title,
+          body: articleBody.el.innerText.trim().slice(0, MAX_BODY),
+          postedAt: findPostedAt(),
+          heroImage: findHeroImage(),
+          selectorHits: hits,
+        });
+        return;
       }
 
       // 2. Thread detection — only for tweet/status URLs, NOT article URLs.
       //    On article URLs, X may render cached/recommended tweets before the
       //    article content loads.  Grabbing those tweets would return wrong content.
       if (!isArticleUrl) {
-        var articles = document.querySelectorAll('article[data-testid="tweet"]');
+        var articles = queryFieldAll(document, 'tweet').els;
         if (articles.length >= 1) {
           var textParts = [];
           var firstAuthor = null;
           for (var j = 0; j < articles.length && textParts.length < 10; j++) {
-            var authorEl = articles[j].querySelector('[data-testid="User-Name"]');
+            var authorEl = queryField(articles[j], 'author').el;
             var authorName = authorEl ? authorEl.innerText.split('\n')[0] : '';
             if (j === 0) {
               firstAuthor = authorName;
             } else if (authorName !== firstAuthor) {
               break;
             }
-            var tweetEl = articles[j].querySelector('[data-testid="tweetText"]');
+            var tweetEl = queryField(articles[j], 'text').el;
             if (tweetEl && tweetEl.innerText.trim()) {
               textParts.push(tweetEl.innerText);
             }
@@ -753,7 +2061,7 @@ function extractPageContent(expectedId, isArticleUrl) {
           var combined = textParts.join('\n\n');
           if (combined.length > 50) {
             clearInterval(timer);
-            resolve({ title: '', body: combined.slice(0, 15000) });
+            resolve({ title: '', body: combined.slice(0, MAX_BODY), postedAt: findPostedAt(), selectorHits: hits });
             return;
           }
         }
@@ -763,10 +2071,11 @@ function extractPageContent(expectedId, isArticleUrl) {
       //    h1/h2 section headings, no special data-testid markers.
       var mainEl = document.querySelector('main');
       if (mainEl) {
-        var h1List = mainEl.querySelectorAll('h1');
-        if (h1List.length >= 2) {
-          var bodyContainer = h1List[0].parentElement;
-          if (bodyContainer && bodyContainer.innerText.trim().length > 200) {
+        var focusMode = queryField(mainEl, 'focusModeBody');
+        hits.focusModeBody = focusMode.strategy;
+        if (focusMode.el) {
+          var bodyContainer = focusMode.el;
+          if (bodyContainer.innerText.trim().length > 200) {
             clearInterval(timer);
             var statusEls = bodyContainer.querySelectorAll('[role="status"]');
             for (var s = 0; s < statusEls.length; s++) statusEls[s].remove();
@@ -787,7 +2096,10 @@ function extractPageContent(expectedId, isArticleUrl) {
             if (!titleText) titleText = document.title;
             resolve({
               title: titleText,
-              body: bodyContainer.innerText.trim().slice(0, 15000),
+              body: bodyContainer.innerText.trim().slice(0, MAX_BODY),
+              postedAt: findPostedAt(),
+              heroImage: findHeroImage(),
+              selectorHits: hits,
             });
             return;
           }
@@ -797,12 +2109,13 @@ function extractPageContent(expectedId, isArticleUrl) {
       // 4. Final fallback after all polls exhausted
       if (attempts >= maxAttempts) {
         clearInterval(timer);
-        var contentArea = document.querySelector('[data-testid="primaryColumn"]') || mainEl;
+        var contentArea = queryField(document, 'primaryColumn').el;
         if (contentArea && contentArea.innerText.length > 200) {
           var heading = document.querySelector('h1');
           resolve({
             title: heading ? heading.innerText : document.title,
-            body: contentArea.innerText.slice(0, 15000),
+            body: contentArea.innerText.slice(0, MAX_BODY),
+            selectorHits: hits,
           });
         } else {
           resolve(null);
@@ -812,168 +2125,305 @@ function extractPageContent(expectedId, isArticleUrl) {
   });
 }
 
-// ── Prompt building ─────────────────────────────────────────────────────────────
+// Read the page of the post expectedId: scroll it and collect, in order,
+// every post of the author's self-thread, clicking "Show more replies" style
+// buttons on the way. A reply by someone else in between is skipped; MAX_GAP
+// of them in a row end the thread. The first maxReplies posts by others
+// below the post are kept as its top replies (X lists replies by relevance).
+// Returns { posts: [{ url, text, postedAt }], replies: [{ author, url, text }],
+// communityNote }, or null if the page never showed the post.
+// Runs inside the page via chrome.scripting, so it is self-contained apart
+// from the selectors.js lookups (see injectSelectorRegistry).
+async function extractConversation(expectedId, maxReplies) {
+  var MAX_POSTS = 200;
+  var MAX_GAP = 2;
+  var MAX_IDLE_ROUNDS = 3;
+  var MAX_DURATION_MS = 90000;
+  var MORE_REPLIES_RE = /^(show (more )?replies|show this thread|显示更多回复|显示回复|查看更多回复|顯示更多回覆|顯示回覆|さらに返信を表示|返信を表示|답글 더 보기)$/i;
+  // Header and rating prompts around a Community Note (same list as content.js)
+  var NOTE_BOILERPLATE_RE = /^(readers added context.*|readers added a note.*|读者添加了背景信息.*|读者补充了背景信息.*|讀者補充了背景資訊.*|読者が背景情報を追加しました.*|context is written by people.*|do you find this helpful\??|rate it|社区笔记|社群備註|コミュニティノート|community notes?)$/i;
+  var started = Date.now();
+
+  function wait(ms) { return new Promise(function (r) { setTimeout(r, ms); }); }
+
+  function permalinkOf(article) {
+    var links = article.querySelectorAll('a[href*="/status/"]');
+    var quoted = queryField(article, 'quote').el;
+    for (var i = 0; i < links.length; i++) {
+      if (quoted && quoted.contains(links[i])) continue;
+      if (links[i].querySelector('time')) return links[i];
+    }
+    return null;
+  }
 
-function buildPrompt(tweetData, articleContent, quotedFullContent, language, isArticle, hasQuotedFull) {
-  var langMap = {
-    'zh-CN': '简体中文',
-    'zh-TW': '繁體中文',
-    en: 'English',
-    ja: '日本語',
-    ko: '한국어',
-  };
-  var langName = langMap[language] || language;
-
-  var userContent = '';
-
-  if (isArticle) {
-    userContent = 'Article: "' + articleContent.title + '"\n'
-      + 'By ' + tweetData.author + '\n\n'
-      + articleContent.body;
-  } else if (tweetData.text) {
-    userContent = 'Tweet by ' + tweetData.author + ':\n' + tweetData.text;
-  } else if (tweetData.cardText) {
-    userContent = 'Post by ' + tweetData.author + ':\n' + tweetData.cardText;
-  } else if (tweetData.fallbackText) {
-    userContent = 'Content by ' + tweetData.author + ':\n' + tweetData.fallbackText;
-  }
-
-  if (tweetData.referencedUrls && tweetData.referencedUrls.length > 0) {
-    userContent += '\n\nReferenced links:\n' + tweetData.referencedUrls.map(function (u) {
-      return '- ' + u;
-    }).join('\n');
-  }
-
-  if (hasQuotedFull) {
-    var quotedBy = tweetData.quotedAuthor || 'another user';
-    userContent += '\n\n--- Quoted / referenced post (by ' + quotedBy + ') ---\n' + quotedFullContent.body;
-  } else if (tweetData.quotedText) {
-    var qAuthor = tweetData.quotedAuthor || 'another user';
-    userContent += '\n\nQuoted tweet (by ' + qAuthor + '):\n' + tweetData.quotedText;
-  }
-
-  if (!isArticle && tweetData.text && tweetData.cardText) {
-    userContent += '\n\nAttached card:\n' + tweetData.cardText;
-  }
-
-  var factCheckBlock = '\n\n'
-    + '--- FACT CHECK (MANDATORY) ---\n'
-    + 'At the very end, add a fact-check section with this exact format:\n\n'
-    + '**Fact Check**\n'
-    + '- Identify the key factual claims in the content.\n'
-    + '- For each claim, briefly note whether it is **verifiable**, **partially verifiable**, **opinion**, or **unverifiable**.\n'
-    + '- End with an overall credibility line:\n'
-    + '  Credibility: X/10 — one-sentence justification.\n'
-    + '  (10 = fully verified facts with sources, 5 = mixed facts and opinions, 1 = misleading or fabricated)\n';
-
-  var systemPrompt;
-
-  if (isArticle) {
-    systemPrompt = 'You are an expert content analyst. The user bookmarked an X Article (long-form post). '
-      + 'Provide a thorough, high-value summary in ' + langName + '.\n\n'
-      + 'Format:\n'
-      + '**TLDR** — one sentence capturing the core thesis.\n\n'
-      + '**Key Value Points**\n'
-      + '- Extract 5-8 of the most valuable insights, actionable advice, data points, or frameworks from the article.\n'
-      + '- Each point should be self-contained and useful even without reading the original.\n'
-      + '- Use **bold** for key terms, names, numbers, and takeaways.\n\n'
-      + '**Process / Steps** (only if the article is a tutorial, how-to, or guide)\n'
-      + '- List the step-by-step process or methodology described in the article.\n'
-      + '- Number each step and include specifics (tools, parameters, commands, etc.).\n'
-      + '- Skip this section entirely if the content is not instructional.\n\n'
-      + '**Why It Matters** — 1-2 sentences on the broader significance or who should care.\n'
-      + factCheckBlock;
-  } else if (hasQuotedFull) {
-    systemPrompt = 'You are an expert content analyst. The user bookmarked a tweet that quotes/references a longer post. '
-      + 'Provide a thorough summary of BOTH the tweet and the full quoted content in ' + langName + '.\n\n'
-      + 'Format:\n'
-      + '**TLDR** — one sentence on the overall message.\n\n'
-      + '**Quoted Content Summary**\n'
-      + '- Extract 5-8 key insights, value points, or actionable takeaways from the quoted long post.\n'
-      + '- Use **bold** for important terms and data.\n\n'
-      + '**Process / Steps** (only if the quoted post is a tutorial, how-to, or guide)\n'
-      + '- List the step-by-step process described.\n'
-      + '- Skip this section if the content is not instructional.\n\n'
-      + '**Commenter\'s Take** — what did the bookmarked user add? Agreement, disagreement, extra context?\n'
-      + factCheckBlock;
-  } else {
-    systemPrompt = 'You are an expert content analyst. The user bookmarked a tweet. '
-      + 'Provide a valuable summary in ' + langName + '.\n\n'
-      + 'Format:\n'
-      + '**TLDR** — one sentence summary.\n\n'
-      + '**Key Points**\n'
-      + '- Extract 2-5 insights, claims, or actionable takeaways.\n'
-      + '- For substantial content (threads, long tweets), extract more points with specific details.\n'
-      + '- Use **bold** for key terms.\n\n'
-      + '**Process / Steps** (only if the tweet describes a tutorial, method, or workflow)\n'
-      + '- List numbered steps with specifics. Skip if not applicable.\n'
-      + factCheckBlock;
-  }
-
-  return { system: systemPrompt, user: userContent };
+  // The post's own article on the page, or null
+  function findFocal() {
+    var tweets = queryFieldAll(document, 'tweet').els;
+    for (var t = 0; t < tweets.length; t++) {
+      if (tweets[t].querySelector('a[href*="/status/' + expectedId + '"]')) return tweets[t];
+    }
+    return null;
+  }
+
+  // Wait for X to route to the post and render it
+  for (var tries = 0; tries < 20; tries++) {
+    if (window.location.href.indexOf(expectedId) !== -1 && findFocal()) break;
+    await wait(500);
+  }
+  var focal = findFocal();
+  if (!focal) return null;
+  var handle = (window.location.pathname.split('/')[1] || '').toLowerCase();
+
+  var communityNote = '';
+  var noteEl = queryField(focal, 'communityNote').el;
+  if (noteEl) {
+    communityNote = noteEl.innerText.split('\n').map(function (line) { return line.trim(); })
+      .filter(function (line) { return line && !NOTE_BOILERPLATE_RE.test(line); }).join('\n');
+  }
+
+  var posts = [];
+  var replies = [];
+  var seen = {};
+  var gap = 0;
+  var ended = false;
+  var pastFocal = false;
+  var idleRounds = 0;
+
+  window.scrollTo(0, 0);
+  await wait(1000);
+
+  function done() {
+    return (ended || posts.length >= MAX_POSTS) && replies.length >= maxReplies;
+  }
+
+  while (!done() && Date.now() - started < MAX_DURATION_MS) {
+    var found = false;
+
+    // Long posts in the conversation are collapsed behind "Show more"
+    var showMore = queryFieldAll(document, 'showMoreButton').els;
+    for (var m = 0; m < showMore.length; m++) showMore[m].click();
+    if (showMore.length) await wait(500);
+
+    var articles = queryFieldAll(document, 'tweet').els;
+    for (var i = 0; i < articles.length && !done(); i++) {
+      var link = permalinkOf(articles[i]);
+      if (!link) continue;
+      var href = link.getAttribute('href') || '';
+      var idMatch = href.match(/\/status\/(\d+)/);
+      if (!idMatch || seen[idMatch[1]]) continue;
+      seen[idMatch[1]] = true;
+      found = true;
+
+      var textEl = queryField(articles[i], 'text').el;
+      var url = href.charAt(0) === '/' ? 'https://x.com' + href.replace(/[?#].*$/, '') : href;
+      var byAuthor = (href.split('/')[1] || '').toLowerCase() === handle;
+      if (idMatch[1] === expectedId) pastFocal = true;
+
+      if (byAuthor && !ended && posts.length < MAX_POSTS) {
+        var time = link.querySelector('time');
+        posts.push({
+          url: url,
+          text: textEl ? textEl.innerText.trim() : '',
+          postedAt: time ? time.getAttribute('datetime') || '' : '',
+        });
+        gap = 0;
+      } else if (!byAuthor) {
+        if (posts.length > 0 && !ended) {
+          gap++;
+          if (gap >= MAX_GAP) ended = true;
+        }
+        if (pastFocal && replies.length < maxReplies && textEl && textEl.innerText.trim()) {
+          var nameEl = queryField(articles[i], 'author').el;
+          replies.push({
+            author: nameEl ? nameEl.innerText.split('\n')[0] : '',
+            url: url,
+            text: textEl.innerText.trim(),
+          });
+        }
+      }
+    }
+    if (done()) break;
+
+    // Continuations hidden behind "Show more replies" (outside any post)
+    var buttons = queryFieldAll(document, 'moreRepliesButton').els;
+    for (var b = 0; b < buttons.length; b++) {
+      if (buttons[b].closest('article')) continue;
+      if (MORE_REPLIES_RE.test((buttons[b].innerText || '').trim())) {
+        buttons[b].click();
+        found = true;
+      }
+    }
+
+    var before = window.scrollY;
+    window.scrollBy(0, Math.round(window.innerHeight * 0.8));
+    await wait(1200);
+    if (!found && window.scrollY === before) {
+      idleRounds++;
+      if (idleRounds >= MAX_IDLE_ROUNDS) break;
+    } else {
+      idleRounds = 0;
+    }
+  }
+
+  return { posts: posts, replies: replies, communityNote: communityNote };
 }
 
-// ── LLM API calls ───────────────────────────────────────────────────────────────
+// ── Long content (map-reduce summarization) ─────────────────────────────────────
+
+// Characters of article / quoted body sent in a single prompt before the
+// content is split into chunks. Configurable in the popup (longContentBudget).
+var DEFAULT_LONG_CONTENT_BUDGET = 15000;
+var MIN_LONG_CONTENT_BUDGET = 2000;
+
+// Split text into chunks of at most maxChars, breaking between paragraphs.
+// A short standalone line (likely a section heading) starts a new chunk once
+// the current one is at least half full, so sections stay together.
+// Paragraphs longer than maxChars are hard-split.
+function splitIntoChunks(text, maxChars) {
+  var blocks = text.split(/\n\s*\n/);
+  var chunks = [];
+  var current = '';
+
+  function flush() {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  }
 
-// Shared caller for OpenAI-compatible APIs (OpenAI, Kimi, Zhipu all use the
-// same request/response format: messages array, choices[0].message.content).
-async function callOpenAICompatible(apiKey, endpoint, model, prompt, maxTokens, providerLabel) {
-  var res = await fetch(endpoint, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + apiKey },
-    body: JSON.stringify({
-      model: model,
-      messages: [
-        { role: 'system', content: prompt.system },
-        { role: 'user', content: prompt.user },
-      ],
-      max_tokens: maxTokens,
-      temperature: 0.3,
-    }),
-  });
-  if (!res.ok) {
-    var err = await res.json().catch(function () { return {}; });
-    throw new Error((err.error && err.error.message) || providerLabel + ' API error: ' + res.status);
+  for (var i = 0; i < blocks.length; i++) {
+    var block = blocks[i].trim();
+    if (!block) continue;
+
+    var isHeading = block.indexOf('\n') === -1 && block.length <= 80 && !/[.!?。！？:：]$/.test(block);
+    if (isHeading && current.length >= maxChars / 2) flush();
+
+    while (block.length > maxChars) {
+      flush();
+      chunks.push(block.slice(0, maxChars));
+      block = block.slice(maxChars);
+    }
+
+    var joined = current ? current + '\n\n' + block : block;
+    if (joined.length > maxChars) {
+      flush();
+      current = block;
+    } else {
+      current = joined;
+    }
   }
-  var data = await res.json();
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error(providerLabel + ' API returned unexpected response format');
+  flush();
+  return chunks;
+}
+
+// Map step: summarize each chunk of content.body on its own, in order.
+// Returns a stand-in content object whose body is the numbered part
+// summaries and whose partCount tells buildPrompt it is a digest.
+async function summarizeInChunks(llm, content, budget, language, onStatus) {
+  var chunks = splitIntoChunks(content.body, budget);
+  var langName = LANGUAGE_NAMES[language] || language;
+  var partials = [];
+
+  for (var i = 0; i < chunks.length; i++) {
+    // Shown as the card's loading caption while the parts are processed
+    if (onStatus) onStatus('正在分段总结长文（' + (i + 1) + '/' + chunks.length + '）…');
+    var summary = await callLLM(llm, {
+      system: 'You are an expert content analyst. You will receive part ' + (i + 1) + ' of ' + chunks.length
+        + ' of a long post' + (content.title ? ' titled "' + content.title + '"' : '') + '. '
+        + 'Summarize ONLY this part in ' + langName + ' as a bullet list: key insights, data points, '
+        + 'frameworks, and any step-by-step instructions with their specifics. '
+        + 'Do not add an introduction or conclusion.',
+      user: chunks[i],
+    }, 800, null);
+    partials.push('[Part ' + (i + 1) + '/' + chunks.length + ']\n' + summary.trim());
+  }
+
+  return { title: content.title, body: partials.join('\n\n'), partCount: chunks.length };
+}
+
+// ── Server-sent event streaming ─────────────────────────────────────────────────
+
+// Split an SSE buffer into the `data:` payloads of its complete lines.
+// The trailing partial line is returned as `rest` for the next read.
+// (OpenAI and Anthropic send each event's JSON on a single data line.)
+function parseSSEBuffer(buffer) {
+  var lines = buffer.split(/\r?\n/);
+  var rest = lines.pop();
+  var data = [];
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i].indexOf('data:') === 0) data.push(lines[i].slice(5).trim());
+  }
+  return { data: data, rest: rest };
+}
+
+function isEventStream(res) {
+  return (res.headers.get('content-type') || '').indexOf('text/event-stream') !== -1;
+}
+
+// Read a fetch Response body as SSE, calling onData for every data payload
+async function readEventStream(res, onData) {
+  var reader = res.body.getReader();
+  var decoder = new TextDecoder();
+  var buffer = '';
+  while (true) {
+    var chunk = await reader.read();
+    if (chunk.done) break;
+    var parsed = parseSSEBuffer(buffer + decoder.decode(chunk.value, { stream: true }));
+    buffer = parsed.rest;
+    parsed.data.forEach(onData);
   }
-  return data.choices[0].message.content;
+  parseSSEBuffer(buffer + decoder.decode() + '\n').data.forEach(onData);
 }
 
-// Claude uses a different request/response format (Anthropic Messages API):
-// system prompt is a top-level field, response is in content[0].text.
-async function callClaude(apiKey, endpoint, model, prompt, maxTokens) {
-  var res = await fetch(endpoint, {
+// ── LLM API calls ───────────────────────────────────────────────────────────────
+
+// Generic HTTP caller driven by the provider registry (providers.js):
+// the provider's format builds the request body and parses the response.
+// With onChunk the request is streamed as SSE and onChunk receives the
+// accumulated text; gateways that ignore streaming and answer with plain
+// JSON still work.
+async function callProvider(provider, apiKey, endpoint, model, prompt, maxTokens, onChunk) {
+  var format = PROVIDER_FORMATS[provider.format];
+  var stream = !!onChunk;
+  var url = format.buildUrl ? format.buildUrl(endpoint, model, stream) : endpoint;
+  var res = await fetch(url, {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true',
-    },
-    body: JSON.stringify({
-      model: model,
-      max_tokens: maxTokens,
-      system: prompt.system,
-      messages: [{ role: 'user', content: prompt.user }],
-    }),
+    headers: Object.assign(
+      { 'Content-Type': 'application/json' },
+      buildAuthHeaders(provider, apiKey),
+      provider.headers || {}
+    ),
+    body: JSON.stringify(format.buildRequest(prompt, model, maxTokens, stream)),
   });
   if (!res.ok) {
     var err = await res.json().catch(function () { return {}; });
-    throw new Error((err.error && err.error.message) || 'Claude API error: ' + res.status);
+    var error = new Error((err.error && err.error.message) || provider.name + ' API error: ' + res.status);
+    error.status = res.status;
+    throw error;
+  }
+  if (stream && isEventStream(res)) {
+    var text = '';
+    await readEventStream(res, function (payload) {
+      var event;
+      try { event = JSON.parse(payload); } catch (_) { return; } // e.g. "[DONE]"
+      var delta = format.parseStreamEvent(event);
+      if (delta) {
+        text += delta;
+        onChunk(text);
+      }
+    });
+    if (!text) throw new Error(provider.name + ' API stream ended without any text');
+    return text;
   }
   var data = await res.json();
-  if (!data.content || !data.content[0]) {
-    throw new Error('Claude API returned unexpected response format');
+  var result = format.parseResponse(data);
+  if (result === null || result === undefined) {
+    throw new Error(provider.name + ' API returned unexpected response format');
   }
-  return data.content[0].text;
+  return result;
 }
 
 async function callLocalClaude(prompt) {
   return new Promise(function (resolve, reject) {
-    chrome.runtime.sendNativeMessage('com.btl.file_writer', {
+    chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, {
       action: 'call_claude',
       system: prompt.system,
       user: prompt.user,
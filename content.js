@@ -1,17 +1,29 @@
 // Content script for X (Twitter)
 // Card-stacking TLDR system: each bookmark creates an independent card.
 // Supports parallel processing — users can keep scrolling and bookmarking.
+// TLDR formatting (renderFormattedTLDR) comes from renderer.js and the X
+// selectors (SELECTOR_REGISTRY, queryField…) from selectors.js, which the
+// manifest loads before this script.
 
 (function () {
   'use strict';
 
   const MAX_VISIBLE_CARDS = 3;
+  // Card notes for a re-bookmarked tweet (see handleGenerateMessage in background.js)
+  const DUPLICATE_NOTES = {
+    skipped: '此帖已收藏过，已跳过（显示已有摘要）',
+    updated: '此帖已收藏过，已更新原记录和文件',
+    kept: '此帖已收藏过，已另存为新版本',
+  };
   let cardContainer = null;
-  let activeCards = []; // { id, element, timerId }
+  let activeCards = []; // { id, element, timerId, streamText, streamFrame }
   let cardSeq = 0;
   let currentTheme = 'auto'; // 'auto' | 'light' | 'dark'
   let currentMode = 'tldr'; // 'tldr' | 'original'
   let aiEnabled = true;
+  // Header and rating prompts around a Community Note, dropped from its text
+  // (same list as extractConversation in background.js)
+  const NOTE_BOILERPLATE_RE = /^(readers added context.*|readers added a note.*|读者添加了背景信息.*|读者补充了背景信息.*|讀者補充了背景資訊.*|読者が背景情報を追加しました.*|context is written by people.*|do you find this helpful\??|rate it|社区笔记|社群備註|コミュニティノート|community notes?)$/i;
 
   // ── Theme & mode management ───────────────────────────────────────────────
 
@@ -35,6 +47,11 @@
     if (area === 'sync' && changes.aiEnabled) {
       aiEnabled = changes.aiEnabled.newValue !== false;
     }
+    // Import started (or resumed) from the popup
+    if (area === 'local' && changes.importState) {
+      var state = changes.importState.newValue;
+      if (state && state.running && !importRunning) runImport();
+    }
   });
 
   // Apply theme class to the card container element
@@ -47,28 +64,29 @@
   // ── Bookmark click detection ──────────────────────────────────────────────
 
   document.addEventListener('click', (event) => {
-    const bookmarkBtn = findAncestorByTestId(event.target, 'bookmark');
-    if (!bookmarkBtn) return;
+    const bookmarkBtn = closestField(event.target, 'bookmarkButton');
+    if (!bookmarkBtn.el) return;
 
     // Only fire when adding a bookmark, not when removing one.
     // X uses "removeBookmark" for the un-bookmark button.
-    const removeBtn = findAncestorByTestId(event.target, 'removeBookmark');
-    if (removeBtn) return;
+    if (closestField(event.target, 'removeBookmarkButton').el) return;
 
-    const article = bookmarkBtn.closest('article[data-testid="tweet"]');
+    const article = closestField(bookmarkBtn.el, 'tweet').el;
     if (!article) return;
 
     const cardId = 'btl-' + (++cardSeq);
     createLoadingCard(cardId);
-    processBookmark(article, cardId);
+    processBookmark(article, cardId, bookmarkBtn.strategy);
   }, true);
 
   // ── Main async flow (per card) ────────────────────────────────────────────
 
-  async function processBookmark(article, cardId) {
+  // bookmarkStrategy: the registry strategy that found the clicked button
+  async function processBookmark(article, cardId, bookmarkStrategy) {
     try {
       await expandShowMore(article);
       const tweetData = extractTweetContent(article);
+      tweetData.selectorHits.bookmarkButton = bookmarkStrategy;
       const articleUrl = detectArticleUrl(article);
       const quotedTweetUrl = detectQuotedTweetUrl(article);
 
@@ -79,48 +97,55 @@
         return;
       }
 
-      chrome.runtime.sendMessage(
-        { type: 'GENERATE_TLDR', tweetData, articleUrl, quotedTweetUrl },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            updateCard(cardId, '扩展连接失败，请刷新页面', true);
-            return;
-          }
-          if (response?.success) {
-            if (response.mode === 'raw') {
-              updateCard(cardId, '已保存原文到 Markdown', false, tweetData.tweetUrl);
-            } else {
-              updateCard(cardId, response.tldr, false, tweetData.tweetUrl);
-            }
-          } else {
-            updateCard(cardId, response?.error || '生成摘要失败', true);
-          }
+      // Long-lived port so background.js can stream partial TLDR text
+      // into the card while the provider is still generating.
+      const port = chrome.runtime.connect({ name: 'tldr-stream' });
+      let finished = false;
+      port.onMessage.addListener((msg) => {
+        if (msg.type === 'chunk') {
+          renderStreamingText(cardId, msg.text);
+        } else if (msg.type === 'status') {
+          setLoadingText(cardId, msg.text);
+        } else if (msg.type === 'done') {
+          finished = true;
+          port.disconnect();
+          showTLDRResponse(cardId, tweetData, msg.response);
         }
-      );
+      });
+      port.onDisconnect.addListener(() => {
+        if (!finished) updateCard(cardId, '扩展连接失败，请刷新页面', true);
+      });
+      port.postMessage({ type: 'GENERATE_TLDR', tweetData, articleUrl, quotedTweetUrl });
     } catch (err) {
       updateCard(cardId, '处理出错: ' + err.message, true);
     }
   }
 
-  // ── DOM helpers ───────────────────────────────────────────────────────────
-
-  function findAncestorByTestId(el, testId) {
-    while (el && el !== document.body) {
-      if (el.getAttribute?.('data-testid') === testId) return el;
-      el = el.parentElement;
+  function showTLDRResponse(cardId, tweetData, response) {
+    if (response?.success) {
+      let cardText = response.mode === 'raw' ? '已保存原文到 Markdown' : response.tldr;
+      if (response.duplicate === 'skipped' && response.mode === 'raw') {
+        cardText = DUPLICATE_NOTES.skipped;
+      } else if (response.duplicate) {
+        cardText = DUPLICATE_NOTES[response.duplicate] + '\n\n' + cardText;
+      }
+      updateCard(cardId, cardText, false, tweetData.tweetUrl);
+    } else {
+      let errorText = response?.error || '生成摘要失败';
+      if (response?.queued) errorText += '\n\n已加入重试队列，稍后自动重试';
+      updateCard(cardId, errorText, true);
     }
-    return null;
   }
 
   // ── Show-more expansion ───────────────────────────────────────────────────
 
   async function expandShowMore(article) {
-    const links = article.querySelectorAll('[data-testid="tweet-text-show-more-link"]');
+    const links = queryFieldAll(article, 'showMore').els;
     if (links.length === 0) return;
     links.forEach((l) => l.click());
     await new Promise((resolve) => {
       const obs = new MutationObserver(() => {
-        if (!article.querySelector('[data-testid="tweet-text-show-more-link"]')) {
+        if (!queryField(article, 'showMore').el) {
           obs.disconnect(); resolve();
         }
       });
@@ -131,33 +156,49 @@
 
   // ── Content extraction ────────────────────────────────────────────────────
 
+  // Which registry strategy matched each field of this capture (see
+  // selectors.js), sent along as tweetData.selectorHits
+  function recordField(hits, name, match) {
+    hits[name] = match.strategy;
+    return match.el;
+  }
+
   function extractTweetContent(article) {
-    const tweetTextEl = article.querySelector('[data-testid="tweetText"]');
+    const hits = {};
+    const quotedTweet = recordField(hits, 'quote', queryField(article, 'quote'));
+    const inQuote = (el) => !!(quotedTweet && quotedTweet.contains(el));
+
+    const cardEl = recordField(hits, 'card', queryField(article, 'card'));
+    // The text fallbacks are looser selectors; keep them out of the link card
+    const tweetTextEl = recordField(hits, 'text', queryField(article, 'text',
+      (el) => inQuote(el) || !!(cardEl && cardEl.contains(el))));
     const text = tweetTextEl ? tweetTextEl.innerText : '';
 
-    const authorEl = article.querySelector('[data-testid="User-Name"]');
+    const authorEl = recordField(hits, 'author', queryField(article, 'author', inQuote));
     const author = authorEl ? authorEl.innerText.split('\n')[0] : '';
 
-    const quotedTweet = article.querySelector('[data-testid="quoteTweet"]');
     const quotedText = quotedTweet
-      ? (quotedTweet.querySelector('[data-testid="tweetText"]')?.innerText || '') : '';
-    const quotedAuthorEl = quotedTweet
-      ? quotedTweet.querySelector('[data-testid="User-Name"]') : null;
+      ? (queryField(quotedTweet, 'text').el?.innerText || '') : '';
+    const quotedAuthorEl = quotedTweet ? queryField(quotedTweet, 'author').el : null;
     const quotedAuthor = quotedAuthorEl ? quotedAuthorEl.innerText.split('\n')[0] : '';
+    const quotedTime = quotedTweet ? queryField(quotedTweet, 'postTime').el : null;
+    const quotedPostedAt = quotedTime ? quotedTime.getAttribute('datetime') || '' : '';
 
-    const cardEl = article.querySelector('[data-testid="card.wrapper"]');
-    const cardText = cardEl ? cardEl.innerText : '';
+    const poll = extractPoll(article, inQuote, hits);
+    // A poll renders inside the card wrapper; it is kept as `poll` instead
+    const cardText = cardEl && !(poll && queryField(cardEl, 'poll').el) ? cardEl.innerText : '';
+    const { hashtags, mentions, cashtags } = extractEntities(tweetTextEl);
     const referencedUrls = collectReferencedUrls(article, quotedTweet);
+    const images = collectImages(article, inQuote, hits);
 
     let fallbackText = '';
     if (!text && !cardText) {
       // For X Articles: prefer heading-based extraction to avoid metadata noise
       // (author info, engagement metrics, bio that duplicate the markdown header).
       // Article body is the parent of the first h1 section heading.
-      const h1s = article.querySelectorAll('h1');
-      if (h1s.length >= 2) {
-        const bodyContainer = h1s[0].parentElement;
-        if (bodyContainer && bodyContainer.innerText.trim().length > 200) {
+      const bodyContainer = recordField(hits, 'focusModeBody', queryField(article, 'focusModeBody'));
+      if (bodyContainer) {
+        if (bodyContainer.innerText.trim().length > 200) {
           const clone = bodyContainer.cloneNode(true);
           // Remove "Upgrade to Premium" banners and similar noise
           clone.querySelectorAll('[role="status"]').forEach((s) => s.remove());
@@ -167,30 +208,135 @@
       if (!fallbackText) {
         const clone = article.cloneNode(true);
         // Remove ALL engagement metric groups
-        clone.querySelectorAll('[role="group"]').forEach((g) => g.remove());
+        queryFieldAll(clone, 'actions').els.forEach((g) => g.remove());
         fallbackText = clone.innerText.trim();
       }
     }
 
     // Extract the tweet's own permalink (timestamp link, not inside quoted tweet)
-    let tweetUrl = window.location.href;
+    const tweetUrl = findPermalink(article, quotedTweet) || window.location.href;
+    const postedAt = findPostTime(article, inQuote, hits);
+    const maybeThread = detectThread(article, quotedTweet, tweetUrl, text);
+    const communityNote = findCommunityNote(article, inQuote, hits);
+
+    // Extract engagement metrics (replies, retweets, likes, views)
+    const metrics = extractEngagementMetrics(article, hits);
+
+    return {
+      text, author, quotedText, quotedAuthor, quotedPostedAt, cardText, fallbackText,
+      tweetUrl, url: window.location.href, metrics, referencedUrls, postedAt, images, maybeThread,
+      communityNote, poll, hashtags, mentions, cashtags,
+      selectorHits: hits, selectorVersion: SELECTOR_REGISTRY.version,
+    };
+  }
+
+  // Photos attached to the post and to its quoted post, as
+  // [{ url, alt, quoted }]. X serves a downscaled rendition in the timeline;
+  // the URL is rewritten to the "large" one. Alt text that X fills in by
+  // default ("Image") is dropped. Video posters and link-card images are
+  // not included.
+  function collectImages(article, inQuote, hits) {
+    const images = [];
+    const seen = new Set();
+    const photos = queryFieldAll(article, 'photo');
+    hits.photo = photos.strategy;
+    for (const img of photos.els) {
+      let parsed;
+      try {
+        parsed = new URL(img.getAttribute('src') || '', window.location.origin);
+      } catch (_) {
+        continue;
+      }
+      if (parsed.hostname !== 'pbs.twimg.com' || !parsed.pathname.startsWith('/media/')) continue;
+      if (parsed.searchParams.has('name')) parsed.searchParams.set('name', 'large');
+
+      const url = parsed.toString();
+      if (seen.has(url)) continue;
+      seen.add(url);
+
+      const alt = (img.getAttribute('alt') || '').trim();
+      images.push({
+        url,
+        alt: /^(image|图像|圖像|画像|이미지)$/i.test(alt) ? '' : alt,
+        quoted: inQuote(img),
+      });
+    }
+    return images;
+  }
+
+  // #hashtags, @mentions and $cashtags linked in the post text, without
+  // their prefix and in order of appearance. X links each one: hashtags to
+  // /hashtag/…, cashtags to a search for "$…", mentions to the profile.
+  function extractEntities(tweetTextEl) {
+    const entities = { hashtags: [], mentions: [], cashtags: [] };
+    if (!tweetTextEl) return entities;
+    const add = (list, value) => {
+      if (value && !list.some((item) => item.toLowerCase() === value.toLowerCase())) list.push(value);
+    };
+    for (const link of tweetTextEl.querySelectorAll('a[href]')) {
+      const label = link.innerText.trim();
+      const href = link.getAttribute('href') || '';
+      if (/^#/.test(label) && href.includes('/hashtag/')) add(entities.hashtags, label.slice(1));
+      else if (/^\$[A-Za-z]/.test(label) && /[?&]q=(%24|\$)/i.test(href)) add(entities.cashtags, label.slice(1).toUpperCase());
+      else if (/^@\w+$/.test(label) && /^\/\w+$/.test(href)) add(entities.mentions, label.slice(1));
+    }
+    return entities;
+  }
+
+  // The post's poll as { options: [{ label, percent }], votes, status }, or
+  // null. Results show a percentage after each option (null while the poll
+  // is open and not voted on); the footer reads e.g. "1,234 votes · Final
+  // results" or "1,234 votes · 2 days left".
+  function extractPoll(article, inQuote, hits) {
+    const pollEl = recordField(hits, 'poll', queryField(article, 'poll', inQuote));
+    if (!pollEl) return null;
+
+    const poll = { options: [], votes: '', status: '' };
+    const lines = pollEl.innerText.split('\n').map((line) => line.trim()).filter(Boolean);
+    for (const line of lines) {
+      const votes = line.match(/^([\d.,]+\s*[KMB万亿]?)\s*(?:votes?|票|人が投票|표)(?:\s*·\s*(.*))?$/i);
+      if (votes) {
+        poll.votes = votes[1].trim();
+        poll.status = (votes[2] || '').trim();
+      } else if (/^\d+(?:\.\d+)?%$/.test(line) && poll.options.length > 0) {
+        poll.options[poll.options.length - 1].percent = line;
+      } else if (!poll.votes) {
+        poll.options.push({ label: line, percent: null });
+      } else if (!poll.status) {
+        poll.status = line.replace(/^·\s*/, '');
+      }
+    }
+    return poll.options.length > 0 ? poll : null;
+  }
+
+  // Text of the Community Note X attached to the post ('' if none). A note on
+  // the quoted post belongs to that post and is skipped.
+  function findCommunityNote(article, inQuote, hits) {
+    const note = recordField(hits, 'communityNote', queryField(article, 'communityNote', inQuote));
+    if (!note) return '';
+    return note.innerText.split('\n').map((line) => line.trim())
+      .filter((line) => line && !NOTE_BOILERPLATE_RE.test(line)).join('\n');
+  }
+
+  // ISO timestamp of the post, from the datetime of its own <time> element
+  function findPostTime(article, inQuote, hits) {
+    const time = recordField(hits, 'postTime', queryField(article, 'postTime', inQuote));
+    return time ? time.getAttribute('datetime') || '' : '';
+  }
+
+  // The tweet's own permalink is the status link wrapping its <time> element.
+  // Links inside the quoted tweet point at the quoted post, so skip those.
+  function findPermalink(article, quotedTweet) {
     const allStatusLinks = article.querySelectorAll('a[href*="/status/"]');
     for (const link of allStatusLinks) {
       if (quotedTweet && quotedTweet.contains(link)) continue;
       if (link.querySelector('time')) {
         const href = link.getAttribute('href') || '';
-        tweetUrl = href.startsWith('/') ? 'https://x.com' + href : (href || tweetUrl);
-        break;
+        if (!href) return null;
+        return href.startsWith('/') ? 'https://x.com' + href : href;
       }
     }
-
-    // Extract engagement metrics (replies, retweets, likes, views)
-    const metrics = extractEngagementMetrics(article);
-
-    return {
-      text, author, quotedText, quotedAuthor, cardText, fallbackText,
-      tweetUrl, url: window.location.href, metrics, referencedUrls,
-    };
+    return null;
   }
 
   // Collect external links referenced by the bookmarked post itself.
@@ -240,28 +386,28 @@
 
   // ── Engagement metrics extraction ──────────────────────────────────────────
 
-  function extractEngagementMetrics(article) {
+  function extractEngagementMetrics(article, hits) {
     var metrics = { replies: '0', retweets: '0', likes: '0', views: '0' };
-    var group = article.querySelector('[role="group"]');
+    var group = recordField(hits, 'actions', queryField(article, 'actions'));
     if (!group) return metrics;
 
     // Each action button exposes its count in the aria-label attribute,
     // e.g. "123 replies. Reply", "5 reposts. Repost", "10 likes. Like".
     // If the count is zero X omits the number (just "Reply", "Like", etc.).
-    var testIds = { reply: 'replies', retweet: 'retweets', like: 'likes' };
-    for (var tid in testIds) {
-      var btn = group.querySelector('[data-testid="' + tid + '"]');
+    var fields = { replyButton: 'replies', retweetButton: 'retweets', likeButton: 'likes' };
+    for (var field in fields) {
+      var btn = recordField(hits, field, queryField(group, field));
       if (btn) {
         var label = btn.getAttribute('aria-label') || '';
         var m = label.match(/([\d,]+)/);
-        if (m) metrics[testIds[tid]] = m[1].replace(/,/g, '');
+        if (m) metrics[fields[field]] = m[1].replace(/,/g, '');
       }
     }
 
     // Views count: X puts it in an analytics link or a standalone element
     // outside the main action buttons. Try analytics link first, then
     // look for any aria-label mentioning "view" near the action bar.
-    var viewLink = article.querySelector('a[href*="/analytics"]');
+    var viewLink = recordField(hits, 'viewCount', queryField(article, 'viewCount'));
     if (viewLink) {
       var viewLabel = viewLink.getAttribute('aria-label') || '';
       var vm = viewLabel.match(/([\d,]+)/);
@@ -298,29 +444,21 @@
         return cleanHref.startsWith('/') ? 'https://x.com' + cleanHref : cleanHref;
       }
     }
-    // Fallback: look for X Article-specific data-testid values (exact matches only).
-    // These are the selectors used by extractPageContent to find article bodies.
-    const articleTestIds = [
-      '[data-testid="noteBody"]',
-      '[data-testid="richTextContainer"]',
-      '[data-testid="articleBody"]',
-      '[data-testid="article-content"]',
-    ];
-    for (const sel of articleTestIds) {
-      const el = article.querySelector(sel);
-      if (el) {
-        const cl = el.closest('a[href]') || el.querySelector('a[href]');
-        if (cl) {
-          const h = cl.href || cl.getAttribute('href') || '';
-          if (h) return h.startsWith('/') ? 'https://x.com' + h : h;
-        }
+    // Fallback: an X Article body (exact data-testid matches only — the same
+    // articleBody field extractPageContent reads article pages with)
+    const el = queryField(article, 'articleBody').el;
+    if (el) {
+      const cl = el.closest('a[href]') || el.querySelector('a[href]');
+      if (cl) {
+        const h = cl.href || cl.getAttribute('href') || '';
+        if (h) return h.startsWith('/') ? 'https://x.com' + h : h;
       }
     }
     return null;
   }
 
   function detectQuotedTweetUrl(article) {
-    const qt = article.querySelector('[data-testid="quoteTweet"]');
+    const qt = queryField(article, 'quote').el;
     if (!qt) return null;
     const links = qt.querySelectorAll('a[href]');
     for (const link of links) {
@@ -330,6 +468,36 @@
     return null;
   }
 
+  // Whether the post looks like part of a self-thread, so background.js
+  // opens it to unroll the whole thread (when 展开推文串 is on):
+  //   - a "Show this thread" link, i.e. a link to the post itself without
+  //     the <time> element the permalink wraps
+  //   - a thread marker in the text ("🧵", "Thread:", "1/" or "(1/12)")
+  //   - on the post's own page, another post by the same author
+  function detectThread(article, quotedTweet, tweetUrl, text) {
+    const statusId = getStatusId(tweetUrl);
+    if (!statusId) return false;
+
+    for (const link of article.querySelectorAll('a[href*="/status/"]')) {
+      if (quotedTweet && quotedTweet.contains(link)) continue;
+      if (link.querySelector('time')) continue;
+      const href = (link.getAttribute('href') || '').replace(/[?#].*$/, '');
+      if (href.endsWith('/status/' + statusId)) return true;
+    }
+
+    if (/🧵|\bthread\s*[:：👇⬇↓]|(?:^|\n)\s*\(?1\s*\/\s*(?:\d+|n)?\)?(?:\s|$)/i.test(text || '')) return true;
+
+    if (getStatusId(window.location.href) === statusId) {
+      const handle = tweetUrl.split('/')[3] || '';
+      for (const other of queryFieldAll(document, 'tweet').els) {
+        if (other === article) continue;
+        const otherUrl = findPermalink(other, queryField(other, 'quote').el) || '';
+        if (handle && otherUrl.split('/')[3] === handle) return true;
+      }
+    }
+    return false;
+  }
+
   // ── Card container & stacking ─────────────────────────────────────────────
 
   function ensureContainer() {
@@ -391,9 +559,43 @@
     activeCards.push({ id: cardId, element: card, timerId: null });
   }
 
+  // Change the spinner caption of a card that is still loading
+  function setLoadingText(cardId, text) {
+    const info = activeCards.find((c) => c.id === cardId);
+    if (!info) return;
+    const label = info.element.querySelector('.btl-loading span');
+    if (label) label.textContent = text;
+  }
+
+  // Re-render the partial TLDR while it streams in. Chunks can arrive much
+  // faster than the screen refreshes, so rendering is batched per frame.
+  function renderStreamingText(cardId, text) {
+    const info = activeCards.find((c) => c.id === cardId);
+    if (!info) return;
+    info.streamText = text;
+    if (info.streamFrame) return;
+    info.streamFrame = requestAnimationFrame(() => {
+      info.streamFrame = null;
+      const body = info.element.querySelector('.btl-card-body');
+      let contentEl = body.querySelector('.btl-tldr-content.btl-streaming');
+      if (!contentEl) {
+        body.textContent = '';
+        contentEl = document.createElement('div');
+        contentEl.className = 'btl-tldr-content btl-streaming';
+        body.appendChild(contentEl);
+      }
+      contentEl.textContent = '';
+      renderFormattedTLDR(contentEl, info.streamText);
+    });
+  }
+
   function updateCard(cardId, content, isError, tweetUrl) {
     const info = activeCards.find((c) => c.id === cardId);
     if (!info) return;
+    if (info.streamFrame) {
+      cancelAnimationFrame(info.streamFrame);
+      info.streamFrame = null;
+    }
 
     const card = info.element;
     if (isError) card.classList.add('btl-error');
@@ -436,71 +638,155 @@
     activeCards.splice(idx, 1);
   }
 
-  // ── Formatted TLDR rendering ──────────────────────────────────────────────
+  // ── Backfill importer (x.com/i/bookmarks) ─────────────────────────────────
+  // Walks the bookmarks page top to bottom and feeds every tweet through the
+  // same GENERATE_TLDR pipeline as a live bookmark click. Progress is kept in
+  // chrome.storage.local (importState) so a page reload resumes the run.
+
+  const IMPORT_CARD_ID = 'btl-import';
+  const IMPORT_DELAY_MS = 3000;      // pause between LLM calls to stay under rate limits
+  const IMPORT_SCROLL_WAIT_MS = 1500;
+  const IMPORT_MAX_IDLE_SCROLLS = 5; // stop after this many scrolls without new tweets
+  let importRunning = false;
+  // Identifies this page instance; when several bookmarks tabs are open the
+  // most recently started one owns the run and the others stop.
+  const importRunnerId = Date.now() + '-' + Math.random().toString(36).slice(2, 8);
+
+  chrome.storage.local.get({ importState: null }, function (data) {
+    if (data.importState && data.importState.running) runImport();
+  });
+
+  function isBookmarksPage() {
+    return /^\/i\/bookmarks\/?$/.test(window.location.pathname);
+  }
 
-  function renderFormattedTLDR(container, text) {
-    const lines = text.split('\n');
-    let currentList = null;
-    let currentListType = '';
+  async function getImportState() {
+    const data = await chrome.storage.local.get({ importState: null });
+    return data.importState;
+  }
 
-    function flushList() {
-      if (currentList) { container.appendChild(currentList); }
-      currentList = null; currentListType = '';
-    }
+  async function runImport() {
+    if (importRunning || !isBookmarksPage()) return;
+    importRunning = true;
 
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) { flushList(); continue; }
-
-      const headingMatch = trimmed.match(/^\*\*(.+?)\*\*\s*[-:]?\s*$/);
-      if (headingMatch) { flushList(); const h = document.createElement('div'); h.className = 'btl-section-heading'; h.textContent = headingMatch[1]; container.appendChild(h); continue; }
-
-      const scoreMatch = trimmed.match(/^(Credibility|可信度|信頼度)\s*[:：]\s*(\d+)\s*\/\s*10/i);
-      if (scoreMatch) {
-        flushList();
-        const sl = document.createElement('div'); sl.className = 'btl-score-line';
-        const score = parseInt(scoreMatch[2], 10);
-        const cls = score >= 7 ? 'btl-score-high' : (score >= 4 ? 'btl-score-mid' : 'btl-score-low');
-        const badge = document.createElement('span'); badge.className = 'btl-score-badge ' + cls; badge.textContent = scoreMatch[2] + '/10';
-        const justification = trimmed.slice(trimmed.indexOf('/10') + 3).replace(/^\s*[-\u2014]\s*/, '');
-        sl.appendChild(document.createTextNode(scoreMatch[1] + ': '));
-        sl.appendChild(badge);
-        if (justification) { const rest = document.createElement('span'); rest.textContent = ' \u2014 ' + justification; sl.appendChild(rest); }
-        container.appendChild(sl); continue;
-      }
+    let state = await getImportState();
+    if (!state || !state.running) { importRunning = false; return; }
+    state.runnerId = importRunnerId;
+    await chrome.storage.local.set({ importState: state });
 
-      const bulletMatch = trimmed.match(/^[-\u2022*]\s+(.*)/);
-      if (bulletMatch) {
-        if (currentListType !== 'ul') { flushList(); currentList = document.createElement('ul'); currentListType = 'ul'; }
-        const li = document.createElement('li'); renderInline(li, bulletMatch[1]); currentList.appendChild(li); continue;
+    const seen = new Set(state.processedIds);
+    let idleScrolls = 0;
+    setImportProgress(state);
+
+    try {
+      while (idleScrolls < IMPORT_MAX_IDLE_SCROLLS) {
+        // Stopped from the popup, or another tab took over the run
+        state = await getImportState();
+        if (!state || !state.running || state.runnerId !== importRunnerId) {
+          updateCard(IMPORT_CARD_ID, '导入已暂停，可在插件设置中继续', false);
+          return;
+        }
+
+        const article = findNextImportArticle(seen);
+        if (!article) {
+          window.scrollBy(0, Math.round(window.innerHeight * 0.9));
+          await sleep(IMPORT_SCROLL_WAIT_MS);
+          idleScrolls++;
+          continue;
+        }
+        idleScrolls = 0;
+
+        const statusId = getStatusId(findPermalink(article, queryField(article, 'quote').el));
+        seen.add(statusId);
+        article.scrollIntoView({ block: 'center' });
+
+        const outcome = await importArticle(article);
+        state = await getImportState();
+        if (!state) return;
+        state.processedIds.push(statusId);
+        state[outcome]++;
+        await chrome.storage.local.set({ importState: state });
+        setImportProgress(state);
+
+        // Skipped tweets never reached the LLM, so no need to throttle them
+        if (outcome !== 'skipped') await sleep(IMPORT_DELAY_MS);
       }
 
-      const numMatch = trimmed.match(/^\d+[.)]\s+(.*)/);
-      if (numMatch) {
-        if (currentListType !== 'ol') { flushList(); currentList = document.createElement('ol'); currentListType = 'ol'; }
-        const li = document.createElement('li'); renderInline(li, numMatch[1]); currentList.appendChild(li); continue;
+      // Reached the end of the bookmarks list
+      state = await getImportState();
+      if (state && state.runnerId === importRunnerId) {
+        state.running = false;
+        state.finished = true;
+        await chrome.storage.local.set({ importState: state });
+        setImportProgress(state);
+        updateCard(IMPORT_CARD_ID, '导入完成：新增 ' + state.imported + ' 条，跳过 '
+          + state.skipped + ' 条，失败 ' + state.failed + ' 条', false);
       }
+    } catch (err) {
+      updateCard(IMPORT_CARD_ID, '导入中断: ' + err.message, true);
+    } finally {
+      importRunning = false;
+    }
+  }
+
+  // First tweet on the page (in DOM order) that this run hasn't handled yet
+  function findNextImportArticle(seen) {
+    for (const article of queryFieldAll(document, 'tweet').els) {
+      const quotedTweet = queryField(article, 'quote').el;
+      const statusId = getStatusId(findPermalink(article, quotedTweet));
+      if (statusId && !seen.has(statusId)) return article;
+    }
+    return null;
+  }
 
-      flushList();
-      const p = document.createElement('p'); renderInline(p, trimmed); container.appendChild(p);
+  // Returns 'imported' | 'skipped' | 'failed' — the counter to bump in importState
+  async function importArticle(article) {
+    try {
+      await expandShowMore(article);
+      const tweetData = extractTweetContent(article);
+      const existing = await sendMessageAsync({ type: 'CHECK_HISTORY', tweetUrl: tweetData.tweetUrl });
+      if (existing && existing.found) return 'skipped';
+
+      const response = await sendMessageAsync({
+        type: 'GENERATE_TLDR',
+        tweetData,
+        articleUrl: detectArticleUrl(article),
+        quotedTweetUrl: detectQuotedTweetUrl(article),
+      });
+      return response && response.success ? 'imported' : 'failed';
+    } catch (_) {
+      return 'failed';
     }
-    flushList();
   }
 
-  function renderInline(el, text) {
-    const pattern = /(\*\*(.+?)\*\*|\*(.+?)\*)/g;
-    const matches = Array.from(text.matchAll(pattern));
-    if (matches.length === 0) { el.appendChild(document.createTextNode(text)); return; }
-    let cursor = 0;
-    for (const m of matches) {
-      if (m.index > cursor) el.appendChild(document.createTextNode(text.slice(cursor, m.index)));
-      if (m[2]) { const s = document.createElement('strong'); s.textContent = m[2]; el.appendChild(s); }
-      else if (m[3]) { const e = document.createElement('em'); e.textContent = m[3]; el.appendChild(e); }
-      cursor = m.index + m[0].length;
+  function setImportProgress(state) {
+    if (!activeCards.find((c) => c.id === IMPORT_CARD_ID)) {
+      if (!state.running) return;
+      createLoadingCard(IMPORT_CARD_ID);
     }
-    if (cursor < text.length) el.appendChild(document.createTextNode(text.slice(cursor)));
+    const done = state.imported + state.skipped + state.failed;
+    setLoadingText(IMPORT_CARD_ID, '正在导入收藏… 已处理 ' + done + ' 条（新增 '
+      + state.imported + '，跳过 ' + state.skipped + '，失败 ' + state.failed + '）');
+  }
+
+  function getStatusId(url) {
+    const m = (url || '').match(/\/status\/(\d+)/);
+    return m ? m[1] : null;
+  }
+
+  // chrome.runtime.sendMessage wrapper that resolves null instead of throwing
+  // when the service worker is unreachable.
+  function sendMessageAsync(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) { resolve(null); return; }
+        resolve(response);
+      });
+    });
   }
 
+  function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
   // ── Markdown download via <a download> tag ────────────────────────────────
   // Background sends markdown content here when native host is unavailable.
   // The HTML download attribute reliably sets filenames on all platforms,
@@ -0,0 +1,97 @@
+// Scheduled digests — shared by background.js (generation, via
+// importScripts) and popup.html (latest digest, via <script>). Depends on
+// REVIEW_TLDR_LINE_RE from review.js.
+//
+// A digest covers the bookmarks saved in the last day or week. The LLM
+// groups them into themes and picks top takeaways, citing bookmarks as [n];
+// citations become links to each bookmark's own note (or its post when
+// Markdown files are off). Saved as digest-YYYY-MM-DD.md next to the notes.
+
+var DIGEST_PERIODS = {
+  daily: { label: '每日', days: 1 },
+  weekly: { label: '每周', days: 7 },
+};
+
+// Next run of a daily / weekly schedule (local time), or null when off.
+// weekday: 0 = Sunday … 6 = Saturday (weekly only)
+function computeNextDigestTime(now, frequency, hour, weekday) {
+  if (!DIGEST_PERIODS[frequency]) return null;
+  var next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (frequency === 'weekly') {
+    next.setDate(next.getDate() + ((weekday - next.getDay() + 7) % 7));
+    if (next.getTime() <= now) next.setDate(next.getDate() + 7);
+  } else if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+function formatDigestDate(date) {
+  return date.getFullYear() + '-'
+    + String(date.getMonth() + 1).padStart(2, '0') + '-'
+    + String(date.getDate()).padStart(2, '0');
+}
+
+// One-line label for a bookmark: its TLDR sentence, else the preview
+function digestItemTitle(entry) {
+  var lines = (entry.tldr || '').split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var match = lines[i].trim().match(REVIEW_TLDR_LINE_RE);
+    if (match) return match[1].replace(/\*\*/g, '');
+  }
+  return (entry.tweetPreview || '').replace(/\s+/g, ' ');
+}
+
+// Relative link from the digest (saved at the root of the notes folder) to
+// a bookmark's note; "(" and ")" are escaped so the Markdown link holds
+function digestNotePath(fileName) {
+  return fileName.split('/').map(encodeURIComponent).join('/')
+    .replace(/[()]/g, function (c) { return '%' + c.charCodeAt(0).toString(16).toUpperCase(); });
+}
+
+// Turn [n] citations into Markdown links; links[n - 1] is the target.
+// Unknown numbers and existing links are left alone.
+function linkDigestReferences(text, links) {
+  return text.replace(/\[(\d+)\](?!\()/g, function (match, n) {
+    var target = links[Number(n) - 1];
+    return target ? '[' + n + '](' + target + ')' : match;
+  });
+}
+
+// The digest file. entries are in citation order; summary is the LLM text
+// ('' when AI is off). info: { date, frequency, start, end, linkToNotes }
+function buildDigestMarkdown(entries, summary, info) {
+  var links = entries.map(function (entry) {
+    return info.linkToNotes && entry.fileName ? digestNotePath(entry.fileName) : entry.tweetUrl || '';
+  });
+
+  var lines = [];
+  lines.push('# Bookmark Digest · ' + formatDigestDate(info.date));
+  lines.push('');
+  lines.push('> **Period**: ' + formatDigestDate(new Date(info.start)) + ' – ' + formatDigestDate(new Date(info.end))
+    + ' (' + info.frequency + ')');
+  lines.push('> **Bookmarks**: ' + entries.length);
+  lines.push('');
+  lines.push('---');
+  lines.push('');
+
+  if (summary) {
+    lines.push(linkDigestReferences(summary.trim(), links));
+    lines.push('');
+    lines.push('---');
+    lines.push('');
+  }
+
+  lines.push('## Bookmarks');
+  lines.push('');
+  entries.forEach(function (entry, i) {
+    var title = (entry.author || 'unknown') + ' — ' + digestItemTitle(entry);
+    var label = title.replace(/[[\]]/g, '\\$&');
+    var line = (i + 1) + '. ' + (links[i] ? '[' + label + '](' + links[i] + ')' : label);
+    if (entry.tweetUrl && links[i] !== entry.tweetUrl) line += ' · [Source](' + entry.tweetUrl + ')';
+    lines.push(line);
+  });
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,218 @@
+// Markdown file naming — shared by background.js (via importScripts) and
+// popup.html (via <script>) so the popup's live preview matches the files
+// that are actually written.
+//
+// The layout is a template (sync setting `fileNameTemplate`) such as
+// "{{yyyy}}/{{mm}}/{{handle}}-{{title}}.md". "/" creates subfolders below
+// the chosen save folder (native host) or Downloads/bookmark-is-learned/
+// (chrome.downloads). An empty setting means DEFAULT_FILENAME_TEMPLATE.
+
+var DEFAULT_FILENAME_TEMPLATE = '{{handle}}-{{title}}-{{timestamp}}.md';
+
+// Variables available in filename templates (date parts use local time)
+var FILENAME_VARIABLES = {
+  handle: '作者账号',
+  title: '文章标题或推文开头',
+  status_id: '帖子 ID',
+  type: 'tweet / article / quoted / thread',
+  yyyy: '年',
+  mm: '月',
+  dd: '日',
+  hh: '时',
+  min: '分',
+  ss: '秒',
+  timestamp: 'YYYYMMDD-HHMMSS',
+};
+
+// ── Post helpers ─────────────────────────────────────────────────────────────
+
+// Extract the numeric status ID from a tweet permalink
+// (e.g. "https://x.com/user/status/123?s=20" → "123"). Returns '' if absent.
+function extractStatusId(url) {
+  var match = (url || '').match(/\/status\/(\d+)/);
+  return match ? match[1] : '';
+}
+
+// Hashtags in the post text, without '#', lowercased
+function extractHashtags(text) {
+  var tags = [];
+  var re = /(?:^|[^\w&/])#([\p{L}\p{N}_]+)/gu;
+  var match;
+  while ((match = re.exec(text)) !== null) {
+    if (!/^\d+$/.test(match[1])) tags.push(match[1].toLowerCase());
+  }
+  return tags;
+}
+
+// X handle from a post URL (e.g., "https://x.com/elonmusk/status/123")
+function extractHandle(tweetUrl) {
+  try {
+    var firstSegment = new URL(tweetUrl).pathname.split('/')[1];
+    if (firstSegment) return firstSegment;
+  } catch (_) { /* use default */ }
+  return 'unknown';
+}
+
+// tweet | article | quoted | thread
+function getContentType(tweetData, quotedFullContent, isArticle) {
+  if (isArticle) return 'article';
+  if (tweetData.thread && tweetData.thread.length > 1) return 'thread';
+  if ((quotedFullContent && quotedFullContent.body) || tweetData.quotedText) return 'quoted';
+  return 'tweet';
+}
+
+// ── Filename building ────────────────────────────────────────────────────────
+
+// Sanitize one path segment or variable value for use in filenames:
+// - Remove control characters (U+0000–U+001F, U+007F) and null bytes
+// - Replace filesystem-unsafe characters (including "/" inside values)
+// - Strip leading dots to prevent hidden files and ".." traversal
+function sanitizePathSegment(value) {
+  return String(value)
+    .replace(/[\n\r]+/g, ' ')
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .replace(/^\.+/, '')
+    .trim();
+}
+
+// Short title from the article title or the tweet text, cut at a word
+// boundary when it had to be truncated
+function buildTitleSlug(tweetData, articleContent, isArticle) {
+  var title = '';
+  if (isArticle && articleContent && articleContent.title) {
+    title = articleContent.title;
+  } else {
+    title = tweetData.text || tweetData.cardText || tweetData.fallbackText || '';
+  }
+
+  var safeTitle = sanitizePathSegment(title).slice(0, 50);
+  // Remove trailing incomplete words if title was truncated
+  if (title.length > 50) {
+    var lastSpace = safeTitle.lastIndexOf(' ');
+    if (lastSpace > 20) safeTitle = safeTitle.slice(0, lastSpace);
+  }
+  return safeTitle || 'untitled';
+}
+
+// Render a filename template. Every variable value and every "/"-separated
+// segment of the result is sanitized; empty segments are dropped and ".md"
+// is appended when missing. Unknown variables are left as-is (sanitized).
+function renderFileNameTemplate(template, vars) {
+  var rendered = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) {
+    return Object.prototype.hasOwnProperty.call(vars, name) ? sanitizePathSegment(vars[name]) : match;
+  });
+
+  var segments = rendered.split(/[\\/]+/).map(sanitizePathSegment).filter(Boolean);
+  if (segments.length === 0) segments = ['untitled'];
+
+  var last = segments.length - 1;
+  if (!/\.md$/i.test(segments[last])) segments[last] += '.md';
+  return segments.join('/');
+}
+
+// Problems with a filename template, as user-facing messages
+function validateFileNameTemplate(template) {
+  var errors = [];
+  var re = /\{\{\s*(\w+)\s*\}\}/g;
+  var match;
+  while ((match = re.exec(template)) !== null) {
+    if (!FILENAME_VARIABLES[match[1]]) errors.push('未知变量 {{' + match[1] + '}}');
+  }
+  if (/\{\{|\}\}/.test(template.replace(re, ''))) {
+    errors.push('存在未闭合的 {{ 或多余的 }}');
+  }
+  if (/^\s*[\\/]/.test(template) || /^[a-z]:/i.test(template)) {
+    errors.push('请使用相对路径，文件会保存在所选文件夹内');
+  }
+  return errors;
+}
+
+// Variable values for one bookmark
+function buildFileNameVars(tweetData, articleContent, quotedFullContent, isArticle, date) {
+  var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
+  var pad = function (n) { return String(n).padStart(2, '0'); };
+  var vars = {
+    handle: extractHandle(tweetUrl).slice(0, 30),
+    title: buildTitleSlug(tweetData, articleContent, isArticle),
+    status_id: extractStatusId(tweetUrl) || 'unknown',
+    type: getContentType(tweetData, quotedFullContent, isArticle),
+    yyyy: String(date.getFullYear()),
+    mm: pad(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    hh: pad(date.getHours()),
+    min: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+  vars.timestamp = vars.yyyy + vars.mm + vars.dd + '-' + vars.hh + vars.min + vars.ss;
+  return vars;
+}
+
+// The post's own publication time (from its <time datetime>, or the
+// article's), or null when it wasn't captured or doesn't parse
+function postedDate(tweetData, articleContent) {
+  var iso = tweetData.postedAt || (articleContent && articleContent.postedAt) || '';
+  var date = iso ? new Date(iso) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+// Date behind the {{yyyy}} … {{timestamp}} variables. dateSource is the sync
+// setting `fileNameDateSource`: 'saved' (default) or 'posted', which falls
+// back to the save time for posts without a known publication time.
+function fileNameDate(tweetData, articleContent, dateSource, now) {
+  return (dateSource === 'posted' && postedDate(tweetData, articleContent)) || now;
+}
+
+// Build the relative Markdown path for a bookmark, e.g. the default
+// "handle-title-20260211-143022.md" or "2026/02/handle-title.md".
+// options: { template, quotedFullContent, dateSource, savedAt } (all
+// optional; savedAt is the save time in ms, default now)
+function buildFileName(tweetData, articleContent, isArticle, options) {
+  options = options || {};
+  var saved = options.savedAt ? new Date(options.savedAt) : new Date();
+  var date = fileNameDate(tweetData, articleContent, options.dateSource, saved);
+  var vars = buildFileNameVars(tweetData, articleContent, options.quotedFullContent, isArticle, date);
+  return renderFileNameTemplate(options.template, vars);
+}
+
+// ── Image attachments ────────────────────────────────────────────────────────
+//
+// Images are saved to an attachments/ folder next to their note and named
+// after it and the post: "2026/02/handle-title.md" →
+// "2026/02/attachments/handle-title-123456-1.jpg".
+// Paths stored on the images (image.file) are relative to the note.
+
+var ATTACHMENTS_FOLDER = 'attachments';
+var IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+// File extension for an image URL: pbs.twimg.com's ?format= parameter, then
+// the path's own extension, else jpg
+function imageExtension(url) {
+  var parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'jpg';
+  }
+  var format = (parsed.searchParams.get('format') || '').toLowerCase();
+  if (IMAGE_EXTENSIONS.indexOf(format) !== -1) return format;
+  var match = parsed.pathname.match(/\.([a-z]+)$/i);
+  if (match && IMAGE_EXTENSIONS.indexOf(match[1].toLowerCase()) !== -1) return match[1].toLowerCase();
+  return 'jpg';
+}
+
+// Path of the index-th (0-based) image relative to its note. The post's
+// status ID is added unless the note name already carries it: two posts whose
+// notes share a name (the second written as "name (1).md") must not share
+// attachments.
+function attachmentPath(noteFileName, index, url, statusId) {
+  var base = noteFileName.split('/').pop().replace(/\.md$/i, '');
+  if (statusId && base.indexOf(statusId) === -1) base += '-' + statusId;
+  return ATTACHMENTS_FOLDER + '/' + base + '-' + (index + 1) + '.' + imageExtension(url);
+}
+
+// Path of an attachment relative to the save folder
+function attachmentFullPath(noteFileName, relativePath) {
+  var slash = noteFileName.lastIndexOf('/');
+  return slash === -1 ? relativePath : noteFileName.slice(0, slash + 1) + relativePath;
+}
@@ -0,0 +1,201 @@
+// Bookmark library — IndexedDB store shared by background.js (via
+// importScripts) and popup.html (via <script>). Both run on the extension
+// origin, so they open the same database.
+//
+// Replaces the old capped `history` array in chrome.storage.local: there is
+// no entry limit, each entry keeps the full captured content, and saves
+// write a single record instead of rewriting the whole list.
+//
+// Entry fields:
+//   id, timestamp (save time), author, tweetUrl, statusId,
+//   tweetPreview (120 chars), tldr, isArticle, fileName,
+//   content — { text, cardText, fallbackText, quotedText, quotedAuthor,
+//               quotedPostedAt, articleTitle, articleBody, articlePostedAt,
+//               articleHeroImage, quotedFullBody, referencedUrls, metrics,
+//               postedAt, images, thread, communityNote, replies, poll,
+//               hashtags, mentions, cashtags }
+//               (absent on entries migrated from history); the *PostedAt
+//               fields are ISO publication times, '' when unknown
+//   selectors — { version, hits } selector strategies matched by the capture
+//               (see selectors.js); absent on older entries
+//   review — spaced-repetition state per card (see review.js), once reviewed
+//   ankiExport — { at, via, noteId } once exported to Anki (see anki.js)
+
+var LIBRARY_DB_NAME = 'btl-library';
+var LIBRARY_DB_VERSION = 1;
+var LIBRARY_STORE = 'entries';
+
+var libraryDbPromise = null;
+
+function openLibrary() {
+  if (!libraryDbPromise) {
+    libraryDbPromise = new Promise(function (resolve, reject) {
+      var request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = function () {
+        var store = request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('author', 'author');
+        store.createIndex('statusId', 'statusId');
+      };
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    }).then(function (db) {
+      return migrateHistoryToLibrary(db).then(function () { return db; });
+    });
+    // Let the next call retry instead of caching a failed open
+    libraryDbPromise.catch(function () { libraryDbPromise = null; });
+  }
+  return libraryDbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () { resolve(request.result); };
+    request.onerror = function () { reject(request.error); };
+  });
+}
+
+// Run fn(store) in a transaction; resolves with fn's request result once
+// the transaction has committed
+async function withLibraryStore(mode, fn) {
+  var db = await openLibrary();
+  return new Promise(function (resolve, reject) {
+    var tx = db.transaction(LIBRARY_STORE, mode);
+    var result;
+    var request = fn(tx.objectStore(LIBRARY_STORE));
+    if (request) request.onsuccess = function () { result = request.result; };
+    tx.oncomplete = function () { resolve(result); };
+    tx.onerror = function () { reject(tx.error); };
+    tx.onabort = function () { reject(tx.error); };
+  });
+}
+
+// One-time move of the legacy chrome.storage.local `history` array into
+// IndexedDB. The array is removed only after every entry was written.
+async function migrateHistoryToLibrary(db) {
+  var data = await chrome.storage.local.get({ history: null });
+  if (!Array.isArray(data.history)) return;
+
+  await new Promise(function (resolve, reject) {
+    var tx = db.transaction(LIBRARY_STORE, 'readwrite');
+    var store = tx.objectStore(LIBRARY_STORE);
+    data.history.forEach(function (entry) {
+      store.put(Object.assign({ statusId: extractStatusId(entry.tweetUrl) }, entry));
+    });
+    tx.oncomplete = resolve;
+    tx.onerror = function () { reject(tx.error); };
+  });
+  await chrome.storage.local.remove('history');
+}
+
+function libraryPut(entry) {
+  return withLibraryStore('readwrite', function (store) { return store.put(entry); });
+}
+
+function libraryGet(id) {
+  return withLibraryStore('readonly', function (store) { return store.get(id); });
+}
+
+function libraryDelete(id) {
+  return withLibraryStore('readwrite', function (store) { return store.delete(id); });
+}
+
+function libraryClear() {
+  return withLibraryStore('readwrite', function (store) { return store.clear(); });
+}
+
+function libraryCount() {
+  return withLibraryStore('readonly', function (store) { return store.count(); });
+}
+
+function libraryGetAll() {
+  return withLibraryStore('readonly', function (store) { return store.getAll(); });
+}
+
+// Most recent entry for a status ID, or null
+async function libraryFindByStatusId(statusId) {
+  if (!statusId) return null;
+  var matches = await withLibraryStore('readonly', function (store) {
+    return store.index('statusId').getAll(statusId);
+  });
+  if (!matches || matches.length === 0) return null;
+  return matches.reduce(function (a, b) { return b.timestamp > a.timestamp ? b : a; });
+}
+
+// Page through entries in time order without loading the whole library.
+// options: { newestFirst, offset, limit, filter } — filter(entry) decides
+// which entries count; offset skips that many matching entries.
+// Resolves with { entries, hasMore }.
+async function libraryPage(options) {
+  var db = await openLibrary();
+  var offset = options.offset || 0;
+  var limit = options.limit;
+  var filter = options.filter || function () { return true; };
+
+  return new Promise(function (resolve, reject) {
+    var entries = [];
+    var skipped = 0;
+    var hasMore = false;
+    var tx = db.transaction(LIBRARY_STORE, 'readonly');
+    var request = tx.objectStore(LIBRARY_STORE).index('timestamp')
+      .openCursor(null, options.newestFirst ? 'prev' : 'next');
+    request.onsuccess = function () {
+      var cursor = request.result;
+      if (!cursor) return;
+      if (filter(cursor.value)) {
+        if (skipped < offset) {
+          skipped++;
+        } else if (entries.length < limit) {
+          entries.push(cursor.value);
+        } else {
+          hasMore = true;
+          return;
+        }
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = function () { resolve({ entries: entries, hasMore: hasMore }); };
+    tx.onerror = function () { reject(tx.error); };
+  });
+}
+
+// Rebuild the captured post from an entry's stored content, in the shapes
+// the summarizer and Markdown writer take. Returns null for migrated entries
+// that only kept the 120-character preview.
+function restoreEntryCapture(entry) {
+  var c = entry.content;
+  if (!c) return null;
+  var articleContent = c.articleBody ? {
+    title: c.articleTitle,
+    body: c.articleBody,
+    postedAt: c.articlePostedAt || '',
+    heroImage: c.articleHeroImage || null,
+  } : null;
+  return {
+    tweetData: {
+      author: entry.author,
+      tweetUrl: entry.tweetUrl,
+      text: c.text,
+      cardText: c.cardText,
+      fallbackText: c.fallbackText,
+      quotedText: c.quotedText,
+      quotedAuthor: c.quotedAuthor,
+      quotedPostedAt: c.quotedPostedAt || '',
+      referencedUrls: c.referencedUrls || [],
+      metrics: c.metrics,
+      postedAt: c.postedAt,
+      images: c.images || [],
+      thread: c.thread || [],
+      communityNote: c.communityNote || '',
+      replies: c.replies || [],
+      poll: c.poll || null,
+      hashtags: c.hashtags,
+      mentions: c.mentions || [],
+      cashtags: c.cashtags || [],
+    },
+    articleContent: articleContent,
+    quotedFullContent: c.quotedFullBody ? { body: c.quotedFullBody } : null,
+    isArticle: !!articleContent,
+  };
+}
@@ -2,11 +2,12 @@
 """
 Native messaging host for the "收藏到就是学到" Chrome extension.
 
-Handles four actions via Chrome's native messaging protocol:
-  - ping:        Health check, returns version info
-  - pick_folder: Open a native macOS folder picker dialog (via osascript)
-  - write_file:  Write UTF-8 content to a specified file path
-  - call_claude: Invoke the local claude CLI and return generated text
+Handles five actions via Chrome's native messaging protocol:
+  - ping:         Health check, returns version info
+  - pick_folder:  Open a native macOS folder picker dialog (via osascript)
+  - write_file:   Write UTF-8 content to a specified file path
+  - write_binary: Write base64-encoded bytes (image attachments) to a file path
+  - call_claude:  Invoke the local claude CLI and return generated text
 
 Security:
   - Paths containing '..' are rejected to prevent directory traversal
@@ -17,6 +18,7 @@ Protocol: Each message is a JSON object prefixed by a 4-byte uint32 LE length.
 Chrome starts a new process per sendNativeMessage() call.
 """
 
+import base64
 import json
 import os
 import struct
@@ -30,8 +32,9 @@ def read_message():
     if len(raw_length) < 4:
         return None
     length = struct.unpack('<I', raw_length)[0]
-    # Chrome enforces 1MB limit; reject anything larger as a safety guard
-    if length > 1024 * 1024:
+    # Chrome caps messages to the host at 64MB; reject anything larger as a
+    # safety guard (image attachments arrive base64-encoded)
+    if length > 64 * 1024 * 1024:
         return None
     raw = sys.stdin.buffer.read(length)
     return json.loads(raw.decode('utf-8'))
@@ -91,8 +94,12 @@ def validate_path(file_path):
     return resolved, None
 
 
-def write_file(file_path, content):
-    """Write UTF-8 content to file_path. Creates directories and avoids overwrites."""
+def write_file(file_path, content, overwrite=False, binary=False):
+    """
+    Write UTF-8 content to file_path. Creates directories and avoids overwrites
+    unless overwrite is set (used when refreshing a re-bookmarked tweet's note).
+    With binary set, content is base64 and the decoded bytes are written.
+    """
     try:
         resolved, err = validate_path(file_path)
         if err:
@@ -106,12 +113,16 @@ def write_file(file_path, content):
         base, ext = os.path.splitext(resolved)
         final = resolved
         counter = 0
-        while os.path.exists(final) and counter < 100:
+        while not overwrite and os.path.exists(final) and counter < 100:
             counter += 1
             final = f'{base} ({counter}){ext}'
 
-        with open(final, 'w', encoding='utf-8') as f:
-            f.write(content)
+        if binary:
+            with open(final, 'wb') as f:
+                f.write(base64.b64decode(content))
+        else:
+            with open(final, 'w', encoding='utf-8') as f:
+                f.write(content)
         return {'success': True, 'path': final}
     except Exception as e:
         return {'success': False, 'error': str(e)}
@@ -183,16 +194,16 @@ def main():
     action = msg.get('action', '')
 
     if action == 'ping':
-        send_message({'success': True, 'version': '1.3.0'})
+        send_message({'success': True, 'version': '1.5.0'})
     elif action == 'pick_folder':
         send_message(pick_folder())
-    elif action == 'write_file':
+    elif action in ('write_file', 'write_binary'):
         p = msg.get('path', '')
         c = msg.get('content', '')
         if not p:
             send_message({'success': False, 'error': 'missing path'})
         else:
-            send_message(write_file(p, c))
+            send_message(write_file(p, c, bool(msg.get('overwrite')), action == 'write_binary'))
     elif action == 'call_claude':
         send_message(call_claude(msg.get('system', ''), msg.get('user', '')))
     else:
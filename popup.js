@@ -1,14 +1,10 @@
 // Popup script – manages extension settings and browsing history
 // API key is encrypted via AES-GCM before storing in chrome.storage.local.
 // Uses safe DOM methods (createElement / textContent) throughout.
-
-const DEFAULT_MODELS = {
-  openai: 'gpt-4o-mini',
-  claude: 'claude-sonnet-4-20250514',
-  kimi: 'moonshot-v1-8k',
-  zhipu: 'glm-4-flash',
-  'local-claude': '（自动）',
-};
+// Provider list, default models and field layout come from providers.js;
+// prompt template defaults and rendering come from prompts.js; Markdown
+// file naming comes from filenames.js; review cards and scheduling come
+// from review.js.
 
 // Theme cycle order: auto → light → dark → auto
 const THEME_CYCLE = ['auto', 'light', 'dark'];
@@ -17,23 +13,43 @@ const THEME_CYCLE = ['auto', 'light', 'dark'];
 
 document.addEventListener('DOMContentLoaded', () => {
   initTheme();
+  populateProviderOptions();
+  populatePromptTypeOptions();
+  initFileNameTemplateField();
   migrateAndLoadSettings();
+  loadPromptTemplates();
   setupTabs();
+  initHistoryFilters();
+  initReview();
+  initAsk();
+  initDigestSettings();
+  initAnkiExport();
   document.getElementById('provider').addEventListener('change', (e) => {
-    updateModelHint(e.target.value);
-    toggleLocalClaudeFields(e.target.value);
+    switchProvider(e.target.value);
   });
+  document.getElementById('promptType').addEventListener('change', (e) => {
+    switchPromptType(e.target.value);
+  });
+  document.getElementById('previewPromptBtn').addEventListener('click', previewPromptTemplate);
+  document.getElementById('resetPromptBtn').addEventListener('click', resetPromptTemplate);
   document.getElementById('toggleKey').addEventListener('click', toggleKeyVisibility);
   document.getElementById('saveBtn').addEventListener('click', saveSettings);
   document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
   document.getElementById('themeToggle').addEventListener('click', cycleTheme);
   document.getElementById('autoDownloadMd').addEventListener('change', toggleSavePathVisibility);
+  document.getElementById('frontmatterEnabled').addEventListener('change', toggleFrontmatterTags);
+  document.getElementById('saveImages').addEventListener('change', toggleImageMaxSize);
+  document.getElementById('visionMode').addEventListener('change', updateVisionHint);
+  document.getElementById('model').addEventListener('input', updateVisionHint);
   document.getElementById('aiEnabled').addEventListener('change', toggleAiFields);
   document.getElementById('pickFolderBtn').addEventListener('click', pickFolder);
   document.getElementById('clearFolderBtn').addEventListener('click', clearFolder);
   document.getElementById('nativeSetupBtn').addEventListener('click', downloadInstallScript);
   document.getElementById('copyDebugBtn').addEventListener('click', copyDebugInfo);
+  document.getElementById('importBookmarksBtn').addEventListener('click', startImport);
+  document.getElementById('stopImportBtn').addEventListener('click', stopImport);
   initFooter();
+  loadImportState();
 
   // Listen for storage changes so the UI updates when background saves
   // the folder path (after the native picker dialog completes).
@@ -46,6 +62,12 @@ document.addEventListener('DOMContentLoaded', () => {
         showStatus('文件夹已选择', 'success');
       }
     }
+    if (area === 'local' && changes.importState) {
+      renderImportState(changes.importState.newValue);
+    }
+    if (area === 'local' && changes.retryQueue) {
+      loadRetryQueue();
+    }
   });
 
   // Load debug info when the debug section is opened
@@ -118,40 +140,102 @@ async function migrateAndLoadSettings() {
     mdMode: 'tldr',
     model: '',
     baseUrl: '',
+    providerConfigs: {},
     autoDownloadMd: true,
+    duplicateAction: 'update',
+    threadUnroll: true,
+    replyContextCount: 0,
+    longContentBudget: 15000,
+    factCheckEnabled: true,
+    frontmatterEnabled: false,
+    saveImages: true,
+    imageMaxMB: 5,
+    visionMode: 'auto',
+    frontmatterTags: '',
+    fileNameTemplate: '',
+    fileNameDateSource: 'saved',
+    digestFrequency: 'off',
+    digestHour: 21,
+    digestWeekday: 0,
+    ankiConnectUrl: ANKI_DEFAULT_URL,
+    ankiDeck: ANKI_DEFAULT_DECK,
+    ankiNoteType: ANKI_DEFAULT_NOTE_TYPE,
     mdFolderPath: '',  // folder path saved by background.js via native picker
     theme: 'auto',
     aiEnabled: true,
   });
 
+  var localData = await chrome.storage.local.get({ encryptedApiKeys: {}, encryptedApiKey: null });
+  var encryptedKeys = localData.encryptedApiKeys;
+  var providerConfigs = syncData.providerConfigs;
+
   // If a plaintext key exists in sync, migrate it
   if (syncData.apiKey) {
-    var encrypted = await encryptApiKey(syncData.apiKey);
-    await chrome.storage.local.set({ encryptedApiKey: encrypted });
+    encryptedKeys[syncData.provider] = await encryptApiKey(syncData.apiKey);
+    await chrome.storage.local.set({ encryptedApiKeys: encryptedKeys });
     await chrome.storage.sync.remove('apiKey');
   }
 
-  // Load the encrypted key for display
-  var apiKeyPlain = '';
-  var localData = await chrome.storage.local.get('encryptedApiKey');
+  // Migrate the single key / model / Base URL used before per-provider
+  // settings: they belonged to whichever provider was selected at the time.
   if (localData.encryptedApiKey) {
-    try {
-      apiKeyPlain = await decryptApiKey(localData.encryptedApiKey);
-    } catch (_) {
-      // Decryption failed — key may be corrupted; user will re-enter
+    if (!encryptedKeys[syncData.provider]) encryptedKeys[syncData.provider] = localData.encryptedApiKey;
+    await chrome.storage.local.set({ encryptedApiKeys: encryptedKeys });
+    await chrome.storage.local.remove('encryptedApiKey');
+  }
+  if (syncData.model || syncData.baseUrl) {
+    if (!providerConfigs[syncData.provider]) {
+      providerConfigs[syncData.provider] = { model: syncData.model, baseUrl: syncData.baseUrl };
     }
+    await chrome.storage.sync.set({ providerConfigs: providerConfigs });
+    await chrome.storage.sync.remove(['model', 'baseUrl']);
   }
 
-  document.getElementById('provider').value = syncData.provider;
-  document.getElementById('apiKey').value = apiKeyPlain;
+  // Decrypt every provider's key for display
+  for (var id in PROVIDERS) {
+    var config = providerConfigs[id] || {};
+    var apiKeyPlain = '';
+    if (encryptedKeys[id]) {
+      try {
+        apiKeyPlain = await decryptApiKey(encryptedKeys[id]);
+      } catch (_) {
+        // Decryption failed — key may be corrupted; user will re-enter
+      }
+    }
+    providerDrafts[id] = { apiKey: apiKeyPlain, model: config.model || '', baseUrl: config.baseUrl || '' };
+  }
+
+  var provider = PROVIDERS[syncData.provider] ? syncData.provider : 'openai';
+  document.getElementById('provider').value = provider;
+  activeProvider = provider;
+  loadProviderFields(provider);
+  document.getElementById('visionMode').value = syncData.visionMode;
+  updateVisionHint();
   document.getElementById('language').value = syncData.language;
   document.getElementById('mdMode').value = syncData.mdMode || 'tldr';
-  document.getElementById('model').value = syncData.model;
-  document.getElementById('baseUrl').value = syncData.baseUrl || '';
   document.getElementById('autoDownloadMd').checked = syncData.autoDownloadMd;
+  document.getElementById('duplicateAction').value = syncData.duplicateAction || 'update';
+  document.getElementById('threadUnroll').checked = syncData.threadUnroll !== false;
+  document.getElementById('replyContextCount').value = syncData.replyContextCount;
+  document.getElementById('longContentBudget').value = syncData.longContentBudget;
+  document.getElementById('factCheckEnabled').checked = syncData.factCheckEnabled !== false;
+  document.getElementById('frontmatterEnabled').checked = syncData.frontmatterEnabled;
+  document.getElementById('saveImages').checked = syncData.saveImages;
+  document.getElementById('imageMaxMB').value = syncData.imageMaxMB;
+  toggleImageMaxSize();
+  document.getElementById('frontmatterTags').value = syncData.frontmatterTags;
+  toggleFrontmatterTags();
+  document.getElementById('fileNameTemplate').value = syncData.fileNameTemplate;
+  document.getElementById('fileNameDateSource').value = syncData.fileNameDateSource;
+  updateFileNamePreview();
+  document.getElementById('digestFrequency').value = syncData.digestFrequency;
+  document.getElementById('digestHour').value = String(syncData.digestHour);
+  document.getElementById('digestWeekday').value = String(syncData.digestWeekday);
+  toggleDigestWeekday();
+  document.getElementById('ankiConnectUrl').value = syncData.ankiConnectUrl;
+  document.getElementById('ankiDeck').value = syncData.ankiDeck;
+  document.getElementById('ankiNoteType').value = syncData.ankiNoteType;
   document.getElementById('aiEnabled').checked = syncData.aiEnabled !== false;
-  updateModelHint(syncData.provider);
-  toggleLocalClaudeFields(syncData.provider);
   toggleSavePathVisibility();
   toggleAiFields();
 
@@ -201,6 +285,16 @@ function toggleSavePathVisibility() {
   document.getElementById('savePathGroup').style.display = checked ? 'block' : 'none';
 }
 
+function toggleFrontmatterTags() {
+  var checked = document.getElementById('frontmatterEnabled').checked;
+  document.getElementById('frontmatterTagsGroup').style.display = checked ? 'block' : 'none';
+}
+
+function toggleImageMaxSize() {
+  var checked = document.getElementById('saveImages').checked;
+  document.getElementById('imageMaxMBGroup').style.display = checked ? 'block' : 'none';
+}
+
 // Toggle AI config fields and save mode visibility based on AI toggle state.
 // Persists immediately so the setting takes effect without clicking "保存设置".
 function toggleAiFields() {
@@ -217,15 +311,284 @@ function toggleAiFields() {
   chrome.storage.sync.set({ aiEnabled: enabled });
 }
 
-// Show/hide API Key, Base URL, and local Claude hint based on selected provider
-function toggleLocalClaudeFields(provider) {
-  var isLocal = provider === 'local-claude';
+// ── Provider selection (registry in providers.js) ────────────────────────────
+
+// Unsaved per-provider field values ({ apiKey, model, baseUrl } keyed by
+// provider id), so switching providers back and forth keeps what was typed.
+var providerDrafts = {};
+var activeProvider = 'openai';
+
+function populateProviderOptions() {
+  var select = document.getElementById('provider');
+  select.textContent = '';
+  Object.keys(PROVIDERS).forEach(function (id) {
+    var option = document.createElement('option');
+    option.value = id;
+    option.textContent = PROVIDERS[id].label;
+    select.appendChild(option);
+  });
+}
+
+function switchProvider(providerId) {
+  storeProviderDraft();
+  activeProvider = providerId;
+  loadProviderFields(providerId);
+  updateVisionHint();
+}
+
+// Whether the provider + model being edited will receive tweet images
+function updateVisionHint() {
+  var provider = PROVIDERS[activeProvider];
+  var mode = document.getElementById('visionMode').value;
+  var model = document.getElementById('model').value.trim();
+  var hint = document.getElementById('visionHint');
+  if (mode === 'off') {
+    hint.textContent = '只把图片的替代文字写进提示词';
+  } else if (providerAcceptsImages(provider, model, mode)) {
+    hint.textContent = mode === 'always'
+      ? '推文图片会随提示词一并发送；模型不支持时自动退回纯文本'
+      : '当前模型支持图片，推文图片会随提示词一并发送';
+  } else {
+    hint.textContent = '当前模型不支持图片，只发送图片的替代文字';
+  }
+}
+
+function storeProviderDraft() {
+  providerDrafts[activeProvider] = {
+    apiKey: document.getElementById('apiKey').value.trim(),
+    model: document.getElementById('model').value.trim(),
+    baseUrl: document.getElementById('baseUrl').value.trim(),
+  };
+}
+
+// Fill the key / model / Base URL inputs with the provider's values and
+// show only the fields the provider uses.
+function loadProviderFields(providerId) {
+  var provider = PROVIDERS[providerId];
+  var draft = providerDrafts[providerId] || { apiKey: '', model: '', baseUrl: '' };
+  document.getElementById('apiKey').value = draft.apiKey;
+  document.getElementById('model').value = draft.model;
+  document.getElementById('baseUrl').value = draft.baseUrl;
+  document.getElementById('modelHint').textContent =
+    '\u9ED8\u8BA4: ' + (provider.defaultModel || '（自动）');
+
   var apiKeyGroup = document.getElementById('apiKey').closest('.form-group');
+  var modelGroup = document.getElementById('model').closest('.form-group');
   var baseUrlGroup = document.getElementById('baseUrl').closest('.form-group');
-  var localHint = document.getElementById('localClaudeHint');
-  if (apiKeyGroup) apiKeyGroup.style.display = isLocal ? 'none' : '';
-  if (baseUrlGroup) baseUrlGroup.style.display = isLocal ? 'none' : '';
-  if (localHint) localHint.style.display = isLocal ? 'block' : 'none';
+  apiKeyGroup.style.display = providerNeedsApiKey(provider) ? '' : 'none';
+  // The local Claude CLI picks its own model
+  modelGroup.style.display = provider.format === 'native-host' ? 'none' : '';
+  baseUrlGroup.style.display = provider.baseUrl ? '' : 'none';
+  if (provider.baseUrl) {
+    document.getElementById('baseUrlLabelText').textContent = provider.baseUrl.label;
+    document.getElementById('baseUrl').placeholder = provider.baseUrl.placeholder;
+    document.getElementById('baseUrlHint').textContent = provider.baseUrl.hint;
+  }
+
+  var hintEl = document.getElementById('providerHint');
+  hintEl.textContent = '';
+  hintEl.style.display = provider.hint ? 'block' : 'none';
+  (provider.hint || []).forEach(function (line) {
+    var lineEl = document.createElement('div');
+    appendHintText(lineEl, line);
+    hintEl.appendChild(lineEl);
+  });
+}
+
+// Render `backticked` spans of a hint line as <code>
+function appendHintText(el, line) {
+  line.split('`').forEach(function (part, i) {
+    if (!part) return;
+    if (i % 2 === 1) {
+      var code = document.createElement('code');
+      code.textContent = part;
+      el.appendChild(code);
+    } else {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+// ── Filename template (filenames.js) ─────────────────────────────────────────
+
+// Sample bookmark for the live filename preview
+var FILE_NAME_SAMPLE = {
+  tweetUrl: 'https://x.com/janedoe/status/1890000000000000001',
+  text: 'Three habits that doubled my reading retention',
+  postedAt: '2025-02-14T09:30:00',
+};
+
+function initFileNameTemplateField() {
+  var input = document.getElementById('fileNameTemplate');
+  input.placeholder = DEFAULT_FILENAME_TEMPLATE;
+  input.addEventListener('input', updateFileNamePreview);
+  document.getElementById('fileNameDateSource').addEventListener('change', updateFileNamePreview);
+
+  var names = Object.keys(FILENAME_VARIABLES).map(function (name) {
+    return '`{{' + name + '}}` ' + FILENAME_VARIABLES[name];
+  });
+  appendHintText(document.getElementById('fileNameVariables'),
+    '留空使用默认格式，用 / 分子文件夹。可用变量：' + names.join('，'));
+}
+
+// Render the template against the sample bookmark as the user types
+function updateFileNamePreview() {
+  var input = document.getElementById('fileNameTemplate');
+  var template = input.value.trim();
+  var errors = validateFileNameTemplate(template);
+  var errorsEl = document.getElementById('fileNameErrors');
+  errorsEl.textContent = errors.join('；');
+  input.classList.toggle('invalid', errors.length > 0);
+
+  var dateSource = document.getElementById('fileNameDateSource').value;
+  var date = fileNameDate(FILE_NAME_SAMPLE, null, dateSource, new Date());
+  var vars = buildFileNameVars(FILE_NAME_SAMPLE, null, null, false, date);
+  document.getElementById('fileNamePreview').textContent = renderFileNameTemplate(template, vars);
+}
+
+// ── Prompt templates (defaults and rendering in prompts.js) ──────────────────
+
+// Unsaved template text keyed by content type, like providerDrafts
+var promptDrafts = {};
+var activePromptType = 'tweet';
+
+// Sample bookmark per content type for the preview
+var PROMPT_SAMPLES = {
+  tweet: {
+    tweetData: {
+      author: 'Jane Doe (@janedoe)',
+      text: 'Three habits that doubled my reading retention:\n1. Summarize every chapter in one sentence\n2. Revisit notes after 1, 7 and 30 days\n3. Teach one idea to a friend each week',
+      referencedUrls: ['https://example.com/retention-study'],
+    },
+  },
+  quoted: {
+    tweetData: {
+      author: 'Jane Doe (@janedoe)',
+      text: 'This is the best write-up on spaced repetition I have read.',
+      quotedAuthor: 'John Roe (@johnroe)',
+    },
+    quotedFullContent: {
+      title: '',
+      body: 'Spaced repetition works because each review happens just before you would forget...',
+    },
+  },
+  article: {
+    tweetData: { author: 'Jane Doe (@janedoe)' },
+    articleContent: {
+      title: 'How I Read 50 Books a Year',
+      body: 'Most people read too fast and remember too little. Here is the system I use...',
+    },
+  },
+};
+
+function populatePromptTypeOptions() {
+  var select = document.getElementById('promptType');
+  select.textContent = '';
+  Object.keys(PROMPT_TYPES).forEach(function (type) {
+    var option = document.createElement('option');
+    option.value = type;
+    option.textContent = PROMPT_TYPES[type].label;
+    select.appendChild(option);
+  });
+
+  var names = Object.keys(PROMPT_VARIABLES).map(function (name) {
+    return '`{{' + name + '}}` ' + PROMPT_VARIABLES[name];
+  });
+  appendHintText(document.getElementById('promptVariables'), '可用变量：' + names.join('，'));
+}
+
+// Saved overrides fill the drafts; types without one show the default
+async function loadPromptTemplates() {
+  var data = await chrome.storage.local.get({ promptTemplates: {} });
+  Object.keys(PROMPT_TYPES).forEach(function (type) {
+    promptDrafts[type] = data.promptTemplates[type] || DEFAULT_PROMPT_TEMPLATES[type];
+  });
+  loadPromptTemplateField(activePromptType);
+}
+
+function switchPromptType(type) {
+  storePromptDraft();
+  activePromptType = type;
+  loadPromptTemplateField(type);
+}
+
+function storePromptDraft() {
+  promptDrafts[activePromptType] = document.getElementById('promptTemplate').value;
+}
+
+function loadPromptTemplateField(type) {
+  document.getElementById('promptType').value = type;
+  document.getElementById('promptTemplate').value = promptDrafts[type] || DEFAULT_PROMPT_TEMPLATES[type];
+  showPromptErrors([]);
+  document.getElementById('promptPreview').style.display = 'none';
+}
+
+function resetPromptTemplate() {
+  promptDrafts[activePromptType] = DEFAULT_PROMPT_TEMPLATES[activePromptType];
+  loadPromptTemplateField(activePromptType);
+  showStatus('已恢复默认模板，保存设置后生效', 'success');
+}
+
+function showPromptErrors(errors) {
+  var el = document.getElementById('promptErrors');
+  el.textContent = '';
+  errors.forEach(function (message) {
+    var line = document.createElement('div');
+    line.textContent = message;
+    el.appendChild(line);
+  });
+  document.getElementById('promptTemplate').classList.toggle('invalid', errors.length > 0);
+}
+
+// Render the current template against the sample bookmark for its type
+function previewPromptTemplate() {
+  storePromptDraft();
+  var type = activePromptType;
+  var errors = validatePromptTemplate(promptDrafts[type], type);
+  showPromptErrors(errors);
+  var previewEl = document.getElementById('promptPreview');
+  if (errors.length > 0) {
+    previewEl.style.display = 'none';
+    return;
+  }
+
+  var sample = PROMPT_SAMPLES[type];
+  var templates = {};
+  templates[type] = promptDrafts[type];
+  var prompt = buildPrompt(
+    sample.tweetData,
+    sample.articleContent || null,
+    sample.quotedFullContent || null,
+    document.getElementById('language').value,
+    type === 'article',
+    type === 'quoted',
+    { templates: templates, factCheck: document.getElementById('factCheckEnabled').checked }
+  );
+  previewEl.textContent = '[system]\n' + prompt.system + '\n\n[user]\n' + prompt.user;
+  previewEl.style.display = 'block';
+}
+
+// Validate every draft. Returns the templates that differ from the
+// defaults, or null (with the first invalid one shown) if any is invalid.
+function collectPromptTemplates() {
+  storePromptDraft();
+  var overrides = {};
+  var types = Object.keys(PROMPT_TYPES);
+  for (var i = 0; i < types.length; i++) {
+    var type = types[i];
+    var text = promptDrafts[type];
+    if (text === undefined || text === DEFAULT_PROMPT_TEMPLATES[type]) continue;
+    var errors = validatePromptTemplate(text, type);
+    if (errors.length > 0) {
+      document.getElementById('promptSection').open = true;
+      switchPromptType(type);
+      showPromptErrors(errors);
+      showStatus('「' + PROMPT_TYPES[type].label + '」提示词模板有误', 'error');
+      return null;
+    }
+    overrides[type] = text;
+  }
+  return overrides;
 }
 
 // Update the hint text below the folder picker based on current state
@@ -298,19 +661,18 @@ function setupTabs() {
       btn.classList.add('active');
       document.getElementById('tab-' + target).classList.add('active');
       if (target === 'history') {
+        loadRetryQueue();
+        loadLatestDigest();
         loadHistory();
       }
+      if (target === 'review') loadReview();
+      if (target === 'ask') loadAskThread();
     });
   });
 }
 
 // ── Settings functions ────────────────────────────────────────────────────────
 
-function updateModelHint(provider) {
-  document.getElementById('modelHint').textContent =
-    '\u9ED8\u8BA4: ' + (DEFAULT_MODELS[provider] || '');
-}
-
 function toggleKeyVisibility() {
   const input = document.getElementById('apiKey');
   input.type = input.type === 'password' ? 'text' : 'password';
@@ -318,45 +680,113 @@ function toggleKeyVisibility() {
 
 async function saveSettings() {
   try {
-    const apiKeyPlain = document.getElementById('apiKey').value.trim();
-    const baseUrlInput = document.getElementById('baseUrl').value.trim();
+    storeProviderDraft();
+    var selectedProvider = document.getElementById('provider').value;
+    var selectedDraft = providerDrafts[selectedProvider];
 
     var mdMode = document.getElementById('mdMode').value;
     var aiEnabled = document.getElementById('aiEnabled').checked;
-    var selectedProvider = document.getElementById('provider').value;
-    var isLocalClaude = selectedProvider === 'local-claude';
-    if (!apiKeyPlain && mdMode !== 'original' && aiEnabled && !isLocalClaude) {
+    var needsKey = providerNeedsApiKey(PROVIDERS[selectedProvider]);
+    if (!selectedDraft.apiKey && mdMode !== 'original' && aiEnabled && needsKey) {
       showStatus('\u8BF7\u586B\u5199 API Key', 'error');
       return;
     }
 
-    var baseUrl = '';
-    if (baseUrlInput) {
-      baseUrl = normalizeBaseUrl(baseUrlInput);
-      if (!baseUrl) {
-        showStatus('Base URL 格式无效', 'error');
-        return;
+    // Normalize every provider's Base URL; an invalid one blocks the save
+    var providerConfigs = {};
+    for (var id in providerDrafts) {
+      var draft = providerDrafts[id];
+      var normalized = '';
+      if (draft.baseUrl) {
+        normalized = normalizeBaseUrl(draft.baseUrl);
+        if (!normalized) {
+          showStatus(PROVIDERS[id].name + ' 的 ' + PROVIDERS[id].baseUrl.label + ' 格式无效', 'error');
+          return;
+        }
+      }
+      if (draft.model || normalized) {
+        providerConfigs[id] = { model: draft.model, baseUrl: normalized };
       }
     }
+    var baseUrl = providerConfigs[selectedProvider] ? providerConfigs[selectedProvider].baseUrl : '';
+
+    // Empty means default; below 2000 chars the chunk count explodes
+    var longContentBudget = parseInt(document.getElementById('longContentBudget').value, 10) || 15000;
+    if (longContentBudget < 2000) {
+      showStatus('长文分段阈值不能小于 2000', 'error');
+      return;
+    }
+
+    var imageMaxMB = parseInt(document.getElementById('imageMaxMB').value, 10) || 5;
+    if (imageMaxMB < 1 || imageMaxMB > 50) {
+      showStatus('单张图片上限需在 1 到 50 MB 之间', 'error');
+      return;
+    }
+
+    var replyContextCount = parseInt(document.getElementById('replyContextCount').value, 10) || 0;
+    if (replyContextCount < 0 || replyContextCount > 20) {
+      showStatus('热门回复条数需在 0 到 20 之间', 'error');
+      return;
+    }
+
+    var promptTemplates = collectPromptTemplates();
+    if (!promptTemplates) return;
+
+    var fileNameTemplate = document.getElementById('fileNameTemplate').value.trim();
+    if (validateFileNameTemplate(fileNameTemplate).length > 0) {
+      showStatus('文件名模板有误', 'error');
+      return;
+    }
+
+    var ankiConnectUrl = readAnkiConnectUrl();
+    if (!ankiConnectUrl) {
+      showStatus('AnkiConnect 地址格式无效', 'error');
+      return;
+    }
 
-    // Encrypt API key and store in local storage (device-only)
-    if (apiKeyPlain) {
-      var encrypted = await encryptApiKey(apiKeyPlain);
-      await chrome.storage.local.set({ encryptedApiKey: encrypted });
+    // Encrypt API keys and store in local storage (device-only)
+    var encryptedKeys = {};
+    for (var keyId in providerDrafts) {
+      if (providerDrafts[keyId].apiKey) {
+        encryptedKeys[keyId] = await encryptApiKey(providerDrafts[keyId].apiKey);
+      }
     }
+    await chrome.storage.local.set({ encryptedApiKeys: encryptedKeys, promptTemplates: promptTemplates });
 
     // Store non-sensitive settings in sync storage.
     // Note: mdFolderPath is saved separately by the folder picker (background.js).
     await chrome.storage.sync.set({
-      provider: document.getElementById('provider').value,
+      provider: selectedProvider,
       language: document.getElementById('language').value,
       mdMode: document.getElementById('mdMode').value,
-      model: document.getElementById('model').value.trim(),
-      baseUrl: baseUrl,
+      providerConfigs: providerConfigs,
       autoDownloadMd: document.getElementById('autoDownloadMd').checked,
+      duplicateAction: document.getElementById('duplicateAction').value,
+      threadUnroll: document.getElementById('threadUnroll').checked,
+      replyContextCount: replyContextCount,
+      longContentBudget: longContentBudget,
+      factCheckEnabled: document.getElementById('factCheckEnabled').checked,
+      frontmatterEnabled: document.getElementById('frontmatterEnabled').checked,
+      saveImages: document.getElementById('saveImages').checked,
+      imageMaxMB: imageMaxMB,
+      visionMode: document.getElementById('visionMode').value,
+      frontmatterTags: document.getElementById('frontmatterTags').value.trim(),
+      fileNameTemplate: fileNameTemplate,
+      fileNameDateSource: document.getElementById('fileNameDateSource').value,
+      digestFrequency: document.getElementById('digestFrequency').value,
+      digestHour: parseInt(document.getElementById('digestHour').value, 10),
+      digestWeekday: parseInt(document.getElementById('digestWeekday').value, 10),
+      ankiConnectUrl: ankiConnectUrl,
+      ankiDeck: document.getElementById('ankiDeck').value.trim() || ANKI_DEFAULT_DECK,
+      ankiNoteType: document.getElementById('ankiNoteType').value.trim() || ANKI_DEFAULT_NOTE_TYPE,
       aiEnabled: document.getElementById('aiEnabled').checked,
     });
 
+    // The default AnkiConnect address is in the manifest; others need a grant
+    if (ankiConnectUrl !== ANKI_DEFAULT_URL) {
+      await ensureOriginPermission(toOriginPattern(ankiConnectUrl));
+    }
+
     if (baseUrl) {
       var permissionResult = await ensureOriginPermission(toOriginPattern(baseUrl));
       if (!permissionResult.granted) {
@@ -432,6 +862,9 @@ function showStatus(message, type) {
 
 // ── Debug info ────────────────────────────────────────────────────────────────
 
+// Recent captures the selector diagnostics cover
+var SELECTOR_DIAGNOSTICS_SAMPLE = 50;
+
 async function loadDebugInfo() {
   var infoEl = document.getElementById('debugInfo');
 
@@ -440,14 +873,19 @@ async function loadDebugInfo() {
     var [syncData, localData, nativeResult] = await Promise.all([
       chrome.storage.sync.get({
         provider: 'openai',
-        model: '',
+        providerConfigs: {},
         language: 'zh-CN',
-        baseUrl: '',
         autoDownloadMd: true,
         mdFolderPath: '',
         aiEnabled: true,
+        factCheckEnabled: true,
+        fileNameTemplate: '',
+        fileNameDateSource: 'saved',
+        visionMode: 'auto',
+        threadUnroll: true,
+        replyContextCount: 0,
       }),
-      chrome.storage.local.get({ lastSave: null }),
+      chrome.storage.local.get({ lastSave: null, lastImageSave: null, promptTemplates: {} }),
       chrome.runtime.sendMessage({ type: 'PING_NATIVE_HOST' }).catch(function () { return null; }),
     ]);
 
@@ -459,15 +897,28 @@ async function loadDebugInfo() {
     lines.push('Extension ID: ' + chrome.runtime.id);
     lines.push('Manifest: v' + chrome.runtime.getManifest().version);
     lines.push('Native Host: ' + nativeStatus);
+    var provider = PROVIDERS[syncData.provider];
+    var providerConfig = syncData.providerConfigs[syncData.provider] || {};
     lines.push('Provider: ' + syncData.provider);
-    lines.push('Model: ' + (syncData.model || DEFAULT_MODELS[syncData.provider] || 'default'));
+    lines.push('Model: ' + (providerConfig.model || (provider && provider.defaultModel) || 'default'));
     lines.push('Language: ' + syncData.language);
-    if (syncData.baseUrl) {
-      lines.push('Base URL: ' + syncData.baseUrl);
+    if (providerConfig.baseUrl) {
+      lines.push('Base URL: ' + providerConfig.baseUrl);
     }
     lines.push('Auto Download: ' + (syncData.autoDownloadMd ? 'on' : 'off'));
     lines.push('AI Enabled: ' + (syncData.aiEnabled !== false ? 'on' : 'off'));
+    lines.push('Fact Check: ' + (syncData.factCheckEnabled !== false ? 'on' : 'off'));
+    lines.push('Thread Unroll: ' + (syncData.threadUnroll !== false ? 'on' : 'off'));
+    lines.push('Reply Context: ' + (syncData.replyContextCount || 'off'));
+    lines.push('Vision: ' + syncData.visionMode + ' ('
+      + (provider && providerAcceptsImages(provider, providerConfig.model, syncData.visionMode) ? 'images' : 'alt text') + ')');
+    var customPrompts = Object.keys(localData.promptTemplates);
+    lines.push('Prompt Templates: ' + (customPrompts.length ? 'custom (' + customPrompts.join(', ') + ')' : 'default'));
     lines.push('Save Path: ' + (syncData.mdFolderPath || '(downloads folder)'));
+    lines.push('File Name: ' + (syncData.fileNameTemplate || DEFAULT_FILENAME_TEMPLATE)
+      + ' (dates: ' + syncData.fileNameDateSource + ')');
+    var libraryEntries = await libraryCount().catch(function () { return 'unavailable'; });
+    lines.push('Library: ' + libraryEntries + ' entries');
 
     if (localData.lastSave) {
       var ls = localData.lastSave;
@@ -480,6 +931,23 @@ async function loadDebugInfo() {
     } else {
       lines.push('Last Save: (none)');
     }
+    if (localData.lastImageSave) {
+      lines.push('Last Image Error: ' + new Date(localData.lastImageSave.timestamp).toLocaleString()
+        + ' — ' + localData.lastImageSave.error + ' (reinstall the Native Helper to save images to the folder)');
+    }
+
+    // Which selector strategies recent captures matched (see selectors.js)
+    var recorded = await libraryPage({
+      newestFirst: true,
+      limit: SELECTOR_DIAGNOSTICS_SAMPLE,
+      filter: function (entry) { return !!entry.selectors; },
+    }).catch(function () { return null; });
+    lines.push('');
+    if (recorded) {
+      lines.push.apply(lines, formatSelectorDiagnostics(summarizeSelectorHits(recorded.entries)));
+    } else {
+      lines.push('Selectors: unavailable');
+    }
 
     infoEl.textContent = lines.join('\n');
   } catch (err) {
@@ -575,6 +1043,314 @@ function showUpdateBadge(version) {
   badge.style.display = 'inline-block';
 }
 
+// ── Backfill importer ─────────────────────────────────────────────────────────
+
+var BOOKMARKS_PAGE_URL = 'https://x.com/i/bookmarks';
+
+function loadImportState() {
+  chrome.storage.local.get({ importState: null }, function (data) {
+    renderImportState(data.importState);
+  });
+}
+
+// The content script on x.com/i/bookmarks does the actual work; the popup
+// only flips importState.running and opens the page if it isn't in front.
+async function startImport() {
+  var data = await chrome.storage.local.get({ importState: null });
+  var prev = data.importState;
+  // Resume a paused run; a finished (or first) run starts fresh
+  var state = (prev && !prev.finished)
+    ? prev
+    : { processedIds: [], imported: 0, skipped: 0, failed: 0, startedAt: Date.now() };
+  state.running = true;
+  state.finished = false;
+  await chrome.storage.local.set({ importState: state });
+
+  var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  var activeUrl = (tabs[0] && tabs[0].url) || '';
+  if (!/^https:\/\/(x|twitter)\.com\/i\/bookmarks\/?$/.test(activeUrl)) {
+    chrome.tabs.create({ url: BOOKMARKS_PAGE_URL });
+  }
+}
+
+async function stopImport() {
+  var data = await chrome.storage.local.get({ importState: null });
+  if (!data.importState) return;
+  data.importState.running = false;
+  await chrome.storage.local.set({ importState: data.importState });
+}
+
+function renderImportState(state) {
+  var startBtn = document.getElementById('importBookmarksBtn');
+  var stopBtn = document.getElementById('stopImportBtn');
+  var statusEl = document.getElementById('importStatus');
+
+  if (!state) {
+    startBtn.textContent = '开始导入';
+    startBtn.style.display = '';
+    stopBtn.style.display = 'none';
+    statusEl.textContent = '';
+    return;
+  }
+
+  var done = state.imported + state.skipped + state.failed;
+  var counts = '新增 ' + state.imported + '，跳过 ' + state.skipped + '，失败 ' + state.failed;
+  if (state.running) {
+    statusEl.textContent = '导入中… 已处理 ' + done + ' 条（' + counts + '）';
+  } else if (state.finished) {
+    statusEl.textContent = '上次导入已完成（' + counts + '）';
+  } else {
+    statusEl.textContent = '导入已暂停，已处理 ' + done + ' 条（' + counts + '）';
+  }
+  startBtn.textContent = (!state.running && !state.finished) ? '继续导入' : '开始导入';
+  startBtn.style.display = state.running ? 'none' : '';
+  stopBtn.style.display = state.running ? '' : 'none';
+}
+
+// ── Scheduled digest (digest.js; generation runs in background.js) ──────────
+
+function initDigestSettings() {
+  var hourSelect = document.getElementById('digestHour');
+  for (var h = 0; h < 24; h++) {
+    var option = document.createElement('option');
+    option.value = String(h);
+    option.textContent = String(h).padStart(2, '0') + ':00';
+    hourSelect.appendChild(option);
+  }
+  document.getElementById('digestFrequency').addEventListener('change', toggleDigestWeekday);
+  document.getElementById('runDigestBtn').addEventListener('click', runDigestNow);
+
+  chrome.storage.local.get({ digestError: null }, function (data) {
+    if (data.digestError) {
+      document.getElementById('digestStatus').textContent = '上次定时汇总失败（'
+        + formatRelativeTime(data.digestError.at) + '）：' + data.digestError.message;
+    }
+  });
+}
+
+function toggleDigestWeekday() {
+  document.getElementById('digestWeekdayGroup').style.display =
+    document.getElementById('digestFrequency').value === 'weekly' ? '' : 'none';
+}
+
+// Uses the selected frequency even before settings are saved; "off" means
+// a one-off daily digest
+async function runDigestNow() {
+  var btn = document.getElementById('runDigestBtn');
+  var statusEl = document.getElementById('digestStatus');
+  var frequency = document.getElementById('digestFrequency').value;
+  btn.disabled = true;
+  statusEl.textContent = '生成中...';
+  var res;
+  try {
+    res = await chrome.runtime.sendMessage({ type: 'RUN_DIGEST', frequency: frequency === 'off' ? 'daily' : frequency });
+  } catch (err) {
+    res = { success: false, error: err.message };
+  }
+  btn.disabled = false;
+  if (!res || !res.success) {
+    statusEl.textContent = '生成失败：' + ((res && res.error) || 'unknown');
+    return;
+  }
+  statusEl.textContent = '已生成 ' + res.digest.fileName + '（' + res.digest.items.length + ' 条收藏）'
+    + (res.digest.saved ? '' : '，但文件保存失败，可在历史记录页查看');
+}
+
+async function loadLatestDigest() {
+  var data = await chrome.storage.local.get({ lastDigest: null });
+  var digest = data.lastDigest;
+  var wrap = document.getElementById('latestDigest');
+  if (!digest) {
+    wrap.style.display = 'none';
+    return;
+  }
+  wrap.style.display = 'block';
+  document.getElementById('latestDigestMeta').textContent = '· '
+    + formatDigestDate(new Date(digest.createdAt)) + ' · '
+    + (DIGEST_PERIODS[digest.frequency] ? DIGEST_PERIODS[digest.frequency].label : '')
+    + ' · ' + digest.items.length + ' 条';
+
+  var bodyEl = document.getElementById('latestDigestBody');
+  bodyEl.textContent = '';
+  renderFormattedTLDR(bodyEl, buildDigestPreview(digest));
+}
+
+// Markdown for the popup view: citations and items link to the posts,
+// since the popup can't open the local note files
+function buildDigestPreview(digest) {
+  var links = digest.items.map(function (item) { return item.tweetUrl; });
+  var lines = [];
+  if (digest.summary) {
+    lines.push(linkDigestReferences(digest.summary.trim(), links));
+    lines.push('');
+  }
+  lines.push('**收藏列表**');
+  digest.items.forEach(function (item, i) {
+    var label = ((item.author || 'unknown') + ' — ' + item.title).replace(/[[\]]/g, '');
+    lines.push((i + 1) + '. ' + (item.tweetUrl ? '[' + label + '](' + item.tweetUrl + ')' : label));
+  });
+  return lines.join('\n');
+}
+
+// ── Anki export (anki.js; AnkiConnect calls run in background.js) ───────────
+
+// Checked history entries (ids); cleared whenever the list is rebuilt
+var historySelection = new Set();
+
+function initAnkiExport() {
+  document.getElementById('testAnkiBtn').addEventListener('click', testAnkiConnection);
+  document.getElementById('historySelectAll').addEventListener('change', function (e) {
+    document.querySelectorAll('#historyList .history-select').forEach(function (box) {
+      box.checked = e.target.checked;
+      toggleHistorySelection(box.getAttribute('data-id'), box.checked);
+    });
+  });
+  document.getElementById('exportAnkiBtn').addEventListener('click', exportSelectionToAnki);
+  document.getElementById('exportTsvBtn').addEventListener('click', function () { exportSelectionToFile('tsv'); });
+  document.getElementById('exportCsvBtn').addEventListener('click', function () { exportSelectionToFile('csv'); });
+}
+
+// Empty input means the default; only http(s) URLs are accepted
+function normalizeAnkiConnectUrl(value) {
+  var trimmed = value.trim();
+  if (!trimmed) return ANKI_DEFAULT_URL;
+  if (!/^https?:\/\//i.test(trimmed)) return '';
+  try {
+    var url = new URL(trimmed);
+    return url.origin + url.pathname.replace(/\/+$/, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+function readAnkiConnectUrl() {
+  return normalizeAnkiConnectUrl(document.getElementById('ankiConnectUrl').value);
+}
+
+async function testAnkiConnection() {
+  var statusEl = document.getElementById('ankiStatus');
+  var url = readAnkiConnectUrl();
+  if (!url) {
+    statusEl.textContent = 'AnkiConnect 地址格式无效';
+    return;
+  }
+  if (url !== ANKI_DEFAULT_URL) {
+    var permission = await ensureOriginPermission(toOriginPattern(url));
+    if (!permission.granted) {
+      statusEl.textContent = '请授权访问 ' + url;
+      return;
+    }
+  }
+  statusEl.textContent = '连接中...（首次连接请在 Anki 弹窗中允许）';
+  var res;
+  try {
+    res = await chrome.runtime.sendMessage({ type: 'TEST_ANKI', url: url });
+  } catch (err) {
+    res = { success: false, error: err.message };
+  }
+  statusEl.textContent = res && res.success
+    ? '已连接 AnkiConnect（版本 ' + res.version + '）'
+    : '连接失败：' + ((res && res.error) || 'unknown');
+}
+
+function toggleHistorySelection(id, selected) {
+  if (selected) historySelection.add(id);
+  else historySelection.delete(id);
+  document.getElementById('historySelectedCount').textContent = historySelection.size
+    ? '已选 ' + historySelection.size + ' 条'
+    : '';
+}
+
+function clearHistorySelection() {
+  historySelection.clear();
+  document.getElementById('historySelectAll').checked = false;
+  document.getElementById('historySelectedCount').textContent = '';
+}
+
+function setExportStatus(text) {
+  document.getElementById('historyExportStatus').textContent = text;
+}
+
+async function exportSelectionToAnki() {
+  if (historySelection.size === 0) {
+    setExportStatus('请先勾选要导出的记录');
+    return;
+  }
+  var btn = document.getElementById('exportAnkiBtn');
+  btn.disabled = true;
+  setExportStatus('正在导出到 Anki...（首次连接请在 Anki 弹窗中允许）');
+  var res;
+  try {
+    res = await chrome.runtime.sendMessage({
+      type: 'EXPORT_ANKI',
+      ids: Array.from(historySelection),
+      includeExported: document.getElementById('exportIncludeExported').checked,
+    });
+  } catch (err) {
+    res = { success: false, error: err.message };
+  }
+  btn.disabled = false;
+  if (!res || !res.success) {
+    setExportStatus('导出失败：' + ((res && res.error) || 'unknown'));
+    return;
+  }
+  setExportStatus(formatAnkiExportSummary(res));
+  loadHistory();
+}
+
+// e.g. "已添加 3 张，2 张已存在，1 条跳过（无摘要或已导出）"
+function formatAnkiExportSummary(result) {
+  var parts = ['已添加 ' + result.added + ' 张'];
+  if (result.duplicates) parts.push(result.duplicates + ' 张已存在');
+  if (result.skipped) parts.push(result.skipped + ' 条跳过（无摘要或已导出）');
+  if (result.failed) parts.push(result.failed + ' 张失败：' + result.lastError);
+  return parts.join('，');
+}
+
+// File export for users without AnkiConnect; entries are marked exported
+// once the file has been handed to the browser
+async function exportSelectionToFile(format) {
+  if (historySelection.size === 0) {
+    setExportStatus('请先勾选要导出的记录');
+    return;
+  }
+  var includeExported = document.getElementById('exportIncludeExported').checked;
+  var prefs = await chrome.storage.sync.get({ ankiDeck: ANKI_DEFAULT_DECK, ankiNoteType: ANKI_DEFAULT_NOTE_TYPE });
+
+  var notes = [];
+  var exported = [];
+  var ids = Array.from(historySelection);
+  for (var i = 0; i < ids.length; i++) {
+    var entry = await libraryGet(ids[i]);
+    var note = entry && (includeExported || !entry.ankiExport) ? buildAnkiNote(entry) : null;
+    if (!note) continue;
+    notes.push(note);
+    exported.push(entry);
+  }
+  if (notes.length === 0) {
+    setExportStatus('没有可导出的记录（无摘要或已导出）');
+    return;
+  }
+
+  var content = buildAnkiImportFile(notes, format, { deck: prefs.ankiDeck, noteType: prefs.ankiNoteType });
+  var blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'text/tab-separated-values' });
+  var blobUrl = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = blobUrl;
+  a.download = 'bookmark-is-learned-anki.' + format;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(function () { URL.revokeObjectURL(blobUrl); }, 5000);
+
+  for (var j = 0; j < exported.length; j++) {
+    exported[j].ankiExport = { at: Date.now(), via: 'file', noteId: null };
+    await libraryPut(exported[j]);
+  }
+  setExportStatus('已导出 ' + notes.length + ' 张卡片' + (ids.length > notes.length ? '，' + (ids.length - notes.length) + ' 条跳过' : ''));
+  loadHistory();
+}
+
 // ── Install script generator ──────────────────────────────────────────────────
 
 // Generate a self-contained install script with the extension ID baked in,
@@ -587,7 +1363,7 @@ function downloadInstallScript() {
   var pythonScript = [
     '#!/usr/bin/env python3',
     '"""Native messaging host for btl extension."""',
-    'import json, os, struct, subprocess, sys',
+    'import base64, json, os, struct, subprocess, sys',
     '',
     'def read_msg():',
     '    raw = sys.stdin.buffer.read(4)',
@@ -622,7 +1398,7 @@ function downloadInstallScript() {
     '        return None, "path outside home"',
     '    return resolved, None',
     '',
-    'def write_file(fp, content):',
+    'def write_file(fp, content, overwrite=False, binary=False):',
     '    try:',
     '        resolved, err = validate_path(fp)',
     '        if err: return {"success": False, "error": err}',
@@ -630,9 +1406,12 @@ function downloadInstallScript() {
     '        if d: os.makedirs(d, exist_ok=True)',
     '        base, ext = os.path.splitext(resolved)',
     '        final, c = resolved, 0',
-    '        while os.path.exists(final) and c < 100:',
+    '        while not overwrite and os.path.exists(final) and c < 100:',
     '            c += 1; final = f"{base} ({c}){ext}"',
-    '        with open(final, "w", encoding="utf-8") as f: f.write(content)',
+    '        if binary:',
+    '            with open(final, "wb") as f: f.write(base64.b64decode(content))',
+    '        else:',
+    '            with open(final, "w", encoding="utf-8") as f: f.write(content)',
     '        return {"success": True, "path": final}',
     '    except Exception as e:',
     '        return {"success": False, "error": str(e)}',
@@ -681,11 +1460,11 @@ function downloadInstallScript() {
     '    m = read_msg()',
     '    if not m: return',
     '    a = m.get("action", "")',
-    '    if a == "ping": send_msg({"success": True, "version": "1.3.0"})',
+    '    if a == "ping": send_msg({"success": True, "version": "1.5.0"})',
     '    elif a == "pick_folder": send_msg(pick_folder())',
-    '    elif a == "write_file":',
+    '    elif a in ("write_file", "write_binary"):',
     '        p, c = m.get("path", ""), m.get("content", "")',
-    '        send_msg(write_file(p, c) if p else {"success": False, "error": "no path"})',
+    '        send_msg(write_file(p, c, bool(m.get("overwrite")), a == "write_binary") if p else {"success": False, "error": "no path"})',
     '    elif a == "call_claude":',
     '        send_msg(call_claude(m.get("system", ""), m.get("user", "")))',
     '    else: send_msg({"success": False, "error": f"unknown: {a}"})',
@@ -761,101 +1540,636 @@ function downloadInstallScript() {
 
 // ── History functions ─────────────────────────────────────────────────────────
 
+// Entries come from the IndexedDB library (library.js) one page at a time
+var HISTORY_PAGE_SIZE = 30;
+
+// Paging state for the current filter: entries rendered so far, whether
+// the library has more matches, and a token that invalidates stale loads
+// when the filter changes while a page is still being read
+var historyShownCount = 0;
+var historyTotal = 0;
+var historyHasMore = false;
+var historyLoadToken = 0;
+var historySearchTimer = null;
+
+// Search / filter / sort state. Kept in memory so it survives switching
+// tabs and history reloads for as long as the popup stays open.
+var historyFilter = { query: '', tag: '', type: 'all', score: 'all', from: '', to: '', sort: 'newest' };
+
+function initHistoryFilters() {
+  var fields = {
+    historySearch: 'query', historyTag: 'tag', historyType: 'type', historyScore: 'score',
+    historyFrom: 'from', historyTo: 'to', historySort: 'sort',
+  };
+  Object.keys(fields).forEach(function (id) {
+    var el = document.getElementById(id);
+    if (el.type === 'search') {
+      // Each search scans the library, so wait for a pause in typing
+      el.addEventListener('input', function () {
+        historyFilter[fields[id]] = el.value;
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(loadHistory, 200);
+      });
+    } else {
+      el.addEventListener('change', function () {
+        historyFilter[fields[id]] = el.value;
+        loadHistory();
+      });
+    }
+  });
+  document.getElementById('historyResetFilters').addEventListener('click', function () {
+    historyFilter = { query: '', tag: '', type: 'all', score: 'all', from: '', to: '', sort: 'newest' };
+    Object.keys(fields).forEach(function (id) {
+      document.getElementById(id).value = historyFilter[fields[id]];
+    });
+    loadHistory();
+  });
+  document.getElementById('historyMoreBtn').addEventListener('click', loadMoreHistory);
+}
+
+// Reset the list and render the first page for the current filter
 async function loadHistory() {
-  var result = await chrome.storage.local.get({ history: [] });
-  var history = result.history;
+  var token = ++historyLoadToken;
+  var total = await libraryCount();
+  if (token !== historyLoadToken) return;
 
   var listEl = document.getElementById('historyList');
   var emptyEl = document.getElementById('historyEmpty');
+  var filtersEl = document.getElementById('historyFilters');
   var clearBtn = document.getElementById('clearHistoryBtn');
 
   listEl.textContent = '';
+  historyShownCount = 0;
+  historyTotal = total;
+  clearHistorySelection();
 
-  if (history.length === 0) {
+  if (total === 0) {
     emptyEl.style.display = 'block';
+    document.getElementById('historyNoMatch').style.display = 'none';
+    document.getElementById('historyMoreBtn').style.display = 'none';
+    filtersEl.style.display = 'none';
     clearBtn.style.display = 'none';
     return;
   }
 
   emptyEl.style.display = 'none';
+  filtersEl.style.display = 'flex';
   clearBtn.style.display = 'block';
+  await loadHistoryPage();
+}
+
+// Append the next page of matching entries. Time-ordered views walk the
+// library's timestamp index; score / author sorts need every match first.
+async function loadHistoryPage() {
+  var token = historyLoadToken;
+  var page;
+  if (historyFilter.sort === 'newest' || historyFilter.sort === 'oldest') {
+    page = await libraryPage({
+      newestFirst: historyFilter.sort === 'newest',
+      offset: historyShownCount,
+      limit: HISTORY_PAGE_SIZE,
+      filter: compileHistoryFilter(historyFilter),
+    });
+  } else {
+    var sorted = filterHistory(await libraryGetAll(), historyFilter);
+    page = {
+      entries: sorted.slice(historyShownCount, historyShownCount + HISTORY_PAGE_SIZE),
+      hasMore: sorted.length > historyShownCount + HISTORY_PAGE_SIZE,
+    };
+  }
+  if (token !== historyLoadToken) return;
+
+  historyShownCount += page.entries.length;
+  historyHasMore = page.hasMore;
+  appendHistoryItems(page.entries, parseSearchTerms(historyFilter.query));
+  updateHistoryCount();
+}
+
+// The "more" button loads one page at a time: a double click would start two
+// loads at the same offset and append the same entries twice
+async function loadMoreHistory() {
+  var btn = document.getElementById('historyMoreBtn');
+  if (btn.disabled) return;
+  btn.disabled = true;
+  try {
+    await loadHistoryPage();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function updateHistoryCount() {
+  var filtered = isHistoryFiltered(historyFilter);
+  document.getElementById('historyCount').textContent = filtered || historyHasMore
+    ? '已显示 ' + historyShownCount + ' 条' + (filtered ? '匹配记录' : '') + '，共 ' + historyTotal + ' 条'
+    : '共 ' + historyTotal + ' 条';
+  document.getElementById('historyNoMatch').style.display = historyShownCount === 0 ? 'block' : 'none';
+  document.getElementById('historyMoreBtn').style.display = historyHasMore ? 'block' : 'none';
+}
+
+function isHistoryFiltered(filter) {
+  return !!(filter.query.trim() || filter.tag.trim() || filter.type !== 'all' || filter.score !== 'all'
+    || filter.from || filter.to);
+}
+
+// Lowercased search terms; every term must match somewhere in the entry
+function parseSearchTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Local-midnight timestamp for a <input type="date"> value ("YYYY-MM-DD")
+function parseDateInput(value) {
+  var parts = (value || '').split('-').map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  return new Date(parts[0], parts[1] - 1, parts[2]).getTime();
+}
+
+function matchesScoreFilter(score, filter) {
+  switch (filter) {
+    case 'high': return score !== null && score >= 7;
+    case 'mid': return score !== null && score >= 4 && score <= 6;
+    case 'low': return score !== null && score <= 3;
+    case 'none': return score === null;
+    default: return true;
+  }
+}
+
+// Whether the entry's post links the #hashtag, @mention or $cashtag in tag
+// (case-insensitive). A tag without a prefix matches any of the three.
+// Entries saved before hashtags were captured fall back to the ones in the
+// text (extractHashtags, filenames.js), like the frontmatter tags do.
+function matchesTagFilter(entry, tag) {
+  var value = tag.trim().toLowerCase();
+  if (!value) return true;
+  var c = entry.content || {};
+  var hashtags = c.hashtags || extractHashtags(c.text || '');
+  var lists = { '#': hashtags, '@': c.mentions, '$': c.cashtags };
+  var prefix = value.charAt(0);
+  var names = lists.hasOwnProperty(prefix)
+    ? lists[prefix] || []
+    : [].concat(hashtags, c.mentions || [], c.cashtags || []);
+  var name = lists.hasOwnProperty(prefix) ? value.slice(1) : value;
+  return names.some(function (item) { return item.toLowerCase() === name; });
+}
+
+// Text searched for an entry: author, preview, TLDR and, for library
+// entries that have it, the full captured content
+function historySearchText(entry) {
+  var parts = [entry.author, entry.tweetPreview, entry.tldr];
+  var c = entry.content;
+  if (c) parts.push(c.text, c.cardText, c.fallbackText, c.quotedText, c.quotedAuthor, c.articleTitle, c.articleBody, c.quotedFullBody);
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+// Turn the filter state into a predicate over entries
+function compileHistoryFilter(filter) {
+  var terms = parseSearchTerms(filter.query);
+  var from = parseDateInput(filter.from);
+  var to = parseDateInput(filter.to);
+  if (to !== null) to += 24 * 60 * 60 * 1000; // inclusive end day
+
+  return function (entry) {
+    if (filter.type === 'article' && !entry.isArticle) return false;
+    if (filter.type === 'tweet' && entry.isArticle) return false;
+    if (filter.type === 'poll' && !(entry.content && entry.content.poll)) return false;
+    if (!matchesTagFilter(entry, filter.tag)) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp >= to) return false;
+    if (!matchesScoreFilter(parseCredibilityScore(entry.tldr), filter.score)) return false;
+    if (terms.length === 0) return true;
+    var haystack = historySearchText(entry);
+    return terms.every(function (term) { return haystack.indexOf(term) !== -1; });
+  };
+}
+
+// Apply search, filters and sort to history entries (new array)
+function filterHistory(entries, filter) {
+  return entries.filter(compileHistoryFilter(filter)).sort(function (a, b) {
+    switch (filter.sort) {
+      case 'oldest': return a.timestamp - b.timestamp;
+      case 'score': {
+        var sa = parseCredibilityScore(a.tldr);
+        var sb = parseCredibilityScore(b.tldr);
+        return (sb === null ? -1 : sb) - (sa === null ? -1 : sa) || b.timestamp - a.timestamp;
+      }
+      case 'author': return (a.author || '').localeCompare(b.author || '') || b.timestamp - a.timestamp;
+      default: return b.timestamp - a.timestamp;
+    }
+  });
+}
+
+// Split text into [{ text, match }] runs so search terms can be wrapped
+// in <mark> without innerHTML
+function splitHighlights(text, terms) {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+  var escaped = terms.map(function (t) { return t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); });
+  var re = new RegExp('(' + escaped.join('|') + ')', 'gi');
+  // With one capture group, split() alternates non-match / match runs
+  return text.split(re).map(function (part, i) {
+    return { text: part, match: i % 2 === 1 };
+  }).filter(function (run) { return run.text; });
+}
+
+function appendHighlighted(el, text, terms) {
+  splitHighlights(text, terms).forEach(function (run) {
+    if (run.match) {
+      var mark = document.createElement('mark');
+      mark.textContent = run.text;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run.text));
+    }
+  });
+}
+
+function appendHistoryItems(entries, terms) {
+  var listEl = document.getElementById('historyList');
 
   // Build all history items in a DocumentFragment for a single DOM reflow
   var fragment = document.createDocumentFragment();
+  entries.forEach(function (entry) {
+    fragment.appendChild(buildHistoryItem(entry, terms));
+  });
+  listEl.appendChild(fragment);
+}
+
+function buildHistoryItem(entry, terms) {
+  var item = document.createElement('div');
+  item.className = 'history-item';
+
+  var header = document.createElement('div');
+  header.className = 'history-item-header';
+
+  var selectBox = document.createElement('input');
+  selectBox.type = 'checkbox';
+  selectBox.className = 'history-select';
+  selectBox.setAttribute('data-id', entry.id);
+  selectBox.title = '选择以导出到 Anki';
+  selectBox.checked = historySelection.has(entry.id);
+  selectBox.addEventListener('change', function () {
+    toggleHistorySelection(entry.id, selectBox.checked);
+  });
+
+  var authorSpan = document.createElement('span');
+  authorSpan.className = 'history-author';
+  appendHighlighted(authorSpan, entry.author || 'Unknown', terms);
+
+  var timeSpan = document.createElement('span');
+  timeSpan.className = 'history-time';
+  timeSpan.textContent = formatRelativeTime(entry.timestamp);
+  timeSpan.title = '收藏于 ' + new Date(entry.timestamp).toLocaleString();
+  var posted = entry.content ? postedDate(entry.content, null) : null;
+  if (posted) {
+    timeSpan.textContent += ' · 发布于 ' + formatDigestDate(posted);
+    timeSpan.title += '\n发布于 ' + posted.toLocaleString();
+  }
+
+  header.appendChild(selectBox);
+  header.appendChild(authorSpan);
+  if (entry.ankiExport) {
+    var exportedBadge = document.createElement('span');
+    exportedBadge.className = 'history-badge';
+    exportedBadge.textContent = '已导出 Anki';
+    header.appendChild(exportedBadge);
+  }
+  header.appendChild(timeSpan);
+
+  var preview = document.createElement('div');
+  preview.className = 'history-preview';
+  appendHighlighted(preview, entry.tweetPreview || '', terms);
+
+  item.appendChild(header);
+  item.appendChild(preview);
+
+  var actions = document.createElement('div');
+  actions.className = 'history-actions';
+
+  if (entry.tweetUrl) {
+    var link = document.createElement('a');
+    link.href = entry.tweetUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.className = 'history-link';
+    link.textContent = '查看原帖 \u2197';
+    actions.appendChild(link);
+  }
+
+  // Only show TLDR expand/collapse when there is TLDR content
+  if (entry.tldr) {
+    var tldrWrap = document.createElement('div');
+    tldrWrap.className = 'history-tldr collapsed';
+
+    var tldrContent = document.createElement('div');
+    tldrContent.className = 'history-tldr-text';
+    renderFormattedTLDR(tldrContent, entry.tldr, {
+      appendText: function (el, text) { appendHighlighted(el, text, terms); },
+    });
+    tldrWrap.appendChild(tldrContent);
+
+    var toggleBtn = document.createElement('button');
+    toggleBtn.className = 'history-toggle';
+    toggleBtn.textContent = '展开摘要';
+    toggleBtn.addEventListener('click', function () {
+      var isCollapsed = tldrWrap.classList.contains('collapsed');
+      if (isCollapsed) {
+        tldrWrap.classList.remove('collapsed');
+        toggleBtn.textContent = '收起摘要';
+      } else {
+        tldrWrap.classList.add('collapsed');
+        toggleBtn.textContent = '展开摘要';
+      }
+    });
+
+    item.appendChild(tldrWrap);
+    actions.appendChild(toggleBtn);
+  }
+
+  var related = buildHistoryRelated(entry);
+  if (related) item.appendChild(related);
+
+  item.appendChild(actions);
+  appendHistoryEntryActions(entry, item, terms);
+  return item;
+}
+
+// "相关收藏" links for entry.related (matched in background.js, see
+// related.js), or null when there are none
+function buildHistoryRelated(entry) {
+  if (!entry.related || entry.related.length === 0) return null;
+  var wrap = document.createElement('div');
+  wrap.className = 'history-related';
+
+  var label = document.createElement('span');
+  label.className = 'history-related-label';
+  label.textContent = '相关收藏';
+  wrap.appendChild(label);
+
+  var list = document.createElement('ul');
+  entry.related.forEach(function (item) {
+    var li = document.createElement('li');
+    li.dataset.relatedId = item.id;
+    var text = (item.author || 'Unknown') + ' — ' + item.title;
+    if (item.tweetUrl) {
+      var a = document.createElement('a');
+      a.href = item.tweetUrl;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.textContent = text;
+      li.appendChild(a);
+    } else {
+      li.textContent = text;
+    }
+    list.appendChild(li);
+  });
+  wrap.appendChild(list);
+  return wrap;
+}
+
+// Drop a deleted entry from the 相关收藏 lists already on screen
+function removeRelatedLinks(id) {
+  document.querySelectorAll('.history-related li').forEach(function (li) {
+    if (li.dataset.relatedId !== id) return;
+    var wrap = li.closest('.history-related');
+    li.remove();
+    if (!wrap.querySelector('li')) wrap.remove();
+  });
+}
 
-  history.forEach(function (entry) {
+// ── History entry actions ────────────────────────────────────────────────────
+//
+// Copy / regenerate / re-save / delete for one entry. Regenerate and re-save
+// run in background.js (LLM access, Markdown writer); the popup's status
+// line lives on the settings tab, so feedback is shown on the buttons.
+
+function appendHistoryEntryActions(entry, item, terms) {
+  var row = document.createElement('div');
+  row.className = 'history-actions history-entry-actions';
+
+  var errorEl = document.createElement('div');
+  errorEl.className = 'history-action-error';
+
+  function addButton(label, onClick) {
+    var btn = document.createElement('button');
+    btn.className = 'history-toggle';
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.addEventListener('click', function () {
+      errorEl.textContent = '';
+      onClick(btn, label);
+    });
+    row.appendChild(btn);
+    return btn;
+  }
+
+  function fail(btn, label, message) {
+    btn.disabled = false;
+    btn.textContent = label;
+    errorEl.textContent = message;
+  }
+
+  if (entry.tldr) {
+    addButton('复制摘要', function (btn, label) {
+      copyToClipboard(entry.tldr, btn, label);
+    });
+  }
+
+  addButton('复制 Markdown', function (btn, label) {
+    chrome.runtime.sendMessage({ type: 'GET_ENTRY_MARKDOWN', id: entry.id }).then(function (res) {
+      if (res && res.success) copyToClipboard(res.markdown, btn, label);
+      else fail(btn, label, (res && res.error) || '生成 Markdown 失败');
+    }).catch(function (err) {
+      fail(btn, label, err.message);
+    });
+  });
+
+  // Migrated entries only kept the preview, not the content to resummarize
+  if (entry.content) {
+    addButton('重新生成', function (btn, label) {
+      btn.disabled = true;
+      btn.textContent = '生成中...';
+      chrome.runtime.sendMessage({ type: 'REGENERATE_ENTRY', id: entry.id }).then(function (res) {
+        if (res && res.success) {
+          item.replaceWith(buildHistoryItem(res.entry, terms));
+        } else {
+          fail(btn, label, (res && res.error) || '重新生成失败');
+        }
+      }).catch(function (err) {
+        fail(btn, label, err.message);
+      });
+    });
+  }
+
+  addButton('重新保存', function (btn, label) {
+    btn.disabled = true;
+    btn.textContent = '保存中...';
+    chrome.runtime.sendMessage({ type: 'RESAVE_ENTRY', id: entry.id }).then(function (res) {
+      if (!res || !res.success) {
+        fail(btn, label, (res && res.error) || '保存失败');
+        return;
+      }
+      flashButton(btn, '已保存', label);
+      // Related notes were matched again for the file
+      var oldRelated = item.querySelector('.history-related');
+      var newRelated = buildHistoryRelated(res.entry);
+      if (oldRelated) oldRelated.remove();
+      if (newRelated) item.insertBefore(newRelated, item.querySelector('.history-actions'));
+    }).catch(function (err) {
+      fail(btn, label, err.message);
+    });
+  });
+
+  // Same two-click confirmation as "清空历史记录"
+  var deletePending = false;
+  var deleteTimer = null;
+  var deleteBtn = addButton('删除', function (btn, label) {
+    if (!deletePending) {
+      deletePending = true;
+      btn.textContent = '确定删除？';
+      deleteTimer = setTimeout(function () {
+        deletePending = false;
+        btn.textContent = label;
+      }, 3000);
+      return;
+    }
+    clearTimeout(deleteTimer);
+    // Deleted in background.js, which also drops the entry from other
+    // entries' related notes
+    chrome.runtime.sendMessage({ type: 'DELETE_ENTRY', id: entry.id }).then(function (res) {
+      if (!res || !res.success) {
+        deletePending = false;
+        fail(btn, label, (res && res.error) || '删除失败');
+        return;
+      }
+      toggleHistorySelection(entry.id, false);
+      item.remove();
+      removeRelatedLinks(entry.id);
+      historyShownCount--;
+      historyTotal--;
+      if (historyTotal === 0) loadHistory();
+      else updateHistoryCount();
+    }).catch(function (err) {
+      deletePending = false;
+      fail(btn, label, err.message);
+    });
+  });
+  deleteBtn.classList.add('history-delete');
+
+  item.appendChild(row);
+  item.appendChild(errorEl);
+}
+
+function copyToClipboard(text, btn, label) {
+  navigator.clipboard.writeText(text).then(function () {
+    flashButton(btn, '已复制', label);
+  }).catch(function () {
+    flashButton(btn, '复制失败', label);
+  });
+}
+
+// Show a short confirmation on a button, then restore its label
+function flashButton(btn, text, label) {
+  btn.disabled = true;
+  btn.textContent = text;
+  setTimeout(function () {
+    btn.disabled = false;
+    btn.textContent = label;
+  }, 1500);
+}
+
+// ── Retry queue (failed TLDR jobs kept by background.js) ────────────────────
+
+async function loadRetryQueue() {
+  var result = await chrome.storage.local.get({ retryQueue: [] });
+  var queue = result.retryQueue;
+  var wrap = document.getElementById('retryQueue');
+  var listEl = document.getElementById('retryList');
+
+  listEl.textContent = '';
+  if (queue.length === 0) {
+    wrap.style.display = 'none';
+    return;
+  }
+  wrap.style.display = 'block';
+  document.getElementById('retryCount').textContent = '(' + queue.length + ')';
+
+  var fragment = document.createDocumentFragment();
+  queue.forEach(function (job) {
+    var tweetData = job.tweetData || {};
     var item = document.createElement('div');
-    item.className = 'history-item';
+    item.className = 'retry-item';
 
     var header = document.createElement('div');
     header.className = 'history-item-header';
-
     var authorSpan = document.createElement('span');
     authorSpan.className = 'history-author';
-    authorSpan.textContent = entry.author || 'Unknown';
-
+    authorSpan.textContent = tweetData.author || 'Unknown';
     var timeSpan = document.createElement('span');
     timeSpan.className = 'history-time';
-    timeSpan.textContent = formatRelativeTime(entry.timestamp);
-
+    timeSpan.textContent = job.nextRetryAt
+      ? formatRetryTime(job.nextRetryAt)
+      : '已停止自动重试';
     header.appendChild(authorSpan);
     header.appendChild(timeSpan);
 
     var preview = document.createElement('div');
     preview.className = 'history-preview';
-    preview.textContent = entry.tweetPreview || '';
+    preview.textContent = (tweetData.text || tweetData.cardText || tweetData.quotedText
+      || tweetData.fallbackText || tweetData.tweetUrl || '').slice(0, 120);
 
-    item.appendChild(header);
-    item.appendChild(preview);
+    var errorEl = document.createElement('div');
+    errorEl.className = 'retry-error';
+    errorEl.textContent = '第 ' + job.attempts + ' 次失败: ' + (job.lastError || 'unknown');
 
     var actions = document.createElement('div');
     actions.className = 'history-actions';
-
-    if (entry.tweetUrl) {
-      var link = document.createElement('a');
-      link.href = entry.tweetUrl;
-      link.target = '_blank';
-      link.rel = 'noopener';
-      link.className = 'history-link';
-      link.textContent = '查看原帖 \u2197';
-      actions.appendChild(link);
-    }
-
-    // Only show TLDR expand/collapse when there is TLDR content
-    if (entry.tldr) {
-      var tldrWrap = document.createElement('div');
-      tldrWrap.className = 'history-tldr collapsed';
-
-      var tldrContent = document.createElement('div');
-      tldrContent.className = 'history-tldr-text';
-      tldrContent.textContent = entry.tldr;
-      tldrWrap.appendChild(tldrContent);
-
-      var toggleBtn = document.createElement('button');
-      toggleBtn.className = 'history-toggle';
-      toggleBtn.textContent = '展开摘要';
-      toggleBtn.addEventListener('click', function () {
-        var isCollapsed = tldrWrap.classList.contains('collapsed');
-        if (isCollapsed) {
-          tldrWrap.classList.remove('collapsed');
-          toggleBtn.textContent = '收起摘要';
+    var retryBtn = document.createElement('button');
+    retryBtn.className = 'history-toggle';
+    retryBtn.textContent = '立即重试';
+    retryBtn.addEventListener('click', function () {
+      retryBtn.disabled = true;
+      retryBtn.textContent = '重试中...';
+      chrome.runtime.sendMessage({ type: 'RETRY_JOB', id: job.id }).catch(function (err) {
+        return { success: false, error: err.message };
+      }).then(function (res) {
+        if (res && res.success) {
+          showStatus('重试成功，已保存', 'success');
+          loadHistory();
         } else {
-          tldrWrap.classList.add('collapsed');
-          toggleBtn.textContent = '展开摘要';
+          retryBtn.disabled = false;
+          retryBtn.textContent = '立即重试';
+          errorEl.textContent = '重试失败: ' + ((res && res.error) || 'unknown');
         }
       });
+    });
+    var discardBtn = document.createElement('button');
+    discardBtn.className = 'history-toggle retry-discard';
+    discardBtn.textContent = '丢弃';
+    discardBtn.addEventListener('click', function () {
+      chrome.runtime.sendMessage({ type: 'DISCARD_JOB', id: job.id }).catch(function (err) {
+        return { success: false, error: err.message };
+      }).then(function (res) {
+        if (!res || !res.success) errorEl.textContent = '丢弃失败: ' + ((res && res.error) || 'unknown');
+      });
+    });
+    actions.appendChild(retryBtn);
+    actions.appendChild(discardBtn);
 
-      item.appendChild(tldrWrap);
-      actions.appendChild(toggleBtn);
-    }
-
+    item.appendChild(header);
+    item.appendChild(preview);
+    item.appendChild(errorEl);
     item.appendChild(actions);
     fragment.appendChild(item);
   });
-
   listEl.appendChild(fragment);
 }
 
+function formatRetryTime(timestamp) {
+  var minutes = Math.ceil((timestamp - Date.now()) / 60000);
+  if (minutes <= 1) return '即将重试';
+  if (minutes < 60) return minutes + ' 分钟后重试';
+  return Math.ceil(minutes / 60) + ' 小时后重试';
+}
+
 // Two-click confirmation: first click shows "确定清空？", second click actually clears.
 // confirm() is blocked in Chrome extension popups, so we use inline confirmation instead.
 var clearHistoryPending = false;
@@ -883,11 +2197,231 @@ function clearHistory() {
   clearHistoryPending = false;
   btn.textContent = '清空历史记录';
   btn.classList.remove('confirming');
-  chrome.storage.local.set({ history: [] }).then(function () {
+  libraryClear().then(function () {
+    chrome.runtime.sendMessage({ type: 'REFRESH_REVIEW_BADGE' });
     loadHistory();
   });
 }
 
+// ── Review (spaced repetition, see review.js) ────────────────────────────────
+
+// Today's cards for this popup session; "again" answers go back to the end
+var reviewQueue = [];
+var reviewCurrent = null;
+
+function initReview() {
+  document.getElementById('reviewShowBtn').addEventListener('click', showReviewAnswer);
+  document.querySelectorAll('.review-grade').forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      answerReviewCard(btn.getAttribute('data-grade'));
+    });
+  });
+}
+
+async function loadReview() {
+  var entries = await libraryGetAll();
+  var queue = collectDueCards(entries, Date.now());
+  reviewQueue = queue.cards;
+
+  var hasCards = entries.some(function (entry) { return buildReviewCards(entry).length > 0; });
+  document.getElementById('reviewEmpty').style.display = hasCards ? 'none' : 'block';
+  if (!hasCards) {
+    document.getElementById('reviewSummary').textContent = '';
+    document.getElementById('reviewCard').style.display = 'none';
+    document.getElementById('reviewDone').style.display = 'none';
+    return;
+  }
+  showNextReviewCard();
+}
+
+function showNextReviewCard() {
+  reviewCurrent = reviewQueue.shift() || null;
+  var cardEl = document.getElementById('reviewCard');
+  var summaryEl = document.getElementById('reviewSummary');
+
+  if (!reviewCurrent) {
+    cardEl.style.display = 'none';
+    summaryEl.textContent = '';
+    document.getElementById('reviewDone').style.display = 'block';
+    return;
+  }
+
+  var remaining = reviewQueue.length + 1;
+  var fresh = reviewQueue.filter(function (item) { return !item.state; }).length + (reviewCurrent.state ? 0 : 1);
+  summaryEl.textContent = '今日待复习 ' + remaining + ' 张' + (fresh ? '（新卡片 ' + fresh + ' 张）' : '');
+  document.getElementById('reviewDone').style.display = 'none';
+  cardEl.style.display = 'block';
+
+  var entry = reviewCurrent.entry;
+  document.getElementById('reviewAuthor').textContent = entry.author || 'Unknown';
+  var link = document.getElementById('reviewLink');
+  link.href = entry.tweetUrl || '#';
+  link.style.display = entry.tweetUrl ? '' : 'none';
+  document.getElementById('reviewPreview').textContent = entry.tweetPreview || '';
+  document.getElementById('reviewQuestion').textContent = reviewCurrent.card.question;
+
+  var answerEl = document.getElementById('reviewAnswer');
+  answerEl.textContent = '';
+  renderFormattedTLDR(answerEl, reviewCurrent.card.answer);
+  answerEl.style.display = 'none';
+  document.getElementById('reviewShowBtn').style.display = 'block';
+  document.getElementById('reviewGrades').style.display = 'none';
+}
+
+function showReviewAnswer() {
+  if (!reviewCurrent) return;
+  var now = Date.now();
+  document.querySelectorAll('.review-grade').forEach(function (btn) {
+    var grade = btn.getAttribute('data-grade');
+    var next = scheduleReview(reviewCurrent.state, grade, now);
+    btn.textContent = '';
+    btn.appendChild(document.createTextNode(REVIEW_GRADES[grade].label));
+    var interval = document.createElement('span');
+    interval.className = 'review-interval';
+    interval.textContent = formatReviewInterval(next.due - now);
+    btn.appendChild(interval);
+  });
+  document.getElementById('reviewAnswer').style.display = 'block';
+  document.getElementById('reviewShowBtn').style.display = 'none';
+  document.getElementById('reviewGrades').style.display = 'flex';
+}
+
+// Store the new schedule on the entry (re-read first so a concurrent save
+// or regeneration in the background isn't overwritten)
+async function answerReviewCard(grade) {
+  var current = reviewCurrent;
+  if (!current) return;
+  reviewCurrent = null;
+  var state = scheduleReview(current.state, grade, Date.now());
+
+  var entry = await libraryGet(current.entry.id);
+  if (entry) {
+    entry.review = entry.review || { cards: {} };
+    entry.review.cards[current.card.key] = state;
+    await libraryPut(entry);
+    if (grade === 'again') reviewQueue.push({ entry: entry, card: current.card, state: state });
+  }
+  chrome.runtime.sendMessage({ type: 'REFRESH_REVIEW_BADGE' });
+  showNextReviewCard();
+}
+
+// Delay until the next review, e.g. "10 分钟", "3 天", "2 个月"
+function formatReviewInterval(ms) {
+  var minutes = Math.round(ms / 60000);
+  if (minutes < 60) return Math.max(1, minutes) + ' 分钟';
+  var hours = Math.round(minutes / 60);
+  if (hours < 24) return hours + ' 小时';
+  var days = Math.round(hours / 24);
+  if (days < 30) return days + ' 天';
+  if (days < 365) return Math.round(days / 30) + ' 个月';
+  return (Math.round(days / 36.5) / 10) + ' 年';
+}
+
+// ── Ask my bookmarks (retrieval in ask.js, run by background.js) ─────────────
+
+var askPending = false;
+
+function initAsk() {
+  var input = document.getElementById('askInput');
+  document.getElementById('askBtn').addEventListener('click', submitAskQuestion);
+  input.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      submitAskQuestion();
+    }
+  });
+  document.getElementById('askClearBtn').addEventListener('click', async function () {
+    await chrome.storage.local.remove('askThread');
+    renderAskThread([]);
+  });
+}
+
+async function loadAskThread() {
+  var data = await chrome.storage.local.get({ askThread: [] });
+  renderAskThread(data.askThread);
+}
+
+function renderAskThread(turns) {
+  var threadEl = document.getElementById('askThread');
+  threadEl.textContent = '';
+  document.getElementById('askEmpty').style.display = turns.length ? 'none' : 'block';
+  turns.forEach(function (turn) {
+    threadEl.appendChild(buildAskTurn(turn));
+  });
+  if (turns.length) threadEl.lastChild.scrollIntoView({ block: 'end' });
+}
+
+function buildAskTurn(turn) {
+  var item = document.createElement('div');
+  item.className = 'ask-turn';
+
+  var questionEl = document.createElement('div');
+  questionEl.className = 'ask-question';
+  questionEl.textContent = turn.question;
+  item.appendChild(questionEl);
+
+  var answerEl = document.createElement('div');
+  answerEl.className = 'history-tldr-text';
+  renderFormattedTLDR(answerEl, linkAskCitations(turn));
+  item.appendChild(answerEl);
+
+  if (turn.sources.length) {
+    var list = document.createElement('ol');
+    list.className = 'ask-sources';
+    turn.sources.forEach(function (source) {
+      var li = document.createElement('li');
+      var label = (source.author || 'Unknown') + ' — ' + source.title;
+      if (source.tweetUrl) {
+        var a = document.createElement('a');
+        a.href = source.tweetUrl;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        a.textContent = label;
+        li.appendChild(a);
+      } else {
+        li.textContent = label;
+      }
+      list.appendChild(li);
+    });
+    item.appendChild(list);
+  }
+  return item;
+}
+
+// The answer with its [n] citations linked to the cited posts
+function linkAskCitations(turn) {
+  return linkDigestReferences(turn.answer, turn.sources.map(function (source) {
+    return source.tweetUrl;
+  }));
+}
+
+async function submitAskQuestion() {
+  var input = document.getElementById('askInput');
+  var statusEl = document.getElementById('askStatus');
+  var question = input.value.trim();
+  if (!question || askPending) return;
+
+  askPending = true;
+  document.getElementById('askBtn').disabled = true;
+  statusEl.textContent = '正在检索收藏并生成回答...';
+  var res;
+  try {
+    res = await chrome.runtime.sendMessage({ type: 'ASK_LIBRARY', question: question });
+  } catch (err) {
+    res = { success: false, error: err.message };
+  }
+  askPending = false;
+  document.getElementById('askBtn').disabled = false;
+
+  if (!res || !res.success) {
+    statusEl.textContent = (res && res.error) || '回答失败';
+    return;
+  }
+  statusEl.textContent = '';
+  input.value = '';
+  loadAskThread();
+}
+
 // ── Relative time formatting ─────────────────────────────────────────────────
 
 function formatRelativeTime(timestamp) {
@@ -0,0 +1,376 @@
+// Prompt templates — shared by background.js (via importScripts) and
+// popup.html (via <script>) so the popup preview renders exactly what the
+// LLM will receive.
+//
+// One template per content type (PROMPT_TYPES). A template is the whole
+// instruction text sent as the user message; {{variables}} are filled from
+// the bookmarked post. Users may override any template in the popup; the
+// overrides live in chrome.storage.local `promptTemplates` ({ type: text })
+// and a missing entry means "use the default".
+
+var PROMPT_TYPES = {
+  tweet: { label: '普通推文' },
+  quoted: { label: '引用长文' },
+  article: { label: 'X 文章' },
+};
+
+// Variables available in templates. Empty ones render as '' and the blank
+// lines they leave behind are collapsed.
+var PROMPT_VARIABLES = {
+  author: '作者',
+  language: '摘要语言',
+  title: '文章标题（仅 X 文章）',
+  content: '正文（必填）',
+  quoted: '引用内容',
+  links: '引用链接列表',
+};
+
+var LANGUAGE_NAMES = {
+  'zh-CN': '简体中文',
+  'zh-TW': '繁體中文',
+  en: 'English',
+  ja: '日本語',
+  ko: '한국어',
+};
+
+var PROMPT_SYSTEM_ROLE = 'You are an expert content analyst.';
+
+var FACT_CHECK_BLOCK = '--- FACT CHECK (MANDATORY) ---\n'
+  + 'At the very end, add a fact-check section with this exact format:\n\n'
+  + '**Fact Check**\n'
+  + '- Identify the key factual claims in the content.\n'
+  + '- For each claim, briefly note whether it is **verifiable**, **partially verifiable**, **opinion**, or **unverifiable**.\n'
+  + '- If a Community Note or replies are given as reader context, weigh them and cite them '
+  + '(e.g. "per the Community Note") where they support or dispute a claim.\n'
+  + '- End with an overall credibility line:\n'
+  + '  Credibility: X/10 — one-sentence justification.\n'
+  + '  (10 = fully verified facts with sources, 5 = mixed facts and opinions, 1 = misleading or fabricated)\n';
+
+// Score from the "Credibility: X/10" line that FACT_CHECK_BLOCK asks for
+// (same labels the content script renders as a score badge), or null
+// if the TLDR has none
+function parseCredibilityScore(tldr) {
+  var match = (tldr || '').match(/(?:Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10/i);
+  return match ? Number(match[1]) : null;
+}
+
+var DEFAULT_PROMPT_TEMPLATES = {
+  tweet: 'The user bookmarked a tweet. '
+    + 'Provide a valuable summary in {{language}}.\n\n'
+    + 'Format:\n'
+    + '**TLDR** — one sentence summary.\n\n'
+    + '**Key Points**\n'
+    + '- Extract 2-5 insights, claims, or actionable takeaways.\n'
+    + '- For substantial content (threads, long tweets), extract more points with specific details.\n'
+    + '- Use **bold** for key terms.\n\n'
+    + '**Process / Steps** (only if the tweet describes a tutorial, method, or workflow)\n'
+    + '- List numbered steps with specifics. Skip if not applicable.\n\n'
+    + '--- Tweet by {{author}} ---\n'
+    + '{{content}}\n\n'
+    + '{{links}}\n\n'
+    + '{{quoted}}\n',
+
+  quoted: 'The user bookmarked a tweet that quotes/references a longer post. '
+    + 'Provide a thorough summary of BOTH the tweet and the full quoted content in {{language}}.\n\n'
+    + 'Format:\n'
+    + '**TLDR** — one sentence on the overall message.\n\n'
+    + '**Quoted Content Summary**\n'
+    + '- Extract 5-8 key insights, value points, or actionable takeaways from the quoted long post.\n'
+    + '- Use **bold** for important terms and data.\n\n'
+    + '**Process / Steps** (only if the quoted post is a tutorial, how-to, or guide)\n'
+    + '- List the step-by-step process described.\n'
+    + '- Skip this section if the content is not instructional.\n\n'
+    + '**Commenter\'s Take** — what did the bookmarked user add? Agreement, disagreement, extra context?\n\n'
+    + '--- Tweet by {{author}} ---\n'
+    + '{{content}}\n\n'
+    + '{{links}}\n\n'
+    + '{{quoted}}\n',
+
+  article: 'The user bookmarked an X Article (long-form post). '
+    + 'Provide a thorough, high-value summary in {{language}}.\n\n'
+    + 'Format:\n'
+    + '**TLDR** — one sentence capturing the core thesis.\n\n'
+    + '**Key Value Points**\n'
+    + '- Extract 5-8 of the most valuable insights, actionable advice, data points, or frameworks from the article.\n'
+    + '- Each point should be self-contained and useful even without reading the original.\n'
+    + '- Use **bold** for key terms, names, numbers, and takeaways.\n\n'
+    + '**Process / Steps** (only if the article is a tutorial, how-to, or guide)\n'
+    + '- List the step-by-step process or methodology described in the article.\n'
+    + '- Number each step and include specifics (tools, parameters, commands, etc.).\n'
+    + '- Skip this section entirely if the content is not instructional.\n\n'
+    + '**Why It Matters** — 1-2 sentences on the broader significance or who should care.\n\n'
+    + '--- Article: "{{title}}" by {{author}} ---\n'
+    + '{{content}}\n\n'
+    + '{{links}}\n\n'
+    + '{{quoted}}\n',
+};
+
+// Which template applies to a bookmark
+function getPromptType(isArticle, hasQuotedFull) {
+  if (isArticle) return 'article';
+  if (hasQuotedFull) return 'quoted';
+  return 'tweet';
+}
+
+// Replace {{name}} placeholders (whitespace inside the braces is allowed)
+// and collapse the runs of blank lines left by empty variables
+function renderPromptTemplate(template, vars) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) {
+      return Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match;
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Problems that would make a template unusable, as user-facing messages.
+// An empty array means the template is valid.
+function validatePromptTemplate(template, type) {
+  var errors = [];
+  if (!template.trim()) {
+    errors.push('模板不能为空');
+    return errors;
+  }
+
+  var used = {};
+  var re = /\{\{\s*(\w+)\s*\}\}/g;
+  var match;
+  while ((match = re.exec(template)) !== null) {
+    if (!PROMPT_VARIABLES[match[1]]) {
+      errors.push('未知变量 {{' + match[1] + '}}');
+    }
+    used[match[1]] = true;
+  }
+
+  // Braces left over after removing valid placeholders are typos
+  if (/\{\{|\}\}/.test(template.replace(re, ''))) {
+    errors.push('存在未闭合的 {{ 或多余的 }}');
+  }
+  if (!used.content) {
+    errors.push('缺少 {{content}}，模型将看不到收藏内容');
+  }
+  if (type === 'quoted' && !used.quoted) {
+    errors.push('引用长文模板缺少 {{quoted}}，模型将看不到被引用的长文');
+  }
+  return errors;
+}
+
+// Build the { system, user } prompt for a bookmark.
+// options: { templates: user overrides keyed by type, factCheck: boolean }
+function buildPrompt(tweetData, articleContent, quotedFullContent, language, isArticle, hasQuotedFull, options) {
+  options = options || {};
+  var type = getPromptType(isArticle, hasQuotedFull);
+  var templates = options.templates || {};
+  var template = templates[type] || DEFAULT_PROMPT_TEMPLATES[type];
+
+  var content = '';
+  if (isArticle) {
+    content = digestNote(articleContent, 'article') + articleContent.body;
+  } else if (tweetData.thread && tweetData.thread.length > 1) {
+    content = tweetData.threadDigest
+      ? digestNote(tweetData.threadDigest, 'thread') + tweetData.threadDigest.body
+      : formatThreadForPrompt(tweetData.thread);
+    if (tweetData.cardText) content += '\n\nAttached card:\n' + tweetData.cardText;
+  } else if (tweetData.text) {
+    content = tweetData.text;
+    if (tweetData.cardText) content += '\n\nAttached card:\n' + tweetData.cardText;
+  } else if (tweetData.cardText) {
+    content = tweetData.cardText;
+  } else if (tweetData.fallbackText) {
+    content = tweetData.fallbackText;
+  }
+  if (!isArticle && tweetData.poll) {
+    content += (content ? '\n\n' : '') + 'Poll:\n' + formatPollText(tweetData.poll);
+  }
+
+  var links = '';
+  if (tweetData.referencedUrls && tweetData.referencedUrls.length > 0) {
+    links = 'Referenced links:\n' + tweetData.referencedUrls.map(function (u) {
+      return '- ' + u;
+    }).join('\n');
+  }
+
+  var quoted = '';
+  var quotedBy = tweetData.quotedAuthor || 'another user';
+  if (hasQuotedFull) {
+    quoted = '--- Quoted / referenced post (by ' + quotedBy + ') ---\n'
+      + digestNote(quotedFullContent, 'post') + quotedFullContent.body;
+  } else if (tweetData.quotedText) {
+    quoted = 'Quoted tweet (by ' + quotedBy + '):\n' + tweetData.quotedText;
+  }
+
+  var user = renderPromptTemplate(template, {
+    author: tweetData.author || '',
+    language: LANGUAGE_NAMES[language] || language,
+    title: isArticle ? (articleContent.title || '') : '',
+    content: content,
+    quoted: quoted,
+    links: links,
+  });
+
+  var context = buildReaderContext(tweetData);
+  if (context) user += '\n\n' + context;
+
+  var system = PROMPT_SYSTEM_ROLE;
+  if (options.factCheck !== false) system += '\n\n' + FACT_CHECK_BLOCK;
+
+  return { system: system, user: user };
+}
+
+// A poll's options and results as plain lines
+function formatPollText(poll) {
+  var lines = poll.options.map(function (option) {
+    return '- ' + option.label + (option.percent ? ': ' + option.percent : '');
+  });
+  if (poll.votes) lines.push('(' + poll.votes + ' votes' + (poll.status ? ', ' + poll.status : '') + ')');
+  return lines.join('\n');
+}
+
+// An unrolled thread as "[n/total]" posts so the model sees the boundaries
+function formatThreadForPrompt(thread) {
+  return thread.map(function (post, i) {
+    return '[' + (i + 1) + '/' + thread.length + ']\n' + (post.text || '(no text)');
+  }).join('\n\n');
+}
+
+// Explains to the model that a body is a map-reduce digest, not the original
+function digestNote(content, kind) {
+  if (!content.partCount) return '';
+  return '(This ' + kind + ' was too long to send at once. It was split into ' + content.partCount
+    + ' consecutive parts; below are the summaries of each part, in order. '
+    + 'Treat them together as the full ' + kind + '.)\n\n';
+}
+
+// ── Reader context ──────────────────────────────────────────────────────────
+//
+// Like images, the Community Note and top replies are not template
+// variables: they are appended to every rendered prompt, so custom templates
+// get them too and the fact check can cite them.
+
+var PROMPT_MAX_REPLY_CHARS = 400;
+
+// Labelled Community Note and reply sections ('' when there are neither)
+function buildReaderContext(tweetData) {
+  var parts = [];
+  if (tweetData.communityNote) {
+    parts.push('--- Community Note (context added by X readers) ---\n' + tweetData.communityNote);
+  }
+  var replies = tweetData.replies || [];
+  if (replies.length > 0) {
+    parts.push('--- Top replies (other users; opinions, not verified) ---\n' + replies.map(function (reply, i) {
+      var text = reply.text.replace(/\s+/g, ' ');
+      if (text.length > PROMPT_MAX_REPLY_CHARS) text = text.slice(0, PROMPT_MAX_REPLY_CHARS) + '…';
+      return (i + 1) + '. ' + (reply.author || 'unknown') + ': ' + text;
+    }).join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+// ── Image context ───────────────────────────────────────────────────────────
+//
+// Images are not a template variable: when the model accepts images they
+// are attached to the request (providers.js) and a note is appended to the
+// rendered prompt; otherwise the note passes on their alt text instead.
+
+var PROMPT_MAX_IMAGES = 4;
+
+// Images worth sending for a bookmark, in order: the article hero image,
+// then the post's own photos, then the quoted post's. [{ url, alt, quoted }]
+function collectPromptImages(tweetData, articleContent) {
+  var images = [];
+  if (articleContent && articleContent.heroImage) {
+    images.push({ url: articleContent.heroImage.url, alt: articleContent.heroImage.alt || '', quoted: false });
+  }
+  var own = (tweetData.images || []).filter(function (image) { return !image.quoted; });
+  var quoted = (tweetData.images || []).filter(function (image) { return image.quoted; });
+  return images.concat(own, quoted).slice(0, PROMPT_MAX_IMAGES);
+}
+
+// The prompt with a note about the post's images appended to the user
+// message. attached: the images are sent along with the prompt.
+function appendImageContext(prompt, images, attached) {
+  if (!images || images.length === 0) return prompt;
+  var lines = images.map(function (image, i) {
+    var label = 'Image ' + (i + 1) + (image.quoted ? ' (from the quoted post)' : '');
+    return '- ' + label + (image.alt ? ': ' + image.alt.replace(/\s+/g, ' ') : '');
+  });
+  var note = attached
+    ? 'The post includes ' + images.length + ' image(s), attached in this order. '
+      + 'They are often the main content (charts, infographics, code or text screenshots): '
+      + 'include what they show in the summary.'
+    : 'The post includes ' + images.length + ' image(s) you cannot see. '
+      + 'Use their alt text below if given; do not guess what they show.';
+  return {
+    system: prompt.system,
+    user: prompt.user + '\n\n--- Images ---\n' + note + '\n' + lines.join('\n'),
+  };
+}
+
+// ── Digest prompt (not user-editable) ───────────────────────────────────────
+
+var DIGEST_MAX_ITEM_CHARS = 800;
+var DIGEST_MAX_PROMPT_CHARS = 30000;
+
+// Build the { system, user } prompt for a digest of several bookmarks.
+// Each summary is cut so a busy week still fits in one request.
+function buildDigestPrompt(entries, language, days) {
+  var perItem = Math.min(DIGEST_MAX_ITEM_CHARS, Math.floor(DIGEST_MAX_PROMPT_CHARS / Math.max(1, entries.length)));
+  var items = entries.map(function (entry, i) {
+    var summary = stripFactCheck(entry.tldr || entry.tweetPreview || '');
+    if (summary.length > perItem) summary = summary.slice(0, perItem) + '…';
+    return '[' + (i + 1) + '] ' + (entry.author || 'unknown') + '\n' + summary;
+  });
+
+  var user = 'Below are the ' + entries.length + ' posts the user bookmarked in the last '
+    + (days === 1 ? 'day' : days + ' days') + ', each with its summary. '
+    + 'Write a digest in ' + (LANGUAGE_NAMES[language] || language) + '.\n\n'
+    + 'Format:\n'
+    + '## Themes\n'
+    + 'Group related bookmarks into 2-6 themes. For each theme:\n'
+    + '### <theme name>\n'
+    + '- 1-3 bullets on what these bookmarks say, citing them as [n].\n\n'
+    + '## Top Takeaways\n'
+    + '1. The 3-5 most valuable or actionable takeaways across all bookmarks, each citing [n].\n\n'
+    + 'Cite only the numbers listed below, one per bracket (e.g. [2][5]). Do not add a fact-check section.\n\n'
+    + '--- Bookmarks ---\n'
+    + items.join('\n\n');
+
+  return { system: PROMPT_SYSTEM_ROLE, user: user };
+}
+
+// Drop the fact-check section from a TLDR (from its heading to the end)
+function stripFactCheck(tldr) {
+  var index = tldr.search(/^\s*\**\s*(?:Fact.?Check|事实核查|事實查核|ファクトチェック)/im);
+  return (index === -1 ? tldr : tldr.slice(0, index)).trim();
+}
+
+// ── Ask prompt (not user-editable) ──────────────────────────────────────────
+
+// Build the { system, user } prompt that answers a question from retrieved
+// bookmarks. sources: [{ author, tweetUrl, excerpt }] in citation order;
+// history: earlier [{ question, answer }] turns, oldest first, so follow-up
+// questions make sense.
+function buildAskPrompt(question, sources, language, history) {
+  var items = sources.map(function (source, i) {
+    return '[' + (i + 1) + '] ' + (source.author || 'unknown')
+      + (source.tweetUrl ? ' (' + source.tweetUrl + ')' : '') + '\n' + source.excerpt;
+  });
+  var earlier = (history || []).map(function (turn) {
+    return 'Q: ' + turn.question + '\nA: ' + turn.answer;
+  });
+
+  var user = 'Answer the question using only the bookmarked posts below, which the user saved earlier. '
+    + 'Answer in ' + (LANGUAGE_NAMES[language] || language) + '.\n\n'
+    + 'Rules:\n'
+    + '- Cite the bookmarks that support each statement as [n], one number per bracket (e.g. [1][4]).\n'
+    + '- Cite only the numbers listed below. Do not invent sources or facts.\n'
+    + '- If the bookmarks do not answer the question, say so briefly and mention what they do cover.\n'
+    + '- Be concise: a short paragraph or a few bullets.\n\n'
+    + (earlier.length ? '--- Earlier in this conversation ---\n' + earlier.join('\n\n') + '\n\n' : '')
+    + '--- Bookmarks ---\n'
+    + items.join('\n\n')
+    + '\n\n--- Question ---\n'
+    + question;
+
+  return { system: PROMPT_SYSTEM_ROLE, user: user };
+}
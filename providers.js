@@ -0,0 +1,288 @@
+// LLM provider registry — shared by background.js (via importScripts) and
+// popup.html (via <script>). Adding a provider means adding one entry here.
+//
+// Each provider declares:
+//   name          — short name used in error messages and debug info
+//   label         — option text in the popup's provider <select>
+//   endpoint      — default API endpoint (Gemini: API root, model is appended)
+//   defaultModel  — used when the "模型版本" field is left empty
+//   auth          — how the API key is sent: 'bearer' | 'x-api-key' |
+//                   'x-goog-api-key' | 'none' (no key needed)
+//   format        — request builder / response parser family (PROVIDER_FORMATS)
+//   baseUrl       — popup field for the endpoint override:
+//                   { label, placeholder, hint }, or null if not configurable
+//   headers       — extra request headers (optional)
+//   vision        — RegExp matching model names that accept images; images
+//                   are only sent when the configured model matches (optional)
+//   hint          — setup instructions shown in the popup, one string per
+//                   line; `backticked` spans render as code (optional)
+
+var PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    label: 'OpenAI (GPT)',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-4o-mini',
+    auth: 'bearer',
+    format: 'openai',
+    baseUrl: proxyBaseUrlField(),
+    vision: /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o[134]/i,
+  },
+  claude: {
+    name: 'Claude',
+    label: 'Claude (Anthropic)',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-sonnet-4-20250514',
+    auth: 'x-api-key',
+    format: 'anthropic',
+    baseUrl: proxyBaseUrlField(),
+    vision: /^claude-(?!2|instant)/i,
+    headers: {
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+    },
+  },
+  gemini: {
+    name: 'Gemini',
+    label: 'Google Gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-2.0-flash',
+    auth: 'x-goog-api-key',
+    format: 'gemini',
+    baseUrl: proxyBaseUrlField(),
+    vision: /gemini/i,
+  },
+  deepseek: {
+    name: 'DeepSeek',
+    label: 'DeepSeek',
+    endpoint: 'https://api.deepseek.com/chat/completions',
+    defaultModel: 'deepseek-chat',
+    auth: 'bearer',
+    format: 'openai',
+    baseUrl: proxyBaseUrlField(),
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    label: 'OpenRouter',
+    endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+    defaultModel: 'openai/gpt-4o-mini',
+    auth: 'bearer',
+    format: 'openai',
+    baseUrl: proxyBaseUrlField(),
+    vision: /gpt-4o|gpt-4\.1|gpt-5|claude-(?!2|instant)|gemini|vision|-vl/i,
+    // Optional attribution headers shown on openrouter.ai rankings
+    headers: {
+      'HTTP-Referer': 'https://github.com/iamzifei/bookmark-is-learned',
+      'X-Title': 'Bookmark Is Learned',
+    },
+  },
+  kimi: {
+    name: 'Kimi',
+    label: 'Kimi (月之暗面)',
+    endpoint: 'https://api.moonshot.cn/v1/chat/completions',
+    defaultModel: 'moonshot-v1-8k',
+    auth: 'bearer',
+    format: 'openai',
+    baseUrl: proxyBaseUrlField(),
+    vision: /vision/i,
+  },
+  zhipu: {
+    name: '智谱',
+    label: '智谱 (GLM)',
+    endpoint: 'https://open.bigmodel.cn/api/paas/v4/chat/completions',
+    defaultModel: 'glm-4-flash',
+    auth: 'bearer',
+    format: 'openai',
+    baseUrl: proxyBaseUrlField(),
+    vision: /glm-4(?:\.\d+)?v/i,
+  },
+  ollama: {
+    name: 'Ollama',
+    label: 'Ollama (本地服务)',
+    endpoint: 'http://localhost:11434/v1/chat/completions',
+    defaultModel: 'llama3.1',
+    auth: 'none',
+    format: 'openai',
+    vision: /llava|vision|-vl|gemma3|minicpm-v|moondream/i,
+    baseUrl: {
+      label: '服务地址',
+      placeholder: 'http://localhost:11434',
+      hint: '留空使用 http://localhost:11434，也可填写局域网内的 Ollama 服务地址',
+    },
+    hint: [
+      '使用本机 Ollama 服务，无需 API Key。',
+      '需先运行 `ollama pull <模型名>` 下载模型，',
+      '并以 `OLLAMA_ORIGINS=chrome-extension://*` 启动服务以允许扩展访问。',
+    ],
+  },
+  'local-claude': {
+    name: '本地 Claude',
+    label: '本地 Claude (无需 API Key)',
+    endpoint: '',
+    defaultModel: '',
+    auth: 'none',
+    format: 'native-host',
+    baseUrl: null,
+    hint: [
+      '使用本机 Claude CLI，无需 API Key。',
+      '需安装 Claude Code：`npm install -g @anthropic-ai/claude-code`',
+      '安装后在终端运行 `claude` 完成登录认证。',
+      '然后在下方「高级设置」中点击「一键下载安装脚本」完成配置。',
+    ],
+  },
+};
+
+// Base URL field shared by hosted APIs: an optional proxy / gateway override
+function proxyBaseUrlField() {
+  return {
+    label: 'Base URL',
+    placeholder: '例如 https://your-proxy.com/v1',
+    hint: '留空使用官方 API 地址，填写后走自定义中转地址',
+  };
+}
+
+// Request builders and response parsers, one per API family.
+//   apiSuffix        — route appended to a user-supplied Base URL
+//   versionPath      — version segment assumed when the Base URL has no path
+//   buildUrl         — final request URL from the endpoint (optional)
+//   buildRequest     — JSON request body; prompt.images (optional) is a list
+//                      of { mediaType, data } with base64 data
+//   parseResponse    — text from a non-streamed response (null if malformed)
+//   parseStreamEvent — text delta from one parsed SSE data payload
+var PROVIDER_FORMATS = {
+  // OpenAI Chat Completions — also spoken by DeepSeek, OpenRouter, Kimi,
+  // Zhipu and Ollama's /v1 compatibility layer
+  openai: {
+    apiSuffix: '/chat/completions',
+    versionPath: '/v1',
+    buildRequest: function (prompt, model, maxTokens, stream) {
+      return {
+        model: model,
+        messages: [
+          { role: 'system', content: prompt.system },
+          { role: 'user', content: openaiUserContent(prompt) },
+        ],
+        max_tokens: maxTokens,
+        temperature: 0.3,
+        stream: stream,
+      };
+    },
+    parseResponse: function (data) {
+      if (!data.choices || !data.choices[0] || !data.choices[0].message) return null;
+      return data.choices[0].message.content;
+    },
+    parseStreamEvent: function (event) {
+      // OpenRouter, DeepSeek… report mid-stream failures as a data event
+      if (event.error) throw new Error(event.error.message || 'stream error');
+      var delta = event.choices && event.choices[0] && event.choices[0].delta;
+      return (delta && delta.content) || '';
+    },
+  },
+
+  // Anthropic Messages API: system prompt is a top-level field
+  anthropic: {
+    apiSuffix: '/messages',
+    versionPath: '/v1',
+    buildRequest: function (prompt, model, maxTokens, stream) {
+      return {
+        model: model,
+        max_tokens: maxTokens,
+        system: prompt.system,
+        messages: [{ role: 'user', content: anthropicUserContent(prompt) }],
+        stream: stream,
+      };
+    },
+    parseResponse: function (data) {
+      if (!data.content || !data.content[0]) return null;
+      return data.content[0].text;
+    },
+    parseStreamEvent: function (event) {
+      if (event.type === 'error') {
+        throw new Error((event.error && event.error.message) || 'stream error');
+      }
+      if (event.type === 'content_block_delta' && event.delta) return event.delta.text || '';
+      return '';
+    },
+  },
+
+  // Google Gemini native generateContent API: the model is part of the URL
+  gemini: {
+    apiSuffix: '',
+    versionPath: '/v1beta',
+    buildUrl: function (endpoint, model, stream) {
+      return endpoint + '/models/' + encodeURIComponent(model)
+        + (stream ? ':streamGenerateContent?alt=sse' : ':generateContent');
+    },
+    buildRequest: function (prompt, model, maxTokens) {
+      return {
+        systemInstruction: { parts: [{ text: prompt.system }] },
+        contents: [{ role: 'user', parts: geminiUserParts(prompt) }],
+        generationConfig: { maxOutputTokens: maxTokens, temperature: 0.3 },
+      };
+    },
+    parseResponse: function (data) {
+      var text = geminiCandidateText(data);
+      if (text === null && data.promptFeedback && data.promptFeedback.blockReason) {
+        throw new Error('Gemini 拒绝了该内容: ' + data.promptFeedback.blockReason);
+      }
+      return text;
+    },
+    parseStreamEvent: function (event) {
+      if (event.error) throw new Error(event.error.message || 'stream error');
+      return geminiCandidateText(event) || '';
+    },
+  },
+};
+
+// User message content with images. Without images the plain string is
+// kept so text-only servers that don't accept content arrays still work.
+function openaiUserContent(prompt) {
+  if (!prompt.images || prompt.images.length === 0) return prompt.user;
+  return [{ type: 'text', text: prompt.user }].concat(prompt.images.map(function (image) {
+    return { type: 'image_url', image_url: { url: 'data:' + image.mediaType + ';base64,' + image.data } };
+  }));
+}
+
+// Anthropic recommends images before the text that refers to them
+function anthropicUserContent(prompt) {
+  if (!prompt.images || prompt.images.length === 0) return prompt.user;
+  return prompt.images.map(function (image) {
+    return { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } };
+  }).concat([{ type: 'text', text: prompt.user }]);
+}
+
+function geminiUserParts(prompt) {
+  return (prompt.images || []).map(function (image) {
+    return { inline_data: { mime_type: image.mediaType, data: image.data } };
+  }).concat([{ text: prompt.user }]);
+}
+
+// Join the text parts of Gemini's first candidate (null if there is none)
+function geminiCandidateText(data) {
+  var candidate = data.candidates && data.candidates[0];
+  if (!candidate || !candidate.content || !candidate.content.parts) return null;
+  return candidate.content.parts.map(function (p) { return p.text || ''; }).join('');
+}
+
+// Request headers carrying the API key, per the provider's auth style
+function buildAuthHeaders(provider, apiKey) {
+  switch (provider.auth) {
+    case 'bearer': return { Authorization: 'Bearer ' + apiKey };
+    case 'x-api-key': return { 'x-api-key': apiKey };
+    case 'x-goog-api-key': return { 'x-goog-api-key': apiKey };
+    default: return {};
+  }
+}
+
+function providerNeedsApiKey(provider) {
+  return provider.auth !== 'none';
+}
+
+// Whether images can be sent with the prompt. mode is the sync setting
+// `visionMode`: 'auto' (by model name), 'always' or 'off'. The local Claude
+// bridge only passes text.
+function providerAcceptsImages(provider, model, mode) {
+  if (mode === 'off' || provider.format === 'native-host') return false;
+  if (mode === 'always') return true;
+  return !!(provider.vision && provider.vision.test(model || provider.defaultModel));
+}
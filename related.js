@@ -0,0 +1,120 @@
+// Related notes — loaded by background.js (via importScripts). Depends on
+// tokenizeForSearch / askDocumentText from ask.js.
+//
+// When a bookmark is saved, it is compared with the rest of the library by
+// TF-IDF cosine similarity over the same text the 问答 tab searches. The best
+// matches are stored on the entry as
+//   entry.related = [{ id, author, title, fileName, tweetUrl, score }]
+// and written to its Markdown file as a "Related" section of Obsidian-style
+// [[links]]. Older notes are not rewritten; Obsidian's backlinks pane shows
+// the other direction. Deleting an entry drops it from the related lists
+// (and notes) that name it.
+//
+// Only the RELATED_MAX_CANDIDATES most recent entries are compared, and each
+// entry's term counts are cached for the life of the service worker, so a
+// backfill import doesn't re-tokenize the whole library on every save.
+
+var RELATED_MAX = 5;
+var RELATED_MIN_SCORE = 0.1;
+var RELATED_MAX_CANDIDATES = 500;
+
+// { id: { key, tf } } — key is the entry's save time and TLDR, which change
+// when the entry is replaced or regenerated
+var relatedTermCache = {};
+
+// Term counts ({ term: n }) of an entry's searchable text
+function entryTermCounts(entry) {
+  var key = entry.timestamp + '\n' + (entry.tldr || '');
+  var cached = entry.id ? relatedTermCache[entry.id] : null;
+  if (cached && cached.key === key) return cached.tf;
+
+  var tf = {};
+  tokenizeForSearch(askDocumentText(entry)).forEach(function (token) {
+    tf[token] = (tf[token] || 0) + 1;
+  });
+  if (entry.id) relatedTermCache[entry.id] = { key: key, tf: tf };
+  return tf;
+}
+
+// Sparse TF-IDF vectors ({ term: weight }) for a list of entries, with
+// log-scaled term frequency and idf = ln(1 + N / df)
+function buildTfIdfVectors(entries) {
+  var counts = entries.map(entryTermCounts);
+
+  var df = {};
+  counts.forEach(function (tf) {
+    Object.keys(tf).forEach(function (term) { df[term] = (df[term] || 0) + 1; });
+  });
+
+  return counts.map(function (tf) {
+    var vector = {};
+    Object.keys(tf).forEach(function (term) {
+      vector[term] = (1 + Math.log(tf[term])) * Math.log(1 + entries.length / df[term]);
+    });
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  var dot = 0;
+  var normA = 0;
+  var normB = 0;
+  Object.keys(a).forEach(function (term) {
+    normA += a[term] * a[term];
+    if (b[term]) dot += a[term] * b[term];
+  });
+  Object.keys(b).forEach(function (term) { normB += b[term] * b[term]; });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Library entries most similar to target: [{ entry, score }], best first.
+// Other versions of the same post (same status ID) are skipped.
+function findRelatedEntries(target, entries, limit) {
+  var others = entries.filter(function (entry) {
+    return entry.id !== target.id && !(target.statusId && entry.statusId === target.statusId);
+  });
+  if (others.length === 0) return [];
+
+  var vectors = buildTfIdfVectors([target].concat(others));
+  return others.map(function (entry, i) {
+    return { entry: entry, score: cosineSimilarity(vectors[0], vectors[i + 1]) };
+  }).filter(function (result) {
+    return result.score >= RELATED_MIN_SCORE;
+  }).sort(function (a, b) {
+    return b.score - a.score;
+  }).slice(0, limit || RELATED_MAX);
+}
+
+// Entries whose related list names deletedId, with that item removed
+// (copies; the others are left out)
+function dropRelatedEntry(entries, deletedId) {
+  delete relatedTermCache[deletedId];
+  return entries.filter(function (entry) {
+    return (entry.related || []).some(function (item) { return item.id === deletedId; });
+  }).map(function (entry) {
+    return Object.assign({}, entry, {
+      related: entry.related.filter(function (item) { return item.id !== deletedId; }),
+    });
+  });
+}
+
+// Obsidian wikilink target for a note: its path without the .md extension
+function relatedNoteLink(fileName) {
+  return fileName.replace(/\.md$/i, '');
+}
+
+// "## Related" Markdown lines for the stored related list ([] when empty)
+function buildRelatedSection(related) {
+  if (!related || related.length === 0) return [];
+  var lines = ['## Related', ''];
+  related.forEach(function (item) {
+    var label = (item.author || 'unknown') + ' — ' + item.title;
+    var line = item.fileName
+      ? '- [[' + relatedNoteLink(item.fileName) + '|' + label.replace(/[[\]|]/g, '') + ']]'
+      : '- ' + label.replace(/[[\]]/g, '\\$&');
+    if (item.tweetUrl) line += ' · [Source](' + item.tweetUrl + ')';
+    lines.push(line);
+  });
+  lines.push('');
+  return lines;
+}
@@ -0,0 +1,156 @@
+// TLDR renderer — shared by content.js (on-page card, loaded before it as a
+// content script) and popup.html (history list, via <script>) so a summary
+// looks the same in both places.
+//
+// Handles the subset of Markdown the prompts ask for: **Heading** lines and
+// # headings, - / 1. lists, the "Credibility: X/10" score line, and inline
+// **bold**, *italic*, `code` and links. Everything is built with DOM nodes and
+// textContent; link targets are limited to http(s) URLs.
+
+var TLDR_HEADING_RE = /^(?:\*\*(.+?)\*\*\s*[-:]?|#{1,6}\s+(.+?)\s*#*)\s*$/;
+var TLDR_SCORE_RE = /^\**(Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10\**/i;
+
+// Inline tokens, in priority order: `code`, [text](url), **bold**, *italic*,
+// bare URL
+var TLDR_INLINE_RE = /`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(https?:\/\/[^\s<>()[\]]+)/;
+
+// Split a TLDR into blocks:
+//   { type: 'heading', text } | { type: 'score', label, score, rest }
+//   { type: 'ul' | 'ol', items: [text] } | { type: 'p', text }
+function parseTLDRBlocks(text) {
+  var blocks = [];
+  var list = null;
+
+  function flushList() {
+    if (list) blocks.push(list);
+    list = null;
+  }
+
+  function addItem(type, itemText) {
+    if (!list || list.type !== type) {
+      flushList();
+      list = { type: type, items: [] };
+    }
+    list.items.push(itemText);
+  }
+
+  (text || '').split('\n').forEach(function (line) {
+    var trimmed = line.trim();
+    if (!trimmed) { flushList(); return; }
+
+    var heading = trimmed.match(TLDR_HEADING_RE);
+    if (heading) {
+      flushList();
+      blocks.push({ type: 'heading', text: heading[1] || heading[2] });
+      return;
+    }
+
+    var score = trimmed.match(TLDR_SCORE_RE);
+    if (score) {
+      flushList();
+      var rest = trimmed.slice(score[0].length).replace(/^\s*[-\u2014]\s*/, '');
+      blocks.push({ type: 'score', label: score[1], score: Number(score[2]), rest: rest });
+      return;
+    }
+
+    var bullet = trimmed.match(/^[-\u2022*]\s+(.*)/);
+    if (bullet) { addItem('ul', bullet[1]); return; }
+
+    var numbered = trimmed.match(/^\d+[.)]\s+(.*)/);
+    if (numbered) { addItem('ol', numbered[1]); return; }
+
+    flushList();
+    blocks.push({ type: 'p', text: trimmed });
+  });
+  flushList();
+  return blocks;
+}
+
+// Split one line into runs: { type: 'text' | 'strong' | 'em' | 'code', text }
+// or { type: 'link', text, href }
+function parseTLDRInline(text) {
+  var runs = [];
+  var cursor = 0;
+  var re = new RegExp(TLDR_INLINE_RE.source, 'g');
+  var m;
+  while ((m = re.exec(text)) !== null) {
+    var token = m[0];
+    var end = m.index + token.length;
+    if (m[6]) {
+      // Keep sentence punctuation after a bare URL out of the link
+      var url = m[6].replace(/[.,;:!?'"]+$/, '');
+      end = m.index + url.length;
+      token = url;
+    }
+    if (m.index > cursor) runs.push({ type: 'text', text: text.slice(cursor, m.index) });
+    if (m[1]) runs.push({ type: 'code', text: m[1] });
+    else if (m[2]) runs.push({ type: 'link', text: m[2], href: m[3] });
+    else if (m[4]) runs.push({ type: 'strong', text: m[4] });
+    else if (m[5]) runs.push({ type: 'em', text: m[5] });
+    else runs.push({ type: 'link', text: token, href: token });
+    cursor = end;
+    re.lastIndex = end;
+  }
+  if (cursor < text.length) runs.push({ type: 'text', text: text.slice(cursor) });
+  return runs;
+}
+
+// Render a TLDR into container (class names are styled by content.css and
+// popup.css). options.appendText(el, text) replaces plain text insertion,
+// e.g. to highlight search matches in the popup.
+function renderFormattedTLDR(container, text, options) {
+  var appendText = (options && options.appendText) || function (el, value) {
+    el.appendChild(document.createTextNode(value));
+  };
+
+  function appendInline(el, value) {
+    parseTLDRInline(value).forEach(function (run) {
+      if (run.type === 'text') { appendText(el, run.text); return; }
+      var node;
+      if (run.type === 'link') {
+        node = document.createElement('a');
+        node.href = run.href;
+        node.target = '_blank';
+        node.rel = 'noopener noreferrer';
+      } else {
+        node = document.createElement(run.type);
+      }
+      appendText(node, run.text);
+      el.appendChild(node);
+    });
+  }
+
+  parseTLDRBlocks(text).forEach(function (block) {
+    var el;
+    if (block.type === 'heading') {
+      el = document.createElement('div');
+      el.className = 'btl-section-heading';
+      appendText(el, block.text);
+    } else if (block.type === 'score') {
+      el = document.createElement('div');
+      el.className = 'btl-score-line';
+      var cls = block.score >= 7 ? 'btl-score-high' : (block.score >= 4 ? 'btl-score-mid' : 'btl-score-low');
+      var badge = document.createElement('span');
+      badge.className = 'btl-score-badge ' + cls;
+      badge.textContent = block.score + '/10';
+      appendText(el, block.label + ': ');
+      el.appendChild(badge);
+      if (block.rest) {
+        var rest = document.createElement('span');
+        appendInline(rest, ' \u2014 ' + block.rest);
+        el.appendChild(rest);
+      }
+    } else if (block.type === 'ul' || block.type === 'ol') {
+      el = document.createElement(block.type);
+      block.items.forEach(function (item) {
+        var li = document.createElement('li');
+        appendInline(li, item);
+        el.appendChild(li);
+      });
+    } else {
+      el = document.createElement('p');
+      appendInline(el, block.text);
+    }
+    container.appendChild(el);
+  });
+}
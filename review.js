@@ -0,0 +1,156 @@
+// Spaced-repetition review — shared by background.js (toolbar badge, via
+// importScripts) and popup.html (Review tab, via <script>). Depends on
+// parseTLDRBlocks from renderer.js.
+//
+// Each TLDR is turned into question/answer cards: the one-line TLDR and every
+// list item outside the fact-check section. A card is identified by a hash of
+// its text, so regenerating a summary retires old cards and starts new ones.
+// Scheduling state is stored on the library entry itself:
+//   entry.review = { cards: { [key]: { reps, interval, ease, due, lapses,
+//                                      introduced, lastReviewed } } }
+// A "day" ends at local midnight: everything due before then counts as due
+// today, and at most REVIEW_NEW_PER_DAY unseen cards are introduced per day.
+
+var REVIEW_NEW_PER_DAY = 20;
+var REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+var REVIEW_RELEARN_MS = 10 * 60 * 1000;
+var REVIEW_DEFAULT_EASE = 2.5;
+var REVIEW_MIN_EASE = 1.3;
+
+// Answer buttons → SM-2 quality (0-5 scale)
+var REVIEW_GRADES = {
+  again: { label: '重来', quality: 1 },
+  hard: { label: '困难', quality: 3 },
+  good: { label: '良好', quality: 4 },
+  easy: { label: '简单', quality: 5 },
+};
+
+var REVIEW_SKIP_HEADING_RE = /fact.?check|事实核查|事實查核|ファクトチェック|팩트/i;
+var REVIEW_TLDR_LINE_RE = /^\*\*TLDR\*\*\s*[-:：–—]?\s*(.+)$/i;
+var REVIEW_TERM_RE = /^\*\*(.+?)\*\*\s*[-:：–—]\s*(.+)$/;
+
+// Short stable key for a card's text (djb2)
+function hashReviewText(text) {
+  var hash = 5381;
+  for (var i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Question/answer cards for one entry: [{ key, heading, question, answer }]
+function buildReviewCards(entry) {
+  var cards = [];
+  var heading = '';
+  var skip = false;
+
+  function add(question, answer) {
+    cards.push({
+      key: hashReviewText(question + '\n' + answer),
+      heading: heading,
+      question: question,
+      answer: answer,
+    });
+  }
+
+  parseTLDRBlocks(entry.tldr || '').forEach(function (block) {
+    if (block.type === 'heading') {
+      heading = block.text.replace(/[:：]$/, '');
+      skip = REVIEW_SKIP_HEADING_RE.test(heading);
+      return;
+    }
+    if (skip) return;
+
+    if (block.type === 'p') {
+      var tldr = block.text.match(REVIEW_TLDR_LINE_RE);
+      if (tldr) add('这条收藏的核心观点是什么？', tldr[1]);
+      return;
+    }
+
+    if (block.type === 'ul' || block.type === 'ol') {
+      block.items.forEach(function (item, i) {
+        var term = item.match(REVIEW_TERM_RE);
+        if (term) {
+          add((heading ? heading + '：' : '') + term[1] + '？', term[2]);
+        } else {
+          add('「' + (heading || '要点') + '」第 ' + (i + 1) + ' 条是什么？', item);
+        }
+      });
+    }
+  });
+  return cards;
+}
+
+// Next state after answering a card. state is undefined for a new card.
+// SM-2: the ease factor moves with answer quality, intervals grow 1 → 6 →
+// interval × ease days; "again" resets the streak and shows the card again
+// after a short relearning delay.
+function scheduleReview(state, grade, now) {
+  var prev = state || { reps: 0, interval: 0, ease: REVIEW_DEFAULT_EASE, lapses: 0, introduced: now };
+  var q = REVIEW_GRADES[grade].quality;
+  // "again" uses a fixed penalty; the SM-2 formula would drop ease by 0.54
+  var easeDelta = grade === 'again' ? -0.2 : 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02);
+  var next = {
+    reps: prev.reps,
+    interval: prev.interval,
+    ease: Math.max(REVIEW_MIN_EASE, prev.ease + easeDelta),
+    lapses: prev.lapses,
+    introduced: prev.introduced || now,
+    lastReviewed: now,
+  };
+
+  if (grade === 'again') {
+    next.reps = 0;
+    next.interval = 0;
+    next.lapses += 1;
+    next.due = now + REVIEW_RELEARN_MS;
+    return next;
+  }
+
+  next.reps += 1;
+  if (next.reps === 1) {
+    next.interval = grade === 'easy' ? 4 : 1;
+  } else if (next.reps === 2) {
+    next.interval = grade === 'hard' ? 3 : 6;
+  } else if (grade === 'hard') {
+    next.interval = Math.max(prev.interval + 1, Math.round(prev.interval * 1.2));
+  } else {
+    next.interval = Math.round(prev.interval * next.ease * (grade === 'easy' ? 1.3 : 1));
+  }
+  next.due = now + next.interval * REVIEW_DAY_MS;
+  return next;
+}
+
+function startOfReviewDay(now) {
+  var d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Cards to review today, due reviews first (oldest due first), then up to
+// the remaining daily allowance of new cards (oldest bookmarks first).
+// Returns { cards: [{ entry, card, state }], dueCount, newCount }.
+function collectDueCards(entries, now) {
+  var dayStart = startOfReviewDay(now);
+  var dayEnd = dayStart + REVIEW_DAY_MS;
+  var due = [];
+  var fresh = [];
+  var introducedToday = 0;
+
+  entries.slice().sort(function (a, b) { return a.timestamp - b.timestamp; }).forEach(function (entry) {
+    var states = (entry.review && entry.review.cards) || {};
+    buildReviewCards(entry).forEach(function (card) {
+      var state = states[card.key];
+      if (!state) {
+        fresh.push({ entry: entry, card: card, state: null });
+        return;
+      }
+      if (state.introduced >= dayStart) introducedToday++;
+      if (state.due < dayEnd) due.push({ entry: entry, card: card, state: state });
+    });
+  });
+
+  due.sort(function (a, b) { return a.state.due - b.state.due; });
+  var newCards = fresh.slice(0, Math.max(0, REVIEW_NEW_PER_DAY - introducedToday));
+  return { cards: due.concat(newCards), dueCount: due.length, newCount: newCards.length };
+}
@@ -0,0 +1,304 @@
+// X page selectors — shared by content.js (via the manifest), background.js
+// (via importScripts, and injected into the tabs its page readers run in)
+// and popup.html (capture diagnostics, via <script>).
+//
+// Every DOM lookup the capture code makes goes through a registry field
+// with an ordered list of strategies; the first strategy that matches wins,
+// later ones are fallbacks for when X changes its markup. Which strategy
+// matched each field is stored on the library entry as
+//   entry.selectors = { version, hits: { field: strategyId | null } }
+// (null = no strategy matched), and the popup's debug section summarizes
+// hit and miss rates over recent bookmarks. Bump version when strategy ids
+// change so old records are not mixed into the rates.
+//
+// Strategy options:
+//   minCount — the selector must match at least this many elements
+//   parent   — the field is the parent of the first match (heuristics that
+//              locate a container through its children)
+// expected: the field is on every capture, so a miss points at a DOM change
+// rather than a post without one (no quote, no poll…).
+
+var SELECTOR_REGISTRY = {
+  version: 2,
+  fields: {
+    // The button whose click starts a capture; un-bookmarking is ignored
+    bookmarkButton: {
+      label: '收藏按钮',
+      strategies: [
+        { id: 'bookmark', selector: '[data-testid="bookmark"]' },
+      ],
+    },
+    removeBookmarkButton: {
+      label: '取消收藏按钮',
+      strategies: [
+        { id: 'removeBookmark', selector: '[data-testid="removeBookmark"]' },
+      ],
+    },
+    tweet: {
+      label: '帖子',
+      strategies: [
+        { id: 'tweet', selector: 'article[data-testid="tweet"]' },
+        { id: 'role-article', selector: 'article[role="article"]' },
+      ],
+    },
+    text: {
+      label: '正文',
+      strategies: [
+        { id: 'tweetText', selector: '[data-testid="tweetText"]' },
+        { id: 'lang', selector: 'div[lang][dir="auto"]' },
+      ],
+    },
+    author: {
+      label: '作者',
+      expected: true,
+      strategies: [
+        { id: 'User-Name', selector: '[data-testid="User-Name"]' },
+      ],
+    },
+    postTime: {
+      label: '发布时间',
+      expected: true,
+      strategies: [
+        { id: 'time', selector: 'time[datetime]' },
+      ],
+    },
+    quote: {
+      label: '引用帖',
+      strategies: [
+        { id: 'quoteTweet', selector: '[data-testid="quoteTweet"]' },
+      ],
+    },
+    card: {
+      label: '链接卡片',
+      strategies: [
+        { id: 'card.wrapper', selector: '[data-testid="card.wrapper"]' },
+        { id: 'card.layout', selector: '[data-testid^="card.layout"]' },
+      ],
+    },
+    poll: {
+      label: '投票',
+      strategies: [
+        { id: 'cardPoll', selector: '[data-testid="cardPoll"]' },
+      ],
+    },
+    photo: {
+      label: '图片',
+      strategies: [
+        { id: 'tweetPhoto', selector: '[data-testid="tweetPhoto"] img' },
+        { id: 'media-img', selector: 'img[src*="pbs.twimg.com/media/"]' },
+      ],
+    },
+    communityNote: {
+      label: '社区笔记',
+      strategies: [
+        { id: 'birdwatch-pivot', selector: '[data-testid="birdwatch-pivot"]' },
+      ],
+    },
+    actions: {
+      label: '互动栏',
+      expected: true,
+      strategies: [
+        { id: 'role-group', selector: '[role="group"]' },
+      ],
+    },
+    // Counts are read from the aria-labels of the action bar's buttons
+    replyButton: {
+      label: '回复数',
+      expected: true,
+      strategies: [
+        { id: 'reply', selector: '[data-testid="reply"]' },
+      ],
+    },
+    retweetButton: {
+      label: '转帖数',
+      expected: true,
+      strategies: [
+        { id: 'retweet', selector: '[data-testid="retweet"]' },
+        { id: 'unretweet', selector: '[data-testid="unretweet"]' },
+      ],
+    },
+    likeButton: {
+      label: '点赞数',
+      expected: true,
+      strategies: [
+        { id: 'like', selector: '[data-testid="like"]' },
+        { id: 'unlike', selector: '[data-testid="unlike"]' },
+      ],
+    },
+    viewCount: {
+      label: '浏览数',
+      strategies: [
+        { id: 'analytics-link', selector: 'a[href*="/analytics"]' },
+      ],
+    },
+    showMore: {
+      label: '展开全文',
+      strategies: [
+        { id: 'show-more-link', selector: '[data-testid="tweet-text-show-more-link"]' },
+      ],
+    },
+    // Same control, buttons only: in a background tab the link version
+    // would navigate away from the page being read
+    showMoreButton: {
+      label: '展开全文按钮',
+      strategies: [
+        { id: 'show-more-button', selector: 'button[data-testid="tweet-text-show-more-link"]' },
+      ],
+    },
+    // "Show more replies" style buttons between posts of a conversation
+    moreRepliesButton: {
+      label: '更多回复按钮',
+      strategies: [
+        {
+          id: 'cell-button',
+          selector: '[data-testid="cellInnerDiv"] [role="button"], [data-testid="cellInnerDiv"] button',
+        },
+      ],
+    },
+    articleBody: {
+      label: '文章正文',
+      strategies: [
+        { id: 'noteBody', selector: '[data-testid="noteBody"]' },
+        { id: 'richTextContainer', selector: '[data-testid="richTextContainer"]' },
+        { id: 'articleBody', selector: '[data-testid="articleBody"]' },
+        { id: 'article-content', selector: '[data-testid="article-content"]' },
+      ],
+    },
+    // X Article focus mode: the body is plain elements with h1/h2 section
+    // headings and no data-testid; its container is the first h1's parent
+    focusModeBody: {
+      label: '专注模式正文',
+      strategies: [
+        { id: 'h1-sections', selector: 'h1', minCount: 2, parent: true },
+      ],
+    },
+    // Read inside <main> on article and post pages
+    pagePostTime: {
+      label: '页面发布时间',
+      strategies: [
+        { id: 'time', selector: 'time[datetime]' },
+      ],
+    },
+    heroImage: {
+      label: '文章封面',
+      strategies: [
+        { id: 'media-img', selector: 'img[src*="pbs.twimg.com/media/"]' },
+      ],
+    },
+    primaryColumn: {
+      label: '主栏',
+      strategies: [
+        { id: 'primaryColumn', selector: '[data-testid="primaryColumn"]' },
+        { id: 'main', selector: 'main' },
+      ],
+    },
+  },
+};
+
+// Elements under root for a registry field, from the first strategy that
+// matches: { els, strategy } with the strategy id, or { els: [], strategy:
+// null } on a miss. exclude(el) drops elements (e.g. those inside a quoted
+// post) before a strategy counts as matching.
+function queryFieldAll(root, name, exclude, registry) {
+  var strategies = (registry || SELECTOR_REGISTRY).fields[name].strategies;
+  for (var i = 0; i < strategies.length; i++) {
+    var strategy = strategies[i];
+    var els = Array.prototype.slice.call(root.querySelectorAll(strategy.selector));
+    if (exclude) els = els.filter(function (el) { return !exclude(el); });
+    if (els.length === 0 || els.length < (strategy.minCount || 1)) continue;
+    if (strategy.parent) els = els[0].parentElement ? [els[0].parentElement] : [];
+    if (els.length > 0) return { els: els, strategy: strategy.id };
+  }
+  return { els: [], strategy: null };
+}
+
+// First element of a field: { el, strategy }, or { el: null, strategy: null }
+function queryField(root, name, exclude, registry) {
+  var match = queryFieldAll(root, name, exclude, registry);
+  return { el: match.els[0] || null, strategy: match.strategy };
+}
+
+// Nearest ancestor of el (or el itself) matching a field: { el, strategy },
+// or { el: null, strategy: null }
+function closestField(el, name, registry) {
+  var strategies = (registry || SELECTOR_REGISTRY).fields[name].strategies;
+  for (var i = 0; i < strategies.length; i++) {
+    var found = el.closest(strategies[i].selector);
+    if (found) return { el: found, strategy: strategies[i].id };
+  }
+  return { el: null, strategy: null };
+}
+
+// ── Diagnostics ───────────────────────────────────────────────────────────────
+
+// Hit and miss counts per field over library entries recorded with the
+// current registry version:
+//   { version, captures, older, fields: [{ name, label, expected, hits,
+//     misses, strategies: [{ id, count, fallback }] }] }
+// Fields a capture never looked up are not counted for it; older counts
+// entries recorded with an earlier registry version.
+function summarizeSelectorHits(entries, registry) {
+  registry = registry || SELECTOR_REGISTRY;
+  var captures = 0;
+  var older = 0;
+  var counts = {};
+  entries.forEach(function (entry) {
+    var record = entry.selectors;
+    if (!record || !record.hits) return;
+    if (record.version !== registry.version) {
+      older++;
+      return;
+    }
+    captures++;
+    Object.keys(record.hits).forEach(function (name) {
+      if (!registry.fields[name]) return;
+      var count = counts[name] || (counts[name] = { misses: 0, byStrategy: {} });
+      var strategy = record.hits[name];
+      if (strategy) count.byStrategy[strategy] = (count.byStrategy[strategy] || 0) + 1;
+      else count.misses++;
+    });
+  });
+
+  var fields = Object.keys(registry.fields).filter(function (name) {
+    return counts[name];
+  }).map(function (name) {
+    var field = registry.fields[name];
+    var count = counts[name];
+    var strategies = field.strategies.map(function (strategy, i) {
+      return { id: strategy.id, count: count.byStrategy[strategy.id] || 0, fallback: i > 0 };
+    }).filter(function (strategy) { return strategy.count > 0; });
+    return {
+      name: name,
+      label: field.label,
+      expected: !!field.expected,
+      hits: strategies.reduce(function (sum, strategy) { return sum + strategy.count; }, 0),
+      misses: count.misses,
+      strategies: strategies,
+    };
+  });
+  return { version: registry.version, captures: captures, older: older, fields: fields };
+}
+
+// Debug-section lines for a summary. "⚠" marks a field that needed a
+// fallback strategy, or an expected field that was missed.
+function formatSelectorDiagnostics(summary) {
+  var lines = ['Selectors: registry v' + summary.version + ', ' + summary.captures + ' recent captures'
+    + (summary.older ? ' (+' + summary.older + ' on older versions)' : '')];
+  if (summary.captures === 0) {
+    lines.push('  (no captures recorded yet)');
+    return lines;
+  }
+  summary.fields.forEach(function (field) {
+    var total = field.hits + field.misses;
+    var usedFallback = field.strategies.some(function (strategy) { return strategy.fallback; });
+    var warn = usedFallback || (field.expected && field.misses > 0);
+    var detail = field.strategies.map(function (strategy) {
+      return strategy.id + (strategy.fallback ? ' (fallback)' : '') + ' ' + strategy.count;
+    });
+    if (field.misses) detail.push('miss ' + field.misses);
+    lines.push((warn ? '⚠ ' : '  ') + field.name + ' ' + field.label + ': '
+      + field.hits + '/' + total + ' hit (' + Math.round(field.hits / total * 100) + '%) — '
+      + detail.join(', '));
+  });
+  return lines;
+}
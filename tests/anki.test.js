@@ -0,0 +1,292 @@
+/**
+ * Unit tests for pure functions extracted from anki.js.
+ *
+ * Notes are built from the TLDR blocks and inline runs parsed by renderer.js
+ * and reuse the review.js section patterns and extractHandle from
+ * filenames.js, so those are re-defined here as well.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from renderer.js ──────────────────────────────
+
+var TLDR_HEADING_RE = /^(?:\*\*(.+?)\*\*\s*[-:]?|#{1,6}\s+(.+?)\s*#*)\s*$/;
+var TLDR_SCORE_RE = /^\**(Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10\**/i;
+
+// Inline tokens, in priority order: `code`, [text](url), **bold**, *italic*,
+// bare URL
+var TLDR_INLINE_RE = /`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(https?:\/\/[^\s<>()[\]]+)/;
+
+function parseTLDRBlocks(text) {
+  var blocks = [];
+  var list = null;
+
+  function flushList() {
+    if (list) blocks.push(list);
+    list = null;
+  }
+
+  function addItem(type, itemText) {
+    if (!list || list.type !== type) {
+      flushList();
+      list = { type: type, items: [] };
+    }
+    list.items.push(itemText);
+  }
+
+  (text || '').split('\n').forEach(function (line) {
+    var trimmed = line.trim();
+    if (!trimmed) { flushList(); return; }
+
+    var heading = trimmed.match(TLDR_HEADING_RE);
+    if (heading) {
+      flushList();
+      blocks.push({ type: 'heading', text: heading[1] || heading[2] });
+      return;
+    }
+
+    var score = trimmed.match(TLDR_SCORE_RE);
+    if (score) {
+      flushList();
+      var rest = trimmed.slice(score[0].length).replace(/^\s*[-\u2014]\s*/, '');
+      blocks.push({ type: 'score', label: score[1], score: Number(score[2]), rest: rest });
+      return;
+    }
+
+    var bullet = trimmed.match(/^[-\u2022*]\s+(.*)/);
+    if (bullet) { addItem('ul', bullet[1]); return; }
+
+    var numbered = trimmed.match(/^\d+[.)]\s+(.*)/);
+    if (numbered) { addItem('ol', numbered[1]); return; }
+
+    flushList();
+    blocks.push({ type: 'p', text: trimmed });
+  });
+  flushList();
+  return blocks;
+}
+
+function parseTLDRInline(text) {
+  var runs = [];
+  var cursor = 0;
+  var re = new RegExp(TLDR_INLINE_RE.source, 'g');
+  var m;
+  while ((m = re.exec(text)) !== null) {
+    var token = m[0];
+    var end = m.index + token.length;
+    if (m[6]) {
+      // Keep sentence punctuation after a bare URL out of the link
+      var url = m[6].replace(/[.,;:!?'"]+$/, '');
+      end = m.index + url.length;
+      token = url;
+    }
+    if (m.index > cursor) runs.push({ type: 'text', text: text.slice(cursor, m.index) });
+    if (m[1]) runs.push({ type: 'code', text: m[1] });
+    else if (m[2]) runs.push({ type: 'link', text: m[2], href: m[3] });
+    else if (m[4]) runs.push({ type: 'strong', text: m[4] });
+    else if (m[5]) runs.push({ type: 'em', text: m[5] });
+    else runs.push({ type: 'link', text: token, href: token });
+    cursor = end;
+    re.lastIndex = end;
+  }
+  if (cursor < text.length) runs.push({ type: 'text', text: text.slice(cursor) });
+  return runs;
+}
+
+// ── Re-defined from review.js and filenames.js ──────────────────────────────
+
+var REVIEW_SKIP_HEADING_RE = /fact.?check|事实核查|事實查核|ファクトチェック|팩트/i;
+var REVIEW_TLDR_LINE_RE = /^\*\*TLDR\*\*\s*[-:：–—]?\s*(.+)$/i;
+
+function extractHandle(tweetUrl) {
+  try {
+    var firstSegment = new URL(tweetUrl).pathname.split('/')[1];
+    if (firstSegment) return firstSegment;
+  } catch (_) { /* use default */ }
+  return 'unknown';
+}
+
+// ── Re-defined pure functions from anki.js ──────────────────────────────────
+
+var ANKI_DEFAULT_URL = 'http://localhost:8765';
+var ANKI_DEFAULT_DECK = 'Bookmark is Learned';
+var ANKI_DEFAULT_NOTE_TYPE = 'Basic';
+var ANKI_TAG = 'bookmark-is-learned';
+
+function escapeAnkiHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline Markdown (bold, italic, code, links) → escaped HTML
+function inlineToAnkiHtml(text) {
+  return parseTLDRInline(text).map(function (run) {
+    var value = escapeAnkiHtml(run.text);
+    if (run.type === 'strong') return '<b>' + value + '</b>';
+    if (run.type === 'em') return '<i>' + value + '</i>';
+    if (run.type === 'code') return '<code>' + value + '</code>';
+    if (run.type === 'link') return '<a href="' + escapeAnkiHtml(run.href) + '">' + value + '</a>';
+    return value;
+  }).join('');
+}
+
+// { front, back, tags } for an entry, or null when it has no summary
+function buildAnkiNote(entry) {
+  if (!entry.tldr) return null;
+
+  var front = '';
+  var firstParagraph = '';
+  var back = [];
+  var heading = '';
+  var skip = false;
+
+  parseTLDRBlocks(entry.tldr).forEach(function (block) {
+    if (block.type === 'heading') {
+      heading = block.text.replace(/[:：]$/, '');
+      skip = REVIEW_SKIP_HEADING_RE.test(heading);
+      return;
+    }
+    if (block.type === 'p') {
+      var tldr = block.text.match(REVIEW_TLDR_LINE_RE);
+      if (tldr && !front) front = inlineToAnkiHtml(tldr[1]);
+      else if (!firstParagraph && !skip) firstParagraph = inlineToAnkiHtml(block.text);
+      return;
+    }
+    if (skip || (block.type !== 'ul' && block.type !== 'ol')) return;
+
+    var items = block.items.map(function (item) {
+      return '<li>' + inlineToAnkiHtml(item) + '</li>';
+    }).join('');
+    if (heading) back.push('<div><b>' + escapeAnkiHtml(heading) + '</b></div>');
+    back.push('<' + block.type + '>' + items + '</' + block.type + '>');
+  });
+
+  front = front || firstParagraph || escapeAnkiHtml(entry.tweetPreview || '');
+  if (!front) return null;
+
+  if (entry.tweetUrl) {
+    back.push('<div>来源：<a href="' + escapeAnkiHtml(entry.tweetUrl) + '">'
+      + escapeAnkiHtml(entry.author || entry.tweetUrl) + '</a></div>');
+  }
+
+  var tags = [ANKI_TAG];
+  var handle = entry.tweetUrl ? extractHandle(entry.tweetUrl) : 'unknown';
+  if (handle !== 'unknown') tags.push(handle.replace(/\s+/g, '_'));
+
+  return { front: front, back: back.join(''), tags: tags };
+}
+
+// Anki import file with header lines (Anki 2.1.54+), one note per row.
+// format: 'tsv' | 'csv'
+function buildAnkiImportFile(notes, format, options) {
+  var csv = format === 'csv';
+  var lines = [
+    '#separator:' + (csv ? 'comma' : 'tab'),
+    '#html:true',
+    '#notetype:' + options.noteType,
+    '#deck:' + options.deck,
+    '#tags column:3',
+  ];
+
+  notes.forEach(function (note) {
+    var fields = [note.front, note.back, note.tags.join(' ')].map(function (value) {
+      // Fields are HTML, so line breaks carry no meaning
+      var flat = value.replace(/[\r\n\t]+/g, ' ');
+      return csv ? '"' + flat.replace(/"/g, '""') + '"' : flat;
+    });
+    lines.push(fields.join(csv ? ',' : '\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+const ENTRY = {
+  author: 'Alice',
+  tweetUrl: 'https://x.com/alice/status/123',
+  tweetPreview: 'Rust async runtimes explained',
+  tldr: [
+    '**TLDR** — Rust async needs a **runtime**.',
+    '',
+    '**Key Points**',
+    '- **Tokio** is the most used runtime',
+    '- Use `spawn` for tasks',
+    '',
+    '**Fact Check**',
+    '- Tokio is popular — **verifiable**',
+    'Credibility: 8/10 — well known',
+  ].join('\n'),
+};
+
+describe('escapeAnkiHtml', () => {
+  it('escapes HTML special characters', () => {
+    expect(escapeAnkiHtml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+});
+
+describe('inlineToAnkiHtml', () => {
+  it('converts inline markdown to HTML', () => {
+    expect(inlineToAnkiHtml('**a** *b* `c` [d](https://e.com)')).toBe(
+      '<b>a</b> <i>b</i> <code>c</code> <a href="https://e.com">d</a>',
+    );
+  });
+
+  it('escapes raw HTML in text', () => {
+    expect(inlineToAnkiHtml('<script>x</script>')).toBe('&lt;script&gt;x&lt;/script&gt;');
+  });
+});
+
+describe('buildAnkiNote', () => {
+  it('puts the TLDR line on the front', () => {
+    expect(buildAnkiNote(ENTRY).front).toBe('Rust async needs a <b>runtime</b>.');
+  });
+
+  it('puts key points and the source link on the back', () => {
+    const back = buildAnkiNote(ENTRY).back;
+    expect(back).toContain('<div><b>Key Points</b></div><ul><li><b>Tokio</b> is the most used runtime</li>');
+    expect(back).toContain('<code>spawn</code>');
+    expect(back).toContain('来源：<a href="https://x.com/alice/status/123">Alice</a>');
+  });
+
+  it('leaves out the fact-check section', () => {
+    expect(buildAnkiNote(ENTRY).back).not.toContain('verifiable');
+  });
+
+  it('tags notes with the extension tag and the author handle', () => {
+    expect(buildAnkiNote(ENTRY).tags).toEqual(['bookmark-is-learned', 'alice']);
+  });
+
+  it('falls back to the preview when there is no TLDR line', () => {
+    expect(buildAnkiNote({ ...ENTRY, tldr: '- just a point' }).front).toBe('Rust async runtimes explained');
+  });
+
+  it('returns null for entries without a summary', () => {
+    expect(buildAnkiNote({ ...ENTRY, tldr: '' })).toBeNull();
+  });
+});
+
+describe('buildAnkiImportFile', () => {
+  const notes = [{ front: 'Q "1"', back: 'A\tline\nbreak', tags: ['bookmark-is-learned', 'alice'] }];
+  const options = { deck: 'Deck', noteType: 'Basic' };
+
+  it('writes a tab-separated file with Anki headers', () => {
+    const lines = buildAnkiImportFile(notes, 'tsv', options).split('\n');
+    expect(lines.slice(0, 5)).toEqual([
+      '#separator:tab',
+      '#html:true',
+      '#notetype:Basic',
+      '#deck:Deck',
+      '#tags column:3',
+    ]);
+    expect(lines[5]).toBe('Q "1"\tA line break\tbookmark-is-learned alice');
+  });
+
+  it('quotes CSV fields and doubles inner quotes', () => {
+    const lines = buildAnkiImportFile(notes, 'csv', options).split('\n');
+    expect(lines[0]).toBe('#separator:comma');
+    expect(lines[5]).toBe('"Q ""1""","A line break","bookmark-is-learned alice"');
+  });
+});
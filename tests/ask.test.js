@@ -0,0 +1,170 @@
+/**
+ * Unit tests for pure functions extracted from ask.js.
+ *
+ * These tokenize the library and rank entries by BM25 for the 问答 tab.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined from prompts.js ──────────────────────────────────────────────
+
+// Drop the fact-check section from a TLDR (from its heading to the end)
+function stripFactCheck(tldr) {
+  var index = tldr.search(/^\s*\**\s*(?:Fact.?Check|事实核查|事實查核|ファクトチェック)/im);
+  return (index === -1 ? tldr : tldr.slice(0, index)).trim();
+}
+
+// ── Re-defined pure functions from ask.js ───────────────────────────────────
+
+var ASK_TOP_K = 8;
+var ASK_MAX_SOURCE_CHARS = 2500;
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+
+var ASK_STOPWORDS = {};
+('a an and are as at be but by do does for from has have how i in is it its of on or '
+  + 'that the this to was were what when where which who why will with you your about '
+  + 'did people say said').split(' ').forEach(function (word) { ASK_STOPWORDS[word] = true; });
+
+var ASK_TOKEN_RE = /[a-z0-9][a-z0-9+#]*|[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+
+// Lowercase search terms for a piece of text (duplicates kept for BM25)
+function tokenizeForSearch(text) {
+  var tokens = [];
+  var runs = String(text || '').toLowerCase().match(ASK_TOKEN_RE) || [];
+  runs.forEach(function (run) {
+    if (/^[a-z0-9]/.test(run)) {
+      if (!ASK_STOPWORDS[run]) tokens.push(run);
+      return;
+    }
+    if (run.length === 1) {
+      tokens.push(run);
+      return;
+    }
+    for (var i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  });
+  return tokens;
+}
+
+// Everything searchable about an entry. The TLDR is listed twice: it is the
+// distilled version and should outweigh incidental words in a long article.
+function askDocumentText(entry) {
+  var c = entry.content || {};
+  return [
+    entry.author,
+    entry.tldr, entry.tldr,
+    c.text || entry.tweetPreview,
+    c.cardText, c.quotedText, c.articleTitle, c.articleBody, c.quotedFullBody,
+  ].filter(Boolean).join('\n');
+}
+
+// Entries ranked by BM25 against query: [{ entry, score }], best first,
+// only entries sharing at least one term with the query
+function rankBM25(entries, query, limit) {
+  var terms = tokenizeForSearch(query).filter(function (term, i, all) {
+    return all.indexOf(term) === i;
+  });
+  if (terms.length === 0 || entries.length === 0) return [];
+
+  var docs = entries.map(function (entry) {
+    var counts = {};
+    var tokens = tokenizeForSearch(askDocumentText(entry));
+    tokens.forEach(function (token) { counts[token] = (counts[token] || 0) + 1; });
+    return { entry: entry, counts: counts, length: tokens.length };
+  });
+  var avgLength = docs.reduce(function (sum, doc) { return sum + doc.length; }, 0) / docs.length || 1;
+
+  var idf = {};
+  terms.forEach(function (term) {
+    var df = docs.filter(function (doc) { return doc.counts[term]; }).length;
+    idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  });
+
+  return docs.map(function (doc) {
+    var score = 0;
+    terms.forEach(function (term) {
+      var tf = doc.counts[term] || 0;
+      if (!tf) return;
+      score += idf[term] * (tf * (BM25_K1 + 1))
+        / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    });
+    return { entry: doc.entry, score: score };
+  }).filter(function (result) {
+    return result.score > 0;
+  }).sort(function (a, b) {
+    return b.score - a.score;
+  }).slice(0, limit || ASK_TOP_K);
+}
+
+// Context for one source: its TLDR (minus the fact check) and the start of
+// the original, cut to maxChars in total
+function askSourceExcerpt(entry, maxChars) {
+  var c = entry.content || {};
+  var original = [c.articleTitle, c.text || entry.tweetPreview, c.quotedText, c.articleBody, c.quotedFullBody]
+    .filter(Boolean).join('\n');
+  var parts = [];
+  if (entry.tldr) parts.push('Summary:\n' + stripFactCheck(entry.tldr));
+  if (original) parts.push('Original:\n' + original);
+  var text = parts.join('\n\n');
+  return text.length > maxChars ? text.slice(0, maxChars) + '…' : text;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('tokenizeForSearch', () => {
+  it('lowercases words and drops stopwords', () => {
+    expect(tokenizeForSearch('What did people say about RAG Evaluation?')).toEqual(['rag', 'evaluation']);
+  });
+
+  it('keeps C++ / C# style terms', () => {
+    expect(tokenizeForSearch('C++ and C#')).toEqual(['c++', 'c#']);
+  });
+
+  it('splits CJK runs into bigrams', () => {
+    expect(tokenizeForSearch('向量数据库')).toEqual(['向量', '量数', '数据', '据库']);
+    expect(tokenizeForSearch('RAG 的 评测')).toEqual(['rag', '的', '评测']);
+  });
+
+  it('handles empty input', () => {
+    expect(tokenizeForSearch('')).toEqual([]);
+    expect(tokenizeForSearch(null)).toEqual([]);
+  });
+});
+
+describe('rankBM25', () => {
+  const entries = [
+    { id: 'a', author: 'Alice', tldr: '**TLDR** — RAG evaluation needs golden datasets', content: { text: 'How we evaluate RAG' } },
+    { id: 'b', author: 'Bob', tldr: '**TLDR** — Rust async runtimes compared', content: { text: 'Tokio vs smol' } },
+    { id: 'c', author: 'Carol', tldr: '**TLDR** — 向量数据库选型', content: { text: 'RAG 系统里的向量数据库' } },
+  ];
+
+  it('ranks the best match first and drops non-matches', () => {
+    const ranked = rankBM25(entries, 'RAG evaluation', 8);
+    expect(ranked.map((r) => r.entry.id)).toEqual(['a', 'c']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  it('matches Chinese queries', () => {
+    expect(rankBM25(entries, '向量数据库怎么选', 8)[0].entry.id).toBe('c');
+  });
+
+  it('respects the limit', () => {
+    expect(rankBM25(entries, 'rag', 1)).toHaveLength(1);
+  });
+
+  it('returns nothing for stopword-only queries or an empty library', () => {
+    expect(rankBM25(entries, 'what is the', 8)).toEqual([]);
+    expect(rankBM25([], 'rag', 8)).toEqual([]);
+  });
+});
+
+describe('askSourceExcerpt', () => {
+  it('combines the summary without its fact check and the original', () => {
+    const entry = { tldr: '**TLDR** — A\n**Fact Check**\n- x', content: { text: 'Body' } };
+    expect(askSourceExcerpt(entry, 1000)).toBe('Summary:\n**TLDR** — A\n\nOriginal:\nBody');
+  });
+
+  it('falls back to the preview and cuts long text', () => {
+    expect(askSourceExcerpt({ tweetPreview: 'y'.repeat(50) }, 20)).toBe('Original:\n' + 'y'.repeat(10) + '…');
+  });
+});
@@ -3,8 +3,8 @@
  *
  * Since background.js is a Chrome extension service worker that relies on
  * browser APIs (chrome.*, fetch, crypto), we re-define the pure functions
- * here for isolated testing. This covers URL escaping, filename building,
- * URL whitelisting, and markdown content generation.
+ * here for isolated testing. This covers URL escaping, URL whitelisting,
+ * and markdown content generation.
  */
 
 import { describe, it, expect } from 'vitest';
@@ -32,50 +32,6 @@ function isAllowedFetchUrl(url) {
   }
 }
 
-function buildFileName(tweetData, articleContent, isArticle) {
-  var handle = 'unknown';
-  var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
-  try {
-    var pathname = new URL(tweetUrl).pathname;
-    var firstSegment = pathname.split('/')[1];
-    if (firstSegment) handle = firstSegment;
-  } catch (_) { /* use default */ }
-
-  var title = '';
-  if (isArticle && articleContent && articleContent.title) {
-    title = articleContent.title;
-  } else {
-    title = tweetData.text || tweetData.cardText || tweetData.fallbackText || '';
-  }
-
-  var safeHandle = handle
-    .replace(/[\x00-\x1f\x7f]/g, '')
-    .replace(/[\\/:*?"<>|]/g, '_')
-    .replace(/^\.+/, '')
-    .trim().slice(0, 30);
-  var safeTitle = title
-    .replace(/[\n\r]+/g, ' ')
-    .replace(/[\x00-\x1f\x7f]/g, '')
-    .replace(/[\\/:*?"<>|]/g, '_')
-    .replace(/^\.+/, '')
-    .trim()
-    .slice(0, 50);
-  if (title.length > 50) {
-    var lastSpace = safeTitle.lastIndexOf(' ');
-    if (lastSpace > 20) safeTitle = safeTitle.slice(0, lastSpace);
-  }
-  if (!safeTitle) safeTitle = 'untitled';
-
-  var now = new Date();
-  var timeStamp = now.getFullYear()
-    + String(now.getMonth() + 1).padStart(2, '0')
-    + String(now.getDate()).padStart(2, '0')
-    + '-' + String(now.getHours()).padStart(2, '0')
-    + String(now.getMinutes()).padStart(2, '0')
-    + String(now.getSeconds()).padStart(2, '0');
-  return safeHandle + '-' + safeTitle + '-' + timeStamp + '.md';
-}
-
 function stripArticleMetadataPrefix(body, title, author) {
   var lines = body.split('\n');
   var cleanAuthor = (author || '').split('\n')[0].trim();
@@ -100,6 +56,240 @@ function stripArticleMetadataPrefix(body, title, author) {
   return lines.slice(i).join('\n').trim();
 }
 
+var RETRY_BASE_DELAY_MS = 60 * 1000;
+var RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+function computeRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_DELAY_MS);
+}
+
+function parseSSEBuffer(buffer) {
+  var lines = buffer.split(/\r?\n/);
+  var rest = lines.pop();
+  var data = [];
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i].indexOf('data:') === 0) data.push(lines[i].slice(5).trim());
+  }
+  return { data: data, rest: rest };
+}
+
+function completeEndpointPath(pathname, format) {
+  var path = pathname.replace(/\/+$/, '');
+  var suffix = format.apiSuffix;
+  if (suffix && path.toLowerCase().endsWith(suffix)) return path;
+  if (!path) return format.versionPath + suffix;
+  return path + suffix;
+}
+
+function splitIntoChunks(text, maxChars) {
+  var blocks = text.split(/\n\s*\n/);
+  var chunks = [];
+  var current = '';
+
+  function flush() {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  }
+
+  for (var i = 0; i < blocks.length; i++) {
+    var block = blocks[i].trim();
+    if (!block) continue;
+
+    var isHeading = block.indexOf('\n') === -1 && block.length <= 80 && !/[.!?。！？:：]$/.test(block);
+    if (isHeading && current.length >= maxChars / 2) flush();
+
+    while (block.length > maxChars) {
+      flush();
+      chunks.push(block.slice(0, maxChars));
+      block = block.slice(maxChars);
+    }
+
+    var joined = current ? current + '\n\n' + block : block;
+    if (joined.length > maxChars) {
+      flush();
+      current = block;
+    } else {
+      current = joined;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+function buildFrontmatter(fields) {
+  var lines = ['---'];
+  Object.keys(fields).forEach(function (key) {
+    var value = fields[key];
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      lines.push(key + ':');
+      value.forEach(function (item) { lines.push('  - ' + yamlScalar(item)); });
+    } else {
+      lines.push(key + ': ' + yamlScalar(value));
+    }
+  });
+  lines.push('---');
+  return lines;
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function extractHashtags(text) {
+  var tags = [];
+  var re = /(?:^|[^\w&/])#([\p{L}\p{N}_]+)/gu;
+  var match;
+  while ((match = re.exec(text)) !== null) {
+    if (!/^\d+$/.test(match[1])) tags.push(match[1].toLowerCase());
+  }
+  return tags;
+}
+
+function parseTagList(value) {
+  return (value || '').split(/[,，\s]+/).map(function (t) {
+    return t.replace(/^#/, '').trim();
+  }).filter(Boolean);
+}
+
+// "## Images" lines. Saved attachments (image.file) are embedded by their
+// path relative to the note, the rest from X's servers; alt text is repeated
+// below each image so it stays searchable.
+function buildImageSection(images) {
+  var lines = ['## Images', ''];
+  function addImage(image) {
+    var alt = (image.alt || '').replace(/\s+/g, ' ').trim();
+    var target = image.file ? encodeURI(image.file) : image.url;
+    lines.push('![' + escapeMarkdownLinkText(alt) + '](' + escapeMarkdownLinkUrl(target) + ')');
+    if (alt) lines.push('> ' + alt);
+    lines.push('');
+  }
+
+  images.filter(function (image) { return !image.quoted; }).forEach(addImage);
+  var quoted = images.filter(function (image) { return image.quoted; });
+  if (quoted.length > 0) {
+    lines.push('### Quoted Post Images');
+    lines.push('');
+    quoted.forEach(addImage);
+  }
+  return lines;
+}
+
+// X serves a downscaled rendition with name=medium, plenty for a summary
+function visionImageUrl(url) {
+  try {
+    var parsed = new URL(url);
+    if (parsed.hostname !== 'pbs.twimg.com') return url;
+    parsed.searchParams.set('name', 'medium');
+    return parsed.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+// One numbered section per post of an unrolled thread, each with its own
+// permalink. The caller adds the blank line after the last post.
+function buildThreadSection(thread) {
+  var lines = [];
+  thread.forEach(function (post, i) {
+    lines.push('### ' + (i + 1) + '/' + thread.length);
+    lines.push('');
+    if (post.url) {
+      lines.push('[Permalink](' + escapeMarkdownLinkUrl(post.url) + ')');
+      lines.push('');
+    }
+    lines.push(post.text || '*(no text)*');
+    if (i < thread.length - 1) lines.push('');
+  });
+  return lines;
+}
+
+// "## Community Note" and "## Top Replies" sections ([] when there are neither)
+function buildReaderContextSection(communityNote, replies) {
+  var lines = [];
+  if (communityNote) {
+    lines.push('## Community Note');
+    lines.push('');
+    communityNote.split('\n').forEach(function (line) { lines.push('> ' + line); });
+    lines.push('');
+  }
+  if (replies && replies.length > 0) {
+    lines.push('## Top Replies');
+    lines.push('');
+    replies.forEach(function (reply, i) {
+      var line = (i + 1) + '. **' + escapeMarkdownLinkText(reply.author || 'unknown') + '**: '
+        + reply.text.replace(/\s+/g, ' ');
+      if (reply.url) line += ' · [Link](' + escapeMarkdownLinkUrl(reply.url) + ')';
+      lines.push(line);
+    });
+    lines.push('');
+  }
+  return lines;
+}
+
+// Local "YYYY-MM-DD HH:MM" for the note header
+function formatNoteDate(date) {
+  return date.getFullYear() + '-'
+    + String(date.getMonth() + 1).padStart(2, '0') + '-'
+    + String(date.getDate()).padStart(2, '0') + ' '
+    + String(date.getHours()).padStart(2, '0') + ':'
+    + String(date.getMinutes()).padStart(2, '0');
+}
+
+// "## Poll" section: a table of options and results, then the vote count
+function buildPollSection(poll) {
+  var hasResults = poll.options.some(function (option) { return option.percent; });
+  var lines = ['## Poll', ''];
+  lines.push(hasResults ? '| Option | Result |' : '| Option |');
+  lines.push(hasResults ? '| --- | ---: |' : '| --- |');
+  poll.options.forEach(function (option) {
+    var label = option.label.replace(/\|/g, '\\|');
+    lines.push(hasResults ? '| ' + label + ' | ' + (option.percent || '') + ' |' : '| ' + label + ' |');
+  });
+  lines.push('');
+  if (poll.votes) {
+    lines.push('*' + poll.votes + ' votes' + (poll.status ? ' · ' + poll.status : '') + '*');
+    lines.push('');
+  }
+  return lines;
+}
+
+// Tags for a post: its hashtags (from the captured links, else parsed from
+// the text), then $cashtags and @mentions as nested cashtag/… and mention/…
+// tags
+function entityTags(tweetData) {
+  var hashtags = tweetData.hashtags
+    ? tweetData.hashtags.map(function (tag) { return tag.toLowerCase(); })
+    : extractHashtags(tweetData.text || '');
+  return hashtags
+    .concat((tweetData.cashtags || []).map(function (tag) { return 'cashtag/' + tag; }))
+    .concat((tweetData.mentions || []).map(function (name) { return 'mention/' + name; }));
+}
+
+var SELECTOR_REGISTRY = { version: 1, fields: {} };
+
+// Which selector strategy matched each field (see selectors.js): the post's
+// fields from content.js plus the article page's from extractPageContent.
+// undefined for captures that didn't record any (re-runs from the library).
+function buildSelectorRecord(tweetData, articleContent) {
+  if (!tweetData.selectorHits) return undefined;
+  return {
+    version: tweetData.selectorVersion || SELECTOR_REGISTRY.version,
+    hits: Object.assign({}, tweetData.selectorHits, articleContent && articleContent.selectorHits),
+  };
+}
+
+// The `duplicate` outcome for a bookmark whose post may already be in the
+// library (existing: its entry or null): null for a new post, else
+// 'skipped', 'updated' or 'kept' per the duplicateAction setting
+function duplicateOutcome(existing, duplicateAction) {
+  if (!existing) return null;
+  if (duplicateAction === 'skip') return 'skipped';
+  return duplicateAction === 'update' ? 'updated' : 'kept';
+}
+
 // ── Tests ───────────────────────────────────────────────────────────────────
 
 describe('escapeMarkdownLinkUrl', () => {
@@ -172,87 +362,6 @@ describe('isAllowedFetchUrl', () => {
   });
 });
 
-describe('buildFileName', () => {
-  it('extracts handle from tweet URL', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/elonmusk/status/123', text: 'Hello world' },
-      null, false
-    );
-    expect(result).toMatch(/^elonmusk-Hello world-/);
-    expect(result).toMatch(/\.md$/);
-  });
-
-  it('sanitizes unsafe filename characters', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123', text: 'file/name:with*bad|chars' },
-      null, false
-    );
-    expect(result).not.toMatch(/[\\/:*?"<>|]/);
-  });
-
-  it('strips control characters and null bytes', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123', text: 'hello\x00world\x1ftest' },
-      null, false
-    );
-    expect(result).not.toMatch(/[\x00-\x1f\x7f]/);
-  });
-
-  it('uses article title when isArticle is true', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123', text: 'tweet text' },
-      { title: 'My Great Article' },
-      true
-    );
-    expect(result).toMatch(/^user-My Great Article-/);
-  });
-
-  it('uses "untitled" when no text content', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123' },
-      null, false
-    );
-    expect(result).toMatch(/^user-untitled-/);
-  });
-
-  it('strips leading dots to prevent hidden files', () => {
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123', text: '...hidden' },
-      null, false
-    );
-    expect(result).toMatch(/^user-hidden-/);
-  });
-
-  it('truncates long titles at word boundary', () => {
-    var longTitle = 'This is a very long title that should be truncated because it exceeds the fifty character limit we set';
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/user/status/123', text: longTitle },
-      null, false
-    );
-    // Title portion should be <= 50 chars (before timestamp)
-    var titlePart = result.split('-').slice(1, -1).join('-');
-    expect(titlePart.length).toBeLessThanOrEqual(50);
-  });
-
-  it('uses "unknown" when URL has no handle', () => {
-    var result = buildFileName(
-      { tweetUrl: '', text: 'hello' },
-      null, false
-    );
-    expect(result).toMatch(/^unknown-hello-/);
-  });
-
-  it('caps handle at 30 characters', () => {
-    var longHandle = 'a'.repeat(50);
-    var result = buildFileName(
-      { tweetUrl: 'https://x.com/' + longHandle + '/status/123', text: 'test' },
-      null, false
-    );
-    var handlePart = result.split('-')[0];
-    expect(handlePart.length).toBeLessThanOrEqual(30);
-  });
-});
-
 describe('stripArticleMetadataPrefix', () => {
   it('strips title and author from beginning', () => {
     var body = 'My Article\nJohn Doe\n@johndoe\n·\nFollow\n\nThe actual content starts here.';
@@ -294,3 +403,327 @@ describe('stripArticleMetadataPrefix', () => {
     expect(result).toBe('Real content starts here\n27\nMore content');
   });
 });
+
+describe('computeRetryDelay', () => {
+  it('starts at one minute after the first failure', () => {
+    expect(computeRetryDelay(1)).toBe(60 * 1000);
+  });
+
+  it('doubles with each further attempt', () => {
+    expect(computeRetryDelay(2)).toBe(2 * 60 * 1000);
+    expect(computeRetryDelay(4)).toBe(8 * 60 * 1000);
+  });
+
+  it('caps the delay at six hours', () => {
+    expect(computeRetryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('parseSSEBuffer', () => {
+  it('extracts data payloads from complete lines', () => {
+    var result = parseSSEBuffer('data: {"a":1}\n\ndata: [DONE]\n');
+    expect(result.data).toEqual(['{"a":1}', '[DONE]']);
+    expect(result.rest).toBe('');
+  });
+
+  it('keeps a trailing partial line for the next read', () => {
+    var result = parseSSEBuffer('data: {"a":1}\ndata: {"b"');
+    expect(result.data).toEqual(['{"a":1}']);
+    expect(result.rest).toBe('data: {"b"');
+  });
+
+  it('ignores event and comment lines', () => {
+    var result = parseSSEBuffer('event: content_block_delta\n: ping\ndata: {"x":2}\n');
+    expect(result.data).toEqual(['{"x":2}']);
+  });
+
+  it('handles CRLF line endings', () => {
+    var result = parseSSEBuffer('data: one\r\ndata: two\r\n');
+    expect(result.data).toEqual(['one', 'two']);
+  });
+});
+
+describe('completeEndpointPath', () => {
+  var openaiFormat = { apiSuffix: '/chat/completions', versionPath: '/v1' };
+  var anthropicFormat = { apiSuffix: '/messages', versionPath: '/v1' };
+  var geminiFormat = { apiSuffix: '', versionPath: '/v1beta' };
+
+  it('adds version and route when the Base URL has no path', () => {
+    expect(completeEndpointPath('/', openaiFormat)).toBe('/v1/chat/completions');
+    expect(completeEndpointPath('', anthropicFormat)).toBe('/v1/messages');
+  });
+
+  it('appends the route to a version segment', () => {
+    expect(completeEndpointPath('/v1', openaiFormat)).toBe('/v1/chat/completions');
+    expect(completeEndpointPath('/api/paas/v4/', openaiFormat)).toBe('/api/paas/v4/chat/completions');
+  });
+
+  it('keeps a path that is already the full route', () => {
+    expect(completeEndpointPath('/v1/chat/completions', openaiFormat)).toBe('/v1/chat/completions');
+    expect(completeEndpointPath('/proxy/v1/messages/', anthropicFormat)).toBe('/proxy/v1/messages');
+  });
+
+  it('uses the API root for Gemini, which appends the model later', () => {
+    expect(completeEndpointPath('', geminiFormat)).toBe('/v1beta');
+    expect(completeEndpointPath('/gemini/v1beta', geminiFormat)).toBe('/gemini/v1beta');
+  });
+});
+
+describe('splitIntoChunks', () => {
+  it('returns a single chunk when the text fits', () => {
+    expect(splitIntoChunks('one\n\ntwo', 100)).toEqual(['one\n\ntwo']);
+  });
+
+  it('packs paragraphs without exceeding the limit', () => {
+    var text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+    var chunks = splitIntoChunks(text, 90);
+    expect(chunks).toEqual(['a'.repeat(40) + '\n\n' + 'b'.repeat(40), 'c'.repeat(40)]);
+    chunks.forEach((c) => expect(c.length).toBeLessThanOrEqual(90));
+  });
+
+  it('hard-splits a paragraph longer than the limit', () => {
+    var chunks = splitIntoChunks('x'.repeat(250), 100);
+    expect(chunks.map((c) => c.length)).toEqual([100, 100, 50]);
+  });
+
+  it('starts a new chunk at a heading once the current chunk is half full', () => {
+    var body = 'This is a long sentence in the first section.';
+    var text = body + '\n\nSecond Section\n\n' + body;
+    var chunks = splitIntoChunks(text, 80);
+    expect(chunks[0]).toBe(body);
+    expect(chunks[1].startsWith('Second Section')).toBe(true);
+  });
+
+  it('keeps every paragraph in order', () => {
+    var paras = [];
+    for (var i = 0; i < 30; i++) paras.push('Paragraph ' + i + ' ends here.');
+    var chunks = splitIntoChunks(paras.join('\n\n'), 120);
+    expect(chunks.join('\n\n')).toBe(paras.join('\n\n'));
+  });
+
+  it('ignores blank paragraphs', () => {
+    expect(splitIntoChunks('\n\n  \n\n', 50)).toEqual([]);
+  });
+});
+
+describe('buildFrontmatter', () => {
+  it('wraps fields in --- fences', () => {
+    expect(buildFrontmatter({ type: 'tweet' })).toEqual(['---', 'type: "tweet"', '---']);
+  });
+
+  it('omits empty values and empty lists', () => {
+    var lines = buildFrontmatter({ posted: '', credibility: null, links: [], type: 'article' });
+    expect(lines).toEqual(['---', 'type: "article"', '---']);
+  });
+
+  it('writes numbers bare and keeps numeric strings quoted', () => {
+    var lines = buildFrontmatter({ likes: 1200, credibility: 7, status_id: '1890000000000000001' });
+    expect(lines).toContain('likes: 1200');
+    expect(lines).toContain('credibility: 7');
+    expect(lines).toContain('status_id: "1890000000000000001"');
+  });
+
+  it('quotes and escapes strings', () => {
+    var lines = buildFrontmatter({ author: 'Jane "JD" Doe: notes' });
+    expect(lines[1]).toBe('author: "Jane \\"JD\\" Doe: notes"');
+  });
+
+  it('writes arrays as block lists', () => {
+    var lines = buildFrontmatter({ tags: ['ai', 'llm'] });
+    expect(lines).toEqual(['---', 'tags:', '  - "ai"', '  - "llm"', '---']);
+  });
+});
+
+describe('extractHashtags', () => {
+  it('extracts lowercased hashtags', () => {
+    expect(extractHashtags('Learning #AI and #LLM_Ops today')).toEqual(['ai', 'llm_ops']);
+  });
+
+  it('supports non-Latin hashtags', () => {
+    expect(extractHashtags('今天学习 #机器学习')).toEqual(['机器学习']);
+  });
+
+  it('ignores URL fragments, entities and pure numbers', () => {
+    expect(extractHashtags('see https://a.com/page#section &#39; issue #42')).toEqual([]);
+  });
+});
+
+describe('parseTagList', () => {
+  it('splits on commas and whitespace and strips #', () => {
+    expect(parseTagList('#x, bookmarks，reading  notes')).toEqual(['x', 'bookmarks', 'reading', 'notes']);
+  });
+
+  it('returns an empty list for an empty setting', () => {
+    expect(parseTagList('')).toEqual([]);
+  });
+});
+
+describe('buildImageSection', () => {
+  it('embeds saved images by relative path and the rest remotely', () => {
+    expect(buildImageSection([
+      { url: 'https://pbs.twimg.com/media/a?format=jpg&name=large', alt: 'A  chart\nof [growth]', file: 'attachments/my note-1.jpg' },
+      { url: 'https://pbs.twimg.com/media/b?format=png&name=large', alt: '' },
+    ])).toEqual([
+      '## Images',
+      '',
+      '![A chart of \\[growth\\]](attachments/my%20note-1.jpg)',
+      '> A chart of [growth]',
+      '',
+      '![](https://pbs.twimg.com/media/b?format=png&name=large)',
+      '',
+    ]);
+  });
+
+  it('groups quoted post images separately', () => {
+    const lines = buildImageSection([
+      { url: 'https://pbs.twimg.com/media/a', alt: '', quoted: true },
+    ]);
+    expect(lines).toEqual(['## Images', '', '### Quoted Post Images', '', '![](https://pbs.twimg.com/media/a)', '']);
+  });
+});
+
+describe('visionImageUrl', () => {
+  it('asks pbs.twimg.com for the medium rendition', () => {
+    expect(visionImageUrl('https://pbs.twimg.com/media/abc?format=jpg&name=large'))
+      .toBe('https://pbs.twimg.com/media/abc?format=jpg&name=medium');
+    expect(visionImageUrl('https://pbs.twimg.com/media/abc.png'))
+      .toBe('https://pbs.twimg.com/media/abc.png?name=medium');
+  });
+
+  it('leaves other URLs alone', () => {
+    expect(visionImageUrl('https://example.com/a.jpg?name=large')).toBe('https://example.com/a.jpg?name=large');
+    expect(visionImageUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('buildThreadSection', () => {
+  const thread = [
+    { url: 'https://x.com/alice/status/1', text: 'First post', postedAt: '' },
+    { url: 'https://x.com/alice/status/2', text: '', postedAt: '' },
+  ];
+
+  it('numbers each post and links its permalink', () => {
+    expect(buildThreadSection(thread)).toEqual([
+      '### 1/2',
+      '',
+      '[Permalink](https://x.com/alice/status/1)',
+      '',
+      'First post',
+      '',
+      '### 2/2',
+      '',
+      '[Permalink](https://x.com/alice/status/2)',
+      '',
+      '*(no text)*',
+    ]);
+  });
+
+  it('skips the permalink line for posts without a URL', () => {
+    expect(buildThreadSection([{ url: '', text: 'A' }, { url: '', text: 'B' }]))
+      .toEqual(['### 1/2', '', 'A', '', '### 2/2', '', 'B']);
+  });
+});
+
+describe('buildReaderContextSection', () => {
+  it('returns nothing without a note or replies', () => {
+    expect(buildReaderContextSection('', [])).toEqual([]);
+    expect(buildReaderContextSection(undefined, undefined)).toEqual([]);
+  });
+
+  it('quotes the Community Note line by line', () => {
+    expect(buildReaderContextSection('The chart is from 2019.\nSource: example.org', [])).toEqual([
+      '## Community Note',
+      '',
+      '> The chart is from 2019.',
+      '> Source: example.org',
+      '',
+    ]);
+  });
+
+  it('lists replies on one line each with their links', () => {
+    const replies = [
+      { author: 'Bob', url: 'https://x.com/bob/status/9', text: 'Source?\n\nPlease' },
+      { author: '', url: '', text: 'Agreed' },
+    ];
+    expect(buildReaderContextSection('', replies)).toEqual([
+      '## Top Replies',
+      '',
+      '1. **Bob**: Source? Please · [Link](https://x.com/bob/status/9)',
+      '2. **unknown**: Agreed',
+      '',
+    ]);
+  });
+});
+
+describe('formatNoteDate', () => {
+  it('formats local time with zero padding', () => {
+    expect(formatNoteDate(new Date(2024, 2, 5, 9, 7, 30))).toBe('2024-03-05 09:07');
+  });
+});
+
+describe('buildPollSection', () => {
+  it('renders results as a table with the vote count', () => {
+    const poll = {
+      options: [{ label: 'Yes | maybe', percent: '62.5%' }, { label: 'No', percent: '37.5%' }],
+      votes: '1,234',
+      status: 'Final results',
+    };
+    expect(buildPollSection(poll)).toEqual([
+      '## Poll',
+      '',
+      '| Option | Result |',
+      '| --- | ---: |',
+      '| Yes \\| maybe | 62.5% |',
+      '| No | 37.5% |',
+      '',
+      '*1,234 votes · Final results*',
+      '',
+    ]);
+  });
+
+  it('lists only the options of an open poll', () => {
+    const poll = { options: [{ label: 'A', percent: null }, { label: 'B', percent: null }], votes: '', status: '' };
+    expect(buildPollSection(poll)).toEqual(['## Poll', '', '| Option |', '| --- |', '| A |', '| B |', '']);
+  });
+});
+
+describe('entityTags', () => {
+  it('uses captured hashtags and nests cashtags and mentions', () => {
+    expect(entityTags({ text: '#ignored', hashtags: ['AI'], cashtags: ['TSLA'], mentions: ['bob'] }))
+      .toEqual(['ai', 'cashtag/TSLA', 'mention/bob']);
+  });
+
+  it('parses hashtags from the text for older captures', () => {
+    expect(entityTags({ text: 'Learning #Rust today' })).toEqual(['rust']);
+  });
+});
+
+describe('buildSelectorRecord', () => {
+  it('merges the post and article page hits under the capture version', () => {
+    const tweetData = { selectorHits: { text: 'tweetText', focusModeBody: null }, selectorVersion: 3 };
+    const articleContent = { selectorHits: { articleBody: null, focusModeBody: 'h1-sections' } };
+    expect(buildSelectorRecord(tweetData, articleContent)).toEqual({
+      version: 3,
+      hits: { text: 'tweetText', focusModeBody: 'h1-sections', articleBody: null },
+    });
+  });
+
+  it('is undefined for captures without a record', () => {
+    expect(buildSelectorRecord({ text: 'restored from the library' }, null)).toBe(undefined);
+  });
+});
+
+describe('duplicateOutcome', () => {
+  const existing = { id: 'a', tldr: 'saved' };
+
+  it('treats a post not in the library as new', () => {
+    expect(duplicateOutcome(null, 'skip')).toBe(null);
+    expect(duplicateOutcome(null, 'update')).toBe(null);
+  });
+
+  it('follows the duplicateAction setting for a saved post', () => {
+    expect(duplicateOutcome(existing, 'skip')).toBe('skipped');
+    expect(duplicateOutcome(existing, 'update')).toBe('updated');
+    expect(duplicateOutcome(existing, 'new')).toBe('kept');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for pure functions extracted from digest.js.
+ *
+ * These decide when a digest runs and how its Markdown links each bookmark
+ * back to its own note.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined from review.js ───────────────────────────────────────────────
+
+var REVIEW_TLDR_LINE_RE = /^\*\*TLDR\*\*\s*[-:：–—]?\s*(.+)$/i;
+
+// ── Re-defined pure functions from digest.js ────────────────────────────────
+
+var DIGEST_PERIODS = {
+  daily: { label: '每日', days: 1 },
+  weekly: { label: '每周', days: 7 },
+};
+
+// Next run of a daily / weekly schedule (local time), or null when off.
+// weekday: 0 = Sunday … 6 = Saturday (weekly only)
+function computeNextDigestTime(now, frequency, hour, weekday) {
+  if (!DIGEST_PERIODS[frequency]) return null;
+  var next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (frequency === 'weekly') {
+    next.setDate(next.getDate() + ((weekday - next.getDay() + 7) % 7));
+    if (next.getTime() <= now) next.setDate(next.getDate() + 7);
+  } else if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+function formatDigestDate(date) {
+  return date.getFullYear() + '-'
+    + String(date.getMonth() + 1).padStart(2, '0') + '-'
+    + String(date.getDate()).padStart(2, '0');
+}
+
+// One-line label for a bookmark: its TLDR sentence, else the preview
+function digestItemTitle(entry) {
+  var lines = (entry.tldr || '').split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var match = lines[i].trim().match(REVIEW_TLDR_LINE_RE);
+    if (match) return match[1].replace(/\*\*/g, '');
+  }
+  return (entry.tweetPreview || '').replace(/\s+/g, ' ');
+}
+
+// Relative link from the digest (saved at the root of the notes folder) to
+// a bookmark's note; "(" and ")" are escaped so the Markdown link holds
+function digestNotePath(fileName) {
+  return fileName.split('/').map(encodeURIComponent).join('/')
+    .replace(/[()]/g, function (c) { return '%' + c.charCodeAt(0).toString(16).toUpperCase(); });
+}
+
+// Turn [n] citations into Markdown links; links[n - 1] is the target.
+// Unknown numbers and existing links are left alone.
+function linkDigestReferences(text, links) {
+  return text.replace(/\[(\d+)\](?!\()/g, function (match, n) {
+    var target = links[Number(n) - 1];
+    return target ? '[' + n + '](' + target + ')' : match;
+  });
+}
+
+// The digest file. entries are in citation order; summary is the LLM text
+// ('' when AI is off). info: { date, frequency, start, end, linkToNotes }
+function buildDigestMarkdown(entries, summary, info) {
+  var links = entries.map(function (entry) {
+    return info.linkToNotes && entry.fileName ? digestNotePath(entry.fileName) : entry.tweetUrl || '';
+  });
+
+  var lines = [];
+  lines.push('# Bookmark Digest · ' + formatDigestDate(info.date));
+  lines.push('');
+  lines.push('> **Period**: ' + formatDigestDate(new Date(info.start)) + ' – ' + formatDigestDate(new Date(info.end))
+    + ' (' + info.frequency + ')');
+  lines.push('> **Bookmarks**: ' + entries.length);
+  lines.push('');
+  lines.push('---');
+  lines.push('');
+
+  if (summary) {
+    lines.push(linkDigestReferences(summary.trim(), links));
+    lines.push('');
+    lines.push('---');
+    lines.push('');
+  }
+
+  lines.push('## Bookmarks');
+  lines.push('');
+  entries.forEach(function (entry, i) {
+    var title = (entry.author || 'unknown') + ' — ' + digestItemTitle(entry);
+    var label = title.replace(/[[\]]/g, '\\$&');
+    var line = (i + 1) + '. ' + (links[i] ? '[' + label + '](' + links[i] + ')' : label);
+    if (entry.tweetUrl && links[i] !== entry.tweetUrl) line += ' · [Source](' + entry.tweetUrl + ')';
+    lines.push(line);
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('computeNextDigestTime', () => {
+  // Wednesday 2026-01-14 10:30 local time
+  const now = new Date(2026, 0, 14, 10, 30).getTime();
+
+  it('returns null when off', () => {
+    expect(computeNextDigestTime(now, 'off', 21, 0)).toBeNull();
+  });
+
+  it('schedules later today when the hour has not passed', () => {
+    expect(computeNextDigestTime(now, 'daily', 21, 0)).toBe(new Date(2026, 0, 14, 21).getTime());
+  });
+
+  it('schedules tomorrow when the hour has passed', () => {
+    expect(computeNextDigestTime(now, 'daily', 9, 0)).toBe(new Date(2026, 0, 15, 9).getTime());
+  });
+
+  it('schedules the next matching weekday', () => {
+    expect(computeNextDigestTime(now, 'weekly', 21, 0)).toBe(new Date(2026, 0, 18, 21).getTime());
+  });
+
+  it('skips to next week when today\'s slot has passed', () => {
+    expect(computeNextDigestTime(now, 'weekly', 9, 3)).toBe(new Date(2026, 0, 21, 9).getTime());
+  });
+});
+
+describe('digestItemTitle', () => {
+  it('uses the TLDR sentence without bold markers', () => {
+    expect(digestItemTitle({ tldr: '**TLDR** — Use **Tokio** for async.\n\n- a' })).toBe('Use Tokio for async.');
+  });
+
+  it('falls back to the preview', () => {
+    expect(digestItemTitle({ tldr: '', tweetPreview: 'Hello\nworld' })).toBe('Hello world');
+  });
+});
+
+describe('digestNotePath', () => {
+  it('encodes each segment and keeps folders', () => {
+    expect(digestNotePath('2026/01/alice-hello world.md')).toBe('2026/01/alice-hello%20world.md');
+  });
+
+  it('escapes parentheses', () => {
+    expect(digestNotePath('a (b).md')).toBe('a%20%28b%29.md');
+  });
+});
+
+describe('linkDigestReferences', () => {
+  it('links known citations and leaves others', () => {
+    expect(linkDigestReferences('See [1][3] and [2](x)', ['a.md', 'b.md']))
+      .toBe('See [1](a.md)[3] and [2](x)');
+  });
+});
+
+describe('buildDigestMarkdown', () => {
+  const entries = [
+    { author: 'Alice', tweetUrl: 'https://x.com/alice/status/1', fileName: 'alice-one.md', tldr: '**TLDR** — One.' },
+    { author: 'Bob', tweetUrl: 'https://x.com/bob/status/2', fileName: '', tweetPreview: 'Two' },
+  ];
+  const info = {
+    date: new Date(2026, 0, 14, 21),
+    frequency: 'daily',
+    start: new Date(2026, 0, 13, 21).getTime(),
+    end: new Date(2026, 0, 14, 21).getTime(),
+    linkToNotes: true,
+  };
+
+  it('writes the header and links citations to notes', () => {
+    const md = buildDigestMarkdown(entries, '## Themes\n- Point [1]', info);
+    expect(md).toContain('# Bookmark Digest · 2026-01-14');
+    expect(md).toContain('> **Period**: 2026-01-13 – 2026-01-14 (daily)');
+    expect(md).toContain('- Point [1](alice-one.md)');
+  });
+
+  it('lists every bookmark with a note link or its post', () => {
+    const md = buildDigestMarkdown(entries, '', info);
+    expect(md).toContain('1. [Alice — One.](alice-one.md) · [Source](https://x.com/alice/status/1)');
+    expect(md).toContain('2. [Bob — Two](https://x.com/bob/status/2)');
+    expect(md).not.toContain('## Themes');
+  });
+
+  it('links to posts when Markdown files are off', () => {
+    const md = buildDigestMarkdown(entries, '', { ...info, linkToNotes: false });
+    expect(md).toContain('1. [Alice — One.](https://x.com/alice/status/1)\n');
+  });
+});
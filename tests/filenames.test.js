@@ -0,0 +1,412 @@
+/**
+ * Unit tests for pure functions extracted from filenames.js.
+ *
+ * These functions turn a bookmark into a sanitized relative Markdown path,
+ * optionally laid out in subfolders by a user template.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from filenames.js ─────────────────────────────
+
+var DEFAULT_FILENAME_TEMPLATE = '{{handle}}-{{title}}-{{timestamp}}.md';
+
+var FILENAME_VARIABLES = {
+  handle: '作者账号',
+  title: '文章标题或推文开头',
+  status_id: '帖子 ID',
+  type: 'tweet / article / quoted / thread',
+  yyyy: '年',
+  mm: '月',
+  dd: '日',
+  hh: '时',
+  min: '分',
+  ss: '秒',
+  timestamp: 'YYYYMMDD-HHMMSS',
+};
+
+function extractStatusId(url) {
+  var match = (url || '').match(/\/status\/(\d+)/);
+  return match ? match[1] : '';
+}
+
+function extractHandle(tweetUrl) {
+  try {
+    var firstSegment = new URL(tweetUrl).pathname.split('/')[1];
+    if (firstSegment) return firstSegment;
+  } catch (_) { /* use default */ }
+  return 'unknown';
+}
+
+function getContentType(tweetData, quotedFullContent, isArticle) {
+  if (isArticle) return 'article';
+  if (tweetData.thread && tweetData.thread.length > 1) return 'thread';
+  if ((quotedFullContent && quotedFullContent.body) || tweetData.quotedText) return 'quoted';
+  return 'tweet';
+}
+
+function sanitizePathSegment(value) {
+  return String(value)
+    .replace(/[\n\r]+/g, ' ')
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .replace(/^\.+/, '')
+    .trim();
+}
+
+function buildTitleSlug(tweetData, articleContent, isArticle) {
+  var title = '';
+  if (isArticle && articleContent && articleContent.title) {
+    title = articleContent.title;
+  } else {
+    title = tweetData.text || tweetData.cardText || tweetData.fallbackText || '';
+  }
+
+  var safeTitle = sanitizePathSegment(title).slice(0, 50);
+  // Remove trailing incomplete words if title was truncated
+  if (title.length > 50) {
+    var lastSpace = safeTitle.lastIndexOf(' ');
+    if (lastSpace > 20) safeTitle = safeTitle.slice(0, lastSpace);
+  }
+  return safeTitle || 'untitled';
+}
+
+function renderFileNameTemplate(template, vars) {
+  var rendered = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) {
+    return Object.prototype.hasOwnProperty.call(vars, name) ? sanitizePathSegment(vars[name]) : match;
+  });
+
+  var segments = rendered.split(/[\\/]+/).map(sanitizePathSegment).filter(Boolean);
+  if (segments.length === 0) segments = ['untitled'];
+
+  var last = segments.length - 1;
+  if (!/\.md$/i.test(segments[last])) segments[last] += '.md';
+  return segments.join('/');
+}
+
+function validateFileNameTemplate(template) {
+  var errors = [];
+  var re = /\{\{\s*(\w+)\s*\}\}/g;
+  var match;
+  while ((match = re.exec(template)) !== null) {
+    if (!FILENAME_VARIABLES[match[1]]) errors.push('未知变量 {{' + match[1] + '}}');
+  }
+  if (/\{\{|\}\}/.test(template.replace(re, ''))) {
+    errors.push('存在未闭合的 {{ 或多余的 }}');
+  }
+  if (/^\s*[\\/]/.test(template) || /^[a-z]:/i.test(template)) {
+    errors.push('请使用相对路径，文件会保存在所选文件夹内');
+  }
+  return errors;
+}
+
+function buildFileNameVars(tweetData, articleContent, quotedFullContent, isArticle, date) {
+  var tweetUrl = tweetData.tweetUrl || tweetData.url || '';
+  var pad = function (n) { return String(n).padStart(2, '0'); };
+  var vars = {
+    handle: extractHandle(tweetUrl).slice(0, 30),
+    title: buildTitleSlug(tweetData, articleContent, isArticle),
+    status_id: extractStatusId(tweetUrl) || 'unknown',
+    type: getContentType(tweetData, quotedFullContent, isArticle),
+    yyyy: String(date.getFullYear()),
+    mm: pad(date.getMonth() + 1),
+    dd: pad(date.getDate()),
+    hh: pad(date.getHours()),
+    min: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+  vars.timestamp = vars.yyyy + vars.mm + vars.dd + '-' + vars.hh + vars.min + vars.ss;
+  return vars;
+}
+
+function postedDate(tweetData, articleContent) {
+  var iso = tweetData.postedAt || (articleContent && articleContent.postedAt) || '';
+  var date = iso ? new Date(iso) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+function fileNameDate(tweetData, articleContent, dateSource, now) {
+  return (dateSource === 'posted' && postedDate(tweetData, articleContent)) || now;
+}
+
+function buildFileName(tweetData, articleContent, isArticle, options) {
+  options = options || {};
+  var saved = options.savedAt ? new Date(options.savedAt) : new Date();
+  var date = fileNameDate(tweetData, articleContent, options.dateSource, saved);
+  var vars = buildFileNameVars(tweetData, articleContent, options.quotedFullContent, isArticle, date);
+  return renderFileNameTemplate(options.template, vars);
+}
+
+var ATTACHMENTS_FOLDER = 'attachments';
+var IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+// File extension for an image URL: pbs.twimg.com's ?format= parameter, then
+// the path's own extension, else jpg
+function imageExtension(url) {
+  var parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'jpg';
+  }
+  var format = (parsed.searchParams.get('format') || '').toLowerCase();
+  if (IMAGE_EXTENSIONS.indexOf(format) !== -1) return format;
+  var match = parsed.pathname.match(/\.([a-z]+)$/i);
+  if (match && IMAGE_EXTENSIONS.indexOf(match[1].toLowerCase()) !== -1) return match[1].toLowerCase();
+  return 'jpg';
+}
+
+// Path of the index-th (0-based) image relative to its note. The post's
+// status ID is added unless the note name already carries it: two posts whose
+// notes share a name (the second written as "name (1).md") must not share
+// attachments.
+function attachmentPath(noteFileName, index, url, statusId) {
+  var base = noteFileName.split('/').pop().replace(/\.md$/i, '');
+  if (statusId && base.indexOf(statusId) === -1) base += '-' + statusId;
+  return ATTACHMENTS_FOLDER + '/' + base + '-' + (index + 1) + '.' + imageExtension(url);
+}
+
+// Path of an attachment relative to the save folder
+function attachmentFullPath(noteFileName, relativePath) {
+  var slash = noteFileName.lastIndexOf('/');
+  return slash === -1 ? relativePath : noteFileName.slice(0, slash + 1) + relativePath;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('buildFileName', () => {
+  it('dates the name with the given save time', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: 'Hello' },
+      null, false, { template: '{{yyyy}}-{{mm}}-{{dd}}-{{status_id}}', savedAt: new Date(2025, 0, 15, 9).getTime() }
+    );
+    expect(result).toBe('2025-01-15-123.md');
+  });
+
+  it('extracts handle from tweet URL', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/elonmusk/status/123', text: 'Hello world' },
+      null, false
+    );
+    expect(result).toMatch(/^elonmusk-Hello world-/);
+    expect(result).toMatch(/\.md$/);
+  });
+
+  it('sanitizes unsafe filename characters', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: 'file/name:with*bad|chars' },
+      null, false
+    );
+    expect(result).not.toMatch(/[\\/:*?"<>|]/);
+  });
+
+  it('strips control characters and null bytes', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: 'hello\x00world\x1ftest' },
+      null, false
+    );
+    expect(result).not.toMatch(/[\x00-\x1f\x7f]/);
+  });
+
+  it('uses article title when isArticle is true', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: 'tweet text' },
+      { title: 'My Great Article' },
+      true
+    );
+    expect(result).toMatch(/^user-My Great Article-/);
+  });
+
+  it('uses "untitled" when no text content', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123' },
+      null, false
+    );
+    expect(result).toMatch(/^user-untitled-/);
+  });
+
+  it('strips leading dots to prevent hidden files', () => {
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: '...hidden' },
+      null, false
+    );
+    expect(result).toMatch(/^user-hidden-/);
+  });
+
+  it('truncates long titles at word boundary', () => {
+    var longTitle = 'This is a very long title that should be truncated because it exceeds the fifty character limit we set';
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/user/status/123', text: longTitle },
+      null, false
+    );
+    // Title portion should be <= 50 chars (before timestamp)
+    var titlePart = result.split('-').slice(1, -1).join('-');
+    expect(titlePart.length).toBeLessThanOrEqual(50);
+  });
+
+  it('uses "unknown" when URL has no handle', () => {
+    var result = buildFileName(
+      { tweetUrl: '', text: 'hello' },
+      null, false
+    );
+    expect(result).toMatch(/^unknown-hello-/);
+  });
+
+  it('caps handle at 30 characters', () => {
+    var longHandle = 'a'.repeat(50);
+    var result = buildFileName(
+      { tweetUrl: 'https://x.com/' + longHandle + '/status/123', text: 'test' },
+      null, false
+    );
+    var handlePart = result.split('-')[0];
+    expect(handlePart.length).toBeLessThanOrEqual(30);
+  });
+});
+
+describe('extractStatusId', () => {
+  it('extracts the status ID from a tweet permalink', () => {
+    expect(extractStatusId('https://x.com/user/status/1234567890')).toBe('1234567890');
+  });
+
+  it('ignores query strings and trailing segments', () => {
+    expect(extractStatusId('https://twitter.com/user/status/42?s=20')).toBe('42');
+    expect(extractStatusId('https://x.com/user/status/42/photo/1')).toBe('42');
+  });
+
+  it('returns empty string when there is no status ID', () => {
+    expect(extractStatusId('https://x.com/user')).toBe('');
+    expect(extractStatusId('')).toBe('');
+    expect(extractStatusId(undefined)).toBe('');
+  });
+});
+
+describe('buildFileName with a template', () => {
+  var tweet = { tweetUrl: 'https://x.com/user/status/123', text: 'Hello world' };
+
+  it('creates subfolders from the template', () => {
+    var now = new Date();
+    var result = buildFileName(tweet, null, false, { template: '{{yyyy}}/{{mm}}/{{handle}}-{{title}}.md' });
+    expect(result).toBe(now.getFullYear() + '/' + String(now.getMonth() + 1).padStart(2, '0') + '/user-Hello world.md');
+  });
+
+  it('supports type and status ID', () => {
+    var result = buildFileName(tweet, { title: 'Guide' }, true, { template: '{{type}}/{{status_id}}.md' });
+    expect(result).toBe('article/123.md');
+  });
+
+  it('detects quoted posts for {{type}}', () => {
+    var result = buildFileName(tweet, null, false, {
+      template: '{{type}}/{{status_id}}',
+      quotedFullContent: { body: 'long post' },
+    });
+    expect(result).toBe('quoted/123.md');
+  });
+
+  it('takes dates from the post when dateSource is posted', () => {
+    var posted = { ...tweet, postedAt: '2024-03-05T10:20:30' };
+    var result = buildFileName(posted, null, false, { template: '{{yyyy}}/{{mm}}/{{timestamp}}', dateSource: 'posted' });
+    expect(result).toBe('2024/03/20240305-102030.md');
+  });
+
+  it('uses the save time by default and when the post time is unknown', () => {
+    var year = String(new Date().getFullYear());
+    var posted = { ...tweet, postedAt: '2024-03-05T10:20:30' };
+    expect(buildFileName(posted, null, false, { template: '{{yyyy}}' })).toBe(year + '.md');
+    expect(buildFileName(tweet, null, false, { template: '{{yyyy}}', dateSource: 'posted' })).toBe(year + '.md');
+  });
+});
+
+describe('postedDate', () => {
+  it('reads the post time, then the article time', () => {
+    expect(postedDate({ postedAt: '2024-03-05T10:20:30.000Z' }, null).toISOString()).toBe('2024-03-05T10:20:30.000Z');
+    expect(postedDate({}, { postedAt: '2023-01-01T00:00:00.000Z' }).toISOString()).toBe('2023-01-01T00:00:00.000Z');
+  });
+
+  it('returns null when missing or invalid', () => {
+    expect(postedDate({}, null)).toBeNull();
+    expect(postedDate({ postedAt: 'yesterday' }, null)).toBeNull();
+  });
+});
+
+describe('renderFileNameTemplate', () => {
+  var vars = { handle: 'user', title: 'a/b: c', status_id: '1', yyyy: '2026' };
+
+  it('falls back to the default template when empty', () => {
+    expect(renderFileNameTemplate('', Object.assign({ timestamp: '20260101-000000' }, vars)))
+      .toBe('user-a_b_ c-20260101-000000.md');
+  });
+
+  it('keeps slashes in values from creating folders', () => {
+    expect(renderFileNameTemplate('{{title}}.md', vars)).toBe('a_b_ c.md');
+  });
+
+  it('appends .md when missing', () => {
+    expect(renderFileNameTemplate('{{yyyy}}/{{status_id}}', vars)).toBe('2026/1.md');
+  });
+
+  it('sanitizes every segment and drops traversal and empty segments', () => {
+    expect(renderFileNameTemplate('../notes//.hidden/{{handle}}.md', vars)).toBe('notes/hidden/user.md');
+    expect(renderFileNameTemplate('a\\b?/{{handle}}', vars)).toBe('a/b_/user.md');
+  });
+
+  it('falls back to untitled when nothing is left', () => {
+    expect(renderFileNameTemplate('///', vars)).toBe('untitled.md');
+  });
+});
+
+describe('validateFileNameTemplate', () => {
+  it('accepts known variables and an empty template', () => {
+    expect(validateFileNameTemplate('{{yyyy}}/{{mm}}/{{handle}}-{{title}}.md')).toEqual([]);
+    expect(validateFileNameTemplate('')).toEqual([]);
+  });
+
+  it('reports unknown variables', () => {
+    expect(validateFileNameTemplate('{{year}}/{{title}}')).toEqual(['未知变量 {{year}}']);
+  });
+
+  it('reports unbalanced braces', () => {
+    expect(validateFileNameTemplate('{{title}')).toHaveLength(1);
+  });
+
+  it('rejects absolute paths', () => {
+    expect(validateFileNameTemplate('/tmp/{{title}}')).toHaveLength(1);
+    expect(validateFileNameTemplate('C:{{title}}')).toHaveLength(1);
+  });
+});
+
+describe('imageExtension', () => {
+  it('uses the format parameter from pbs.twimg.com', () => {
+    expect(imageExtension('https://pbs.twimg.com/media/abc?format=png&name=large')).toBe('png');
+  });
+
+  it('falls back to the path extension, then jpg', () => {
+    expect(imageExtension('https://pbs.twimg.com/media/abc.webp')).toBe('webp');
+    expect(imageExtension('https://pbs.twimg.com/media/abc?format=exe')).toBe('jpg');
+    expect(imageExtension('not a url')).toBe('jpg');
+  });
+});
+
+describe('attachmentPath', () => {
+  it('names images after the note inside attachments/', () => {
+    expect(attachmentPath('2026/02/alice-hello.md', 0, 'https://pbs.twimg.com/media/a?format=jpg'))
+      .toBe('attachments/alice-hello-1.jpg');
+    expect(attachmentPath('alice-hello.md', 2, 'https://pbs.twimg.com/media/a?format=png'))
+      .toBe('attachments/alice-hello-3.png');
+  });
+
+  it('adds the status ID so notes with the same name keep separate images', () => {
+    expect(attachmentPath('alice-hello.md', 0, 'https://pbs.twimg.com/media/a?format=jpg', '123'))
+      .toBe('attachments/alice-hello-123-1.jpg');
+    expect(attachmentPath('123-alice.md', 0, 'https://pbs.twimg.com/media/a?format=jpg', '123'))
+      .toBe('attachments/123-alice-1.jpg');
+  });
+});
+
+describe('attachmentFullPath', () => {
+  it('places attachments next to the note', () => {
+    expect(attachmentFullPath('2026/02/alice-hello.md', 'attachments/alice-hello-1.jpg'))
+      .toBe('2026/02/attachments/alice-hello-1.jpg');
+    expect(attachmentFullPath('alice-hello.md', 'attachments/alice-hello-1.jpg'))
+      .toBe('attachments/alice-hello-1.jpg');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for pure functions extracted from library.js.
+ *
+ * The IndexedDB calls themselves need a browser; these cover how a stored
+ * entry is turned back into the captured post.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from library.js ───────────────────────────────
+
+function restoreEntryCapture(entry) {
+  var c = entry.content;
+  if (!c) return null;
+  var articleContent = c.articleBody ? {
+    title: c.articleTitle,
+    body: c.articleBody,
+    postedAt: c.articlePostedAt || '',
+    heroImage: c.articleHeroImage || null,
+  } : null;
+  return {
+    tweetData: {
+      author: entry.author,
+      tweetUrl: entry.tweetUrl,
+      text: c.text,
+      cardText: c.cardText,
+      fallbackText: c.fallbackText,
+      quotedText: c.quotedText,
+      quotedAuthor: c.quotedAuthor,
+      quotedPostedAt: c.quotedPostedAt || '',
+      referencedUrls: c.referencedUrls || [],
+      metrics: c.metrics,
+      postedAt: c.postedAt,
+      images: c.images || [],
+      thread: c.thread || [],
+      communityNote: c.communityNote || '',
+      replies: c.replies || [],
+      poll: c.poll || null,
+      hashtags: c.hashtags,
+      mentions: c.mentions || [],
+      cashtags: c.cashtags || [],
+    },
+    articleContent: articleContent,
+    quotedFullContent: c.quotedFullBody ? { body: c.quotedFullBody } : null,
+    isArticle: !!articleContent,
+  };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('restoreEntryCapture', () => {
+  const baseEntry = {
+    id: '1',
+    author: 'Alice',
+    tweetUrl: 'https://x.com/alice/status/123',
+    tweetPreview: 'Hello',
+    tldr: '**TLDR** hi',
+  };
+  const emptyContent = {
+    text: 'Hello world',
+    cardText: '',
+    fallbackText: '',
+    quotedText: '',
+    quotedAuthor: '',
+    articleTitle: '',
+    articleBody: '',
+    quotedFullBody: '',
+    referencedUrls: [],
+    metrics: null,
+    postedAt: '2026-01-02T03:04:05.000Z',
+  };
+
+  it('returns null for entries migrated without content', () => {
+    expect(restoreEntryCapture(baseEntry)).toBeNull();
+  });
+
+  it('rebuilds tweetData for a plain tweet', () => {
+    const capture = restoreEntryCapture({ ...baseEntry, content: emptyContent });
+    expect(capture.tweetData.author).toBe('Alice');
+    expect(capture.tweetData.tweetUrl).toBe('https://x.com/alice/status/123');
+    expect(capture.tweetData.text).toBe('Hello world');
+    expect(capture.tweetData.postedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(capture.articleContent).toBeNull();
+    expect(capture.quotedFullContent).toBeNull();
+    expect(capture.isArticle).toBe(false);
+  });
+
+  it('restores article and quoted bodies', () => {
+    const capture = restoreEntryCapture({
+      ...baseEntry,
+      content: { ...emptyContent, articleTitle: 'Title', articleBody: 'Body', quotedFullBody: 'Quoted' },
+    });
+    expect(capture.articleContent).toEqual({ title: 'Title', body: 'Body', postedAt: '', heroImage: null });
+    expect(capture.quotedFullContent).toEqual({ body: 'Quoted' });
+    expect(capture.isArticle).toBe(true);
+  });
+
+  it('keeps an unrolled thread and defaults to an empty list', () => {
+    const thread = [
+      { url: 'https://x.com/alice/status/123', text: 'One', postedAt: '' },
+      { url: 'https://x.com/alice/status/124', text: 'Two', postedAt: '' },
+    ];
+    expect(restoreEntryCapture({ ...baseEntry, content: { ...emptyContent, thread } }).tweetData.thread).toEqual(thread);
+    expect(restoreEntryCapture({ ...baseEntry, content: emptyContent }).tweetData.thread).toEqual([]);
+  });
+
+  it('keeps the Community Note and replies', () => {
+    const replies = [{ author: 'Bob', url: 'https://x.com/bob/status/9', text: 'Source?' }];
+    const capture = restoreEntryCapture({ ...baseEntry, content: { ...emptyContent, communityNote: 'Missing context', replies } });
+    expect(capture.tweetData.communityNote).toBe('Missing context');
+    expect(capture.tweetData.replies).toEqual(replies);
+    expect(restoreEntryCapture({ ...baseEntry, content: emptyContent }).tweetData.replies).toEqual([]);
+  });
+
+  it('restores the article and quoted post times', () => {
+    const capture = restoreEntryCapture({
+      ...baseEntry,
+      content: {
+        ...emptyContent,
+        articleTitle: 'Title',
+        articleBody: 'Body',
+        articlePostedAt: '2025-05-01T08:00:00.000Z',
+        quotedPostedAt: '2025-04-30T08:00:00.000Z',
+      },
+    });
+    expect(capture.articleContent.postedAt).toBe('2025-05-01T08:00:00.000Z');
+    expect(capture.tweetData.quotedPostedAt).toBe('2025-04-30T08:00:00.000Z');
+  });
+
+  it('keeps the poll and linked entities', () => {
+    const poll = { options: [{ label: 'Yes', percent: '60%' }, { label: 'No', percent: '40%' }], votes: '10', status: 'Final results' };
+    const capture = restoreEntryCapture({
+      ...baseEntry,
+      content: { ...emptyContent, poll, hashtags: ['AI'], mentions: ['bob'], cashtags: ['TSLA'] },
+    });
+    expect(capture.tweetData.poll).toEqual(poll);
+    expect(capture.tweetData.hashtags).toEqual(['AI']);
+    expect(capture.tweetData.mentions).toEqual(['bob']);
+    expect(capture.tweetData.cashtags).toEqual(['TSLA']);
+
+    const old = restoreEntryCapture({ ...baseEntry, content: emptyContent }).tweetData;
+    expect(old.poll).toBeNull();
+    expect(old.hashtags).toBeUndefined();
+    expect(old.mentions).toEqual([]);
+  });
+
+  it('restores the article hero image', () => {
+    const heroImage = { url: 'https://pbs.twimg.com/media/cover.jpg', alt: 'Cover' };
+    const capture = restoreEntryCapture({
+      ...baseEntry,
+      content: { ...emptyContent, articleTitle: 'Title', articleBody: 'Body', articleHeroImage: heroImage },
+    });
+    expect(capture.articleContent.heroImage).toEqual(heroImage);
+  });
+
+  it('defaults missing referencedUrls to an empty list', () => {
+    const content = { ...emptyContent };
+    delete content.referencedUrls;
+    expect(restoreEntryCapture({ ...baseEntry, content }).tweetData.referencedUrls).toEqual([]);
+  });
+
+  it('keeps saved images and defaults entries without them to an empty list', () => {
+    const images = [{ url: 'https://pbs.twimg.com/media/a', alt: '', quoted: false, file: 'attachments/a-1.jpg' }];
+    expect(restoreEntryCapture({ ...baseEntry, content: { ...emptyContent, images } }).tweetData.images).toEqual(images);
+    expect(restoreEntryCapture({ ...baseEntry, content: emptyContent }).tweetData.images).toEqual([]);
+  });
+});
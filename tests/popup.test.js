@@ -1,8 +1,8 @@
 /**
  * Unit tests for pure functions extracted from popup.js.
  *
- * These functions handle version comparison and URL normalization,
- * which are critical for update checking and API endpoint resolution.
+ * These functions handle version comparison, URL normalization and
+ * history search / filtering.
  */
 
 import { describe, it, expect } from 'vitest';
@@ -40,6 +40,175 @@ function normalizeBaseUrl(value) {
   }
 }
 
+// From prompts.js (loaded before popup.js)
+function parseCredibilityScore(tldr) {
+  var match = (tldr || '').match(/(?:Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10/i);
+  return match ? Number(match[1]) : null;
+}
+
+function parseSearchTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function parseDateInput(value) {
+  var parts = (value || '').split('-').map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  return new Date(parts[0], parts[1] - 1, parts[2]).getTime();
+}
+
+function matchesScoreFilter(score, filter) {
+  switch (filter) {
+    case 'high': return score !== null && score >= 7;
+    case 'mid': return score !== null && score >= 4 && score <= 6;
+    case 'low': return score !== null && score <= 3;
+    case 'none': return score === null;
+    default: return true;
+  }
+}
+
+// Hashtags in the post text, without '#', lowercased
+function extractHashtags(text) {
+  var tags = [];
+  var re = /(?:^|[^\w&/])#([\p{L}\p{N}_]+)/gu;
+  var match;
+  while ((match = re.exec(text)) !== null) {
+    if (!/^\d+$/.test(match[1])) tags.push(match[1].toLowerCase());
+  }
+  return tags;
+}
+
+function matchesTagFilter(entry, tag) {
+  var value = tag.trim().toLowerCase();
+  if (!value) return true;
+  var c = entry.content || {};
+  var hashtags = c.hashtags || extractHashtags(c.text || '');
+  var lists = { '#': hashtags, '@': c.mentions, '$': c.cashtags };
+  var prefix = value.charAt(0);
+  var names = lists.hasOwnProperty(prefix)
+    ? lists[prefix] || []
+    : [].concat(hashtags, c.mentions || [], c.cashtags || []);
+  var name = lists.hasOwnProperty(prefix) ? value.slice(1) : value;
+  return names.some(function (item) { return item.toLowerCase() === name; });
+}
+
+function historySearchText(entry) {
+  var parts = [entry.author, entry.tweetPreview, entry.tldr];
+  var c = entry.content;
+  if (c) parts.push(c.text, c.cardText, c.fallbackText, c.quotedText, c.quotedAuthor, c.articleTitle, c.articleBody, c.quotedFullBody);
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+function compileHistoryFilter(filter) {
+  var terms = parseSearchTerms(filter.query);
+  var from = parseDateInput(filter.from);
+  var to = parseDateInput(filter.to);
+  if (to !== null) to += 24 * 60 * 60 * 1000; // inclusive end day
+
+  return function (entry) {
+    if (filter.type === 'article' && !entry.isArticle) return false;
+    if (filter.type === 'tweet' && entry.isArticle) return false;
+    if (filter.type === 'poll' && !(entry.content && entry.content.poll)) return false;
+    if (!matchesTagFilter(entry, filter.tag)) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp >= to) return false;
+    if (!matchesScoreFilter(parseCredibilityScore(entry.tldr), filter.score)) return false;
+    if (terms.length === 0) return true;
+    var haystack = historySearchText(entry);
+    return terms.every(function (term) { return haystack.indexOf(term) !== -1; });
+  };
+}
+
+function filterHistory(entries, filter) {
+  return entries.filter(compileHistoryFilter(filter)).sort(function (a, b) {
+    switch (filter.sort) {
+      case 'oldest': return a.timestamp - b.timestamp;
+      case 'score': {
+        var sa = parseCredibilityScore(a.tldr);
+        var sb = parseCredibilityScore(b.tldr);
+        return (sb === null ? -1 : sb) - (sa === null ? -1 : sa) || b.timestamp - a.timestamp;
+      }
+      case 'author': return (a.author || '').localeCompare(b.author || '') || b.timestamp - a.timestamp;
+      default: return b.timestamp - a.timestamp;
+    }
+  });
+}
+
+function splitHighlights(text, terms) {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+  var escaped = terms.map(function (t) { return t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); });
+  var re = new RegExp('(' + escaped.join('|') + ')', 'gi');
+  // With one capture group, split() alternates non-match / match runs
+  return text.split(re).map(function (part, i) {
+    return { text: part, match: i % 2 === 1 };
+  }).filter(function (run) { return run.text; });
+}
+
+// Delay until the next review, e.g. "10 分钟", "3 天", "2 个月"
+function formatReviewInterval(ms) {
+  var minutes = Math.round(ms / 60000);
+  if (minutes < 60) return Math.max(1, minutes) + ' 分钟';
+  var hours = Math.round(minutes / 60);
+  if (hours < 24) return hours + ' 小时';
+  var days = Math.round(hours / 24);
+  if (days < 30) return days + ' 天';
+  if (days < 365) return Math.round(days / 30) + ' 个月';
+  return (Math.round(days / 36.5) / 10) + ' 年';
+}
+
+var ANKI_DEFAULT_URL = 'http://localhost:8765';
+
+// Empty input means the default; only http(s) URLs are accepted
+function normalizeAnkiConnectUrl(value) {
+  var trimmed = value.trim();
+  if (!trimmed) return ANKI_DEFAULT_URL;
+  if (!/^https?:\/\//i.test(trimmed)) return '';
+  try {
+    var url = new URL(trimmed);
+    return url.origin + url.pathname.replace(/\/+$/, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+// e.g. "已添加 3 张，2 张已存在，1 条跳过（无摘要或已导出）"
+function formatAnkiExportSummary(result) {
+  var parts = ['已添加 ' + result.added + ' 张'];
+  if (result.duplicates) parts.push(result.duplicates + ' 张已存在');
+  if (result.skipped) parts.push(result.skipped + ' 条跳过（无摘要或已导出）');
+  if (result.failed) parts.push(result.failed + ' 张失败：' + result.lastError);
+  return parts.join('，');
+}
+
+// From digest.js
+function linkDigestReferences(text, links) {
+  return text.replace(/\[(\d+)\](?!\()/g, function (match, n) {
+    var target = links[Number(n) - 1];
+    return target ? '[' + n + '](' + target + ')' : match;
+  });
+}
+
+function buildDigestPreview(digest) {
+  var links = digest.items.map(function (item) { return item.tweetUrl; });
+  var lines = [];
+  if (digest.summary) {
+    lines.push(linkDigestReferences(digest.summary.trim(), links));
+    lines.push('');
+  }
+  lines.push('**收藏列表**');
+  digest.items.forEach(function (item, i) {
+    var label = ((item.author || 'unknown') + ' — ' + item.title).replace(/[[\]]/g, '');
+    lines.push((i + 1) + '. ' + (item.tweetUrl ? '[' + label + '](' + item.tweetUrl + ')' : label));
+  });
+  return lines.join('\n');
+}
+
+// The answer with its [n] citations linked to the cited posts
+function linkAskCitations(turn) {
+  return linkDigestReferences(turn.answer, turn.sources.map(function (source) {
+    return source.tweetUrl;
+  }));
+}
+
 // ── Tests ───────────────────────────────────────────────────────────────────
 
 describe('isNewerVersion', () => {
@@ -114,3 +283,179 @@ describe('normalizeBaseUrl', () => {
     );
   });
 });
+
+describe('filterHistory', () => {
+  var DAY = 24 * 60 * 60 * 1000;
+  var base = new Date(2026, 0, 10).getTime();
+  var entries = [
+    { id: 1, timestamp: base, author: 'Alice', tweetPreview: 'Rust async runtimes', tldr: 'Credibility: 8/10', isArticle: false },
+    { id: 2, timestamp: base + DAY, author: 'Bob', tweetPreview: 'Long read on LLM evals', tldr: 'Credibility: 3/10', isArticle: true },
+    { id: 3, timestamp: base + 2 * DAY, author: 'Carol', tweetPreview: 'Photo of a cat', tldr: '', isArticle: false },
+  ];
+  var all = { query: '', tag: '', type: 'all', score: 'all', from: '', to: '', sort: 'newest' };
+  var ids = (list) => list.map((e) => e.id);
+
+  it('sorts newest first by default', () => {
+    expect(ids(filterHistory(entries, all))).toEqual([3, 2, 1]);
+  });
+
+  it('searches author, preview and TLDR with every term required', () => {
+    expect(ids(filterHistory(entries, { ...all, query: 'alice' }))).toEqual([1]);
+    expect(ids(filterHistory(entries, { ...all, query: 'llm EVALS' }))).toEqual([2]);
+    expect(ids(filterHistory(entries, { ...all, query: 'credibility 8/10' }))).toEqual([1]);
+    expect(ids(filterHistory(entries, { ...all, query: 'rust cat' }))).toEqual([]);
+  });
+
+  it('searches the full captured content of library entries', () => {
+    var withContent = entries.concat({
+      id: 4, timestamp: base + 3 * DAY, author: 'Dan', tweetPreview: 'Thread', tldr: '', isArticle: true,
+      content: { articleTitle: 'Vector databases', articleBody: 'HNSW graphs trade memory for recall' },
+    });
+    expect(ids(filterHistory(withContent, { ...all, query: 'hnsw recall' }))).toEqual([4]);
+  });
+
+  it('filters by content type', () => {
+    expect(ids(filterHistory(entries, { ...all, type: 'article' }))).toEqual([2]);
+    expect(ids(filterHistory(entries, { ...all, type: 'tweet' }))).toEqual([3, 1]);
+  });
+
+  it('filters by linked hashtags, mentions and cashtags', () => {
+    var tagged = entries.concat({
+      id: 4, timestamp: base + 3 * DAY, author: 'Dan', tweetPreview: 'Earnings', tldr: '', isArticle: false,
+      content: { hashtags: ['AI'], mentions: ['alice'], cashtags: ['TSLA'] },
+    });
+    expect(ids(filterHistory(tagged, { ...all, tag: '#ai' }))).toEqual([4]);
+    expect(ids(filterHistory(tagged, { ...all, tag: '@Alice' }))).toEqual([4]);
+    expect(ids(filterHistory(tagged, { ...all, tag: '$tsla' }))).toEqual([4]);
+    expect(ids(filterHistory(tagged, { ...all, tag: 'tsla' }))).toEqual([4]);
+    expect(ids(filterHistory(tagged, { ...all, tag: '#tsla' }))).toEqual([]);
+  });
+
+  it('falls back to hashtags in the text for older entries', () => {
+    var older = entries.concat({
+      id: 4, timestamp: base + 3 * DAY, author: 'Dan', tweetPreview: 'Old', tldr: '', isArticle: false,
+      content: { text: 'Notes on #Rust' },
+    });
+    expect(ids(filterHistory(older, { ...all, tag: '#rust' }))).toEqual([4]);
+    expect(ids(filterHistory(older, { ...all, tag: 'rust' }))).toEqual([4]);
+  });
+
+  it('filters posts with polls', () => {
+    var withPoll = entries.concat({
+      id: 4, timestamp: base + 3 * DAY, author: 'Dan', tweetPreview: 'Vote', tldr: '', isArticle: false,
+      content: { poll: { options: [{ label: 'Yes', percent: null }], votes: '', status: '' } },
+    });
+    expect(ids(filterHistory(withPoll, { ...all, type: 'poll' }))).toEqual([4]);
+  });
+
+  it('filters by credibility score', () => {
+    expect(ids(filterHistory(entries, { ...all, score: 'high' }))).toEqual([1]);
+    expect(ids(filterHistory(entries, { ...all, score: 'low' }))).toEqual([2]);
+    expect(ids(filterHistory(entries, { ...all, score: 'none' }))).toEqual([3]);
+  });
+
+  it('filters by an inclusive date range', () => {
+    expect(ids(filterHistory(entries, { ...all, from: '2026-01-11', to: '2026-01-11' }))).toEqual([2]);
+    expect(ids(filterHistory(entries, { ...all, from: '2026-01-11' }))).toEqual([3, 2]);
+    expect(ids(filterHistory(entries, { ...all, to: '2026-01-10' }))).toEqual([1]);
+  });
+
+  it('supports other sort orders', () => {
+    expect(ids(filterHistory(entries, { ...all, sort: 'oldest' }))).toEqual([1, 2, 3]);
+    expect(ids(filterHistory(entries, { ...all, sort: 'score' }))).toEqual([1, 2, 3]);
+    expect(ids(filterHistory(entries, { ...all, sort: 'author' }))).toEqual([1, 2, 3]);
+  });
+});
+
+describe('splitHighlights', () => {
+  it('returns the whole text when there are no terms', () => {
+    expect(splitHighlights('hello', [])).toEqual([{ text: 'hello', match: false }]);
+  });
+
+  it('marks case-insensitive matches', () => {
+    expect(splitHighlights('Rust and rust', ['rust'])).toEqual([
+      { text: 'Rust', match: true },
+      { text: ' and ', match: false },
+      { text: 'rust', match: true },
+    ]);
+  });
+
+  it('escapes regex characters in terms', () => {
+    expect(splitHighlights('costs $5 (approx)', ['(approx)'])).toEqual([
+      { text: 'costs $5 ', match: false },
+      { text: '(approx)', match: true },
+    ]);
+  });
+});
+
+describe('formatReviewInterval', () => {
+  const MIN = 60 * 1000;
+  const DAY = 24 * 60 * MIN;
+
+  it('formats minutes, hours and days', () => {
+    expect(formatReviewInterval(10 * MIN)).toBe('10 分钟');
+    expect(formatReviewInterval(0)).toBe('1 分钟');
+    expect(formatReviewInterval(3 * 60 * MIN)).toBe('3 小时');
+    expect(formatReviewInterval(6 * DAY)).toBe('6 天');
+  });
+
+  it('formats months and years', () => {
+    expect(formatReviewInterval(60 * DAY)).toBe('2 个月');
+    expect(formatReviewInterval(547 * DAY)).toBe('1.5 年');
+  });
+});
+
+describe('normalizeAnkiConnectUrl', () => {
+  it('uses the default for empty input', () => {
+    expect(normalizeAnkiConnectUrl('  ')).toBe('http://localhost:8765');
+  });
+
+  it('strips trailing slashes', () => {
+    expect(normalizeAnkiConnectUrl('http://127.0.0.1:8765/')).toBe('http://127.0.0.1:8765');
+  });
+
+  it('rejects URLs without an http(s) scheme', () => {
+    expect(normalizeAnkiConnectUrl('localhost:8765')).toBe('');
+    expect(normalizeAnkiConnectUrl('ftp://host')).toBe('');
+  });
+});
+
+describe('formatAnkiExportSummary', () => {
+  it('lists only the non-zero counts', () => {
+    expect(formatAnkiExportSummary({ added: 3, duplicates: 0, skipped: 1, failed: 0 }))
+      .toBe('已添加 3 张，1 条跳过（无摘要或已导出）');
+  });
+
+  it('includes the last error for failures', () => {
+    expect(formatAnkiExportSummary({ added: 0, duplicates: 2, skipped: 0, failed: 1, lastError: 'model not found' }))
+      .toBe('已添加 0 张，2 张已存在，1 张失败：model not found');
+  });
+});
+
+describe('buildDigestPreview', () => {
+  it('links citations and items to the posts', () => {
+    const md = buildDigestPreview({
+      summary: '- Point [2]',
+      items: [
+        { author: 'Alice', title: 'One', tweetUrl: 'https://x.com/a/status/1' },
+        { author: 'Bob', title: '[Two]', tweetUrl: 'https://x.com/b/status/2' },
+      ],
+    });
+    expect(md).toBe('- Point [2](https://x.com/b/status/2)\n\n**收藏列表**\n'
+      + '1. [Alice — One](https://x.com/a/status/1)\n2. [Bob — Two](https://x.com/b/status/2)');
+  });
+
+  it('lists items alone when there is no summary', () => {
+    const md = buildDigestPreview({ summary: '', items: [{ author: '', title: 'T', tweetUrl: '' }] });
+    expect(md).toBe('**收藏列表**\n1. unknown — T');
+  });
+});
+
+describe('linkAskCitations', () => {
+  it('links citations to the cited posts', () => {
+    expect(linkAskCitations({
+      answer: 'Use golden sets [1][2], see also [3].',
+      sources: [{ tweetUrl: 'https://x.com/a/status/1' }, { tweetUrl: '' }],
+    })).toBe('Use golden sets [1](https://x.com/a/status/1)[2], see also [3].');
+  });
+});
@@ -0,0 +1,439 @@
+/**
+ * Unit tests for pure functions extracted from prompts.js.
+ *
+ * These functions choose, render and validate the user-editable prompt
+ * templates sent to the LLM.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from prompts.js ───────────────────────────────
+
+var PROMPT_VARIABLES = {
+  author: '作者',
+  language: '摘要语言',
+  title: '文章标题（仅 X 文章）',
+  content: '正文（必填）',
+  quoted: '引用内容',
+  links: '引用链接列表',
+};
+
+function getPromptType(isArticle, hasQuotedFull) {
+  if (isArticle) return 'article';
+  if (hasQuotedFull) return 'quoted';
+  return 'tweet';
+}
+
+function renderPromptTemplate(template, vars) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, function (match, name) {
+      return Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match;
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function validatePromptTemplate(template, type) {
+  var errors = [];
+  if (!template.trim()) {
+    errors.push('模板不能为空');
+    return errors;
+  }
+
+  var used = {};
+  var re = /\{\{\s*(\w+)\s*\}\}/g;
+  var match;
+  while ((match = re.exec(template)) !== null) {
+    if (!PROMPT_VARIABLES[match[1]]) {
+      errors.push('未知变量 {{' + match[1] + '}}');
+    }
+    used[match[1]] = true;
+  }
+
+  // Braces left over after removing valid placeholders are typos
+  if (/\{\{|\}\}/.test(template.replace(re, ''))) {
+    errors.push('存在未闭合的 {{ 或多余的 }}');
+  }
+  if (!used.content) {
+    errors.push('缺少 {{content}}，模型将看不到收藏内容');
+  }
+  if (type === 'quoted' && !used.quoted) {
+    errors.push('引用长文模板缺少 {{quoted}}，模型将看不到被引用的长文');
+  }
+  return errors;
+}
+
+function parseCredibilityScore(tldr) {
+  var match = (tldr || '').match(/(?:Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10/i);
+  return match ? Number(match[1]) : null;
+}
+
+var LANGUAGE_NAMES = {
+  'zh-CN': '简体中文',
+  'zh-TW': '繁體中文',
+  en: 'English',
+  ja: '日本語',
+  ko: '한국어',
+};
+
+var PROMPT_SYSTEM_ROLE = 'You are an expert content analyst.';
+
+var DIGEST_MAX_ITEM_CHARS = 800;
+var DIGEST_MAX_PROMPT_CHARS = 30000;
+
+// Build the { system, user } prompt for a digest of several bookmarks.
+// Each summary is cut so a busy week still fits in one request.
+function buildDigestPrompt(entries, language, days) {
+  var perItem = Math.min(DIGEST_MAX_ITEM_CHARS, Math.floor(DIGEST_MAX_PROMPT_CHARS / Math.max(1, entries.length)));
+  var items = entries.map(function (entry, i) {
+    var summary = stripFactCheck(entry.tldr || entry.tweetPreview || '');
+    if (summary.length > perItem) summary = summary.slice(0, perItem) + '…';
+    return '[' + (i + 1) + '] ' + (entry.author || 'unknown') + '\n' + summary;
+  });
+
+  var user = 'Below are the ' + entries.length + ' posts the user bookmarked in the last '
+    + (days === 1 ? 'day' : days + ' days') + ', each with its summary. '
+    + 'Write a digest in ' + (LANGUAGE_NAMES[language] || language) + '.\n\n'
+    + 'Format:\n'
+    + '## Themes\n'
+    + 'Group related bookmarks into 2-6 themes. For each theme:\n'
+    + '### <theme name>\n'
+    + '- 1-3 bullets on what these bookmarks say, citing them as [n].\n\n'
+    + '## Top Takeaways\n'
+    + '1. The 3-5 most valuable or actionable takeaways across all bookmarks, each citing [n].\n\n'
+    + 'Cite only the numbers listed below, one per bracket (e.g. [2][5]). Do not add a fact-check section.\n\n'
+    + '--- Bookmarks ---\n'
+    + items.join('\n\n');
+
+  return { system: PROMPT_SYSTEM_ROLE, user: user };
+}
+
+// Drop the fact-check section from a TLDR (from its heading to the end)
+function stripFactCheck(tldr) {
+  var index = tldr.search(/^\s*\**\s*(?:Fact.?Check|事实核查|事實查核|ファクトチェック)/im);
+  return (index === -1 ? tldr : tldr.slice(0, index)).trim();
+}
+
+// Build the { system, user } prompt that answers a question from retrieved
+// bookmarks. sources: [{ author, tweetUrl, excerpt }] in citation order;
+// history: earlier [{ question, answer }] turns, oldest first, so follow-up
+// questions make sense.
+function buildAskPrompt(question, sources, language, history) {
+  var items = sources.map(function (source, i) {
+    return '[' + (i + 1) + '] ' + (source.author || 'unknown')
+      + (source.tweetUrl ? ' (' + source.tweetUrl + ')' : '') + '\n' + source.excerpt;
+  });
+  var earlier = (history || []).map(function (turn) {
+    return 'Q: ' + turn.question + '\nA: ' + turn.answer;
+  });
+
+  var user = 'Answer the question using only the bookmarked posts below, which the user saved earlier. '
+    + 'Answer in ' + (LANGUAGE_NAMES[language] || language) + '.\n\n'
+    + 'Rules:\n'
+    + '- Cite the bookmarks that support each statement as [n], one number per bracket (e.g. [1][4]).\n'
+    + '- Cite only the numbers listed below. Do not invent sources or facts.\n'
+    + '- If the bookmarks do not answer the question, say so briefly and mention what they do cover.\n'
+    + '- Be concise: a short paragraph or a few bullets.\n\n'
+    + (earlier.length ? '--- Earlier in this conversation ---\n' + earlier.join('\n\n') + '\n\n' : '')
+    + '--- Bookmarks ---\n'
+    + items.join('\n\n')
+    + '\n\n--- Question ---\n'
+    + question;
+
+  return { system: PROMPT_SYSTEM_ROLE, user: user };
+}
+
+var PROMPT_MAX_IMAGES = 4;
+
+// Images worth sending for a bookmark, in order: the article hero image,
+// then the post's own photos, then the quoted post's. [{ url, alt, quoted }]
+function collectPromptImages(tweetData, articleContent) {
+  var images = [];
+  if (articleContent && articleContent.heroImage) {
+    images.push({ url: articleContent.heroImage.url, alt: articleContent.heroImage.alt || '', quoted: false });
+  }
+  var own = (tweetData.images || []).filter(function (image) { return !image.quoted; });
+  var quoted = (tweetData.images || []).filter(function (image) { return image.quoted; });
+  return images.concat(own, quoted).slice(0, PROMPT_MAX_IMAGES);
+}
+
+// The prompt with a note about the post's images appended to the user
+// message. attached: the images are sent along with the prompt.
+function appendImageContext(prompt, images, attached) {
+  if (!images || images.length === 0) return prompt;
+  var lines = images.map(function (image, i) {
+    var label = 'Image ' + (i + 1) + (image.quoted ? ' (from the quoted post)' : '');
+    return '- ' + label + (image.alt ? ': ' + image.alt.replace(/\s+/g, ' ') : '');
+  });
+  var note = attached
+    ? 'The post includes ' + images.length + ' image(s), attached in this order. '
+      + 'They are often the main content (charts, infographics, code or text screenshots): '
+      + 'include what they show in the summary.'
+    : 'The post includes ' + images.length + ' image(s) you cannot see. '
+      + 'Use their alt text below if given; do not guess what they show.';
+  return {
+    system: prompt.system,
+    user: prompt.user + '\n\n--- Images ---\n' + note + '\n' + lines.join('\n'),
+  };
+}
+
+// An unrolled thread as "[n/total]" posts so the model sees the boundaries
+function formatThreadForPrompt(thread) {
+  return thread.map(function (post, i) {
+    return '[' + (i + 1) + '/' + thread.length + ']\n' + (post.text || '(no text)');
+  }).join('\n\n');
+}
+
+var PROMPT_MAX_REPLY_CHARS = 400;
+
+// Labelled Community Note and reply sections ('' when there are neither)
+function buildReaderContext(tweetData) {
+  var parts = [];
+  if (tweetData.communityNote) {
+    parts.push('--- Community Note (context added by X readers) ---\n' + tweetData.communityNote);
+  }
+  var replies = tweetData.replies || [];
+  if (replies.length > 0) {
+    parts.push('--- Top replies (other users; opinions, not verified) ---\n' + replies.map(function (reply, i) {
+      var text = reply.text.replace(/\s+/g, ' ');
+      if (text.length > PROMPT_MAX_REPLY_CHARS) text = text.slice(0, PROMPT_MAX_REPLY_CHARS) + '…';
+      return (i + 1) + '. ' + (reply.author || 'unknown') + ': ' + text;
+    }).join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+// A poll's options and results as plain lines
+function formatPollText(poll) {
+  var lines = poll.options.map(function (option) {
+    return '- ' + option.label + (option.percent ? ': ' + option.percent : '');
+  });
+  if (poll.votes) lines.push('(' + poll.votes + ' votes' + (poll.status ? ', ' + poll.status : '') + ')');
+  return lines.join('\n');
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('getPromptType', () => {
+  it('prefers article over quoted content', () => {
+    expect(getPromptType(true, true)).toBe('article');
+  });
+
+  it('returns quoted for a tweet quoting a long post', () => {
+    expect(getPromptType(false, true)).toBe('quoted');
+  });
+
+  it('falls back to tweet', () => {
+    expect(getPromptType(false, false)).toBe('tweet');
+  });
+});
+
+describe('renderPromptTemplate', () => {
+  it('replaces known variables', () => {
+    expect(renderPromptTemplate('By {{author}} in {{language}}', { author: 'Jane', language: 'English' }))
+      .toBe('By Jane in English');
+  });
+
+  it('allows whitespace inside the braces', () => {
+    expect(renderPromptTemplate('{{ content }}', { content: 'hi' })).toBe('hi');
+  });
+
+  it('leaves unknown placeholders untouched', () => {
+    expect(renderPromptTemplate('{{nope}} {{content}}', { content: 'x' })).toBe('{{nope}} x');
+  });
+
+  it('collapses blank lines left by empty variables', () => {
+    expect(renderPromptTemplate('A\n\n{{links}}\n\n{{quoted}}\n\nB', { links: '', quoted: '' }))
+      .toBe('A\n\nB');
+  });
+
+  it('does not expand placeholders inside variable values', () => {
+    expect(renderPromptTemplate('{{content}}', { content: 'literal {{author}}', author: 'Jane' }))
+      .toBe('literal {{author}}');
+  });
+});
+
+describe('validatePromptTemplate', () => {
+  it('accepts a template using known variables', () => {
+    expect(validatePromptTemplate('Summarize in {{language}}:\n{{content}}', 'tweet')).toEqual([]);
+  });
+
+  it('rejects an empty template', () => {
+    expect(validatePromptTemplate('   ', 'tweet')).toEqual(['模板不能为空']);
+  });
+
+  it('requires {{content}}', () => {
+    expect(validatePromptTemplate('Summarize in {{language}}', 'tweet')).toHaveLength(1);
+  });
+
+  it('reports unknown variables', () => {
+    var errors = validatePromptTemplate('{{content}} {{autor}}', 'tweet');
+    expect(errors).toEqual(['未知变量 {{autor}}']);
+  });
+
+  it('reports unbalanced braces', () => {
+    expect(validatePromptTemplate('{{content}} {{author', 'tweet')).toHaveLength(1);
+    expect(validatePromptTemplate('{{content}} author}}', 'tweet')).toHaveLength(1);
+  });
+
+  it('requires {{quoted}} in the quoted template only', () => {
+    expect(validatePromptTemplate('{{content}}', 'quoted')).toHaveLength(1);
+    expect(validatePromptTemplate('{{content}} {{quoted}}', 'quoted')).toEqual([]);
+    expect(validatePromptTemplate('{{content}}', 'article')).toEqual([]);
+  });
+});
+
+describe('parseCredibilityScore', () => {
+  it('parses the credibility line', () => {
+    expect(parseCredibilityScore('...\nCredibility: 8/10 — well sourced')).toBe(8);
+  });
+
+  it('parses localized and bold labels', () => {
+    expect(parseCredibilityScore('可信度：6/10')).toBe(6);
+    expect(parseCredibilityScore('**Credibility**: 3 / 10')).toBe(3);
+  });
+
+  it('returns null without a score', () => {
+    expect(parseCredibilityScore('**TLDR** nothing here')).toBeNull();
+    expect(parseCredibilityScore('')).toBeNull();
+  });
+});
+
+describe('stripFactCheck', () => {
+  it('drops everything from the fact-check heading on', () => {
+    expect(stripFactCheck('**TLDR** — A\n\n**Fact Check**\n- ok')).toBe('**TLDR** — A');
+    expect(stripFactCheck('要点\n**事实核查**\n可信度: 8/10')).toBe('要点');
+  });
+
+  it('keeps summaries without one', () => {
+    expect(stripFactCheck('  just text  ')).toBe('just text');
+  });
+});
+
+describe('buildDigestPrompt', () => {
+  const entries = [
+    { author: 'Alice', tldr: '**TLDR** — One\n**Fact Check**\n- hidden' },
+    { author: '', tweetPreview: 'Two' },
+  ];
+
+  it('numbers bookmarks and names the language and period', () => {
+    const { system, user } = buildDigestPrompt(entries, 'zh-CN', 7);
+    expect(system).toBe(PROMPT_SYSTEM_ROLE);
+    expect(user).toContain('2 posts the user bookmarked in the last 7 days');
+    expect(user).toContain('[1] Alice\n**TLDR** — One');
+    expect(user).toContain('[2] unknown\nTwo');
+    expect(user).not.toContain('hidden');
+  });
+
+  it('says "day" for daily digests', () => {
+    expect(buildDigestPrompt(entries, 'en', 1).user).toContain('in the last day,');
+  });
+
+  it('cuts long summaries', () => {
+    const long = [{ author: 'A', tldr: 'x'.repeat(2000) }];
+    expect(buildDigestPrompt(long, 'en', 1).user).toContain('x'.repeat(DIGEST_MAX_ITEM_CHARS) + '…');
+  });
+});
+
+describe('buildAskPrompt', () => {
+  const sources = [
+    { author: 'Alice', tweetUrl: 'https://x.com/a/status/1', excerpt: 'Summary:\nOne' },
+    { author: '', tweetUrl: '', excerpt: 'Two' },
+  ];
+
+  it('numbers the sources and ends with the question', () => {
+    const { system, user } = buildAskPrompt('What about RAG?', sources, 'en', []);
+    expect(system).toBe(PROMPT_SYSTEM_ROLE);
+    expect(user).toContain('Answer in English.');
+    expect(user).toContain('[1] Alice (https://x.com/a/status/1)\nSummary:\nOne');
+    expect(user).toContain('[2] unknown\nTwo');
+    expect(user.endsWith('--- Question ---\nWhat about RAG?')).toBe(true);
+    expect(user).not.toContain('Earlier in this conversation');
+  });
+
+  it('includes earlier turns for follow-ups', () => {
+    const { user } = buildAskPrompt('And tools?', sources, 'zh-CN', [{ question: 'Q1', answer: 'A1 [1]' }]);
+    expect(user).toContain('--- Earlier in this conversation ---\nQ: Q1\nA: A1 [1]');
+  });
+});
+
+describe('collectPromptImages', () => {
+  const image = (n, quoted) => ({ url: 'https://pbs.twimg.com/media/' + n, alt: '', quoted });
+
+  it('puts the hero image first, then own and quoted images', () => {
+    const tweetData = { images: [image('q1', true), image('a', false), image('b', false)] };
+    const article = { body: 'x', heroImage: { url: 'https://pbs.twimg.com/media/hero', alt: 'Cover' } };
+    expect(collectPromptImages(tweetData, article).map((img) => img.url.split('/').pop()))
+      .toEqual(['hero', 'a', 'b', 'q1']);
+  });
+
+  it('caps the number of images', () => {
+    const tweetData = { images: [1, 2, 3, 4, 5, 6].map((n) => image(n, false)) };
+    expect(collectPromptImages(tweetData, null)).toHaveLength(PROMPT_MAX_IMAGES);
+  });
+
+  it('handles posts without images', () => {
+    expect(collectPromptImages({}, null)).toEqual([]);
+  });
+});
+
+describe('appendImageContext', () => {
+  const prompt = { system: 'S', user: 'U' };
+  const images = [
+    { url: 'a', alt: 'A chart\nof growth', quoted: false },
+    { url: 'b', alt: '', quoted: true },
+  ];
+
+  it('leaves the prompt alone without images', () => {
+    expect(appendImageContext(prompt, [], true)).toBe(prompt);
+  });
+
+  it('lists the images with their alt text', () => {
+    const { system, user } = appendImageContext(prompt, images, true);
+    expect(system).toBe('S');
+    expect(user.startsWith('U\n\n--- Images ---\n')).toBe(true);
+    expect(user).toContain('attached in this order');
+    expect(user).toContain('- Image 1: A chart of growth');
+    expect(user).toContain('- Image 2 (from the quoted post)');
+  });
+
+  it('tells the model not to guess when images are not attached', () => {
+    const { user } = appendImageContext(prompt, images, false);
+    expect(user).toContain('you cannot see');
+    expect(user).not.toContain('attached in this order');
+  });
+});
+
+describe('formatThreadForPrompt', () => {
+  it('numbers the posts in order', () => {
+    const thread = [{ text: 'One' }, { text: '' }, { text: 'Three' }];
+    expect(formatThreadForPrompt(thread)).toBe('[1/3]\nOne\n\n[2/3]\n(no text)\n\n[3/3]\nThree');
+  });
+});
+
+describe('buildReaderContext', () => {
+  it('is empty without a note or replies', () => {
+    expect(buildReaderContext({ text: 'Hi' })).toBe('');
+  });
+
+  it('labels the Community Note and numbered replies', () => {
+    const context = buildReaderContext({
+      communityNote: 'Missing context.',
+      replies: [{ author: 'Bob', text: 'Source?\nlink' }, { author: '', text: 'x'.repeat(600) }],
+    });
+    expect(context).toContain('--- Community Note (context added by X readers) ---\nMissing context.');
+    expect(context).toContain('--- Top replies (other users; opinions, not verified) ---\n1. Bob: Source? link');
+    expect(context).toContain('2. unknown: ' + 'x'.repeat(PROMPT_MAX_REPLY_CHARS) + '…');
+  });
+});
+
+describe('formatPollText', () => {
+  it('lists options with results and the vote count', () => {
+    const poll = { options: [{ label: 'Yes', percent: '60%' }, { label: 'No', percent: '40%' }], votes: '10', status: 'Final results' };
+    expect(formatPollText(poll)).toBe('- Yes: 60%\n- No: 40%\n(10 votes, Final results)');
+  });
+
+  it('lists bare options for an open poll', () => {
+    expect(formatPollText({ options: [{ label: 'A', percent: null }], votes: '', status: '' })).toBe('- A');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for pure functions extracted from providers.js.
+ *
+ * These cover how images are attached to each API format and which models
+ * are sent images.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from providers.js ─────────────────────────────
+
+// User message content with images. Without images the plain string is
+// kept so text-only servers that don't accept content arrays still work.
+function openaiUserContent(prompt) {
+  if (!prompt.images || prompt.images.length === 0) return prompt.user;
+  return [{ type: 'text', text: prompt.user }].concat(prompt.images.map(function (image) {
+    return { type: 'image_url', image_url: { url: 'data:' + image.mediaType + ';base64,' + image.data } };
+  }));
+}
+
+// Anthropic recommends images before the text that refers to them
+function anthropicUserContent(prompt) {
+  if (!prompt.images || prompt.images.length === 0) return prompt.user;
+  return prompt.images.map(function (image) {
+    return { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } };
+  }).concat([{ type: 'text', text: prompt.user }]);
+}
+
+function geminiUserParts(prompt) {
+  return (prompt.images || []).map(function (image) {
+    return { inline_data: { mime_type: image.mediaType, data: image.data } };
+  }).concat([{ text: prompt.user }]);
+}
+
+// Whether images can be sent with the prompt. mode is the sync setting
+// `visionMode`: 'auto' (by model name), 'always' or 'off'. The local Claude
+// bridge only passes text.
+function providerAcceptsImages(provider, model, mode) {
+  if (mode === 'off' || provider.format === 'native-host') return false;
+  if (mode === 'always') return true;
+  return !!(provider.vision && provider.vision.test(model || provider.defaultModel));
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+const image = { mediaType: 'image/png', data: 'iVBOR' };
+
+describe('openaiUserContent', () => {
+  it('keeps a plain string without images', () => {
+    expect(openaiUserContent({ user: 'Hi' })).toBe('Hi');
+    expect(openaiUserContent({ user: 'Hi', images: [] })).toBe('Hi');
+  });
+
+  it('adds images as data URLs after the text', () => {
+    expect(openaiUserContent({ user: 'Hi', images: [image] })).toEqual([
+      { type: 'text', text: 'Hi' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBOR' } },
+    ]);
+  });
+});
+
+describe('anthropicUserContent', () => {
+  it('keeps a plain string without images', () => {
+    expect(anthropicUserContent({ user: 'Hi' })).toBe('Hi');
+  });
+
+  it('puts base64 image blocks before the text', () => {
+    expect(anthropicUserContent({ user: 'Hi', images: [image] })).toEqual([
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBOR' } },
+      { type: 'text', text: 'Hi' },
+    ]);
+  });
+});
+
+describe('geminiUserParts', () => {
+  it('puts inline data parts before the text', () => {
+    expect(geminiUserParts({ user: 'Hi' })).toEqual([{ text: 'Hi' }]);
+    expect(geminiUserParts({ user: 'Hi', images: [image] })).toEqual([
+      { inline_data: { mime_type: 'image/png', data: 'iVBOR' } },
+      { text: 'Hi' },
+    ]);
+  });
+});
+
+describe('providerAcceptsImages', () => {
+  const openai = { format: 'openai', defaultModel: 'gpt-4o-mini', vision: /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o[134]/i };
+  const deepseek = { format: 'openai', defaultModel: 'deepseek-chat' };
+  const localClaude = { format: 'native-host', defaultModel: '' };
+
+  it('matches the configured model, or the default model, in auto mode', () => {
+    expect(providerAcceptsImages(openai, '', 'auto')).toBe(true);
+    expect(providerAcceptsImages(openai, 'gpt-3.5-turbo', 'auto')).toBe(false);
+    expect(providerAcceptsImages(deepseek, '', 'auto')).toBe(false);
+  });
+
+  it('follows the always and off modes', () => {
+    expect(providerAcceptsImages(deepseek, '', 'always')).toBe(true);
+    expect(providerAcceptsImages(openai, '', 'off')).toBe(false);
+  });
+
+  it('never sends images to the local Claude bridge', () => {
+    expect(providerAcceptsImages(localClaude, '', 'always')).toBe(false);
+  });
+});
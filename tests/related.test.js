@@ -0,0 +1,245 @@
+/**
+ * Unit tests for pure functions extracted from related.js.
+ *
+ * These match a new bookmark with similar notes in the library and write
+ * the Markdown "Related" section.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined from ask.js ──────────────────────────────────────────────────
+
+var ASK_STOPWORDS = {};
+('a an and are as at be but by do does for from has have how i in is it its of on or '
+  + 'that the this to was were what when where which who why will with you your about '
+  + 'did people say said').split(' ').forEach(function (word) { ASK_STOPWORDS[word] = true; });
+
+var ASK_TOKEN_RE = /[a-z0-9][a-z0-9+#]*|[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+
+// Lowercase search terms for a piece of text (duplicates kept for BM25)
+function tokenizeForSearch(text) {
+  var tokens = [];
+  var runs = String(text || '').toLowerCase().match(ASK_TOKEN_RE) || [];
+  runs.forEach(function (run) {
+    if (/^[a-z0-9]/.test(run)) {
+      if (!ASK_STOPWORDS[run]) tokens.push(run);
+      return;
+    }
+    if (run.length === 1) {
+      tokens.push(run);
+      return;
+    }
+    for (var i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+  });
+  return tokens;
+}
+
+// Everything searchable about an entry. The TLDR is listed twice: it is the
+// distilled version and should outweigh incidental words in a long article.
+function askDocumentText(entry) {
+  var c = entry.content || {};
+  return [
+    entry.author,
+    entry.tldr, entry.tldr,
+    c.text || entry.tweetPreview,
+    c.cardText, c.quotedText, c.articleTitle, c.articleBody, c.quotedFullBody,
+  ].filter(Boolean).join('\n');
+}
+
+// ── Re-defined pure functions from related.js ───────────────────────────────
+
+var RELATED_MAX = 5;
+var RELATED_MIN_SCORE = 0.1;
+var RELATED_MAX_CANDIDATES = 500;
+
+// { id: { key, tf } } — key is the entry's save time and TLDR, which change
+// when the entry is replaced or regenerated
+var relatedTermCache = {};
+
+// Term counts ({ term: n }) of an entry's searchable text
+function entryTermCounts(entry) {
+  var key = entry.timestamp + '\n' + (entry.tldr || '');
+  var cached = entry.id ? relatedTermCache[entry.id] : null;
+  if (cached && cached.key === key) return cached.tf;
+
+  var tf = {};
+  tokenizeForSearch(askDocumentText(entry)).forEach(function (token) {
+    tf[token] = (tf[token] || 0) + 1;
+  });
+  if (entry.id) relatedTermCache[entry.id] = { key: key, tf: tf };
+  return tf;
+}
+
+// Sparse TF-IDF vectors ({ term: weight }) for a list of entries, with
+// log-scaled term frequency and idf = ln(1 + N / df)
+function buildTfIdfVectors(entries) {
+  var counts = entries.map(entryTermCounts);
+
+  var df = {};
+  counts.forEach(function (tf) {
+    Object.keys(tf).forEach(function (term) { df[term] = (df[term] || 0) + 1; });
+  });
+
+  return counts.map(function (tf) {
+    var vector = {};
+    Object.keys(tf).forEach(function (term) {
+      vector[term] = (1 + Math.log(tf[term])) * Math.log(1 + entries.length / df[term]);
+    });
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  var dot = 0;
+  var normA = 0;
+  var normB = 0;
+  Object.keys(a).forEach(function (term) {
+    normA += a[term] * a[term];
+    if (b[term]) dot += a[term] * b[term];
+  });
+  Object.keys(b).forEach(function (term) { normB += b[term] * b[term]; });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Library entries most similar to target: [{ entry, score }], best first.
+// Other versions of the same post (same status ID) are skipped.
+function findRelatedEntries(target, entries, limit) {
+  var others = entries.filter(function (entry) {
+    return entry.id !== target.id && !(target.statusId && entry.statusId === target.statusId);
+  });
+  if (others.length === 0) return [];
+
+  var vectors = buildTfIdfVectors([target].concat(others));
+  return others.map(function (entry, i) {
+    return { entry: entry, score: cosineSimilarity(vectors[0], vectors[i + 1]) };
+  }).filter(function (result) {
+    return result.score >= RELATED_MIN_SCORE;
+  }).sort(function (a, b) {
+    return b.score - a.score;
+  }).slice(0, limit || RELATED_MAX);
+}
+
+// Entries whose related list names deletedId, with that item removed
+// (copies; the others are left out)
+function dropRelatedEntry(entries, deletedId) {
+  delete relatedTermCache[deletedId];
+  return entries.filter(function (entry) {
+    return (entry.related || []).some(function (item) { return item.id === deletedId; });
+  }).map(function (entry) {
+    return Object.assign({}, entry, {
+      related: entry.related.filter(function (item) { return item.id !== deletedId; }),
+    });
+  });
+}
+
+// Obsidian wikilink target for a note: its path without the .md extension
+function relatedNoteLink(fileName) {
+  return fileName.replace(/\.md$/i, '');
+}
+
+// "## Related" Markdown lines for the stored related list ([] when empty)
+function buildRelatedSection(related) {
+  if (!related || related.length === 0) return [];
+  var lines = ['## Related', ''];
+  related.forEach(function (item) {
+    var label = (item.author || 'unknown') + ' — ' + item.title;
+    var line = item.fileName
+      ? '- [[' + relatedNoteLink(item.fileName) + '|' + label.replace(/[[\]|]/g, '') + ']]'
+      : '- ' + label.replace(/[[\]]/g, '\\$&');
+    if (item.tweetUrl) line += ' · [Source](' + item.tweetUrl + ')';
+    lines.push(line);
+  });
+  lines.push('');
+  return lines;
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('cosineSimilarity', () => {
+  it('is 1 for identical vectors and 0 for disjoint ones', () => {
+    expect(cosineSimilarity({ a: 1, b: 2 }, { a: 1, b: 2 })).toBeCloseTo(1);
+    expect(cosineSimilarity({ a: 1 }, { b: 1 })).toBe(0);
+    expect(cosineSimilarity({}, { b: 1 })).toBe(0);
+  });
+});
+
+describe('buildTfIdfVectors', () => {
+  it('weights rare terms above common ones', () => {
+    const [vector] = buildTfIdfVectors([
+      { tldr: 'rust tokio' },
+      { tldr: 'rust python' },
+      { tldr: 'rust golang' },
+    ]);
+    expect(vector.tokio).toBeGreaterThan(vector.rust);
+  });
+});
+
+describe('findRelatedEntries', () => {
+  const library = [
+    { id: '1', statusId: '11', author: 'A', tldr: 'RAG evaluation with golden datasets and retrieval metrics' },
+    { id: '2', statusId: '22', author: 'B', tldr: 'Sourdough bread baking at home' },
+    { id: '3', statusId: '33', author: 'C', tldr: 'Retrieval metrics for RAG: recall and precision' },
+    { id: '4', statusId: '44', author: 'D', tldr: 'RAG evaluation golden datasets retrieval' },
+  ];
+
+  it('ranks similar notes and drops unrelated ones', () => {
+    const target = { id: 'new', statusId: '99', tldr: 'How to run RAG evaluation: golden datasets and retrieval metrics' };
+    const ids = findRelatedEntries(target, library, 5).map((r) => r.entry.id);
+    expect(ids[0]).toBe('1');
+    expect(ids).not.toContain('2');
+  });
+
+  it('skips the entry itself and other versions of the same post', () => {
+    const ids = findRelatedEntries(library[0], library.concat([{ id: '5', statusId: '11', tldr: library[0].tldr }]), 5)
+      .map((r) => r.entry.id);
+    expect(ids).not.toContain('1');
+    expect(ids).not.toContain('5');
+  });
+
+  it('respects the limit and handles an empty library', () => {
+    const target = { id: 'x', tldr: 'RAG retrieval' };
+    expect(findRelatedEntries(target, library, 1)).toHaveLength(1);
+    expect(findRelatedEntries(target, [], 5)).toEqual([]);
+  });
+});
+
+describe('buildRelatedSection', () => {
+  it('writes wikilinks without the extension plus source links', () => {
+    expect(buildRelatedSection([
+      { author: 'Alice', title: 'RAG [evals]', fileName: '2026/01/alice-rag.md', tweetUrl: 'https://x.com/a/status/1' },
+      { author: 'Bob', title: 'No file', fileName: '', tweetUrl: '' },
+    ])).toEqual([
+      '## Related',
+      '',
+      '- [[2026/01/alice-rag|Alice — RAG evals]] · [Source](https://x.com/a/status/1)',
+      '- Bob — No file',
+      '',
+    ]);
+  });
+
+  it('is empty without related notes', () => {
+    expect(buildRelatedSection(undefined)).toEqual([]);
+    expect(buildRelatedSection([])).toEqual([]);
+  });
+});
+
+describe('entryTermCounts', () => {
+  it('reuses cached counts until the entry is replaced or regenerated', () => {
+    const entry = { id: 'cache-1', timestamp: 1, tldr: 'rust compiler', content: { text: 'borrow checker' } };
+    const first = entryTermCounts(entry);
+    expect(entryTermCounts({ ...entry })).toBe(first);
+    expect(entryTermCounts({ ...entry, tldr: 'new summary' })).not.toBe(first);
+  });
+});
+
+describe('dropRelatedEntry', () => {
+  it('returns the entries that named the deleted one, without it', () => {
+    const entries = [
+      { id: 'a', related: [{ id: 'x', title: 'X' }, { id: 'y', title: 'Y' }] },
+      { id: 'b', related: [{ id: 'y', title: 'Y' }] },
+      { id: 'c' },
+    ];
+    expect(dropRelatedEntry(entries, 'x')).toEqual([{ id: 'a', related: [{ id: 'y', title: 'Y' }] }]);
+    expect(entries[0].related).toHaveLength(2);
+  });
+});
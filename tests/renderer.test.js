@@ -0,0 +1,171 @@
+/**
+ * Unit tests for pure functions extracted from renderer.js.
+ *
+ * The DOM step needs a browser; these cover how a TLDR is split into blocks
+ * and inline runs, which decides what the card and history view show.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from renderer.js ──────────────────────────────
+
+var TLDR_HEADING_RE = /^(?:\*\*(.+?)\*\*\s*[-:]?|#{1,6}\s+(.+?)\s*#*)\s*$/;
+var TLDR_SCORE_RE = /^\**(Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10\**/i;
+
+// Inline tokens, in priority order: `code`, [text](url), **bold**, *italic*,
+// bare URL
+var TLDR_INLINE_RE = /`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(https?:\/\/[^\s<>()[\]]+)/;
+
+function parseTLDRBlocks(text) {
+  var blocks = [];
+  var list = null;
+
+  function flushList() {
+    if (list) blocks.push(list);
+    list = null;
+  }
+
+  function addItem(type, itemText) {
+    if (!list || list.type !== type) {
+      flushList();
+      list = { type: type, items: [] };
+    }
+    list.items.push(itemText);
+  }
+
+  (text || '').split('\n').forEach(function (line) {
+    var trimmed = line.trim();
+    if (!trimmed) { flushList(); return; }
+
+    var heading = trimmed.match(TLDR_HEADING_RE);
+    if (heading) {
+      flushList();
+      blocks.push({ type: 'heading', text: heading[1] || heading[2] });
+      return;
+    }
+
+    var score = trimmed.match(TLDR_SCORE_RE);
+    if (score) {
+      flushList();
+      var rest = trimmed.slice(score[0].length).replace(/^\s*[-\u2014]\s*/, '');
+      blocks.push({ type: 'score', label: score[1], score: Number(score[2]), rest: rest });
+      return;
+    }
+
+    var bullet = trimmed.match(/^[-\u2022*]\s+(.*)/);
+    if (bullet) { addItem('ul', bullet[1]); return; }
+
+    var numbered = trimmed.match(/^\d+[.)]\s+(.*)/);
+    if (numbered) { addItem('ol', numbered[1]); return; }
+
+    flushList();
+    blocks.push({ type: 'p', text: trimmed });
+  });
+  flushList();
+  return blocks;
+}
+
+function parseTLDRInline(text) {
+  var runs = [];
+  var cursor = 0;
+  var re = new RegExp(TLDR_INLINE_RE.source, 'g');
+  var m;
+  while ((m = re.exec(text)) !== null) {
+    var token = m[0];
+    var end = m.index + token.length;
+    if (m[6]) {
+      // Keep sentence punctuation after a bare URL out of the link
+      var url = m[6].replace(/[.,;:!?'"]+$/, '');
+      end = m.index + url.length;
+      token = url;
+    }
+    if (m.index > cursor) runs.push({ type: 'text', text: text.slice(cursor, m.index) });
+    if (m[1]) runs.push({ type: 'code', text: m[1] });
+    else if (m[2]) runs.push({ type: 'link', text: m[2], href: m[3] });
+    else if (m[4]) runs.push({ type: 'strong', text: m[4] });
+    else if (m[5]) runs.push({ type: 'em', text: m[5] });
+    else runs.push({ type: 'link', text: token, href: token });
+    cursor = end;
+    re.lastIndex = end;
+  }
+  if (cursor < text.length) runs.push({ type: 'text', text: text.slice(cursor) });
+  return runs;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('parseTLDRBlocks', () => {
+  it('recognizes bold and # headings', () => {
+    expect(parseTLDRBlocks('**Key Points**\n## Why It Matters')).toEqual([
+      { type: 'heading', text: 'Key Points' },
+      { type: 'heading', text: 'Why It Matters' },
+    ]);
+  });
+
+  it('keeps a bold lead-in followed by text as a paragraph', () => {
+    expect(parseTLDRBlocks('**TLDR** — short summary')).toEqual([
+      { type: 'p', text: '**TLDR** — short summary' },
+    ]);
+  });
+
+  it('groups consecutive list items and splits on type change', () => {
+    const blocks = parseTLDRBlocks('- a\n* b\n1. one\n2) two\n\n- c');
+    expect(blocks).toEqual([
+      { type: 'ul', items: ['a', 'b'] },
+      { type: 'ol', items: ['one', 'two'] },
+      { type: 'ul', items: ['c'] },
+    ]);
+  });
+
+  it('parses the credibility line with its justification', () => {
+    expect(parseTLDRBlocks('Credibility: 8/10 — well sourced')).toEqual([
+      { type: 'score', label: 'Credibility', score: 8, rest: 'well sourced' },
+    ]);
+  });
+
+  it('parses bolded and localized credibility labels', () => {
+    expect(parseTLDRBlocks('**可信度：** 3/10')[0]).toEqual({ type: 'score', label: '可信度', score: 3, rest: '' });
+  });
+
+  it('returns no blocks for empty input', () => {
+    expect(parseTLDRBlocks('')).toEqual([]);
+    expect(parseTLDRBlocks(null)).toEqual([]);
+  });
+});
+
+describe('parseTLDRInline', () => {
+  it('returns a single text run for plain text', () => {
+    expect(parseTLDRInline('hello')).toEqual([{ type: 'text', text: 'hello' }]);
+  });
+
+  it('parses bold, italic and inline code', () => {
+    expect(parseTLDRInline('**a** and *b* with `c*d*`')).toEqual([
+      { type: 'strong', text: 'a' },
+      { type: 'text', text: ' and ' },
+      { type: 'em', text: 'b' },
+      { type: 'text', text: ' with ' },
+      { type: 'code', text: 'c*d*' },
+    ]);
+  });
+
+  it('parses markdown links with http(s) targets', () => {
+    expect(parseTLDRInline('see [docs](https://example.com/a)')).toEqual([
+      { type: 'text', text: 'see ' },
+      { type: 'link', text: 'docs', href: 'https://example.com/a' },
+    ]);
+  });
+
+  it('leaves non-http link targets as text', () => {
+    expect(parseTLDRInline('[x](javascript:alert(1))')).toEqual([
+      { type: 'text', text: '[x](javascript:alert(1))' },
+    ]);
+  });
+
+  it('links bare URLs without trailing punctuation', () => {
+    expect(parseTLDRInline('Read https://example.com/post.')).toEqual([
+      { type: 'text', text: 'Read ' },
+      { type: 'link', text: 'https://example.com/post', href: 'https://example.com/post' },
+      { type: 'text', text: '.' },
+    ]);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Unit tests for pure functions extracted from review.js.
+ *
+ * Cards are built from the TLDR blocks parsed by renderer.js, so that parser
+ * is re-defined here as well.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Re-defined pure functions from renderer.js ──────────────────────────────
+
+var TLDR_HEADING_RE = /^(?:\*\*(.+?)\*\*\s*[-:]?|#{1,6}\s+(.+?)\s*#*)\s*$/;
+var TLDR_SCORE_RE = /^\**(Credibility|可信度|信頼度)\**\s*[:：]\s*\**\s*(\d+)\s*\/\s*10\**/i;
+
+function parseTLDRBlocks(text) {
+  var blocks = [];
+  var list = null;
+
+  function flushList() {
+    if (list) blocks.push(list);
+    list = null;
+  }
+
+  function addItem(type, itemText) {
+    if (!list || list.type !== type) {
+      flushList();
+      list = { type: type, items: [] };
+    }
+    list.items.push(itemText);
+  }
+
+  (text || '').split('\n').forEach(function (line) {
+    var trimmed = line.trim();
+    if (!trimmed) { flushList(); return; }
+
+    var heading = trimmed.match(TLDR_HEADING_RE);
+    if (heading) {
+      flushList();
+      blocks.push({ type: 'heading', text: heading[1] || heading[2] });
+      return;
+    }
+
+    var score = trimmed.match(TLDR_SCORE_RE);
+    if (score) {
+      flushList();
+      var rest = trimmed.slice(score[0].length).replace(/^\s*[-\u2014]\s*/, '');
+      blocks.push({ type: 'score', label: score[1], score: Number(score[2]), rest: rest });
+      return;
+    }
+
+    var bullet = trimmed.match(/^[-\u2022*]\s+(.*)/);
+    if (bullet) { addItem('ul', bullet[1]); return; }
+
+    var numbered = trimmed.match(/^\d+[.)]\s+(.*)/);
+    if (numbered) { addItem('ol', numbered[1]); return; }
+
+    flushList();
+    blocks.push({ type: 'p', text: trimmed });
+  });
+  flushList();
+  return blocks;
+}
+
+// ── Re-defined pure functions from review.js ────────────────────────────────
+
+var REVIEW_NEW_PER_DAY = 20;
+var REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+var REVIEW_RELEARN_MS = 10 * 60 * 1000;
+var REVIEW_DEFAULT_EASE = 2.5;
+var REVIEW_MIN_EASE = 1.3;
+
+// Answer buttons → SM-2 quality (0-5 scale)
+var REVIEW_GRADES = {
+  again: { label: '重来', quality: 1 },
+  hard: { label: '困难', quality: 3 },
+  good: { label: '良好', quality: 4 },
+  easy: { label: '简单', quality: 5 },
+};
+
+var REVIEW_SKIP_HEADING_RE = /fact.?check|事实核查|事實查核|ファクトチェック|팩트/i;
+var REVIEW_TLDR_LINE_RE = /^\*\*TLDR\*\*\s*[-:：–—]?\s*(.+)$/i;
+var REVIEW_TERM_RE = /^\*\*(.+?)\*\*\s*[-:：–—]\s*(.+)$/;
+
+// Short stable key for a card's text (djb2)
+function hashReviewText(text) {
+  var hash = 5381;
+  for (var i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Question/answer cards for one entry: [{ key, heading, question, answer }]
+function buildReviewCards(entry) {
+  var cards = [];
+  var heading = '';
+  var skip = false;
+
+  function add(question, answer) {
+    cards.push({
+      key: hashReviewText(question + '\n' + answer),
+      heading: heading,
+      question: question,
+      answer: answer,
+    });
+  }
+
+  parseTLDRBlocks(entry.tldr || '').forEach(function (block) {
+    if (block.type === 'heading') {
+      heading = block.text.replace(/[:：]$/, '');
+      skip = REVIEW_SKIP_HEADING_RE.test(heading);
+      return;
+    }
+    if (skip) return;
+
+    if (block.type === 'p') {
+      var tldr = block.text.match(REVIEW_TLDR_LINE_RE);
+      if (tldr) add('这条收藏的核心观点是什么？', tldr[1]);
+      return;
+    }
+
+    if (block.type === 'ul' || block.type === 'ol') {
+      block.items.forEach(function (item, i) {
+        var term = item.match(REVIEW_TERM_RE);
+        if (term) {
+          add((heading ? heading + '：' : '') + term[1] + '？', term[2]);
+        } else {
+          add('「' + (heading || '要点') + '」第 ' + (i + 1) + ' 条是什么？', item);
+        }
+      });
+    }
+  });
+  return cards;
+}
+
+// Next state after answering a card. state is undefined for a new card.
+// SM-2: the ease factor moves with answer quality, intervals grow 1 → 6 →
+// interval × ease days; "again" resets the streak and shows the card again
+// after a short relearning delay.
+function scheduleReview(state, grade, now) {
+  var prev = state || { reps: 0, interval: 0, ease: REVIEW_DEFAULT_EASE, lapses: 0, introduced: now };
+  var q = REVIEW_GRADES[grade].quality;
+  // "again" uses a fixed penalty; the SM-2 formula would drop ease by 0.54
+  var easeDelta = grade === 'again' ? -0.2 : 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02);
+  var next = {
+    reps: prev.reps,
+    interval: prev.interval,
+    ease: Math.max(REVIEW_MIN_EASE, prev.ease + easeDelta),
+    lapses: prev.lapses,
+    introduced: prev.introduced || now,
+    lastReviewed: now,
+  };
+
+  if (grade === 'again') {
+    next.reps = 0;
+    next.interval = 0;
+    next.lapses += 1;
+    next.due = now + REVIEW_RELEARN_MS;
+    return next;
+  }
+
+  next.reps += 1;
+  if (next.reps === 1) {
+    next.interval = grade === 'easy' ? 4 : 1;
+  } else if (next.reps === 2) {
+    next.interval = grade === 'hard' ? 3 : 6;
+  } else if (grade === 'hard') {
+    next.interval = Math.max(prev.interval + 1, Math.round(prev.interval * 1.2));
+  } else {
+    next.interval = Math.round(prev.interval * next.ease * (grade === 'easy' ? 1.3 : 1));
+  }
+  next.due = now + next.interval * REVIEW_DAY_MS;
+  return next;
+}
+
+function startOfReviewDay(now) {
+  var d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Cards to review today, due reviews first (oldest due first), then up to
+// the remaining daily allowance of new cards (oldest bookmarks first).
+// Returns { cards: [{ entry, card, state }], dueCount, newCount }.
+function collectDueCards(entries, now) {
+  var dayStart = startOfReviewDay(now);
+  var dayEnd = dayStart + REVIEW_DAY_MS;
+  var due = [];
+  var fresh = [];
+  var introducedToday = 0;
+
+  entries.slice().sort(function (a, b) { return a.timestamp - b.timestamp; }).forEach(function (entry) {
+    var states = (entry.review && entry.review.cards) || {};
+    buildReviewCards(entry).forEach(function (card) {
+      var state = states[card.key];
+      if (!state) {
+        fresh.push({ entry: entry, card: card, state: null });
+        return;
+      }
+      if (state.introduced >= dayStart) introducedToday++;
+      if (state.due < dayEnd) due.push({ entry: entry, card: card, state: state });
+    });
+  });
+
+  due.sort(function (a, b) { return a.state.due - b.state.due; });
+  var newCards = fresh.slice(0, Math.max(0, REVIEW_NEW_PER_DAY - introducedToday));
+  return { cards: due.concat(newCards), dueCount: due.length, newCount: newCards.length };
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SAMPLE_TLDR = [
+  '**TLDR** — Rust async needs a runtime.',
+  '',
+  '**Key Points**',
+  '- **Tokio**: the most used runtime',
+  '- Executors poll futures until they are ready',
+  '',
+  '**Fact Check**',
+  '- Tokio is popular — **verifiable**',
+  'Credibility: 8/10 — well known',
+].join('\n');
+
+describe('buildReviewCards', () => {
+  it('builds cards from the TLDR line and key points', () => {
+    const cards = buildReviewCards({ tldr: SAMPLE_TLDR });
+    expect(cards.map((c) => [c.question, c.answer])).toEqual([
+      ['这条收藏的核心观点是什么？', 'Rust async needs a runtime.'],
+      ['Key Points：Tokio？', 'the most used runtime'],
+      ['「Key Points」第 2 条是什么？', 'Executors poll futures until they are ready'],
+    ]);
+  });
+
+  it('skips the fact-check section', () => {
+    const cards = buildReviewCards({ tldr: SAMPLE_TLDR });
+    expect(cards.some((c) => c.answer.includes('verifiable'))).toBe(false);
+  });
+
+  it('returns no cards without a TLDR', () => {
+    expect(buildReviewCards({ tldr: '' })).toEqual([]);
+  });
+
+  it('derives stable keys from card text', () => {
+    const a = buildReviewCards({ tldr: SAMPLE_TLDR });
+    const b = buildReviewCards({ tldr: SAMPLE_TLDR });
+    expect(a.map((c) => c.key)).toEqual(b.map((c) => c.key));
+    expect(new Set(a.map((c) => c.key)).size).toBe(a.length);
+  });
+});
+
+describe('scheduleReview', () => {
+  const now = 1_700_000_000_000;
+
+  it('starts new cards at 1 day (4 for easy)', () => {
+    expect(scheduleReview(undefined, 'good', now).interval).toBe(1);
+    expect(scheduleReview(undefined, 'easy', now).interval).toBe(4);
+    expect(scheduleReview(undefined, 'good', now).due).toBe(now + DAY);
+  });
+
+  it('follows 1 → 6 → interval × ease for good answers', () => {
+    let state = scheduleReview(undefined, 'good', now);
+    state = scheduleReview(state, 'good', now);
+    expect(state.interval).toBe(6);
+    state = scheduleReview(state, 'good', now);
+    expect(state.interval).toBe(15);
+    expect(state.ease).toBe(2.5);
+  });
+
+  it('resets the streak and relearns on again', () => {
+    let state = scheduleReview(undefined, 'good', now);
+    state = scheduleReview(state, 'good', now);
+    state = scheduleReview(state, 'again', now);
+    expect(state.reps).toBe(0);
+    expect(state.lapses).toBe(1);
+    expect(state.due).toBe(now + 10 * 60 * 1000);
+    expect(state.ease).toBeCloseTo(2.3);
+  });
+
+  it('never lets ease drop below the minimum', () => {
+    let state;
+    for (let i = 0; i < 10; i++) state = scheduleReview(state, 'again', now);
+    expect(state.ease).toBe(1.3);
+  });
+
+  it('grows hard intervals slowly and lowers ease', () => {
+    const state = scheduleReview({ reps: 3, interval: 10, ease: 2.5, lapses: 0, introduced: now }, 'hard', now);
+    expect(state.interval).toBe(12);
+    expect(state.ease).toBeCloseTo(2.36);
+  });
+
+  it('keeps the first-introduced time', () => {
+    const first = scheduleReview(undefined, 'good', now);
+    expect(scheduleReview(first, 'good', now + DAY).introduced).toBe(now);
+  });
+});
+
+describe('collectDueCards', () => {
+  const now = new Date(2026, 0, 10, 12).getTime();
+
+  it('treats unseen cards as new', () => {
+    const result = collectDueCards([{ id: 'a', timestamp: 1, tldr: SAMPLE_TLDR }], now);
+    expect(result.dueCount).toBe(0);
+    expect(result.newCount).toBe(3);
+  });
+
+  it('includes cards due before the end of today, earliest first', () => {
+    const cards = buildReviewCards({ tldr: SAMPLE_TLDR });
+    const past = new Date(2026, 0, 1).getTime();
+    const review = {
+      cards: {
+        [cards[0].key]: { due: now + 6 * 60 * 60 * 1000, introduced: past },
+        [cards[1].key]: { due: now - DAY, introduced: past },
+        [cards[2].key]: { due: now + 3 * DAY, introduced: past },
+      },
+    };
+    const result = collectDueCards([{ id: 'a', timestamp: 1, tldr: SAMPLE_TLDR, review }], now);
+    expect(result.dueCount).toBe(2);
+    expect(result.cards.map((c) => c.card.key)).toEqual([cards[1].key, cards[0].key]);
+  });
+
+  it('caps new cards by the daily allowance', () => {
+    const tldr = Array.from({ length: 30 }, (_, i) => '- point ' + i).join('\n');
+    const result = collectDueCards([{ id: 'a', timestamp: 1, tldr }], now);
+    expect(result.newCount).toBe(REVIEW_NEW_PER_DAY);
+  });
+
+  it('counts cards introduced today against the allowance', () => {
+    const tldr = Array.from({ length: 30 }, (_, i) => '- point ' + i).join('\n');
+    const cards = buildReviewCards({ tldr });
+    const review = { cards: {} };
+    cards.slice(0, 5).forEach((c) => { review.cards[c.key] = { due: now + DAY * 2, introduced: now - 1000 }; });
+    const result = collectDueCards([{ id: 'a', timestamp: 1, tldr, review }], now);
+    expect(result.newCount).toBe(REVIEW_NEW_PER_DAY - 5);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit tests for pure functions extracted from selectors.js.
+ *
+ * These look up X page elements through the selector registry's ordered
+ * strategies and summarize which strategies recent captures matched.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// ── Registry fixture (same shape as SELECTOR_REGISTRY) ──────────────────────
+
+var SELECTOR_REGISTRY = {
+  version: 2,
+  fields: {
+    text: {
+      label: '正文',
+      strategies: [
+        { id: 'tweetText', selector: '[data-testid="tweetText"]' },
+        { id: 'lang', selector: 'div[lang][dir="auto"]' },
+      ],
+    },
+    author: {
+      label: '作者',
+      expected: true,
+      strategies: [{ id: 'User-Name', selector: '[data-testid="User-Name"]' }],
+    },
+    quote: {
+      label: '引用帖',
+      strategies: [{ id: 'quoteTweet', selector: '[data-testid="quoteTweet"]' }],
+    },
+    focusModeBody: {
+      label: '专注模式正文',
+      strategies: [{ id: 'h1-sections', selector: 'h1', minCount: 2, parent: true }],
+    },
+  },
+};
+
+// ── Re-defined from selectors.js ────────────────────────────────────────────
+
+// Elements under root for a registry field, from the first strategy that
+// matches: { els, strategy } with the strategy id, or { els: [], strategy:
+// null } on a miss. exclude(el) drops elements (e.g. those inside a quoted
+// post) before a strategy counts as matching.
+function queryFieldAll(root, name, exclude, registry) {
+  var strategies = (registry || SELECTOR_REGISTRY).fields[name].strategies;
+  for (var i = 0; i < strategies.length; i++) {
+    var strategy = strategies[i];
+    var els = Array.prototype.slice.call(root.querySelectorAll(strategy.selector));
+    if (exclude) els = els.filter(function (el) { return !exclude(el); });
+    if (els.length === 0 || els.length < (strategy.minCount || 1)) continue;
+    if (strategy.parent) els = els[0].parentElement ? [els[0].parentElement] : [];
+    if (els.length > 0) return { els: els, strategy: strategy.id };
+  }
+  return { els: [], strategy: null };
+}
+
+// First element of a field: { el, strategy }, or { el: null, strategy: null }
+function queryField(root, name, exclude, registry) {
+  var match = queryFieldAll(root, name, exclude, registry);
+  return { el: match.els[0] || null, strategy: match.strategy };
+}
+
+// Hit and miss counts per field over library entries recorded with the
+// current registry version:
+//   { version, captures, older, fields: [{ name, label, expected, hits,
+//     misses, strategies: [{ id, count, fallback }] }] }
+// Fields a capture never looked up are not counted for it; older counts
+// entries recorded with an earlier registry version.
+function summarizeSelectorHits(entries, registry) {
+  registry = registry || SELECTOR_REGISTRY;
+  var captures = 0;
+  var older = 0;
+  var counts = {};
+  entries.forEach(function (entry) {
+    var record = entry.selectors;
+    if (!record || !record.hits) return;
+    if (record.version !== registry.version) {
+      older++;
+      return;
+    }
+    captures++;
+    Object.keys(record.hits).forEach(function (name) {
+      if (!registry.fields[name]) return;
+      var count = counts[name] || (counts[name] = { misses: 0, byStrategy: {} });
+      var strategy = record.hits[name];
+      if (strategy) count.byStrategy[strategy] = (count.byStrategy[strategy] || 0) + 1;
+      else count.misses++;
+    });
+  });
+
+  var fields = Object.keys(registry.fields).filter(function (name) {
+    return counts[name];
+  }).map(function (name) {
+    var field = registry.fields[name];
+    var count = counts[name];
+    var strategies = field.strategies.map(function (strategy, i) {
+      return { id: strategy.id, count: count.byStrategy[strategy.id] || 0, fallback: i > 0 };
+    }).filter(function (strategy) { return strategy.count > 0; });
+    return {
+      name: name,
+      label: field.label,
+      expected: !!field.expected,
+      hits: strategies.reduce(function (sum, strategy) { return sum + strategy.count; }, 0),
+      misses: count.misses,
+      strategies: strategies,
+    };
+  });
+  return { version: registry.version, captures: captures, older: older, fields: fields };
+}
+
+// Debug-section lines for a summary. "⚠" marks a field that needed a
+// fallback strategy, or an expected field that was missed.
+function formatSelectorDiagnostics(summary) {
+  var lines = ['Selectors: registry v' + summary.version + ', ' + summary.captures + ' recent captures'
+    + (summary.older ? ' (+' + summary.older + ' on older versions)' : '')];
+  if (summary.captures === 0) {
+    lines.push('  (no captures recorded yet)');
+    return lines;
+  }
+  summary.fields.forEach(function (field) {
+    var total = field.hits + field.misses;
+    var usedFallback = field.strategies.some(function (strategy) { return strategy.fallback; });
+    var warn = usedFallback || (field.expected && field.misses > 0);
+    var detail = field.strategies.map(function (strategy) {
+      return strategy.id + (strategy.fallback ? ' (fallback)' : '') + ' ' + strategy.count;
+    });
+    if (field.misses) detail.push('miss ' + field.misses);
+    lines.push((warn ? '⚠ ' : '  ') + field.name + ' ' + field.label + ': '
+      + field.hits + '/' + total + ' hit (' + Math.round(field.hits / total * 100) + '%) — '
+      + detail.join(', '));
+  });
+  return lines;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Minimal stand-in for a DOM root: selector → elements
+function fakeRoot(matches) {
+  return { querySelectorAll: (selector) => matches[selector] || [] };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────────
+
+describe('queryFieldAll / queryField', () => {
+  it('uses the first strategy that matches', () => {
+    const primary = { name: 'primary' };
+    const root = fakeRoot({
+      '[data-testid="tweetText"]': [primary],
+      'div[lang][dir="auto"]': [{ name: 'fallback' }],
+    });
+    expect(queryField(root, 'text')).toEqual({ el: primary, strategy: 'tweetText' });
+  });
+
+  it('falls back to later strategies', () => {
+    const fallback = { name: 'fallback' };
+    const root = fakeRoot({ 'div[lang][dir="auto"]': [fallback] });
+    expect(queryFieldAll(root, 'text')).toEqual({ els: [fallback], strategy: 'lang' });
+  });
+
+  it('skips excluded elements before a strategy counts as matching', () => {
+    const quoted = { name: 'quoted' };
+    const own = { name: 'own' };
+    const root = fakeRoot({
+      '[data-testid="tweetText"]': [quoted],
+      'div[lang][dir="auto"]': [quoted, own],
+    });
+    expect(queryField(root, 'text', (el) => el === quoted)).toEqual({ el: own, strategy: 'lang' });
+  });
+
+  it('reports a miss when no strategy matches', () => {
+    expect(queryField(fakeRoot({}), 'quote')).toEqual({ el: null, strategy: null });
+  });
+
+  it('applies minCount and parent for container heuristics', () => {
+    const container = { name: 'body' };
+    const one = fakeRoot({ h1: [{ parentElement: container }] });
+    const two = fakeRoot({ h1: [{ parentElement: container }, { parentElement: container }] });
+    expect(queryField(one, 'focusModeBody').strategy).toBe(null);
+    expect(queryField(two, 'focusModeBody')).toEqual({ el: container, strategy: 'h1-sections' });
+  });
+});
+
+describe('summarizeSelectorHits', () => {
+  const entries = [
+    { selectors: { version: 2, hits: { text: 'tweetText', author: 'User-Name', quote: null } } },
+    { selectors: { version: 2, hits: { text: 'lang', author: null, quote: 'quoteTweet' } } },
+    { selectors: { version: 2, hits: { text: null, author: 'User-Name', unknown: 'x' } } },
+    { selectors: { version: 1, hits: { text: 'tweetText' } } },
+    { content: {} },
+  ];
+
+  it('counts hits per strategy and misses per field for the current version', () => {
+    expect(summarizeSelectorHits(entries)).toEqual({
+      version: 2,
+      captures: 3,
+      older: 1,
+      fields: [
+        {
+          name: 'text', label: '正文', expected: false, hits: 2, misses: 1,
+          strategies: [
+            { id: 'tweetText', count: 1, fallback: false },
+            { id: 'lang', count: 1, fallback: true },
+          ],
+        },
+        {
+          name: 'author', label: '作者', expected: true, hits: 2, misses: 1,
+          strategies: [{ id: 'User-Name', count: 2, fallback: false }],
+        },
+        {
+          name: 'quote', label: '引用帖', expected: false, hits: 1, misses: 1,
+          strategies: [{ id: 'quoteTweet', count: 1, fallback: false }],
+        },
+      ],
+    });
+  });
+
+  it('is empty without recorded captures', () => {
+    expect(summarizeSelectorHits([{ content: {} }])).toEqual({ version: 2, captures: 0, older: 0, fields: [] });
+  });
+});
+
+describe('formatSelectorDiagnostics', () => {
+  it('lists rates per field and flags fallbacks and expected misses', () => {
+    const lines = formatSelectorDiagnostics(summarizeSelectorHits([
+      { selectors: { version: 2, hits: { text: 'tweetText', author: 'User-Name', quote: null } } },
+      { selectors: { version: 2, hits: { text: 'lang', author: null, quote: null } } },
+    ]));
+    expect(lines).toEqual([
+      'Selectors: registry v2, 2 recent captures',
+      '⚠ text 正文: 2/2 hit (100%) — tweetText 1, lang (fallback) 1',
+      '⚠ author 作者: 1/2 hit (50%) — User-Name 1, miss 1',
+      '  quote 引用帖: 0/2 hit (0%) — miss 2',
+    ]);
+  });
+
+  it('notes when nothing has been recorded yet', () => {
+    expect(formatSelectorDiagnostics({ version: 2, captures: 0, older: 3, fields: [] })).toEqual([
+      'Selectors: registry v2, 0 recent captures (+3 on older versions)',
+      '  (no captures recorded yet)',
+    ]);
+  });
+});